@@ -2,6 +2,7 @@ import { useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { FEATURES, hasEntitlement } from '../lib/entitlements';
 import { runMonteCarloAnalytics } from '../lib/analytics/monteCarlo';
+import { runHistoricalBacktest } from '../lib/analytics/backtest';
 import { trackEvent } from '../lib/telemetry';
 
 function formatPercent(p) {
@@ -43,6 +44,11 @@ export default function AdvancedAnalyticsPanel({
   scenario,
   pensionMonthly,
   pensionStartAge,
+  supplementMonthly = 0,
+  supplementEndAge = 62,
+  csrsComponentShare = 0,
+  csrsOffsetMonthly = 0,
+  vsip = null,
   entitlements,
 }) {
   const navigate = useNavigate();
@@ -51,11 +57,14 @@ export default function AdvancedAnalyticsPanel({
   const ss = useMemo(() => computeSocialSecurityFromScenario(scenario), [scenario]);
 
   const [settings, setSettings] = useState({
+    mode: 'monte_carlo', // 'monte_carlo' | 'backtest'
     simulations: 750,
     endAge: 95,
   });
   const [isRunning, setIsRunning] = useState(false);
   const [result, setResult] = useState(null);
+  const [backtest, setBacktest] = useState(null);
+  const isBacktest = settings.mode === 'backtest';
   const [error, setError] = useState('');
 
   const run = async () => {
@@ -63,23 +72,38 @@ export default function AdvancedAnalyticsPanel({
     setError('');
     setIsRunning(true);
     try {
-      const res = runMonteCarloAnalytics({
+      const args = {
         scenario,
         pensionMonthly,
         pensionStartAge,
+        supplementMonthly,
+        supplementEndAge,
         socialSecurityMonthly: ss.monthly,
         socialSecurityStartAge: ss.claimingAge,
+        csrsComponentShare,
+        csrsOffsetMonthly,
+        vsip,
         settings,
-      });
-      setResult(res);
-      trackEvent('pro_montecarlo_ran', {
-        simulations: settings.simulations,
-        endAge: settings.endAge,
-      });
+      };
+      if (isBacktest) {
+        const res = runHistoricalBacktest(args);
+        setBacktest(res);
+        trackEvent('pro_backtest_ran', {
+          endAge: settings.endAge,
+          startYears: res.runs.length,
+        });
+      } else {
+        const res = runMonteCarloAnalytics(args);
+        setResult(res);
+        trackEvent('pro_montecarlo_ran', {
+          simulations: settings.simulations,
+          endAge: settings.endAge,
+        });
+      }
     } catch (e) {
       console.error(e);
       setError(e?.message || 'Failed to run simulation.');
-      trackEvent('pro_montecarlo_failed', { message: e?.message || 'unknown' });
+      trackEvent(isBacktest ? 'pro_backtest_failed' : 'pro_montecarlo_failed', { message: e?.message || 'unknown' });
     } finally {
       setIsRunning(false);
     }
@@ -91,7 +115,7 @@ export default function AdvancedAnalyticsPanel({
         <div>
           <h3 className="text-xl font-semibold navy-text">📊 Advanced analytics</h3>
           <p className="text-sm text-slate-600 dark:text-slate-400 mt-1">
-            Monte Carlo simulations estimate variability in outcomes (not guarantees).
+            Monte Carlo simulations and historical backtests estimate variability in outcomes (not guarantees).
           </p>
         </div>
         {!canAnalytics && (
@@ -108,12 +132,25 @@ export default function AdvancedAnalyticsPanel({
         <div className="mt-5 rounded-lg border border-slate-200 dark:border-slate-700 bg-slate-50 dark:bg-slate-900 p-4">
           <div className="font-medium text-slate-900 dark:text-white">Pro feature</div>
           <div className="text-sm text-slate-600 dark:text-slate-400 mt-1">
-            Run Monte Carlo simulations, see probability of hitting your FIRE goal, and stress-test retirement cashflow.
+            Run Monte Carlo simulations, replay historical TSP returns, see probability of hitting your FIRE goal, and stress-test retirement cashflow.
           </div>
         </div>
       ) : (
         <>
-          <div className="mt-5 grid md:grid-cols-3 gap-4">
+          <div className="mt-5 grid md:grid-cols-4 gap-4">
+            <label className="block">
+              <div className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Returns</div>
+              <select
+                className="input-field w-full"
+                value={settings.mode}
+                onChange={(e) => setSettings((prev) => ({ ...prev, mode: e.target.value }))}
+                disabled={isRunning}
+              >
+                <option value="monte_carlo">Monte Carlo</option>
+                <option value="backtest">Historical backtest</option>
+              </select>
+            </label>
+
             <label className="block">
               <div className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">Simulations</div>
               <input
@@ -123,7 +160,7 @@ export default function AdvancedAnalyticsPanel({
                 max={5000}
                 value={settings.simulations}
                 onChange={(e) => setSettings((prev) => ({ ...prev, simulations: Number(e.target.value) }))}
-                disabled={isRunning}
+                disabled={isRunning || isBacktest}
               />
             </label>
 
@@ -142,7 +179,7 @@ export default function AdvancedAnalyticsPanel({
 
             <div className="flex items-end">
               <button className="btn-primary w-full" onClick={run} disabled={isRunning}>
-                {isRunning ? 'Running…' : 'Run simulation'}
+                {isRunning ? 'Running…' : isBacktest ? 'Run backtest' : 'Run simulation'}
               </button>
             </div>
           </div>
@@ -153,7 +190,69 @@ export default function AdvancedAnalyticsPanel({
             </div>
           )}
 
-          {result && (
+          {isBacktest && backtest && (
+            <div className="mt-6 space-y-4">
+              {backtest.runs.length === 0 ? (
+                <div className="text-sm text-slate-600 dark:text-slate-400">
+                  Set a TSP fund allocation to replay historical returns.
+                </div>
+              ) : (
+                <>
+                  {backtest.isSynthetic && (
+                    <div className="rounded-lg bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 p-3 text-sm text-amber-800 dark:text-amber-200">
+                      Synthetic sequences: your {Math.floor(backtest.inputs.endAge - backtest.inputs.currentAge) + 1}-year horizon is
+                      longer than the {backtest.historyYears} years of history, so after {backtest.lastYear} each replay loops back
+                      to {backtest.firstYear}. These are not returns anyone actually lived through.
+                    </div>
+                  )}
+                  <div className="grid md:grid-cols-3 gap-4">
+                    {[
+                      ['Worst start year', backtest.worst],
+                      ['Median start year', backtest.median],
+                      ['Best start year', backtest.best],
+                    ].map(([label, run]) => (
+                      <div key={label} className="rounded-lg border border-slate-200 dark:border-slate-700 p-4 bg-white dark:bg-slate-900">
+                        <div className="text-xs uppercase tracking-wide text-slate-500 dark:text-slate-400">{label}</div>
+                        <div className="text-2xl font-bold navy-text mt-1">
+                          {run.startYear}
+                          {backtest.isSynthetic && <span className="text-xs font-normal text-amber-700 dark:text-amber-300"> (synthetic)</span>}
+                        </div>
+                        <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                          {run.failed
+                            ? `Runs out of money at ${Math.floor(run.failedAtAge)}`
+                            : `${formatMoney(run.endBalance)} left at ${backtest.inputs.endAge}`}
+                        </div>
+                        <div className="text-xs text-slate-500 dark:text-slate-400">
+                          At retirement: {formatMoney(run.balanceAtRetirement)}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="rounded-lg border border-slate-200 dark:border-slate-700 p-4 bg-slate-50 dark:bg-slate-900 text-sm">
+                    <div className="font-semibold text-slate-900 dark:text-white mb-2">
+                      Funds last to end age in {formatPercent(backtest.successRate)} of {backtest.runs.length} start years
+                    </div>
+                    <div className="text-slate-600 dark:text-slate-400">
+                      {backtest.failedStartYears.length > 0
+                        ? `Failed start years: ${backtest.failedStartYears.join(', ')}`
+                        : 'No start year ran out of money.'}
+                    </div>
+                  </div>
+
+                  <div className="text-xs text-slate-500 dark:text-slate-400">
+                    Replays your allocation's calendar-year TSP returns for each start year from {backtest.runs[0].startYear} to
+                    {' '}{backtest.runs[backtest.runs.length - 1].startYear}
+                    {backtest.isSynthetic ? '' : ` whose whole horizon falls within ${backtest.firstYear}–${backtest.lastYear}`}.
+                    Each year&apos;s return is spread evenly over its months, so swings within a year are not replayed.
+                    Spending grows with your inflation assumption. Past returns do not predict future results.
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {!isBacktest && result && (
             <div className="mt-6 space-y-4">
               <div className="grid md:grid-cols-3 gap-4">
                 <div className="rounded-lg border border-slate-200 dark:border-slate-700 p-4 bg-white dark:bg-slate-900">
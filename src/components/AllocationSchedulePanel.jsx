@@ -0,0 +1,237 @@
+import { useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  ALLOCATION_SCHEDULE_TYPES,
+  createDefaultAllocationSchedule,
+  createDefaultAllocationStep,
+} from '../lib/calculations/allocationSchedule';
+import { INDIVIDUAL_TSP_FUNDS } from '../lib/calculations/lifecycleFunds';
+import TooltipWrapper from './TooltipWrapper';
+import { useDraftValue } from './useDraftValue';
+
+const FUND_COLORS = Object.freeze({
+  G: '#94a3b8',
+  F: '#d88635',
+  C: '#2e4a96',
+  S: '#1a2b55',
+  I: '#b56d2b',
+});
+
+const stepToDraft = (step) => ({
+  age: String(step.age ?? ''),
+  date: step.date ?? '',
+  allocation: Object.fromEntries(INDIVIDUAL_TSP_FUNDS.map((fund) => [fund, String(step.allocation?.[fund] ?? 0)])),
+});
+
+const toDraft = (value) => {
+  const schedule = { ...createDefaultAllocationSchedule(), ...(value ?? {}) };
+  return {
+    ...schedule,
+    startAge: String(schedule.startAge ?? ''),
+    percentPerYear: String(schedule.percentPerYear ?? ''),
+    steps: (Array.isArray(schedule.steps) ? schedule.steps : []).map(stepToDraft),
+  };
+};
+
+const fromDraft = (draft) => ({
+  ...draft,
+  startAge: parseFloat(draft.startAge) || 0,
+  percentPerYear: parseFloat(draft.percentPerYear) || 0,
+  steps: draft.steps.map((step) => ({
+    age: step.age === '' ? '' : parseFloat(step.age) || 0,
+    date: step.date,
+    allocation: Object.fromEntries(
+      INDIVIDUAL_TSP_FUNDS.map((fund) => [fund, parseFloat(step.allocation[fund]) || 0])
+    ),
+  })),
+});
+
+/**
+ * Allocation schedule for the TSP page: switch to new allocations at set ages or dates, or shift a percent
+ * into one fund every year. `timeline` is the yearly fund mix from buildAllocationTimeline() for the chart.
+ * Steps have no ids and are edited by position.
+ */
+export default function AllocationSchedulePanel({ value, timeline, onChange }) {
+  const { draft, commit, update } = useDraftValue(value, { toDraft, fromDraft, onChange });
+  const updateStep = (index, changes) =>
+    commit({ ...draft, steps: draft.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)) });
+  const addStep = () => commit({ ...draft, steps: [...draft.steps, stepToDraft(createDefaultAllocationStep())] });
+  const removeStep = (index) => commit({ ...draft, steps: draft.steps.filter((_, i) => i !== index) });
+
+  const chartData = useMemo(() => {
+    const points = Array.isArray(timeline) ? timeline : [];
+    return {
+      labels: points.map((p) => `Age ${Math.floor(p.age)}`),
+      datasets: INDIVIDUAL_TSP_FUNDS.map((fund, i) => ({
+        label: `${fund} Fund`,
+        data: points.map((p) => Math.round(p.mix[fund] * 10) / 10),
+        borderColor: FUND_COLORS[fund],
+        backgroundColor: `${FUND_COLORS[fund]}99`,
+        fill: i === 0 ? 'origin' : '-1',
+        pointRadius: 0,
+        tension: 0.1,
+      })),
+    };
+  }, [timeline]);
+
+  const chartOptions = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'top' },
+      title: { display: false },
+    },
+    scales: {
+      y: {
+        stacked: true,
+        beginAtZero: true,
+        ticks: { callback: (v) => `${v}%` },
+      },
+    },
+  }), []);
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-xl font-semibold navy-text mb-2">Allocation Over Time</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+        Plan to de-risk as retirement nears. Projections and the Monte Carlo analysis use the allocation in
+        effect each year instead of a fixed mix.
+      </p>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="col-span-2">
+          <label className="label" htmlFor="allocationScheduleType">Schedule</label>
+          <select
+            id="allocationScheduleType"
+            value={draft.type}
+            onChange={(e) => update('type', e.target.value)}
+            className="input-field w-full"
+          >
+            {Object.values(ALLOCATION_SCHEDULE_TYPES).map((type) => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {draft.type === 'rule' && (
+          <>
+            <TooltipWrapper text="Each full year past this age moves another slice of your balance into the chosen fund, taken evenly from the others.">
+              <div>
+                <label className="label" htmlFor="allocationShiftStartAge">Start Shifting After Age</label>
+                <input
+                  id="allocationShiftStartAge"
+                  type="text"
+                  value={draft.startAge}
+                  onChange={(e) => update('startAge', e.target.value)}
+                  className="input-field w-full"
+                  placeholder="50"
+                  inputMode="decimal"
+                />
+              </div>
+            </TooltipWrapper>
+            <div>
+              <label className="label" htmlFor="allocationShiftPercent">Percent Per Year</label>
+              <input
+                id="allocationShiftPercent"
+                type="text"
+                value={draft.percentPerYear}
+                onChange={(e) => update('percentPerYear', e.target.value)}
+                className="input-field w-full"
+                placeholder="2"
+                inputMode="decimal"
+              />
+            </div>
+            <div>
+              <label className="label" htmlFor="allocationShiftFund">Move Into</label>
+              <select
+                id="allocationShiftFund"
+                value={draft.toFund}
+                onChange={(e) => update('toFund', e.target.value)}
+                className="input-field w-full"
+              >
+                {INDIVIDUAL_TSP_FUNDS.map((fund) => (
+                  <option key={fund} value={fund}>{fund} Fund</option>
+                ))}
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+
+      {draft.type === 'steps' && (
+        <div className="mt-4 space-y-3">
+          {draft.steps.map((step, index) => (
+            <div key={index} className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg space-y-2">
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="label" htmlFor={`allocationStepAge_${index}`}>From Age</label>
+                  <input
+                    id={`allocationStepAge_${index}`}
+                    type="text"
+                    value={step.age}
+                    onChange={(e) => updateStep(index, { age: e.target.value })}
+                    className="input-field w-full"
+                    inputMode="decimal"
+                  />
+                </div>
+                <TooltipWrapper text="An interfund transfer on a set date. When a date is set it is used instead of the age.">
+                  <div>
+                    <label className="label" htmlFor={`allocationStepDate_${index}`}>Or From Date</label>
+                    <input
+                      id={`allocationStepDate_${index}`}
+                      type="date"
+                      value={step.date}
+                      onChange={(e) => updateStep(index, { date: e.target.value })}
+                      className="input-field w-full"
+                    />
+                  </div>
+                </TooltipWrapper>
+              </div>
+              <div className="grid grid-cols-5 gap-2">
+                {INDIVIDUAL_TSP_FUNDS.map((fund) => (
+                  <div key={fund}>
+                    <label className="label" htmlFor={`allocationStep${fund}_${index}`}>{fund} %</label>
+                    <input
+                      id={`allocationStep${fund}_${index}`}
+                      type="text"
+                      value={step.allocation[fund]}
+                      onChange={(e) => updateStep(index, { allocation: { ...step.allocation, [fund]: e.target.value } })}
+                      className="input-field w-full"
+                      inputMode="decimal"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-between text-xs">
+                <span className="text-slate-500 dark:text-slate-400">
+                  Total: {INDIVIDUAL_TSP_FUNDS.reduce((sum, fund) => sum + (parseFloat(step.allocation[fund]) || 0), 0)}%
+                </span>
+                <button type="button" onClick={() => removeStep(index)} className="text-slate-500 hover:text-red-500">
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={addStep}
+            className="text-sm bg-navy-100 dark:bg-navy-900 text-navy-600 dark:text-navy-400 px-3 py-1 rounded-lg hover:bg-navy-200 dark:hover:bg-navy-800 transition-colors"
+          >
+            Add a change
+          </button>
+        </div>
+      )}
+
+      {Array.isArray(timeline) && timeline.length > 1 && (
+        <div className="h-56 mt-6">
+          <Line data={chartData} options={chartOptions} />
+        </div>
+      )}
+
+      <div className="disclaimer">
+        The chart shows the individual fund mix each year, including any L Fund glide path. Historical
+        backtests replay each year with the mix shown here.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,304 @@
+import {
+  createDefaultBenefits,
+  FEGLI_BASIC_REDUCTIONS,
+  FEHB_ENROLLMENT_TYPES,
+} from '../lib/calculations/benefits';
+import TooltipWrapper from './TooltipWrapper';
+import { useDraftValue } from './useDraftValue';
+
+function formatMoney(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(n);
+}
+
+const toDraft = (value) => {
+  const base = createDefaultBenefits();
+  const fehb = { ...base.fehb, ...(value?.fehb ?? {}) };
+  const fegli = { ...base.fegli, ...(value?.fegli ?? {}) };
+  return {
+    fehb: {
+      ...fehb,
+      monthlyPremium: String(fehb.monthlyPremium ?? ''),
+      premiumGrowthRate: String(fehb.premiumGrowthRate ?? ''),
+      yearsEnrolled: String(fehb.yearsEnrolled ?? ''),
+    },
+    fegli: {
+      ...fegli,
+      optionBMultiples: String(fegli.optionBMultiples ?? 0),
+      optionCMultiples: String(fegli.optionCMultiples ?? 0),
+      yearsEnrolled: String(fegli.yearsEnrolled ?? ''),
+    },
+  };
+};
+
+const fromDraft = (draft) => ({
+  fehb: {
+    ...draft.fehb,
+    monthlyPremium: parseFloat(draft.fehb.monthlyPremium) || 0,
+    premiumGrowthRate: parseFloat(draft.fehb.premiumGrowthRate) || 0,
+    yearsEnrolled: parseFloat(draft.fehb.yearsEnrolled) || 0,
+  },
+  fegli: {
+    ...draft.fegli,
+    optionBMultiples: parseInt(draft.fegli.optionBMultiples, 10) || 0,
+    optionCMultiples: parseInt(draft.fegli.optionCMultiples, 10) || 0,
+    yearsEnrolled: parseFloat(draft.fegli.yearsEnrolled) || 0,
+  },
+});
+
+/**
+ * FEHB and FEGLI coverage in retirement for the FERS page, with the years enrolled that decide the 5-year
+ * rule. `premiums` is calculateFersResults().premiums; the gross and net pensions show what the premiums
+ * take out of each check.
+ */
+export default function BenefitsPanel({ value, premiums, monthlyPension, netMonthlyPension, onChange }) {
+  const { draft, commit } = useDraftValue(value, { toDraft, fromDraft, onChange });
+
+  const updateFehb = (field, fieldValue) => commit({ ...draft, fehb: { ...draft.fehb, [field]: fieldValue } });
+  const updateFegli = (field, fieldValue) => commit({ ...draft, fegli: { ...draft.fegli, [field]: fieldValue } });
+
+  const firstRow = premiums?.rows?.[0];
+  const rules = [premiums?.fehb?.fiveYearRule, premiums?.fegli?.fiveYearRule].filter(Boolean);
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-xl font-semibold navy-text mb-2">Health &amp; Life Insurance in Retirement</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+        FEHB and FEGLI premiums are withheld from your annuity. Both continue only if you were covered for the
+        5 years immediately before retiring on an immediate annuity.
+      </p>
+
+      <div className="flex items-center space-x-3 mb-3">
+        <input
+          type="checkbox"
+          id="fehbEnrolled"
+          checked={draft.fehb.enrolled}
+          onChange={(e) => updateFehb('enrolled', e.target.checked)}
+          className="w-4 h-4 text-navy-600"
+        />
+        <label htmlFor="fehbEnrolled" className="text-sm font-medium text-slate-700 dark:text-slate-300">
+          Keep FEHB in retirement
+        </label>
+      </div>
+      {draft.fehb.enrolled && (
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <div>
+            <label className="label" htmlFor="fehbPlanName">Plan</label>
+            <input
+              id="fehbPlanName"
+              type="text"
+              value={draft.fehb.planName}
+              onChange={(e) => updateFehb('planName', e.target.value)}
+              className="input-field w-full"
+              placeholder="Blue Cross Basic"
+            />
+          </div>
+          <div>
+            <label className="label" htmlFor="fehbEnrollmentType">Enrollment Type</label>
+            <select
+              id="fehbEnrollmentType"
+              value={draft.fehb.enrollmentType}
+              onChange={(e) => updateFehb('enrollmentType', e.target.value)}
+              className="input-field w-full"
+            >
+              {Object.values(FEHB_ENROLLMENT_TYPES).map((type) => (
+                <option key={type.id} value={type.id}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <TooltipWrapper text="Your share of the premium today, per month. Annuitants pay the same share as employees, monthly instead of biweekly.">
+            <div>
+              <label className="label" htmlFor="fehbMonthlyPremium">Premium ($/month)</label>
+              <input
+                id="fehbMonthlyPremium"
+                type="text"
+                value={draft.fehb.monthlyPremium}
+                onChange={(e) => updateFehb('monthlyPremium', e.target.value)}
+                className="input-field w-full"
+                placeholder="250"
+                inputMode="decimal"
+              />
+            </div>
+          </TooltipWrapper>
+          <TooltipWrapper text="How fast you expect premiums to rise each year. FEHB premiums have historically outpaced COLAs.">
+            <div>
+              <label className="label" htmlFor="fehbPremiumGrowthRate">Premium Growth (%/yr)</label>
+              <input
+                id="fehbPremiumGrowthRate"
+                type="text"
+                value={draft.fehb.premiumGrowthRate}
+                onChange={(e) => updateFehb('premiumGrowthRate', e.target.value)}
+                className="input-field w-full"
+                placeholder="5"
+                inputMode="decimal"
+              />
+            </div>
+          </TooltipWrapper>
+          <TooltipWrapper text="Continuous years of FEHB coverage so far. Years until your planned retirement are added.">
+            <div>
+              <label className="label" htmlFor="fehbYearsEnrolled">Years Enrolled So Far</label>
+              <input
+                id="fehbYearsEnrolled"
+                type="text"
+                value={draft.fehb.yearsEnrolled}
+                onChange={(e) => updateFehb('yearsEnrolled', e.target.value)}
+                className="input-field w-full"
+                placeholder="5"
+                inputMode="decimal"
+              />
+            </div>
+          </TooltipWrapper>
+        </div>
+      )}
+
+      <div className="flex items-center space-x-3 mb-3">
+        <input
+          type="checkbox"
+          id="fegliEnrolled"
+          checked={draft.fegli.enrolled}
+          onChange={(e) => updateFegli('enrolled', e.target.checked)}
+          className="w-4 h-4 text-navy-600"
+        />
+        <label htmlFor="fegliEnrolled" className="text-sm font-medium text-slate-700 dark:text-slate-300">
+          Keep FEGLI in retirement
+        </label>
+      </div>
+      {draft.fegli.enrolled && (
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <TooltipWrapper text="With a 75% reduction, Basic coverage is free after 65 and shrinks to 25% of its value. 50% and no reduction keep more coverage for a premium.">
+            <div>
+              <label className="label" htmlFor="fegliBasicReduction">Basic Coverage After 65</label>
+              <select
+                id="fegliBasicReduction"
+                value={draft.fegli.basicReduction}
+                onChange={(e) => updateFegli('basicReduction', e.target.value)}
+                className="input-field w-full"
+              >
+                {Object.values(FEGLI_BASIC_REDUCTIONS).map((reduction) => (
+                  <option key={reduction.id} value={reduction.id}>{reduction.label}</option>
+                ))}
+              </select>
+            </div>
+          </TooltipWrapper>
+          <div>
+            <label className="label" htmlFor="fegliYearsEnrolled">Years Enrolled So Far</label>
+            <input
+              id="fegliYearsEnrolled"
+              type="text"
+              value={draft.fegli.yearsEnrolled}
+              onChange={(e) => updateFegli('yearsEnrolled', e.target.value)}
+              className="input-field w-full"
+              placeholder="5"
+              inputMode="decimal"
+            />
+          </div>
+          <div className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              id="fegliOptionA"
+              checked={draft.fegli.optionA}
+              onChange={(e) => updateFegli('optionA', e.target.checked)}
+              className="w-4 h-4 text-navy-600"
+            />
+            <label htmlFor="fegliOptionA" className="text-sm text-slate-700 dark:text-slate-300">
+              Option A ($10,000)
+            </label>
+          </div>
+          <div />
+          <div>
+            <label className="label" htmlFor="fegliOptionBMultiples">Option B (× salary)</label>
+            <select
+              id="fegliOptionBMultiples"
+              value={draft.fegli.optionBMultiples}
+              onChange={(e) => updateFegli('optionBMultiples', e.target.value)}
+              className="input-field w-full"
+            >
+              {[0, 1, 2, 3, 4, 5].map((n) => (
+                <option key={n} value={String(n)}>{n === 0 ? 'None' : `${n}×`}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label" htmlFor="fegliOptionBReduction">Option B After 65</label>
+            <select
+              id="fegliOptionBReduction"
+              value={draft.fegli.optionBReduction}
+              onChange={(e) => updateFegli('optionBReduction', e.target.value)}
+              className="input-field w-full"
+            >
+              <option value="full">Full reduction (free)</option>
+              <option value="none">No reduction</option>
+            </select>
+          </div>
+          <div>
+            <label className="label" htmlFor="fegliOptionCMultiples">Option C (family multiples)</label>
+            <select
+              id="fegliOptionCMultiples"
+              value={draft.fegli.optionCMultiples}
+              onChange={(e) => updateFegli('optionCMultiples', e.target.value)}
+              className="input-field w-full"
+            >
+              {[0, 1, 2, 3, 4, 5].map((n) => (
+                <option key={n} value={String(n)}>{n === 0 ? 'None' : `${n}×`}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label" htmlFor="fegliOptionCReduction">Option C After 65</label>
+            <select
+              id="fegliOptionCReduction"
+              value={draft.fegli.optionCReduction}
+              onChange={(e) => updateFegli('optionCReduction', e.target.value)}
+              className="input-field w-full"
+            >
+              <option value="full">Full reduction (free)</option>
+              <option value="none">No reduction</option>
+            </select>
+          </div>
+        </div>
+      )}
+
+      {rules.length > 0 && (
+        <div className="space-y-1 mb-4">
+          {rules.map((rule) => (
+            <p
+              key={rule.message}
+              className={`text-sm ${rule.isMet ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}
+            >
+              {rule.message}
+            </p>
+          ))}
+        </div>
+      )}
+
+      {firstRow && firstRow.totalMonthly > 0 && (
+        <div className="grid grid-cols-3 gap-4 text-sm">
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">FEHB (first year)</div>
+            <div className="font-semibold">{formatMoney(firstRow.fehbMonthly)}/mo</div>
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">FEGLI (first year)</div>
+            <div className="font-semibold">{formatMoney(firstRow.fegliMonthly)}/mo</div>
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Net annuity</div>
+            <div className="font-semibold">{formatMoney(netMonthlyPension)}/mo</div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">of {formatMoney(monthlyPension)} gross</div>
+          </div>
+        </div>
+      )}
+
+      <div className="disclaimer">
+        Premiums use current OPM annuitant FEGLI rates and your FEHB premium grown at the rate above. Final
+        salary for FEGLI is approximated by your High-3.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+import {
+  COURT_ORDER_AWARD_TYPES,
+  createDefaultCourtOrder,
+  FORMER_SPOUSE_SURVIVOR_AWARDS,
+} from '../lib/calculations/courtOrder';
+import TooltipWrapper from './TooltipWrapper';
+import { useDraftValue } from './useDraftValue';
+
+function formatMoney(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(n);
+}
+
+const toDraft = (value) => {
+  const order = { ...createDefaultCourtOrder(), ...(value ?? {}) };
+  return {
+    ...order,
+    awardPercent: String(order.awardPercent ?? ''),
+    marriedServiceYears: String(order.marriedServiceYears ?? ''),
+    fixedMonthly: String(order.fixedMonthly ?? ''),
+  };
+};
+
+const fromDraft = (draft) => ({
+  ...draft,
+  awardPercent: parseFloat(draft.awardPercent) || 0,
+  marriedServiceYears: parseFloat(draft.marriedServiceYears) || 0,
+  fixedMonthly: parseFloat(draft.fixedMonthly) || 0,
+});
+
+/**
+ * Former spouse court order for the FERS page: a percent (optionally of the marital share) or a fixed
+ * monthly amount paid out of the annuity, plus any former spouse survivor award. `courtOrder` and
+ * `survivor` come from calculateFersResults(); the gross and net pensions frame the monthly payment.
+ */
+export default function CourtOrderPanel({ value, courtOrder, survivor, monthlyPension, netMonthlyPension, onChange }) {
+  const { draft, update } = useDraftValue(value, { toDraft, fromDraft, onChange });
+
+  const hasOrder = draft.type !== 'none';
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-xl font-semibold navy-text mb-2">Former Spouse Court Order</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+        A divorce decree can award a former spouse part of your annuity, paid directly by OPM, and a former
+        spouse survivor annuity that reduces your annuity like a survivor election.
+      </p>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="label" htmlFor="courtOrderType">Annuity Award</label>
+          <select
+            id="courtOrderType"
+            value={draft.type}
+            onChange={(e) => update('type', e.target.value)}
+            className="input-field w-full"
+          >
+            {Object.values(COURT_ORDER_AWARD_TYPES).map((type) => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        <TooltipWrapper text="Survivor annuity the order awards your former spouse. It comes ahead of a current spouse; together they cannot exceed 50%.">
+          <div>
+            <label className="label" htmlFor="courtOrderSurvivorAward">Former Spouse Survivor Annuity</label>
+            <select
+              id="courtOrderSurvivorAward"
+              value={draft.survivorAward}
+              onChange={(e) => update('survivorAward', e.target.value)}
+              className="input-field w-full"
+            >
+              {Object.values(FORMER_SPOUSE_SURVIVOR_AWARDS).map((award) => (
+                <option key={award.id} value={award.id}>{award.label}</option>
+              ))}
+            </select>
+          </div>
+        </TooltipWrapper>
+        {(draft.type === 'marital_fraction' || draft.type === 'percentage') && (
+          <div>
+            <label className="label" htmlFor="courtOrderAwardPercent">
+              {draft.type === 'marital_fraction' ? 'Award (% of marital share)' : 'Award (% of annuity)'}
+            </label>
+            <input
+              id="courtOrderAwardPercent"
+              type="text"
+              value={draft.awardPercent}
+              onChange={(e) => update('awardPercent', e.target.value)}
+              className="input-field w-full"
+              placeholder="50"
+              inputMode="decimal"
+            />
+          </div>
+        )}
+        {draft.type === 'marital_fraction' && (
+          <TooltipWrapper text="Years of creditable service during the marriage. The marital share is these years over your total service at retirement.">
+            <div>
+              <label className="label" htmlFor="courtOrderMarriedServiceYears">Service During Marriage (years)</label>
+              <input
+                id="courtOrderMarriedServiceYears"
+                type="text"
+                value={draft.marriedServiceYears}
+                onChange={(e) => update('marriedServiceYears', e.target.value)}
+                className="input-field w-full"
+                placeholder="10"
+                inputMode="decimal"
+              />
+            </div>
+          </TooltipWrapper>
+        )}
+        {draft.type === 'fixed' && (
+          <div>
+            <label className="label" htmlFor="courtOrderFixedMonthly">Fixed Amount ($/month)</label>
+            <input
+              id="courtOrderFixedMonthly"
+              type="text"
+              value={draft.fixedMonthly}
+              onChange={(e) => update('fixedMonthly', e.target.value)}
+              className="input-field w-full"
+              placeholder="500"
+              inputMode="decimal"
+            />
+          </div>
+        )}
+      </div>
+
+      {(hasOrder || (survivor?.formerSpouseSurvivorPercent ?? 0) > 0) && (
+        <div className="mt-4 grid grid-cols-3 gap-4 text-sm">
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">To former spouse</div>
+            <div className="font-semibold">{formatMoney(courtOrder?.monthlyToFormerSpouse ?? 0)}/mo</div>
+            {courtOrder?.maritalFraction != null && (
+              <div className="text-xs text-slate-500 dark:text-slate-400">
+                Marital fraction {(courtOrder.maritalFraction * 100).toFixed(1)}%
+              </div>
+            )}
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Former spouse survivor</div>
+            <div className="font-semibold">{formatMoney((survivor?.formerSpouseSurvivorAnnual ?? 0) / 12)}/mo</div>
+            {(survivor?.formerSpouseReduction ?? 0) > 0 && (
+              <div className="text-xs text-slate-500 dark:text-slate-400">
+                Costs you {formatMoney(survivor.formerSpouseReduction / 12)}/mo
+              </div>
+            )}
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Your net annuity</div>
+            <div className="font-semibold">{formatMoney(netMonthlyPension)}/mo</div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">of {formatMoney(monthlyPension)}, after premiums and the court-ordered share</div>
+          </div>
+        </div>
+      )}
+
+      <div className="disclaimer">
+        The share is taken from the gross annuity, as OPM does unless the order says otherwise. Percentage awards
+        receive COLAs; fixed amounts do not.
+      </div>
+    </div>
+  );
+}
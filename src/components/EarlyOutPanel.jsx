@@ -0,0 +1,212 @@
+import {
+  createDefaultEarlyOut,
+  EARLY_OUT_ANY_AGE_YEARS,
+  EARLY_OUT_MIN_AGE,
+  EARLY_OUT_MIN_YEARS,
+  FERS_EARLY_OUT_TYPES,
+  VSIP_DESTINATIONS,
+  VSIP_MAX_AMOUNT,
+} from '../lib/calculations/fers';
+import { formatYearsAndMonths } from '../lib/calculations/dates';
+import TooltipWrapper from './TooltipWrapper';
+import { useDraftValue } from './useDraftValue';
+
+function formatMoney(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(n);
+}
+
+const toDraft = (value) => {
+  const earlyOut = { ...createDefaultEarlyOut(), ...(value ?? {}) };
+  return {
+    ...earlyOut,
+    age: String(earlyOut.age ?? 0),
+    vsipAmount: String(earlyOut.vsipAmount ?? 0),
+  };
+};
+
+const fromDraft = (draft) => ({
+  ...draft,
+  age: parseFloat(draft.age) || 0,
+  vsipAmount: parseFloat(draft.vsipAmount) || 0,
+});
+
+/**
+ * VERA / DSR offer for the FERS page: the separation age, any VSIP and where it goes, shown side by side
+ * with the planned retirement. `result` is calculateFersResults().earlyOut; `vsipTaxRate` is the current
+ * tax rate the VSIP is withheld at.
+ */
+export default function EarlyOutPanel({ value, result, vsipTaxRate, onChange }) {
+  const { draft, update } = useDraftValue(value, { toDraft, fromDraft, onChange });
+
+  const hasOffer = draft.type !== 'none';
+  const comparison = result?.comparison;
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-xl font-semibold navy-text mb-2">Early-Out Offer (VERA / DSR)</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+        During a reorganization or RIF, your agency may offer voluntary early retirement, or you may be
+        separated involuntarily. Either lets you retire at {EARLY_OUT_MIN_AGE} with {EARLY_OUT_MIN_YEARS} years
+        of service, or at any age with {EARLY_OUT_ANY_AGE_YEARS}, with no age reduction.
+      </p>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="label" htmlFor="earlyOutType">Offer</label>
+          <select
+            id="earlyOutType"
+            value={draft.type}
+            onChange={(e) => update('type', e.target.value)}
+            className="input-field w-full"
+          >
+            {Object.values(FERS_EARLY_OUT_TYPES).map((type) => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+        {hasOffer && (
+          <TooltipWrapper text="The age you would take the offer. Leave 0 to take it now.">
+            <div>
+              <label className="label" htmlFor="earlyOutAge">Early-Out Age (0 = now)</label>
+              <input
+                id="earlyOutAge"
+                type="text"
+                value={draft.age}
+                onChange={(e) => update('age', e.target.value)}
+                className="input-field w-full"
+                placeholder="0"
+                inputMode="decimal"
+              />
+            </div>
+          </TooltipWrapper>
+        )}
+        {hasOffer && (
+          <TooltipWrapper text={`Voluntary Separation Incentive Payment, if offered. Capped at ${formatMoney(VSIP_MAX_AMOUNT)} and taxed as wages.`}>
+            <div>
+              <label className="label" htmlFor="vsipAmount">VSIP ($)</label>
+              <input
+                id="vsipAmount"
+                type="text"
+                value={draft.vsipAmount}
+                onChange={(e) => update('vsipAmount', e.target.value)}
+                className="input-field w-full"
+                placeholder="0"
+                inputMode="decimal"
+              />
+            </div>
+          </TooltipWrapper>
+        )}
+        {hasOffer && (
+          <div>
+            <label className="label" htmlFor="vsipDestination">Put the VSIP In</label>
+            <select
+              id="vsipDestination"
+              value={draft.vsipDestination}
+              onChange={(e) => update('vsipDestination', e.target.value)}
+              className="input-field w-full"
+            >
+              {Object.values(VSIP_DESTINATIONS).map((destination) => (
+                <option key={destination.id} value={destination.id}>{destination.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {hasOffer && result && !result.isEligible && (
+        <p className="mt-4 text-sm text-red-600 dark:text-red-400">{result.message}</p>
+      )}
+
+      {hasOffer && result?.isEligible && (
+        <div className="mt-4 space-y-3 text-sm">
+          <div className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg text-slate-600 dark:text-slate-400 space-y-1">
+            <p>
+              Retiring at {formatYearsAndMonths(result.retirementAge)} with {result.totalYearsOfService.toFixed(1)} years:
+              {' '}<span className="font-medium">{formatMoney(result.monthlyPension)}/month</span>, unreduced. COLAs start at 62.
+            </p>
+            {result.supplement.annualSupplement > 0 && (
+              <p>
+                FERS supplement of {formatMoney(result.supplement.monthlySupplement)}/month from your MRA
+                ({formatYearsAndMonths(result.supplement.startAge)}) to 62.
+              </p>
+            )}
+            {result.vsip.gross > 0 && (
+              <p>
+                VSIP: {formatMoney(result.vsip.gross)}{result.vsip.isCapped ? ' (capped)' : ''} less {formatMoney(result.vsip.tax)} in
+                {' '}tax at your {vsipTaxRate}% current rate plus FICA = <span className="font-medium">{formatMoney(result.vsip.net)}</span>
+                {' '}into your {result.vsip.destination.label.toLowerCase()}.
+                {result.vsip.bridgeCoverage != null && (
+                  <> It covers {Math.round(result.vsip.bridgeCoverage * 100)}% of the {formatMoney(result.vsip.bridgeNeed)} your annuity and supplement leave short of your FIRE income goal before 62.</>
+                )}
+              </p>
+            )}
+          </div>
+
+          {comparison && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                  <th className="py-1">Through your planning horizon</th>
+                  <th className="py-1 text-right">Current plan</th>
+                  <th className="py-1 text-right">Early-out</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td className="py-1">Retire at</td>
+                  <td className="py-1 text-right">{formatYearsAndMonths(comparison.planned.retirementAge)}</td>
+                  <td className="py-1 text-right">{formatYearsAndMonths(comparison.earlyOut.retirementAge)}</td>
+                </tr>
+                <tr>
+                  <td className="py-1">Salary until then</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.planned.salary)}</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.earlyOut.salary)}</td>
+                </tr>
+                <tr>
+                  <td className="py-1">Pension</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.planned.pension)}</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.earlyOut.pension)}</td>
+                </tr>
+                <tr>
+                  <td className="py-1">FERS supplement</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.planned.supplement)}</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.earlyOut.supplement)}</td>
+                </tr>
+                <tr>
+                  <td className="py-1">VSIP (after tax)</td>
+                  <td className="py-1 text-right">—</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.earlyOut.vsip)}</td>
+                </tr>
+                <tr className="font-semibold border-t border-slate-200 dark:border-slate-700">
+                  <td className="py-1">Total</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.planned.total)}</td>
+                  <td className="py-1 text-right">{formatMoney(comparison.earlyOut.total)}</td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+          {comparison && (
+            <p className="text-slate-600 dark:text-slate-400">
+              The early-out retires you {comparison.yearsEarlier.toFixed(1)} years sooner for
+              {' '}{comparison.difference >= 0 ? 'a gain' : 'a cost'} of {formatMoney(Math.abs(comparison.difference))},
+              {' '}before any income from a new job.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="disclaimer">
+        Totals are nominal dollars with pension COLAs. Salary is held at your High-3, and investment growth
+        is not counted.
+        An agency must have OPM early-out authority before offering VERA or VSIP.
+      </div>
+    </div>
+  );
+}
@@ -12,11 +12,33 @@ import {
   Legend,
   Filler
 } from 'chart.js';
+import { useNavigate } from 'react-router-dom';
 import { useScenario } from '../contexts/ScenarioContext';
+import { useAuth } from '../contexts/AuthContext';
 import ScenarioManager from './ScenarioManager';
-import { calculateFersResults } from '../lib/calculations/fers';
+import {
+  buildFersInputsFromScenario,
+  calculateFersResults,
+  DEFAULT_MRA,
+  FERS_RETIREMENT_CATEGORIES,
+  formatMinimumRetirementAge,
+  FERS_CONTRIBUTION_COHORTS,
+  getFersContributionCohortForHireDate,
+  getFersRetirementCategory,
+} from '../lib/calculations/fers';
+import { formatDisplayDate, formatYearsAndMonths, parseIsoDate } from '../lib/calculations/dates';
+import { optimizeRetirementDate } from '../lib/calculations/retirementDate';
 import TooltipWrapper from './TooltipWrapper';
 import NumberStepper from './NumberStepper';
+import MilitaryDepositPanel from './MilitaryDepositPanel';
+import PartTimeServicePanel from './PartTimeServicePanel';
+import SalaryHistoryPanel from './SalaryHistoryPanel';
+import BenefitsPanel from './BenefitsPanel';
+import CourtOrderPanel from './CourtOrderPanel';
+import EarlyOutPanel from './EarlyOutPanel';
+import RetirementDatePanel from './RetirementDatePanel';
+import { FERS_SURVIVOR_ELECTIONS } from '../lib/calculations/survivorBenefit';
+import { RETIREMENT_SYSTEMS } from '../lib/calculations/csrs';
 
 ChartJS.register(
   CategoryScale,
@@ -31,7 +53,9 @@ ChartJS.register(
 );
 
 function FERSPensionCalc() {
-  const { currentScenario, updateCurrentScenario } = useScenario();
+  const { currentScenario, updateCurrentScenario, saveScenario, isScenarioLimitReached } = useScenario();
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
   
   // Main inputs state - using string values for controlled inputs
   const [inputs, setInputs] = useState({
@@ -39,10 +63,30 @@ function FERSPensionCalc() {
     monthsOfService: '0',
     high3Salary: '85000',
     currentAge: '42',
+    birthDate: '',
+    serviceComputationDate: '',
+    retirementDate: '',
     retirementAge: '62',
     showComparison: false,
     privateJobSalary: '95000',
-    privateJobYears: '20'
+    privateJobYears: '20',
+    sickLeaveHours: '0',
+    socialSecurityAt62Monthly: '0',
+    postRetirementEarnings: '0',
+    annuityCommencementAge: '0',
+    retirementCategory: 'regular',
+    retirementSystem: 'fers',
+    csrsServiceYears: '0',
+    separationAge: '0',
+    deferredCommencementAge: '0',
+    survivorElection: 'none',
+    spouseAge: '0',
+    contributionCohort: 'fers',
+    hireDate: '',
+    accumulatedContributions: '0',
+    retirementType: 'voluntary',
+    disabilityAge: '0',
+    ssDisabilityMonthly: '0'
   });
 
   // Utility function to parse numeric inputs only when needed
@@ -51,10 +95,30 @@ function FERSPensionCalc() {
     monthsOfService: inputs.monthsOfService === '' ? 0 : parseFloat(inputs.monthsOfService) || 0,
     high3Salary: inputs.high3Salary === '' ? 0 : parseFloat(inputs.high3Salary) || 0,
     currentAge: inputs.currentAge === '' ? 0 : parseFloat(inputs.currentAge) || 0,
+    birthDate: inputs.birthDate || '',
+    serviceComputationDate: inputs.serviceComputationDate || '',
+    retirementDate: inputs.retirementDate || '',
     retirementAge: inputs.retirementAge === '' ? 0 : parseFloat(inputs.retirementAge) || 0,
     showComparison: inputs.showComparison,
     privateJobSalary: inputs.privateJobSalary === '' ? 0 : parseFloat(inputs.privateJobSalary) || 0,
-    privateJobYears: inputs.privateJobYears === '' ? 0 : parseFloat(inputs.privateJobYears) || 0
+    privateJobYears: inputs.privateJobYears === '' ? 0 : parseFloat(inputs.privateJobYears) || 0,
+    sickLeaveHours: inputs.sickLeaveHours === '' ? 0 : parseFloat(inputs.sickLeaveHours) || 0,
+    socialSecurityAt62Monthly: inputs.socialSecurityAt62Monthly === '' ? 0 : parseFloat(inputs.socialSecurityAt62Monthly) || 0,
+    postRetirementEarnings: inputs.postRetirementEarnings === '' ? 0 : parseFloat(inputs.postRetirementEarnings) || 0,
+    annuityCommencementAge: inputs.annuityCommencementAge === '' ? 0 : parseFloat(inputs.annuityCommencementAge) || 0,
+    retirementCategory: inputs.retirementCategory || 'regular',
+    retirementSystem: inputs.retirementSystem || 'fers',
+    csrsServiceYears: inputs.csrsServiceYears === '' ? 0 : parseFloat(inputs.csrsServiceYears) || 0,
+    separationAge: inputs.separationAge === '' ? 0 : parseFloat(inputs.separationAge) || 0,
+    deferredCommencementAge: inputs.deferredCommencementAge === '' ? 0 : parseFloat(inputs.deferredCommencementAge) || 0,
+    survivorElection: inputs.survivorElection || 'none',
+    spouseAge: inputs.spouseAge === '' ? 0 : parseFloat(inputs.spouseAge) || 0,
+    contributionCohort: inputs.contributionCohort || 'fers',
+    hireDate: inputs.hireDate || '',
+    accumulatedContributions: inputs.accumulatedContributions === '' ? 0 : parseFloat(inputs.accumulatedContributions) || 0,
+    retirementType: inputs.retirementType === 'disability' ? 'disability' : 'voluntary',
+    disabilityAge: inputs.disabilityAge === '' ? 0 : parseFloat(inputs.disabilityAge) || 0,
+    ssDisabilityMonthly: inputs.ssDisabilityMonthly === '' ? 0 : parseFloat(inputs.ssDisabilityMonthly) || 0
   });
 
   // Results state
@@ -64,22 +128,105 @@ function FERSPensionCalc() {
       monthlyPension: 0,
       multiplier: 0.01,
       lifetimePension: 0,
+      lifetimePensionReal: 0,
+      pensionStream: null,
       isEligible: false,
       eligibilityMessage: '',
       totalLifetimeEarnings: 0
     },
     leaveEarly: {
+      separationAge: 0,
+      serviceAtSeparation: 0,
+      commencementAge: null,
       deferredPension: 0,
-      mra: 57,
+      mra: DEFAULT_MRA,
       lifetimeDeferred: 0,
       totalLifetimeEarnings: 0,
-      breakEvenAge: 0
-    }
+      breakEvenAge: 0,
+      deferred: null,
+      cumulativeByAge: []
+    },
+    militaryBuyback: null,
+    sickLeave: null,
+    supplement: null,
+    mra10: null,
+    survivor: null,
+    premiums: null,
+    pensionTax: null,
+    disability: null,
+    isDisabilityRetirement: false,
+    earlyOut: null,
+    retirementSystem: null,
+    partTime: null,
+    courtOrder: null,
+    retirementDates: null,
+    mandatoryRetirement: null,
+    high3: null,
+    timeline: null
   });
 
   // Validation state
   const [validationErrors, setValidationErrors] = useState({});
 
+  const militaryService = currentScenario?.fers?.militaryService;
+
+  const handleMilitaryServiceChange = useCallback((next) => {
+    updateCurrentScenario({ fers: { militaryService: next } });
+  }, [updateCurrentScenario]);
+
+  const partTimeService = currentScenario?.fers?.partTimeService;
+
+  const handlePartTimeServiceChange = useCallback((next) => {
+    updateCurrentScenario({ fers: { partTimeService: next } });
+  }, [updateCurrentScenario]);
+
+  const salaryHistory = currentScenario?.fers?.salaryHistory;
+  // Future High-3 raises follow the TSP page's salary growth assumption.
+  const salaryGrowthRate = Number(currentScenario?.tsp?.annualSalaryGrowthRate ?? 0) / 100;
+
+  const handleSalaryHistoryChange = useCallback((next) => {
+    updateCurrentScenario({ fers: { salaryHistory: next } });
+  }, [updateCurrentScenario]);
+
+  const benefits = currentScenario?.benefits;
+
+  const handleBenefitsChange = useCallback((next) => {
+    updateCurrentScenario({ benefits: next });
+  }, [updateCurrentScenario]);
+
+  const courtOrder = currentScenario?.fers?.courtOrder;
+
+  const handleCourtOrderChange = useCallback((next) => {
+    updateCurrentScenario({ fers: { courtOrder: next } });
+  }, [updateCurrentScenario]);
+
+  const retirementDateOptimizer = currentScenario?.fers?.retirementDateOptimizer;
+  const currentSalary = Number(currentScenario?.tsp?.annualSalary ?? 0);
+
+  const handleRetirementDateOptimizerChange = useCallback((next) => {
+    updateCurrentScenario({ fers: { retirementDateOptimizer: next } });
+  }, [updateCurrentScenario]);
+
+  const earlyOut = currentScenario?.fers?.earlyOut;
+  // The VSIP is taxed as wages at the TSP page's current tax rate.
+  const vsipTaxRate = Number(currentScenario?.tsp?.currentTaxRate ?? 22);
+
+  const handleEarlyOutChange = useCallback((next) => {
+    updateCurrentScenario({ fers: { earlyOut: next } });
+  }, [updateCurrentScenario]);
+
+  // Saves a copy of this scenario that retires on disability instead of as planned.
+  const handleSaveDisabilityVariant = useCallback(async () => {
+    if (!currentScenario) return;
+    const result = await saveScenario(`${currentScenario.name} (Disability)`, {
+      ...currentScenario,
+      fers: { ...currentScenario.fers, ...parseNumericInputs(inputs), retirementType: 'disability' },
+    });
+    if (result?.success === false && result?.error?.code === 'SCENARIO_LIMIT') {
+      navigate('/pro-features', { state: { reason: 'scenario_limit', limit: result.error.scenarioLimit } });
+    }
+  }, [currentScenario, inputs, saveScenario, navigate]);
+
 
 
   // Load from scenario context
@@ -92,10 +239,30 @@ function FERSPensionCalc() {
         monthsOfService: String(fers.monthsOfService || 0),
         high3Salary: String(fers.high3Salary || 85000),
         currentAge: String(fers.currentAge || 42),
+        birthDate: fers.birthDate || '',
+        serviceComputationDate: fers.serviceComputationDate || '',
+        retirementDate: fers.retirementDate || '',
         retirementAge: String(fers.retirementAge || 62),
         showComparison: fers.showComparison || false,
         privateJobSalary: String(fers.privateJobSalary || 95000),
-        privateJobYears: String(fers.privateJobYears || 20)
+        privateJobYears: String(fers.privateJobYears || 20),
+        sickLeaveHours: String(fers.sickLeaveHours || 0),
+        socialSecurityAt62Monthly: String(fers.socialSecurityAt62Monthly || 0),
+        postRetirementEarnings: String(fers.postRetirementEarnings || 0),
+        annuityCommencementAge: String(fers.annuityCommencementAge || 0),
+        retirementCategory: fers.retirementCategory || 'regular',
+        retirementSystem: fers.retirementSystem || 'fers',
+        csrsServiceYears: String(fers.csrsServiceYears || 0),
+        separationAge: String(fers.separationAge || 0),
+        deferredCommencementAge: String(fers.deferredCommencementAge || 0),
+        survivorElection: fers.survivorElection || 'none',
+        spouseAge: String(fers.spouseAge || 0),
+        contributionCohort: fers.contributionCohort || 'fers',
+        hireDate: fers.hireDate || '',
+        accumulatedContributions: String(fers.accumulatedContributions || 0),
+        retirementType: fers.retirementType === 'disability' ? 'disability' : 'voluntary',
+        disabilityAge: String(fers.disabilityAge || 0),
+        ssDisabilityMonthly: String(fers.ssDisabilityMonthly || 0)
       };
       
       // Only update if different to prevent unnecessary re-renders
@@ -178,15 +345,62 @@ function FERSPensionCalc() {
     if (numericInputs.currentAge < 18 || numericInputs.currentAge > 999) {
       errors.currentAge = 'Current age must be between 18 and 999';
     }
+    if (numericInputs.birthDate && !parseIsoDate(numericInputs.birthDate)) {
+      errors.birthDate = 'Date of birth must be a valid date';
+    }
+    if (numericInputs.serviceComputationDate && !parseIsoDate(numericInputs.serviceComputationDate)) {
+      errors.serviceComputationDate = 'Service computation date must be a valid date';
+    }
+    if (numericInputs.retirementDate) {
+      const retireOn = parseIsoDate(numericInputs.retirementDate);
+      const birth = parseIsoDate(numericInputs.birthDate);
+      const scd = parseIsoDate(numericInputs.serviceComputationDate);
+      if (!retireOn) {
+        errors.retirementDate = 'Target retirement date must be a valid date';
+      } else if ((birth && retireOn <= birth) || (scd && retireOn <= scd)) {
+        errors.retirementDate = 'Target retirement date must be after your birth date and service computation date';
+      }
+    }
     if (numericInputs.retirementAge <= numericInputs.currentAge || numericInputs.retirementAge > 999) {
       errors.retirementAge = 'Retirement age must be greater than current age and less than 999';
     }
+    if (numericInputs.sickLeaveHours < 0 || numericInputs.sickLeaveHours > 20000) {
+      errors.sickLeaveHours = 'Sick leave balance must be between 0 and 20,000 hours';
+    }
+    if (numericInputs.socialSecurityAt62Monthly < 0) {
+      errors.socialSecurityAt62Monthly = 'Social Security estimate cannot be negative';
+    }
+    if (numericInputs.postRetirementEarnings < 0) {
+      errors.postRetirementEarnings = 'Post-retirement earnings cannot be negative';
+    }
+    if (numericInputs.csrsServiceYears < 0 || numericInputs.csrsServiceYears > 50) {
+      errors.csrsServiceYears = 'CSRS years must be between 0 and 50';
+    }
+    if (numericInputs.hireDate && !parseIsoDate(numericInputs.hireDate)) {
+      errors.hireDate = 'Hire date must be a valid date';
+    }
+    if (numericInputs.accumulatedContributions < 0) {
+      errors.accumulatedContributions = 'Retirement contributions cannot be negative';
+    }
+    if (numericInputs.disabilityAge !== 0 && (numericInputs.disabilityAge < 18 || numericInputs.disabilityAge > 100)) {
+      errors.disabilityAge = 'Disability age must be 0 (now) or between 18 and 100';
+    }
+    if (numericInputs.ssDisabilityMonthly < 0) {
+      errors.ssDisabilityMonthly = 'Social Security disability benefit cannot be negative';
+    }
+    if (numericInputs.spouseAge < 0 || numericInputs.spouseAge > 110) {
+      errors.spouseAge = "Spouse's age must be between 0 and 110";
+    }
     if (numericInputs.showComparison && numericInputs.privateJobSalary <= 0) {
       errors.privateJobSalary = 'Private sector salary must be greater than 0';
     }
     if (numericInputs.showComparison && (numericInputs.privateJobYears < 1 || numericInputs.privateJobYears > 40)) {
       errors.privateJobYears = 'Private sector years must be between 1 and 40';
     }
+    if (numericInputs.showComparison && numericInputs.separationAge !== 0 &&
+      (numericInputs.separationAge < numericInputs.currentAge || numericInputs.separationAge > numericInputs.retirementAge)) {
+      errors.separationAge = 'Separation age must be between your current age and planned retirement age (or 0 for 20 years of service)';
+    }
 
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
@@ -198,23 +412,39 @@ function FERSPensionCalc() {
 
     const numericInputs = parseNumericInputs(inputs);
 
-    const fers = calculateFersResults({
-      yearsOfService: numericInputs.yearsOfService,
-      monthsOfService: numericInputs.monthsOfService,
-      high3Salary: numericInputs.high3Salary,
-      currentAge: numericInputs.currentAge,
-      retirementAge: numericInputs.retirementAge,
-      showComparison: numericInputs.showComparison,
-      privateJobSalary: numericInputs.privateJobSalary,
-      privateJobYears: numericInputs.privateJobYears,
-      includeFutureService: true,
-    });
+    // The form's unsaved values stand in for the scenario's FERS fields until the debounced save lands.
+    const fersInputs = buildFersInputsFromScenario(
+      { ...currentScenario, fers: { ...currentScenario?.fers, ...numericInputs } },
+      { showComparison: numericInputs.showComparison }
+    );
+    const fers = calculateFersResults(fersInputs);
 
     setResults({
       stayFed: fers.stayFed,
-      leaveEarly: fers.leaveEarly
+      leaveEarly: fers.leaveEarly,
+      militaryBuyback: fers.militaryBuyback,
+      sickLeave: fers.sickLeave,
+      supplement: fers.supplement,
+      mra10: fers.mra10,
+      survivor: fers.survivor,
+      premiums: fers.premiums,
+      pensionTax: fers.pensionTax,
+      disability: fers.disability,
+      isDisabilityRetirement: fers.isDisabilityRetirement,
+      earlyOut: fers.earlyOut,
+      retirementSystem: fers.retirementSystem,
+      partTime: fers.partTime,
+      courtOrder: fers.courtOrder,
+      retirementDates: optimizeRetirementDate({
+        fersInputs,
+        ...retirementDateOptimizer,
+        finalSalary: retirementDateOptimizer?.finalSalary || currentSalary,
+      }),
+      mandatoryRetirement: fers.mandatoryRetirement,
+      high3: fers.high3,
+      timeline: fers.timeline
     });
-  }, [inputs, validateInputs]);
+  }, [inputs, validateInputs, currentScenario, retirementDateOptimizer, currentSalary]);
 
   // Calculate on input changes (debounced)
   useEffect(() => {
@@ -230,37 +460,14 @@ function FERSPensionCalc() {
     calculateFERSPension();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  const leaveEarlyLabel = `Leave at ${formatYearsAndMonths(results.leaveEarly.separationAge)}`;
+
   // Chart generation
   const generateLifetimeChart = () => {
-    const ages = [];
-    const stayFedData = [];
-    const leaveEarlyData = [];
-    
-    let stayFedTotal = 0;
-    let leaveEarlyTotal = 0;
-    
-    for (let age = numericInputs.currentAge; age <= 85; age++) {
-      ages.push(age);
-      
-      // Stay Federal scenario
-      if (age < numericInputs.retirementAge) {
-        stayFedTotal += numericInputs.high3Salary;
-      } else {
-        stayFedTotal += results.stayFed.annualPension;
-      }
-      
-      // Leave Early scenario
-      if (age < (numericInputs.currentAge + 20)) {
-        leaveEarlyTotal += numericInputs.high3Salary;
-      } else if (age < results.leaveEarly.mra) {
-        leaveEarlyTotal += numericInputs.privateJobSalary;
-      } else {
-        leaveEarlyTotal += results.leaveEarly.deferredPension;
-      }
-      
-      stayFedData.push(stayFedTotal);
-      leaveEarlyData.push(leaveEarlyTotal);
-    }
+    const points = results.leaveEarly.cumulativeByAge ?? [];
+    const ages = points.map((p) => p.age);
+    const stayFedData = points.map((p) => p.stayFed);
+    const leaveEarlyData = points.map((p) => p.leaveEarly);
 
     return {
       labels: ages,
@@ -274,7 +481,7 @@ function FERSPensionCalc() {
           tension: 0.1
         },
         {
-          label: 'Leave After 20 Years',
+          label: leaveEarlyLabel,
           data: leaveEarlyData,
           borderColor: '#d88635',
           backgroundColor: 'rgba(216, 134, 53, 0.1)',
@@ -287,13 +494,13 @@ function FERSPensionCalc() {
 
   const generateBarChart = () => {
     return {
-      labels: ['Stay Federal', 'Leave After 20 Years'],
+      labels: ['Stay Federal', leaveEarlyLabel],
       datasets: [
         {
           label: 'Working Years Earnings',
           data: [
-            (numericInputs.retirementAge - numericInputs.currentAge) * numericInputs.high3Salary,
-            20 * numericInputs.high3Salary + numericInputs.privateJobYears * numericInputs.privateJobSalary
+            results.stayFed.totalLifetimeEarnings - results.stayFed.lifetimePension,
+            results.leaveEarly.totalLifetimeEarnings - results.leaveEarly.lifetimeDeferred
           ],
           backgroundColor: '#2e4a96',
           borderColor: '#253d7a',
@@ -366,6 +573,7 @@ function FERSPensionCalc() {
 
   // Parse numeric inputs for rendering
   const numericInputs = parseNumericInputs(inputs);
+  const isSpecialProvision = getFersRetirementCategory(inputs.retirementCategory).isSpecialProvision;
 
   return (
     <div className="animate-fade-in">
@@ -395,6 +603,96 @@ function FERSPensionCalc() {
         <div className="space-y-6">
           <div className="card p-6">
             <h3 className="text-xl font-semibold navy-text mb-6">Service Information</h3>
+            <div className="mb-4">
+              <TooltipWrapper text="Law enforcement officers, firefighters and air traffic controllers retire under special provisions: 1.7% for the first 20 years, eligibility at 50 with 20 years or any age with 25, and a mandatory retirement age.">
+                <div>
+                  <label className="label" htmlFor="retirementCategory">Retirement Category</label>
+                  <select
+                    id="retirementCategory"
+                    value={inputs.retirementCategory}
+                    onChange={(e) => handleInputChange('retirementCategory', e.target.value)}
+                    className="input-field w-full"
+                  >
+                    {Object.values(FERS_RETIREMENT_CATEGORIES).map((category) => (
+                      <option key={category.id} value={category.id}>{category.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </TooltipWrapper>
+            </div>
+            <div className="grid grid-cols-2 gap-6 mb-4">
+              <TooltipWrapper text="Employees first hired before 1984 may be under CSRS or CSRS Offset, or have transferred to FERS with a CSRS component for their earlier years.">
+                <div>
+                  <label className="label" htmlFor="retirementSystem">Retirement System</label>
+                  <select
+                    id="retirementSystem"
+                    value={inputs.retirementSystem}
+                    onChange={(e) => handleInputChange('retirementSystem', e.target.value)}
+                    className="input-field w-full"
+                  >
+                    {Object.values(RETIREMENT_SYSTEMS).map((system) => (
+                      <option key={system.id} value={system.id}>{system.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </TooltipWrapper>
+              {(inputs.retirementSystem === 'fers_transferee' || inputs.retirementSystem === 'csrs_offset') && (
+                <TooltipWrapper
+                  text={inputs.retirementSystem === 'fers_transferee'
+                    ? 'Creditable CSRS service when you transferred to FERS. These years are computed under the CSRS formula; the rest under FERS.'
+                    : 'CSRS service before 1984. Later years are offset service, which reduces the annuity at 62.'}
+                >
+                  <div>
+                    <label className="label" htmlFor="csrsServiceYears">
+                      {inputs.retirementSystem === 'fers_transferee' ? 'CSRS Years Before Transfer' : 'CSRS Years Before 1984'}
+                    </label>
+                    <input
+                      id="csrsServiceYears"
+                      type="text"
+                      value={getDisplayValue('csrsServiceYears')}
+                      onChange={(e) => handleInputChange('csrsServiceYears', e.target.value)}
+                      className="input-field w-full"
+                      placeholder="0"
+                      inputMode="decimal"
+                    />
+                    {validationErrors.csrsServiceYears && (
+                      <p className="text-red-500 text-xs mt-1">{validationErrors.csrsServiceYears}</p>
+                    )}
+                  </div>
+                </TooltipWrapper>
+              )}
+            </div>
+            {results.retirementSystem?.message && (
+              <p
+                className={`text-sm mb-4 ${results.retirementSystem.isSelectionConsistent ? 'text-slate-600 dark:text-slate-400' : 'text-red-600 dark:text-red-400'}`}
+              >
+                {results.retirementSystem.message}
+              </p>
+            )}
+            {results.retirementSystem?.csrsComponent && (
+              <div className="mb-4 p-3 bg-slate-50 dark:bg-slate-800 rounded-lg text-sm text-slate-600 dark:text-slate-400 space-y-1">
+                <p>
+                  CSRS {results.retirementSystem.fersComponent ? 'component' : 'annuity'}:
+                  {' '}<span className="font-medium">${Math.round(results.retirementSystem.csrsComponent.annualPension / 12).toLocaleString()}/month</span>
+                  {' '}({(results.retirementSystem.csrsComponent.percentOfHigh3 * 100).toFixed(2)}% of High-3), full-CPI COLAs.
+                </p>
+                {results.retirementSystem.fersComponent && (
+                  <p>
+                    FERS component: <span className="font-medium">${Math.round(results.retirementSystem.fersComponent.annualPension / 12).toLocaleString()}/month</span>
+                    {' '}for {results.retirementSystem.fersComponent.computationYears.toFixed(1)} years, FERS COLAs.
+                  </p>
+                )}
+                {results.retirementSystem.offset && (
+                  <p>
+                    CSRS Offset: reduced by ${Math.round(results.retirementSystem.offset.monthlyOffset).toLocaleString()}/month from
+                    {' '}{formatYearsAndMonths(results.retirementSystem.offset.startAge)}
+                    {results.retirementSystem.offset.monthlyOffset > 0
+                      ? ` (${results.retirementSystem.offset.offsetYears.toFixed(1)} offset years of your Social Security at 62).`
+                      : '. Enter your Social Security estimate at 62 to estimate it.'}
+                  </p>
+                )}
+              </div>
+            )}
             <div className="grid grid-cols-2 gap-6">
               <TooltipWrapper text="Years completed so far. We'll project additional service from your current age to your planned retirement age to estimate total years at retirement.">
                 <div>
@@ -448,13 +746,96 @@ function FERSPensionCalc() {
                 </div>
               </TooltipWrapper>
             </div>
+            <div className="mt-4">
+              <TooltipWrapper text="The date on your SF-50 (block 31) that your creditable civilian service counts from. When set, it replaces the years/months above.">
+                <div>
+                  <label className="label" htmlFor="serviceComputationDate">Service Computation Date (optional)</label>
+                  <input
+                    id="serviceComputationDate"
+                    type="date"
+                    value={getDisplayValue('serviceComputationDate')}
+                    onChange={(e) => handleInputChange('serviceComputationDate', e.target.value)}
+                    className="input-field w-full"
+                  />
+                  {validationErrors.serviceComputationDate && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.serviceComputationDate}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+            </div>
+            <div className="mt-4">
+              <TooltipWrapper text="The date you were first hired into a FERS-covered job. It sets your contribution cohort: before 2013 you pay 0.8%, in 2013 3.1% (FERS-RAE), from 2014 4.4% (FERS-FRAE). If you had 5+ years of FERS service by the end of 2012, leave it blank and pick FERS below.">
+                <div>
+                  <label className="label" htmlFor="hireDate">FERS Hire Date (optional)</label>
+                  <input
+                    id="hireDate"
+                    type="date"
+                    value={getDisplayValue('hireDate')}
+                    onChange={(e) => handleInputChange('hireDate', e.target.value)}
+                    className="input-field w-full"
+                  />
+                  {validationErrors.hireDate && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.hireDate}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+            </div>
+            <div className="mt-4">
+              <TooltipWrapper text="Unused sick leave you expect to have at retirement. It adds service to the annuity computation (2087 hours = 1 year) but does not count toward retirement eligibility.">
+                <div>
+                  <label className="label" htmlFor="sickLeaveHours">Unused Sick Leave at Retirement (hours)</label>
+                  <div className="flex items-stretch gap-2">
+                    <input
+                      id="sickLeaveHours"
+                      type="text"
+                      value={getDisplayValue('sickLeaveHours')}
+                      onChange={(e) => handleInputChange('sickLeaveHours', e.target.value)}
+                      className="input-field w-full"
+                      placeholder="0"
+                      inputMode="numeric"
+                    />
+                    <NumberStepper
+                      incrementLabel="Increase sick leave hours"
+                      decrementLabel="Decrease sick leave hours"
+                      onIncrement={() => stepField('sickLeaveHours', { step: 8, min: 0, max: 20000, integer: true })(+1)}
+                      onDecrement={() => stepField('sickLeaveHours', { step: 8, min: 0, max: 20000, integer: true })(-1)}
+                      disabledDecrement={numericInputs.sickLeaveHours <= 0}
+                    />
+                  </div>
+                  {validationErrors.sickLeaveHours && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.sickLeaveHours}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+            </div>
             <div className="mt-4 p-3 bg-slate-50 dark:bg-slate-800 rounded-lg">
               <p className="text-sm text-slate-600 dark:text-slate-400">
-                Service entered (today): <span className="font-medium">{totalYears.toFixed(1)} years</span>
+                Service entered (today): <span className="font-medium">
+                  {results.timeline?.usesServiceComputationDate
+                    ? formatYearsAndMonths(results.timeline.serviceToDate)
+                    : `${totalYears.toFixed(1)} years`}
+                </span>
+                {militaryService?.enabled && results.militaryBuyback?.creditableYears > 0 && (
+                  <span> + <span className="font-medium">{results.militaryBuyback.creditableYears.toFixed(1)} years</span> military buyback</span>
+                )}
               </p>
             </div>
           </div>
 
+          <MilitaryDepositPanel
+            key={currentScenario?.id ?? 'none'}
+            value={militaryService}
+            buyback={results.militaryBuyback}
+            onChange={handleMilitaryServiceChange}
+          />
+
+          <PartTimeServicePanel
+            key={`partTime_${currentScenario?.id ?? 'none'}`}
+            value={partTimeService}
+            partTime={results.partTime}
+            onChange={handlePartTimeServiceChange}
+          />
+
           <div className="card p-6">
             <h3 className="text-xl font-semibold navy-text mb-6">Salary Information</h3>
             <div className="space-y-4">
@@ -481,6 +862,12 @@ function FERSPensionCalc() {
                   {validationErrors.high3Salary && (
                     <p className="text-red-500 text-xs mt-1">{validationErrors.high3Salary}</p>
                   )}
+                  {results.high3?.source === 'salaryHistory' && (
+                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                      Using <span className="font-medium">${Math.round(results.high3.amount).toLocaleString()}</span> from your salary history below.
+                      Turn it off to use this value instead.
+                    </p>
+                  )}
                 </div>
               </TooltipWrapper>
               
@@ -538,9 +925,401 @@ function FERSPensionCalc() {
                   </div>
                 </TooltipWrapper>
               </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <TooltipWrapper text="Your Minimum Retirement Age (MRA) depends on your birth year: 55 for 1947 and earlier, rising in 2-month steps to 57 for 1970 and later.">
+                  <div>
+                    <label className="label" htmlFor="birthDate">Date of Birth</label>
+                    <input
+                      id="birthDate"
+                      type="date"
+                      value={getDisplayValue('birthDate')}
+                      onChange={(e) => handleInputChange('birthDate', e.target.value)}
+                      className="input-field w-full"
+                    />
+                    {validationErrors.birthDate && (
+                      <p className="text-red-500 text-xs mt-1">{validationErrors.birthDate}</p>
+                    )}
+                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                      MRA: <span className="font-medium">{formatMinimumRetirementAge(results.leaveEarly.mra)}</span>
+                      {!numericInputs.birthDate && ' (assumed until you enter a birth date)'}
+                    </p>
+                  </div>
+                </TooltipWrapper>
+
+                <TooltipWrapper text="The day you plan to separate (often the last day of a month). With a birth date it replaces the planned retirement age above.">
+                  <div>
+                    <label className="label" htmlFor="retirementDate">Target Retirement Date (optional)</label>
+                    <input
+                      id="retirementDate"
+                      type="date"
+                      value={getDisplayValue('retirementDate')}
+                      onChange={(e) => handleInputChange('retirementDate', e.target.value)}
+                      className="input-field w-full"
+                    />
+                    {validationErrors.retirementDate && (
+                      <p className="text-red-500 text-xs mt-1">{validationErrors.retirementDate}</p>
+                    )}
+                    {results.timeline?.retirementDate && results.timeline?.usesBirthDate && (
+                      <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                        Age at retirement: <span className="font-medium">{formatYearsAndMonths(results.timeline.retirementAge)}</span>
+                      </p>
+                    )}
+                  </div>
+                </TooltipWrapper>
+              </div>
+            </div>
+          </div>
+
+          <SalaryHistoryPanel
+            key={`salary_${currentScenario?.id ?? 'none'}`}
+            value={salaryHistory}
+            high3={results.high3}
+            salaryGrowthRate={salaryGrowthRate}
+            onChange={handleSalaryHistoryChange}
+          />
+
+          <div className="card p-6">
+            <h3 className="text-xl font-semibold navy-text mb-2">FERS Supplement</h3>
+            <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+              Paid from an immediate, unreduced retirement at your MRA or later until age 62
+              {isSpecialProvision ? ' (special provision retirees get it before the MRA too)' : ''}.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <TooltipWrapper text="Your monthly Social Security benefit at age 62 from your SSA statement (ssa.gov/myaccount).">
+                <div>
+                  <label className="label" htmlFor="socialSecurityAt62Monthly">Social Security at 62 ($/month)</label>
+                  <input
+                    id="socialSecurityAt62Monthly"
+                    type="text"
+                    value={getDisplayValue('socialSecurityAt62Monthly')}
+                    onChange={(e) => handleInputChange('socialSecurityAt62Monthly', e.target.value)}
+                    className="input-field w-full"
+                    placeholder="1800"
+                    inputMode="decimal"
+                  />
+                  {validationErrors.socialSecurityAt62Monthly && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.socialSecurityAt62Monthly}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+              <TooltipWrapper text="Wages or self-employment income you expect each year after retiring and before 62. Earnings above the annual exempt amount reduce the supplement $1 for every $2.">
+                <div>
+                  <label className="label" htmlFor="postRetirementEarnings">Post-Retirement Earnings ($/year)</label>
+                  <input
+                    id="postRetirementEarnings"
+                    type="text"
+                    value={getDisplayValue('postRetirementEarnings')}
+                    onChange={(e) => handleInputChange('postRetirementEarnings', e.target.value)}
+                    className="input-field w-full"
+                    placeholder="0"
+                    inputMode="decimal"
+                  />
+                  {validationErrors.postRetirementEarnings && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.postRetirementEarnings}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+            </div>
+            {results.supplement && (
+              <div className="mt-4 p-3 bg-slate-50 dark:bg-slate-800 rounded-lg text-sm text-slate-600 dark:text-slate-400">
+                {results.supplement.isEligible && results.supplement.monthlyBeforeEarningsTest > 0 ? (
+                  <>
+                    <p>
+                      Estimated supplement: <span className="font-medium text-green-600 dark:text-green-400">${Math.round(results.supplement.monthlySupplement).toLocaleString()}/month</span>
+                      {' '}from age {results.supplement.startAge} to {results.supplement.endAge}
+                    </p>
+                    {results.supplement.earningsTestReduction > 0 && (
+                      <p className="text-xs mt-1">
+                        Earnings test reduces it by ${Math.round(results.supplement.earningsTestReduction).toLocaleString()}/year
+                        (from ${Math.round(results.supplement.monthlyBeforeEarningsTest).toLocaleString()}/month).
+                      </p>
+                    )}
+                  </>
+                ) : (
+                  <p>{results.supplement.reason || 'Not payable with these inputs.'}</p>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="card p-6">
+            <h3 className="text-xl font-semibold navy-text mb-2">Survivor Benefit</h3>
+            <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+              Married retirees choose at retirement whether to leave a survivor annuity. The reduction lasts for life
+              unless your spouse dies first or you divorce.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <TooltipWrapper text="Full: your annuity is reduced 10% and your spouse receives 50% of the unreduced annuity. Partial: 5% for 25%. Declining it requires your spouse's notarized consent.">
+                <div>
+                  <label className="label" htmlFor="survivorElection">Survivor Election</label>
+                  <select
+                    id="survivorElection"
+                    value={inputs.survivorElection}
+                    onChange={(e) => handleInputChange('survivorElection', e.target.value)}
+                    className="input-field w-full"
+                  >
+                    {Object.values(FERS_SURVIVOR_ELECTIONS).map((election) => (
+                      <option key={election.id} value={election.id}>{election.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </TooltipWrapper>
+              <TooltipWrapper text="Your spouse's age today. Used with a mortality table to estimate the expected cost and value of the election (0 to skip).">
+                <div>
+                  <label className="label" htmlFor="spouseAge">Spouse&apos;s Current Age</label>
+                  <input
+                    id="spouseAge"
+                    type="text"
+                    value={getDisplayValue('spouseAge')}
+                    onChange={(e) => handleInputChange('spouseAge', e.target.value)}
+                    className="input-field w-full"
+                    placeholder="0"
+                    inputMode="numeric"
+                  />
+                  {validationErrors.spouseAge && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.spouseAge}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+            </div>
+            {results.survivor && results.survivor.reductionPercent > 0 && (
+              <div className="mt-4 p-3 bg-slate-50 dark:bg-slate-800 rounded-lg text-sm text-slate-600 dark:text-slate-400">
+                <p>
+                  Your annuity is reduced by <span className="font-medium">${Math.round(results.survivor.monthlyReduction).toLocaleString()}/month</span>
+                  {' '}({results.survivor.reductionPercent}%). Your spouse would receive
+                  {' '}<span className="font-medium text-green-600 dark:text-green-400">${Math.round(results.survivor.survivorMonthly).toLocaleString()}/month</span> after your death.
+                </p>
+                {results.survivor.spouseAge != null && (
+                  <p className="text-xs mt-1">
+                    Expected cost ${Math.round(results.survivor.expectedCost).toLocaleString()} vs. expected survivor benefits
+                    {' '}${Math.round(results.survivor.expectedSurvivorValue).toLocaleString()}; your spouse outlives you
+                    {' '}{Math.round(results.survivor.probabilitySpouseOutlives * 100)}% of the time
+                    (life expectancy {results.survivor.retireeLifeExpectancy.toFixed(1)} vs. {results.survivor.spouseLifeExpectancy.toFixed(1)} more years at your annuity start).
+                  </p>
+                )}
+              </div>
+            )}
+            <div className="disclaimer">
+              Expected values use a unisex period life table, no discounting and no COLA. The election also affects
+              whether your spouse can keep FEHB coverage after your death.
+            </div>
+          </div>
+
+          <div className="card p-6">
+            <h3 className="text-xl font-semibold navy-text mb-2">Pension Taxes</h3>
+            <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+              The contributions you paid toward FERS come back tax-free, spread over the IRS Simplified Method&apos;s
+              expected number of payments. The rest of the annuity is taxable.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <TooltipWrapper text="Your FERS contribution rate depends on when you were first hired: 0.8% before 2013, 3.1% in 2013 and 4.4% from 2014 (0.5% more for special provision employees).">
+                <div>
+                  <label className="label" htmlFor="contributionCohort">Contribution Cohort</label>
+                  <select
+                    id="contributionCohort"
+                    value={getFersContributionCohortForHireDate(inputs.hireDate) ?? inputs.contributionCohort}
+                    onChange={(e) => handleInputChange('contributionCohort', e.target.value)}
+                    className="input-field w-full"
+                    disabled={Boolean(getFersContributionCohortForHireDate(inputs.hireDate))}
+                  >
+                    {Object.values(FERS_CONTRIBUTION_COHORTS).map((cohort) => (
+                      <option key={cohort.id} value={cohort.id}>{cohort.label}</option>
+                    ))}
+                  </select>
+                  {getFersContributionCohortForHireDate(inputs.hireDate) && (
+                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">Set by your FERS hire date.</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+              <TooltipWrapper text="Total retirement deductions from your pay so far and through retirement, if you know it. Leave 0 to estimate it from your High-3 and service.">
+                <div>
+                  <label className="label" htmlFor="accumulatedContributions">Contributions Paid ($)</label>
+                  <input
+                    id="accumulatedContributions"
+                    type="text"
+                    value={getDisplayValue('accumulatedContributions')}
+                    onChange={(e) => handleInputChange('accumulatedContributions', e.target.value)}
+                    className="input-field w-full"
+                    placeholder="0"
+                    inputMode="decimal"
+                  />
+                  {validationErrors.accumulatedContributions && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.accumulatedContributions}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
             </div>
+            {results.pensionTax && results.pensionTax.grossMonthly > 0 && (
+              <div className="mt-4 grid grid-cols-3 gap-4 text-sm">
+                <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+                  <div className="text-xs text-slate-500 dark:text-slate-400">Gross pension</div>
+                  <div className="font-semibold">${Math.round(results.pensionTax.grossMonthly).toLocaleString()}/mo</div>
+                </div>
+                <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+                  <div className="text-xs text-slate-500 dark:text-slate-400">Tax-free portion</div>
+                  <div className="font-semibold text-green-600 dark:text-green-400">${Math.round(results.pensionTax.taxFreeMonthly).toLocaleString()}/mo</div>
+                </div>
+                <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+                  <div className="text-xs text-slate-500 dark:text-slate-400">Taxable pension</div>
+                  <div className="font-semibold">${Math.round(results.pensionTax.taxableMonthly).toLocaleString()}/mo</div>
+                </div>
+              </div>
+            )}
+            {results.pensionTax && results.pensionTax.grossMonthly > 0 && (
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-3">
+                {results.pensionTax.contributionsAreEstimated ? 'Estimated' : 'Entered'} contributions of
+                {' '}${Math.round(results.pensionTax.employeeContributions).toLocaleString()}
+                {results.pensionTax.militaryDepositPaid > 0 ? ` plus a $${Math.round(results.pensionTax.militaryDepositPaid).toLocaleString()} military deposit` : ''}
+                {' '}over {results.pensionTax.expectedPayments} payments ({results.pensionTax.table === 'joint' ? 'joint and survivor' : 'single life'} table).
+                {' '}At your {results.pensionTax.taxRate}% retirement tax rate (TSP page), about ${Math.round(results.pensionTax.estimatedMonthlyTax).toLocaleString()}/mo in federal tax.
+              </p>
+            )}
           </div>
 
+          <div className="card p-6">
+            <h3 className="text-xl font-semibold navy-text mb-2">Disability Retirement</h3>
+            <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+              If an illness or injury keeps you from doing your job, FERS disability retirement pays an annuity
+              after 18 months of service. Plan for &quot;what if I can&apos;t keep working&quot; here.
+            </p>
+            <div className="grid grid-cols-2 gap-4">
+              <TooltipWrapper text="The age you would stop working on disability. Leave 0 to see what it would pay if it happened now.">
+                <div>
+                  <label className="label" htmlFor="disabilityAge">Disability Age (0 = now)</label>
+                  <input
+                    id="disabilityAge"
+                    type="text"
+                    value={getDisplayValue('disabilityAge')}
+                    onChange={(e) => handleInputChange('disabilityAge', e.target.value)}
+                    className="input-field w-full"
+                    placeholder="0"
+                    inputMode="decimal"
+                  />
+                  {validationErrors.disabilityAge && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.disabilityAge}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+              <TooltipWrapper text="Your monthly Social Security disability benefit, if approved. Before 62 the annuity is reduced by all of it in the first year and by 60% of it after that. FERS disability applicants must apply for it.">
+                <div>
+                  <label className="label" htmlFor="ssDisabilityMonthly">SS Disability ($/month)</label>
+                  <input
+                    id="ssDisabilityMonthly"
+                    type="text"
+                    value={getDisplayValue('ssDisabilityMonthly')}
+                    onChange={(e) => handleInputChange('ssDisabilityMonthly', e.target.value)}
+                    className="input-field w-full"
+                    placeholder="0"
+                    inputMode="decimal"
+                  />
+                  {validationErrors.ssDisabilityMonthly && (
+                    <p className="text-red-500 text-xs mt-1">{validationErrors.ssDisabilityMonthly}</p>
+                  )}
+                </div>
+              </TooltipWrapper>
+            </div>
+            {results.disability && !results.disability.isEligible && (
+              <p className="mt-4 text-sm text-red-600 dark:text-red-400">{results.disability.message}</p>
+            )}
+            {results.disability?.isEligible && (
+              <div className="mt-4 p-3 bg-slate-50 dark:bg-slate-800 rounded-lg text-sm text-slate-600 dark:text-slate-400 space-y-1">
+                {results.disability.paysEarnedAnnuity ? (
+                  <p>
+                    At {formatYearsAndMonths(results.disability.disabilityAge)} you would receive your earned annuity:
+                    {' '}<span className="font-medium">${Math.round(results.disability.firstYearMonthly).toLocaleString()}/month</span>.
+                  </p>
+                ) : (
+                  <>
+                    <p>
+                      First 12 months: <span className="font-medium">${Math.round(results.disability.firstYearMonthly).toLocaleString()}/month</span>
+                      {' '}(60% of High-3{results.disability.ssDisabilityAnnual > 0 ? ' less your SS disability' : ''}).
+                    </p>
+                    <p>
+                      Then until 62: <span className="font-medium">${Math.round(results.disability.laterMonthly).toLocaleString()}/month</span>
+                      {' '}(40% of High-3{results.disability.ssDisabilityAnnual > 0 ? ' less 60% of your SS disability' : ''}), plus COLAs.
+                    </p>
+                    {results.disability.recomputation && (
+                      <p>
+                        From 62: <span className="font-medium">${Math.round(results.disability.recomputation.annualPension / 12).toLocaleString()}/month</span>,
+                        {' '}recomputed with {results.disability.recomputation.serviceYears.toFixed(1)} years of service (including time on disability).
+                      </p>
+                    )}
+                  </>
+                )}
+                {!results.isDisabilityRetirement && (
+                  <p className="text-xs">
+                    Lifetime annuity estimate: ${Math.round(results.disability.stream.lifetimeNominal).toLocaleString()} vs.
+                    {' '}${Math.round(results.stayFed.lifetimePension).toLocaleString()} retiring as planned (not counting salary until then).
+                  </p>
+                )}
+              </div>
+            )}
+            <div className="mt-4 flex flex-wrap items-center gap-3">
+              <div className="flex items-center space-x-3">
+                <input
+                  type="checkbox"
+                  id="retirementTypeDisability"
+                  checked={inputs.retirementType === 'disability'}
+                  onChange={(e) => handleInputChange('retirementType', e.target.checked ? 'disability' : 'voluntary')}
+                  className="w-4 h-4 text-navy-600"
+                />
+                <label htmlFor="retirementTypeDisability" className="text-sm font-medium text-slate-700 dark:text-slate-300">
+                  Use disability retirement in this scenario
+                </label>
+              </div>
+              {inputs.retirementType !== 'disability' && (
+                <button
+                  onClick={handleSaveDisabilityVariant}
+                  className="btn-secondary text-sm"
+                  disabled={!isAuthenticated || isScenarioLimitReached}
+                  title={isAuthenticated ? 'Save a copy of this scenario that retires on disability' : 'Please log in to save scenarios'}
+                >
+                  Save as disability scenario
+                </button>
+              )}
+            </div>
+            <div className="disclaimer">
+              OPM must approve disability retirement. Disability annuities get COLAs at any age, and the FERS
+              supplement is not paid.
+            </div>
+          </div>
+
+          <EarlyOutPanel
+            key={`earlyOut_${currentScenario?.id ?? 'none'}`}
+            value={earlyOut}
+            result={results.earlyOut}
+            vsipTaxRate={vsipTaxRate}
+            onChange={handleEarlyOutChange}
+          />
+
+          <RetirementDatePanel
+            key={`retirementDates_${currentScenario?.id ?? 'none'}`}
+            value={retirementDateOptimizer}
+            result={results.retirementDates}
+            defaultSalary={currentSalary}
+            onChange={handleRetirementDateOptimizerChange}
+          />
+
+          <CourtOrderPanel
+            key={`courtOrder_${currentScenario?.id ?? 'none'}`}
+            value={courtOrder}
+            courtOrder={results.courtOrder}
+            survivor={results.survivor}
+            monthlyPension={results.stayFed.monthlyPension}
+            netMonthlyPension={results.stayFed.netMonthlyPension}
+            onChange={handleCourtOrderChange}
+          />
+
+          <BenefitsPanel
+            key={`benefits_${currentScenario?.id ?? 'none'}`}
+            value={benefits}
+            premiums={results.premiums}
+            monthlyPension={results.stayFed.monthlyPension}
+            netMonthlyPension={results.stayFed.netMonthlyPension}
+            onChange={handleBenefitsChange}
+          />
+
           <div className="card p-6">
             <h3 className="text-xl font-semibold navy-text mb-4">Comparison Analysis</h3>
             <div className="flex items-center space-x-3 mb-6">
@@ -552,12 +1331,39 @@ function FERSPensionCalc() {
                 className="w-4 h-4 text-navy-600"
               />
               <label htmlFor="showComparison" className="text-sm font-medium text-slate-700 dark:text-slate-300">
-                Compare "Stay Federal" vs "Leave After 20 Years"
+                Compare "Stay Federal" vs "Leave Early" (deferred retirement)
               </label>
             </div>
 
             {inputs.showComparison && (
               <div className="space-y-4">
+                <TooltipWrapper text="Age you would leave federal service. Use 0 to leave once you reach 20 years of service.">
+                  <div>
+                    <label className="label" htmlFor="separationAge">Separation Age</label>
+                    <div className="flex items-stretch gap-2">
+                      <input
+                        id="separationAge"
+                        type="text"
+                        value={getDisplayValue('separationAge')}
+                        onChange={(e) => handleInputChange('separationAge', e.target.value)}
+                        className="input-field w-full"
+                        placeholder="0"
+                        inputMode="numeric"
+                      />
+                      <NumberStepper
+                        incrementLabel="Increase separation age"
+                        decrementLabel="Decrease separation age"
+                        onIncrement={() => stepField('separationAge', { step: 1, min: 0, max: 80, integer: true })(+1)}
+                        onDecrement={() => stepField('separationAge', { step: 1, min: 0, max: 80, integer: true })(-1)}
+                        disabledDecrement={numericInputs.separationAge <= 0}
+                      />
+                    </div>
+                    {validationErrors.separationAge && (
+                      <p className="text-red-500 text-xs mt-1">{validationErrors.separationAge}</p>
+                    )}
+                  </div>
+                </TooltipWrapper>
+
                 <TooltipWrapper text="Expected salary in private sector job">
                   <div>
                     <label className="label">Private Sector Salary</label>
@@ -628,7 +1434,10 @@ function FERSPensionCalc() {
               <div className="text-sm text-slate-600 dark:text-slate-400 space-y-2">
                 <div>• <strong>1.0%</strong> multiplier for most retirements</div>
                 <div>• <strong>1.1%</strong> multiplier if you retire at age 62+ with 20+ years</div>
-                <div>• <strong>Deferred pension</strong> available at MRA (age 57) with 20+ years</div>
+                {isSpecialProvision && (
+                  <div>• <strong>1.7%</strong> for the first 20 years and <strong>1.0%</strong> after under special provisions</div>
+                )}
+                <div>• <strong>Deferred pension</strong> available at MRA (age {formatMinimumRetirementAge(results.leaveEarly.mra)}) with 30+ years, 60 with 20+, or 62 with 5+</div>
               </div>
             </div>
           </div>
@@ -638,6 +1447,11 @@ function FERSPensionCalc() {
           {!inputs.showComparison ? (
             <div className="card p-6">
               <h3 className="text-xl font-semibold navy-text mb-6">Pension Calculation</h3>
+              {results.isDisabilityRetirement && (
+                <p className="text-sm text-amber-700 dark:text-amber-300 -mt-4 mb-4">
+                  Disability retirement at {formatYearsAndMonths(results.disability.disabilityAge)}: the first-year annuity is shown.
+                </p>
+              )}
               <div className="grid grid-cols-2 gap-6">
                 <div className="text-center">
                   <div className="text-3xl font-bold navy-text mb-2">
@@ -650,25 +1464,84 @@ function FERSPensionCalc() {
                     ${Math.round(results.stayFed.monthlyPension).toLocaleString()}
                   </div>
                   <div className="text-sm text-slate-500 dark:text-slate-400">Monthly Pension</div>
+                  {(results.stayFed.monthlyPremiums > 0 || results.stayFed.courtOrderMonthly > 0) && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                      ${Math.round(results.stayFed.netMonthlyPension).toLocaleString()} after{' '}
+                      {results.stayFed.courtOrderMonthly > 0
+                        ? results.stayFed.monthlyPremiums > 0 ? 'premiums and court order' : 'court order'
+                        : 'FEHB/FEGLI premiums'}
+                    </div>
+                  )}
                 </div>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-slate-600 dark:text-slate-400 mb-2">
                     ${results.stayFed.lifetimePension.toLocaleString()}
                   </div>
                   <div className="text-sm text-slate-500 dark:text-slate-400">Lifetime Estimate</div>
+                  {results.stayFed.pensionStream?.colaRate > 0 && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                      ${Math.round(results.stayFed.lifetimePensionReal).toLocaleString()} in first-year dollars
+                    </div>
+                  )}
                 </div>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-slate-600 dark:text-slate-400 mb-2">
-                    {numericInputs.high3Salary > 0 ? (results.stayFed.annualPension / numericInputs.high3Salary * 100).toFixed(1) : 0}%
+                    {(results.high3?.amount ?? 0) > 0 ? (results.stayFed.annualPension / results.high3.amount * 100).toFixed(1) : 0}%
                   </div>
                   <div className="text-sm text-slate-500 dark:text-slate-400">Replacement Ratio</div>
                 </div>
               </div>
               
+              {results.stayFed.pensionStream && (
+                <div className="mt-6 p-4 bg-slate-50 dark:bg-slate-800 rounded-lg">
+                  <p className="text-sm text-slate-600 dark:text-slate-400">
+                    {results.stayFed.pensionStream.colaRate > 0 ? (
+                      <>
+                        COLA: <span className="font-medium">{(results.stayFed.pensionStream.colaRate * 100).toFixed(1)}%/yr</span>
+                        {' '}at {(results.stayFed.pensionStream.inflationRate * 100).toFixed(1)}% inflation
+                        {results.stayFed.pensionStream.colaStartAge > 0 ? `, starting at age ${results.stayFed.pensionStream.colaStartAge}` : ''}.
+                      </>
+                    ) : (
+                      'No COLA is projected with a 0% inflation assumption.'
+                    )}
+                  </p>
+                  <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                    FERS COLAs pay the full CPI up to 2%, 2% when CPI is 2–3%, and CPI minus 1% above 3%.
+                    The inflation assumption comes from the TSP page.
+                  </p>
+                </div>
+              )}
+
+              {results.sickLeave?.totalMonths > 0 && (
+                <div className="mt-6 p-4 bg-slate-50 dark:bg-slate-800 rounded-lg">
+                  <p className="text-sm text-slate-600 dark:text-slate-400">
+                    Sick leave credit: <span className="font-medium">{results.sickLeave.years} yrs {results.sickLeave.months} mos</span>
+                    {' '}adds <span className="font-medium text-green-600 dark:text-green-400">+${Math.round(results.sickLeave.monthlyPensionIncrease).toLocaleString()}/month</span> to your pension.
+                  </p>
+                  <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                    Counts toward the annuity computation only, not eligibility.
+                  </p>
+                </div>
+              )}
+
               <div className="mt-6 p-4 rounded-lg border border-slate-200 dark:border-slate-700">
                 <div className={`text-sm font-medium ${results.stayFed.isEligible ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
                   {results.stayFed.eligibilityMessage}
                 </div>
+                {results.timeline?.eligibleOn && (
+                  <div className="text-sm text-slate-600 dark:text-slate-400 mt-2">
+                    Eligible for immediate retirement on <span className="font-medium">{formatDisplayDate(results.timeline.eligibleOn)}</span>
+                    {results.timeline.isMra10First ? ' (MRA+10, reduced)' : ''}
+                    {results.timeline.isMra10First && (
+                      <> · unreduced on <span className="font-medium">{formatDisplayDate(results.timeline.unreducedOn)}</span></>
+                    )}
+                  </div>
+                )}
+                {results.mandatoryRetirement && (
+                  <div className={`text-sm mt-2 ${results.mandatoryRetirement.isPastMandatoryAge ? 'text-red-600 dark:text-red-400 font-medium' : 'text-slate-600 dark:text-slate-400'}`}>
+                    {results.mandatoryRetirement.isPastMandatoryAge ? '⚠️ ' : ''}{results.mandatoryRetirement.message}
+                  </div>
+                )}
               </div>
             </div>
           ) : (
@@ -694,13 +1567,17 @@ function FERSPensionCalc() {
                 </div>
                 
                 <div className="text-center">
-                  <h4 className="text-lg font-medium text-gold-600 dark:text-gold-400 mb-4">Leave After 20 Years</h4>
+                  <h4 className="text-lg font-medium text-gold-600 dark:text-gold-400 mb-4">{leaveEarlyLabel}</h4>
                   <div className="space-y-3">
                     <div>
                       <div className="text-2xl font-bold text-gold-600 dark:text-gold-400">
                         ${results.leaveEarly.deferredPension.toLocaleString()}
                       </div>
-                      <div className="text-xs text-slate-500 dark:text-slate-400">Deferred Pension (at {results.leaveEarly.mra})</div>
+                      <div className="text-xs text-slate-500 dark:text-slate-400">
+                        {results.leaveEarly.commencementAge != null
+                          ? `Deferred Pension (from ${formatYearsAndMonths(results.leaveEarly.commencementAge)})`
+                          : 'No deferred annuity (under 5 years)'}
+                      </div>
                     </div>
                     <div>
                       <div className="text-2xl font-bold text-slate-700 dark:text-slate-300">
@@ -720,6 +1597,121 @@ function FERSPensionCalc() {
                   </p>
                 </div>
               )}
+
+              {results.leaveEarly.deferred && (
+                <div className="mt-6">
+                  <p className="text-sm text-slate-600 dark:text-slate-400 mb-3">
+                    Leaving at {formatYearsAndMonths(results.leaveEarly.separationAge)} with {formatYearsAndMonths(results.leaveEarly.serviceAtSeparation)} of service.
+                    {' '}{results.leaveEarly.deferred.message || results.leaveEarly.deferred.fehbNote}
+                  </p>
+                  {results.leaveEarly.deferred.options.length > 0 && (
+                    <>
+                      <div className="mb-3">
+                        <label className="label" htmlFor="deferredCommencementAge">Deferred Annuity Start</label>
+                        <select
+                          id="deferredCommencementAge"
+                          value={results.leaveEarly.deferred.selected ? String(results.leaveEarly.deferred.selected.commencementAge) : '0'}
+                          onChange={(e) => handleInputChange('deferredCommencementAge', e.target.value)}
+                          className="input-field w-full"
+                        >
+                          {results.leaveEarly.deferred.options.map((option) => (
+                            <option key={option.rule} value={String(option.commencementAge)}>
+                              {formatYearsAndMonths(option.commencementAge)} · {option.rule}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="overflow-x-auto">
+                        <table className="w-full text-sm">
+                          <thead>
+                            <tr className="text-left text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                              <th className="py-2 pr-3">Start age</th>
+                              <th className="py-2 pr-3">Rule</th>
+                              <th className="py-2 pr-3">Reduction</th>
+                              <th className="py-2 pr-3">Annual</th>
+                              <th className="py-2 pr-3">Lifetime</th>
+                              <th className="py-2">FEHB</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {results.leaveEarly.deferred.options.map((option) => (
+                              <tr
+                                key={option.rule}
+                                className={`border-b border-slate-100 dark:border-slate-800 ${option.rule === results.leaveEarly.deferred.selected?.rule ? 'font-medium navy-text' : 'text-slate-600 dark:text-slate-400'}`}
+                              >
+                                <td className="py-2 pr-3">{formatYearsAndMonths(option.commencementAge)}</td>
+                                <td className="py-2 pr-3">{option.rule}</td>
+                                <td className="py-2 pr-3">{option.reductionPercent.toFixed(1)}%</td>
+                                <td className="py-2 pr-3">${Math.round(option.annualPension).toLocaleString()}</td>
+                                <td className="py-2 pr-3">${Math.round(option.lifetimeValue).toLocaleString()}</td>
+                                <td className="py-2 text-xs">{option.fehbNote}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {results.mra10?.isApplicable && (
+            <div className="card p-6">
+              <h3 className="text-xl font-semibold navy-text mb-2">MRA+10: When to Start Your Annuity</h3>
+              <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                Separating at {formatYearsAndMonths(results.mra10.separationAge)}, you can start the annuity right away with a reduction of
+                5% per year under 62, or postpone it as late as {results.mra10.latestCommencementAge} to shrink or remove the reduction.
+              </p>
+              <div className="mb-4">
+                <label className="label" htmlFor="annuityCommencementAge">Annuity Start Age</label>
+                <select
+                  id="annuityCommencementAge"
+                  value={results.mra10.selected?.isPostponed ? String(results.mra10.selected.commencementAge) : '0'}
+                  onChange={(e) => handleInputChange('annuityCommencementAge', e.target.value)}
+                  className="input-field w-full"
+                >
+                  {results.mra10.options.map((option) => (
+                    <option
+                      key={option.commencementAge}
+                      value={option.isPostponed ? String(option.commencementAge) : '0'}
+                    >
+                      {option.isPostponed ? `Postpone to ${option.commencementAge}` : 'Start at separation'}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-slate-500 dark:text-slate-400 border-b border-slate-200 dark:border-slate-700">
+                      <th className="py-2 pr-3">Start age</th>
+                      <th className="py-2 pr-3">Reduction</th>
+                      <th className="py-2 pr-3">Monthly</th>
+                      <th className="py-2 pr-3">Lifetime</th>
+                      <th className="py-2">FEHB</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.mra10.options.map((option) => (
+                      <tr
+                        key={option.commencementAge}
+                        className={`border-b border-slate-100 dark:border-slate-800 ${option.commencementAge === results.mra10.selected?.commencementAge ? 'font-medium navy-text' : 'text-slate-600 dark:text-slate-400'}`}
+                      >
+                        <td className="py-2 pr-3">{formatYearsAndMonths(option.commencementAge)}</td>
+                        <td className="py-2 pr-3">{option.reductionPercent.toFixed(1)}%</td>
+                        <td className="py-2 pr-3">${Math.round(option.monthlyPension).toLocaleString()}</td>
+                        <td className="py-2 pr-3">${Math.round(option.lifetimeValue).toLocaleString()}</td>
+                        <td className="py-2 text-xs">{option.fehbNote}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-3">
+                The FERS supplement is not paid with an MRA+10 retirement. The chosen start age is used as the pension start in the FIRE gap.
+              </p>
             </div>
           )}
 
@@ -752,12 +1744,20 @@ function FERSPensionCalc() {
                   <div>• Age 62 with 5+ years</div>
                   <div>• Age 60 with 20+ years</div>
                   <div>• MRA with 30+ years</div>
+                  {isSpecialProvision && (
+                    <>
+                      <div>• Age 50 with 20+ years (special provision)</div>
+                      <div>• Any age with 25+ years (special provision)</div>
+                    </>
+                  )}
                 </div>
                 <div className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg">
                   <div className="font-medium text-slate-700 dark:text-slate-300 mb-1">Deferred Retirement</div>
                   <div>• Age 62 with 5+ years</div>
-                  <div>• MRA (57) with 20+ years</div>
-                  <div>• Reduced if under 62</div>
+                  <div>• Age 60 with 20+ years</div>
+                  <div>• MRA ({formatMinimumRetirementAge(results.leaveEarly.mra)}) with 30+ years</div>
+                  <div>• MRA with 10+ years, reduced 5%/yr under 62</div>
+                  <div>• FEHB returns only with 20+ or 30+ years, or MRA+10 after the MRA</div>
                 </div>
               </div>
             </div>
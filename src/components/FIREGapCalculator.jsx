@@ -8,7 +8,7 @@ import { calculateFireGap, SAFE_WITHDRAWAL_RATE_PRESETS } from '../lib/calculati
  * Analyzes the gap between projected passive income and FIRE income goals
  * Shows surplus or shortfall with visual indicators and recommendations
  */
-function FIREGapCalculator({ tspProjectedBalance, pensionMonthly }) {
+function FIREGapCalculator({ tspProjectedBalance, pensionMonthly, pensionStartAge: pensionStartAgeProp, supplementMonthly = 0, supplementEndAge = 62, vsip = null }) {
   const { currentScenario, updateCurrentScenario } = useScenario();
   const [pensionViewMode, setPensionViewMode] = useState('income'); // 'income' | 'asset'
   const [gapAnalysis, setGapAnalysis] = useState({
@@ -21,11 +21,15 @@ function FIREGapCalculator({ tspProjectedBalance, pensionMonthly }) {
     isFireReadyAfterPension: false,
     bridge: { yearsToBridge: 0, monthlyShortfall: 0, requiredBridgeAssets: 0 },
     pension: {},
+    supplement: {},
   });
 
   const swr = Number(currentScenario?.summary?.assumptions?.safeWithdrawalRate ?? 0.04);
   const desiredFireAge = Number(currentScenario?.fire?.desiredFireAge ?? 55);
-  const pensionStartAge = Number(currentScenario?.fers?.retirementAge ?? currentScenario?.tsp?.retirementAge ?? 62);
+  const pensionStartAge = Number(pensionStartAgeProp ?? currentScenario?.fers?.retirementAge ?? currentScenario?.tsp?.retirementAge ?? 62);
+  // An early-out VSIP (after tax) is either invested alongside the TSP or set aside for the bridge.
+  const taxableBalance = vsip?.taxableAmount ?? 0;
+  const bridgeAssets = vsip?.bridgeAmount ?? 0;
 
   const setSafeWithdrawalRate = (next) => {
     const nextRate = Math.min(0.1, Math.max(0.01, Number(next) || 0.04));
@@ -51,6 +55,10 @@ function FIREGapCalculator({ tspProjectedBalance, pensionMonthly }) {
       safeWithdrawalRate: swr,
       desiredFireAge,
       pensionStartAge,
+      supplementMonthly,
+      supplementEndAge,
+      taxableBalance,
+      bridgeAssets,
     });
 
     setGapAnalysis({
@@ -63,8 +71,9 @@ function FIREGapCalculator({ tspProjectedBalance, pensionMonthly }) {
       isFireReadyAfterPension: gap.isFireReadyAfterPension ?? false,
       bridge: gap.bridge ?? { yearsToBridge: 0, monthlyShortfall: 0, requiredBridgeAssets: 0 },
       pension: gap.pension ?? {},
+      supplement: gap.supplement ?? {},
     });
-  }, [currentScenario?.fire, tspProjectedBalance, pensionMonthly, swr, desiredFireAge, pensionStartAge]);
+  }, [currentScenario?.fire, tspProjectedBalance, pensionMonthly, swr, desiredFireAge, pensionStartAge, supplementMonthly, supplementEndAge, taxableBalance, bridgeAssets]);
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -159,6 +168,10 @@ function FIREGapCalculator({ tspProjectedBalance, pensionMonthly }) {
         safeWithdrawalRate: rate,
         desiredFireAge,
         pensionStartAge,
+        supplementMonthly,
+        supplementEndAge,
+        taxableBalance,
+        bridgeAssets,
       });
       return {
         rate,
@@ -167,7 +180,7 @@ function FIREGapCalculator({ tspProjectedBalance, pensionMonthly }) {
         isFireReady: Boolean(g.isFireReady),
       };
     });
-  }, [currentScenario?.fire, swrPresets, tspProjectedBalance, pensionMonthly, desiredFireAge, pensionStartAge]);
+  }, [currentScenario?.fire, swrPresets, tspProjectedBalance, pensionMonthly, desiredFireAge, pensionStartAge, supplementMonthly, supplementEndAge, taxableBalance, bridgeAssets]);
 
   const fireNumberAssets = useMemo(() => {
     const annualGoal = Number(gapAnalysis.fireIncomeGoal ?? 0) * 12;
@@ -299,6 +312,12 @@ function FIREGapCalculator({ tspProjectedBalance, pensionMonthly }) {
                   Pension assumed to start at age {pensionStartAge}. (Bridge needed before then.)
                 </div>
               ) : null}
+              {(gapAnalysis.supplement?.monthlyAtDesiredAge ?? 0) > 0 ? (
+                <div className="flex justify-between">
+                  <span>FERS Supplement (until {supplementEndAge}):</span>
+                  <span>{formatCurrency(gapAnalysis.supplement.monthlyAtDesiredAge)}</span>
+                </div>
+              ) : null}
               <div className="flex justify-between">
                 <span>Side Hustle:</span>
                 <span>{formatCurrency(currentScenario?.fire?.sideHustleIncome || 0)}</span>
@@ -448,6 +467,16 @@ function FIREGapCalculator({ tspProjectedBalance, pensionMonthly }) {
               <div className="font-semibold">{formatCurrency(gapAnalysis.bridge?.requiredBridgeAssets ?? 0)}</div>
             </div>
           </div>
+          {(gapAnalysis.bridge?.supplementOffset ?? 0) > 0 ? (
+            <p className="text-xs text-slate-500 dark:text-slate-400 mt-3">
+              Includes {formatCurrency(gapAnalysis.bridge.supplementOffset)} covered by the FERS supplement before age {supplementEndAge}.
+            </p>
+          ) : null}
+          {(gapAnalysis.bridge?.bridgeAssets ?? 0) > 0 ? (
+            <p className="text-xs text-slate-500 dark:text-slate-400 mt-3">
+              Your VSIP puts {formatCurrency(gapAnalysis.bridge.bridgeAssets)} in the bridge fund, leaving {formatCurrency(gapAnalysis.bridge.bridgeShortfall)} to fund.
+            </p>
+          ) : null}
           <div className="disclaimer mt-3">
             Simplified estimate: assumes level dollars and no investment growth/interest during the bridge period.
           </div>
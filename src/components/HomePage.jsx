@@ -98,7 +98,7 @@ function HomePage() {
     { label: 'TSP Funds', value: '5', description: 'G, F, C, S, I Funds' },
     { label: 'FERS Multiplier', value: '1.0-1.1%', description: 'Based on age & service' },
     { label: 'FIRE Rule', value: '25x', description: 'Annual expenses' },
-    { label: 'MRA', value: '57', description: 'Minimum retirement age' }
+    { label: 'MRA', value: '55–57', description: 'Minimum retirement age (by birth year)' }
   ];
 
   return (
@@ -0,0 +1,214 @@
+import { DEFAULT_MILITARY_DEPOSIT_INTEREST_RATE } from '../lib/calculations/militaryDeposit';
+import TooltipWrapper from './TooltipWrapper';
+import { useDraftValue } from './useDraftValue';
+
+function formatMoney(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(n);
+}
+
+const toDraft = (value) => ({
+  enabled: Boolean(value?.enabled),
+  civilianHireDate: value?.civilianHireDate ?? '',
+  paymentDate: value?.paymentDate ?? '',
+  interestRate: String(value?.interestRate ?? DEFAULT_MILITARY_DEPOSIT_INTEREST_RATE),
+  periods: (Array.isArray(value?.periods) ? value.periods : []).map((p, idx) => ({
+    id: p?.id ?? `period_${idx}`,
+    startDate: p?.startDate ?? '',
+    endDate: p?.endDate ?? '',
+    basePay: String(p?.basePay ?? ''),
+  })),
+});
+
+const fromDraft = (draft) => ({
+  enabled: draft.enabled,
+  civilianHireDate: draft.civilianHireDate,
+  paymentDate: draft.paymentDate,
+  interestRate: parseFloat(draft.interestRate) || 0,
+  periods: draft.periods.map((p) => ({
+    id: p.id,
+    startDate: p.startDate,
+    endDate: p.endDate,
+    basePay: parseFloat(p.basePay) || 0,
+  })),
+});
+
+/**
+ * Military service deposit ("buyback") editor for the FERS page: active-duty periods with their basic pay,
+ * plus the civilian hire and payment dates that decide how much interest the deposit carries.
+ * `buyback` is calculateFersResults().militaryBuyback.
+ */
+export default function MilitaryDepositPanel({ value, buyback, onChange }) {
+  const { draft, update: updateField, updateItem, addItem, removeItem } = useDraftValue(value, {
+    toDraft,
+    fromDraft,
+    onChange,
+  });
+
+  const updatePeriod = (id, field, fieldValue) => updateItem('periods', id, field, fieldValue);
+  const addPeriod = () => addItem('periods', { id: `period_${Date.now()}`, startDate: '', endDate: '', basePay: '' });
+  const removePeriod = (id) => removeItem('periods', id);
+
+  const hasPeriods = draft.periods.length > 0;
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-xl font-semibold navy-text mb-2">Military Service Deposit</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+        Post-1956 active-duty time only counts toward FERS if you pay a deposit of 3% of your military basic pay
+        (plus interest once the 2-year grace period after your civilian hire ends).
+      </p>
+
+      <div className="flex items-center space-x-3 mb-4">
+        <input
+          type="checkbox"
+          id="militaryDepositEnabled"
+          checked={draft.enabled}
+          onChange={(e) => updateField('enabled', e.target.checked)}
+          className="w-4 h-4 text-navy-600"
+        />
+        <label htmlFor="militaryDepositEnabled" className="text-sm font-medium text-slate-700 dark:text-slate-300">
+          Include bought-back military service in my pension
+        </label>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mb-4">
+        <TooltipWrapper text="First day of your FERS-covered civilian employment. Interest starts accruing 2 years later.">
+          <div>
+            <label className="label" htmlFor="militaryCivilianHireDate">Civilian Hire Date</label>
+            <input
+              id="militaryCivilianHireDate"
+              type="date"
+              value={draft.civilianHireDate}
+              onChange={(e) => updateField('civilianHireDate', e.target.value)}
+              className="input-field w-full"
+            />
+          </div>
+        </TooltipWrapper>
+        <TooltipWrapper text="When you expect to pay the deposit. Leave blank to estimate as of today.">
+          <div>
+            <label className="label" htmlFor="militaryPaymentDate">Payment Date</label>
+            <input
+              id="militaryPaymentDate"
+              type="date"
+              value={draft.paymentDate}
+              onChange={(e) => updateField('paymentDate', e.target.value)}
+              className="input-field w-full"
+            />
+          </div>
+        </TooltipWrapper>
+        <TooltipWrapper text="OPM sets a variable interest rate each year; this estimate applies one rate throughout.">
+          <div>
+            <label className="label" htmlFor="militaryInterestRate">Interest Rate (%)</label>
+            <input
+              id="militaryInterestRate"
+              type="text"
+              value={draft.interestRate}
+              onChange={(e) => updateField('interestRate', e.target.value)}
+              className="input-field w-full"
+              inputMode="decimal"
+            />
+          </div>
+        </TooltipWrapper>
+      </div>
+
+      <div className="space-y-3">
+        {draft.periods.map((p, idx) => (
+          <div key={p.id} className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium text-slate-700 dark:text-slate-300">Period {idx + 1}</span>
+              <button
+                type="button"
+                className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                onClick={() => removePeriod(p.id)}
+              >
+                Remove
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="label" htmlFor={`${p.id}_start`}>Start</label>
+                <input
+                  id={`${p.id}_start`}
+                  type="date"
+                  value={p.startDate}
+                  onChange={(e) => updatePeriod(p.id, 'startDate', e.target.value)}
+                  className="input-field w-full"
+                />
+              </div>
+              <div>
+                <label className="label" htmlFor={`${p.id}_end`}>End</label>
+                <input
+                  id={`${p.id}_end`}
+                  type="date"
+                  value={p.endDate}
+                  onChange={(e) => updatePeriod(p.id, 'endDate', e.target.value)}
+                  className="input-field w-full"
+                />
+              </div>
+              <div>
+                <label className="label" htmlFor={`${p.id}_pay`}>Basic Pay Earned</label>
+                <input
+                  id={`${p.id}_pay`}
+                  type="text"
+                  value={p.basePay}
+                  onChange={(e) => updatePeriod(p.id, 'basePay', e.target.value)}
+                  className="input-field w-full"
+                  placeholder="60000"
+                  inputMode="decimal"
+                />
+              </div>
+            </div>
+          </div>
+        ))}
+        <button type="button" className="btn-secondary" onClick={addPeriod}>
+          + Add service period
+        </button>
+      </div>
+
+      {hasPeriods && buyback && (
+        <div className="mt-6 grid grid-cols-2 gap-4 text-sm">
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Estimated deposit</div>
+            <div className="font-semibold">{formatMoney(buyback.totalDeposit)}</div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">
+              {formatMoney(buyback.depositPrincipal)} principal
+              {buyback.interest > 0 ? ` + ${formatMoney(buyback.interest)} interest` : ' (no interest yet)'}
+            </div>
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Creditable service added</div>
+            <div className="font-semibold">
+              {Math.floor(buyback.creditableMonths / 12)} yrs {buyback.creditableMonths % 12} mos
+            </div>
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Annuity change</div>
+            <div className="font-semibold text-green-600 dark:text-green-400">
+              +{formatMoney(buyback.monthlyPensionIncrease)}/mo
+            </div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">
+              +{formatMoney(buyback.annualPensionIncrease)}/yr
+            </div>
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Payback period</div>
+            <div className="font-semibold">
+              {buyback.paybackYears != null ? `${buyback.paybackYears.toFixed(1)} years` : '—'}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="disclaimer">
+        Estimate only. Request your earnings statement from your military finance center and confirm the deposit with your agency.
+      </div>
+    </div>
+  );
+}
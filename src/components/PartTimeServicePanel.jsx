@@ -0,0 +1,162 @@
+import { FULL_TIME_HOURS_PER_WEEK } from '../lib/calculations/partTimeService';
+import TooltipWrapper from './TooltipWrapper';
+import { useDraftValue } from './useDraftValue';
+
+function formatMoney(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(n);
+}
+
+const toDraft = (value) => ({
+  enabled: Boolean(value?.enabled),
+  periods: (Array.isArray(value?.periods) ? value.periods : []).map((p, idx) => ({
+    id: p?.id ?? `part_time_${idx}`,
+    startDate: p?.startDate ?? '',
+    endDate: p?.endDate ?? '',
+    hoursPerWeek: String(p?.hoursPerWeek ?? ''),
+  })),
+});
+
+const fromDraft = (draft) => ({
+  enabled: draft.enabled,
+  periods: draft.periods.map((p) => ({
+    id: p.id,
+    startDate: p.startDate,
+    endDate: p.endDate,
+    hoursPerWeek: parseFloat(p.hoursPerWeek) || 0,
+  })),
+});
+
+/**
+ * Part-time service periods for the FERS page, each with its scheduled weekly hours. Part-time years count
+ * in full for eligibility but shrink the annuity by the proration factor from calculateFersResults().partTime,
+ * which also supplies each period's months and monthly cost shown under its row.
+ */
+export default function PartTimeServicePanel({ value, partTime, onChange }) {
+  const { draft, update, updateItem, addItem, removeItem } = useDraftValue(value, { toDraft, fromDraft, onChange });
+
+  const updatePeriod = (id, field, fieldValue) => updateItem('periods', id, field, fieldValue);
+  const addPeriod = () =>
+    addItem('periods', { id: `part_time_${Date.now()}`, startDate: '', endDate: '', hoursPerWeek: '20' });
+  const removePeriod = (id) => removeItem('periods', id);
+
+  const resultsById = new Map((partTime?.periods ?? []).map((p) => [p.id, p]));
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-xl font-semibold navy-text mb-2">Part-Time Service</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+        Part-time years count in full toward eligibility and length of service, but the annuity is prorated by
+        the hours you were scheduled compared with a {FULL_TIME_HOURS_PER_WEEK}-hour week. Enter your High-3 at
+        the full-time rate of pay.
+      </p>
+
+      <div className="flex items-center space-x-3 mb-4">
+        <input
+          type="checkbox"
+          id="partTimeEnabled"
+          checked={draft.enabled}
+          onChange={(e) => update('enabled', e.target.checked)}
+          className="w-4 h-4 text-navy-600"
+        />
+        <label htmlFor="partTimeEnabled" className="text-sm font-medium text-slate-700 dark:text-slate-300">
+          Prorate my annuity for part-time service
+        </label>
+      </div>
+
+      <div className="space-y-3">
+        {draft.periods.map((p, idx) => {
+          const result = resultsById.get(p.id);
+          return (
+            <div key={p.id} className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-slate-700 dark:text-slate-300">Period {idx + 1}</span>
+                <button
+                  type="button"
+                  className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                  onClick={() => removePeriod(p.id)}
+                >
+                  Remove
+                </button>
+              </div>
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="label" htmlFor={`${p.id}_start`}>Start</label>
+                  <input
+                    id={`${p.id}_start`}
+                    type="date"
+                    value={p.startDate}
+                    onChange={(e) => updatePeriod(p.id, 'startDate', e.target.value)}
+                    className="input-field w-full"
+                  />
+                </div>
+                <div>
+                  <label className="label" htmlFor={`${p.id}_end`}>End</label>
+                  <input
+                    id={`${p.id}_end`}
+                    type="date"
+                    value={p.endDate}
+                    onChange={(e) => updatePeriod(p.id, 'endDate', e.target.value)}
+                    className="input-field w-full"
+                  />
+                </div>
+                <TooltipWrapper text="Scheduled hours per week during this period (your tour of duty on the SF-50).">
+                  <div>
+                    <label className="label" htmlFor={`${p.id}_hours`}>Hours per Week</label>
+                    <input
+                      id={`${p.id}_hours`}
+                      type="text"
+                      value={p.hoursPerWeek}
+                      onChange={(e) => updatePeriod(p.id, 'hoursPerWeek', e.target.value)}
+                      className="input-field w-full"
+                      placeholder="20"
+                      inputMode="decimal"
+                    />
+                  </div>
+                </TooltipWrapper>
+              </div>
+              {draft.enabled && result && result.months > 0 && (
+                <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">
+                  {result.months} months at {Math.round(result.scheduleFraction * 100)}% time:
+                  {' '}{result.fullTimeEquivalentYearsLost.toFixed(2)} full-time years short,
+                  {' '}−{formatMoney(result.monthlyPensionReduction)}/mo.
+                </p>
+              )}
+            </div>
+          );
+        })}
+        <button type="button" className="btn-secondary" onClick={addPeriod}>
+          + Add part-time period
+        </button>
+      </div>
+
+      {draft.enabled && partTime && partTime.partTimeMonths > 0 && (
+        <div className="mt-6 grid grid-cols-2 gap-4 text-sm">
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Proration factor</div>
+            <div className="font-semibold">{(partTime.prorationFactor * 100).toFixed(2)}%</div>
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Annuity change</div>
+            <div className="font-semibold text-red-600 dark:text-red-400">
+              −{formatMoney(partTime.annualPensionReduction / 12)}/mo
+            </div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">
+              of {formatMoney(partTime.unproratedAnnualPension / 12)}/mo full-time
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="disclaimer">
+        Estimate only. OPM prorates using the hours on your official personnel records.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import {
+  ANNUAL_LEAVE_CARRYOVER_CEILING,
+  ANNUAL_LEAVE_CATEGORIES,
+  createDefaultRetirementDateOptimizer,
+} from '../lib/calculations/retirementDate';
+import { formatDisplayDate } from '../lib/calculations/dates';
+import TooltipWrapper from './TooltipWrapper';
+import { useDraftValue } from './useDraftValue';
+
+// Rows shown in the ranking; the rest are summarised by the best date anyway.
+const MAX_ROWS = 10;
+
+function formatMoney(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(n);
+}
+
+const toDraft = (value) => {
+  const optimizer = { ...createDefaultRetirementDateOptimizer(), ...(value ?? {}) };
+  return {
+    ...optimizer,
+    annualLeaveHours: String(optimizer.annualLeaveHours ?? 0),
+    finalSalary: String(optimizer.finalSalary ?? 0),
+  };
+};
+
+const fromDraft = (draft) => ({
+  ...draft,
+  annualLeaveHours: parseFloat(draft.annualLeaveHours) || 0,
+  finalSalary: parseFloat(draft.finalSalary) || 0,
+});
+
+/**
+ * Retirement date optimizer for the FERS page: ranks dates in a range by salary, annual leave payout and
+ * annuity. `result` is optimizeRetirementDate(); `defaultSalary` is the TSP page salary used when no
+ * final salary is entered.
+ */
+export default function RetirementDatePanel({ value, result, defaultSalary, onChange }) {
+  const { draft, update } = useDraftValue(value, { toDraft, fromDraft, onChange });
+
+  const hasRange = Boolean(draft.rangeStart && draft.rangeEnd);
+  const best = result?.best;
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-xl font-semibold navy-text mb-2">Retirement Date Optimizer</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+        A few days can matter: leave accrues only for full pay periods, leave above {ANNUAL_LEAVE_CARRYOVER_CEILING} hours
+        is lost at the new leave year, and the annuity starts the month after you separate.
+      </p>
+
+      <div className="grid grid-cols-2 gap-4">
+        <TooltipWrapper text="Your annual leave balance today, from your leave and earnings statement. It is paid out as a lump sum when you retire.">
+          <div>
+            <label className="label" htmlFor="dateOptimizerLeaveHours">Annual Leave Balance (hours)</label>
+            <input
+              id="dateOptimizerLeaveHours"
+              type="text"
+              value={draft.annualLeaveHours}
+              onChange={(e) => update('annualLeaveHours', e.target.value)}
+              className="input-field w-full"
+              placeholder="0"
+              inputMode="decimal"
+            />
+          </div>
+        </TooltipWrapper>
+        <div>
+          <label className="label" htmlFor="dateOptimizerLeaveCategory">Leave Category</label>
+          <select
+            id="dateOptimizerLeaveCategory"
+            value={draft.leaveCategory}
+            onChange={(e) => update('leaveCategory', e.target.value)}
+            className="input-field w-full"
+          >
+            {Object.values(ANNUAL_LEAVE_CATEGORIES).map((category) => (
+              <option key={category.id} value={category.id}>{category.label}</option>
+            ))}
+          </select>
+        </div>
+        <TooltipWrapper text={`Salary at separation, which sets the hourly rate for your last paychecks and the leave payout. Leave 0 to use ${formatMoney(defaultSalary)} from the TSP page.`}>
+          <div>
+            <label className="label" htmlFor="dateOptimizerFinalSalary">Final Salary ($, 0 = current)</label>
+            <input
+              id="dateOptimizerFinalSalary"
+              type="text"
+              value={draft.finalSalary}
+              onChange={(e) => update('finalSalary', e.target.value)}
+              className="input-field w-full"
+              placeholder="0"
+              inputMode="decimal"
+            />
+          </div>
+        </TooltipWrapper>
+        <div />
+        <div>
+          <label className="label" htmlFor="dateOptimizerRangeStart">Earliest Date</label>
+          <input
+            id="dateOptimizerRangeStart"
+            type="date"
+            value={draft.rangeStart}
+            onChange={(e) => update('rangeStart', e.target.value)}
+            className="input-field w-full"
+          />
+        </div>
+        <div>
+          <label className="label" htmlFor="dateOptimizerRangeEnd">Latest Date</label>
+          <input
+            id="dateOptimizerRangeEnd"
+            type="date"
+            value={draft.rangeEnd}
+            onChange={(e) => update('rangeEnd', e.target.value)}
+            className="input-field w-full"
+          />
+        </div>
+      </div>
+
+      {hasRange && result && !result.isAvailable && (
+        <p className="mt-4 text-sm text-red-600 dark:text-red-400">{result.message}</p>
+      )}
+
+      {result?.isAvailable && best && (
+        <div className="mt-4 space-y-3 text-sm">
+          <div className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg text-slate-600 dark:text-slate-400">
+            Best date: <span className="font-medium">{formatDisplayDate(best.date)}</span>. You would be paid for
+            {' '}{Math.round(best.leaveHours)} hours of leave ({formatMoney(best.leavePayout)}), and your annuity of
+            {' '}{formatMoney(best.monthlyAnnuity)}/month would start {formatDisplayDate(best.annuityStartDate)}.
+            {!best.isEligible && <> {best.eligibilityMessage}.</>}
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-slate-500 dark:text-slate-400">
+                <th className="py-1">Retire on</th>
+                <th className="py-1 text-right">Final pay</th>
+                <th className="py-1 text-right">Leave payout</th>
+                <th className="py-1 text-right">Annuity</th>
+                <th className="py-1 text-right">Total</th>
+                <th className="py-1 text-right">vs. best</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.candidates.slice(0, MAX_ROWS).map((c) => (
+                <tr key={c.date} className={c.rank === 1 ? 'font-semibold' : ''}>
+                  <td className="py-1">
+                    {formatDisplayDate(c.date)}
+                    <span className="block text-xs font-normal text-slate-500 dark:text-slate-400">
+                      {[c.isPayPeriodEnd && 'pay period end', c.isMonthEnd && 'month end'].filter(Boolean).join(', ') || 'mid pay period'}
+                    </span>
+                  </td>
+                  <td className="py-1 text-right">{formatMoney(c.finalPay)}</td>
+                  <td className="py-1 text-right">
+                    {formatMoney(c.leavePayout)}
+                    {c.forfeitedLeaveHours > 0 && (
+                      <span className="block text-xs font-normal text-red-600 dark:text-red-400">
+                        {Math.round(c.forfeitedLeaveHours)} hrs lost
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-1 text-right">
+                    {formatMoney(c.annuityPaid)}
+                    <span className="block text-xs font-normal text-slate-500 dark:text-slate-400">
+                      from {formatDisplayDate(c.annuityStartDate)}
+                    </span>
+                  </td>
+                  <td className="py-1 text-right">{formatMoney(c.totalCash)}</td>
+                  <td className="py-1 text-right">{c.rank === 1 ? '—' : formatMoney(c.differenceFromBest)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.candidates.length > MAX_ROWS && (
+            <p className="text-xs text-slate-500 dark:text-slate-400">
+              Showing the top {MAX_ROWS} of {result.candidates.length} dates.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="disclaimer">
+        Totals are gross cash in the 12 months after each date: the last paychecks, the leave payout and the
+        annuity from its start date. Dates checked are pay period ends, month ends and, under CSRS, the first
+        three days of each month. Holidays and the first COLA are not modelled.
+      </div>
+    </div>
+  );
+}
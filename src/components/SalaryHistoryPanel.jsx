@@ -0,0 +1,158 @@
+import { formatDisplayDate } from '../lib/calculations/dates';
+import TooltipWrapper from './TooltipWrapper';
+import { useDraftValue } from './useDraftValue';
+
+function formatMoney(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return '—';
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(n);
+}
+
+const toDraft = (value) => ({
+  enabled: Boolean(value?.enabled),
+  entries: (Array.isArray(value?.entries) ? value.entries : []).map((e, idx) => ({
+    id: e?.id ?? `salary_${idx}`,
+    effectiveDate: e?.effectiveDate ?? '',
+    annualRate: String(e?.annualRate ?? ''),
+    note: e?.note ?? '',
+  })),
+});
+
+const fromDraft = (draft) => ({
+  enabled: draft.enabled,
+  entries: draft.entries.map((e) => ({
+    id: e.id,
+    effectiveDate: e.effectiveDate,
+    annualRate: parseFloat(e.annualRate) || 0,
+    note: e.note,
+  })),
+});
+
+/**
+ * Salary history editor for the FERS page: each entry is a pay rate and the date it took effect, and the
+ * highest 36 consecutive months of those rates replace the manual High-3 when enabled. `high3` is
+ * calculateFersResults().high3; `salaryGrowthRate` labels the raises assumed after the last entry.
+ */
+export default function SalaryHistoryPanel({ value, high3, salaryGrowthRate, onChange }) {
+  const { draft, update, updateItem, addItem, removeItem } = useDraftValue(value, { toDraft, fromDraft, onChange });
+
+  const updateEntry = (id, field, fieldValue) => updateItem('entries', id, field, fieldValue);
+  const addEntry = () => addItem('entries', { id: `salary_${Date.now()}`, effectiveDate: '', annualRate: '', note: '' });
+  const removeEntry = (id) => removeItem('entries', id);
+
+  const computed = high3?.salaryHistory;
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-xl font-semibold navy-text mb-2">High-3 from Salary History</h3>
+      <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+        Enter each pay change from your SF-50s (step increases, promotions, annual raises and locality changes). The
+        High-3 is the highest average of basic pay over any 36 consecutive months, weighted by the days each rate was in effect.
+      </p>
+
+      <div className="flex items-center space-x-3 mb-4">
+        <input
+          type="checkbox"
+          id="salaryHistoryEnabled"
+          checked={draft.enabled}
+          onChange={(e) => update('enabled', e.target.checked)}
+          className="w-4 h-4 text-navy-600"
+        />
+        <label htmlFor="salaryHistoryEnabled" className="text-sm font-medium text-slate-700 dark:text-slate-300">
+          Use my salary history instead of the High-3 entered above
+        </label>
+      </div>
+
+      <div className="space-y-3">
+        {draft.entries.map((e, idx) => (
+          <div key={e.id} className="p-3 bg-slate-50 dark:bg-slate-800 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-sm font-medium text-slate-700 dark:text-slate-300">Pay change {idx + 1}</span>
+              <button
+                type="button"
+                className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                onClick={() => removeEntry(e.id)}
+              >
+                Remove
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <label className="label" htmlFor={`${e.id}_date`}>Effective Date</label>
+                <input
+                  id={`${e.id}_date`}
+                  type="date"
+                  value={e.effectiveDate}
+                  onChange={(ev) => updateEntry(e.id, 'effectiveDate', ev.target.value)}
+                  className="input-field w-full"
+                />
+              </div>
+              <div>
+                <TooltipWrapper text="Annual basic pay including locality pay (SF-50 block 20F).">
+                  <div>
+                    <label className="label" htmlFor={`${e.id}_rate`}>Annual Rate</label>
+                    <input
+                      id={`${e.id}_rate`}
+                      type="text"
+                      value={e.annualRate}
+                      onChange={(ev) => updateEntry(e.id, 'annualRate', ev.target.value)}
+                      className="input-field w-full"
+                      placeholder="95000"
+                      inputMode="decimal"
+                    />
+                  </div>
+                </TooltipWrapper>
+              </div>
+              <div>
+                <label className="label" htmlFor={`${e.id}_note`}>Note</label>
+                <input
+                  id={`${e.id}_note`}
+                  type="text"
+                  value={e.note}
+                  onChange={(ev) => updateEntry(e.id, 'note', ev.target.value)}
+                  className="input-field w-full"
+                  placeholder="Locality change"
+                />
+              </div>
+            </div>
+          </div>
+        ))}
+        <button type="button" className="btn-secondary" onClick={addEntry}>
+          + Add pay change
+        </button>
+      </div>
+
+      {draft.enabled && computed && computed.high3 > 0 && (
+        <div className="mt-6 grid grid-cols-2 gap-4 text-sm">
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Computed High-3</div>
+            <div className="font-semibold">{formatMoney(computed.high3)}</div>
+            <div className="text-xs text-slate-500 dark:text-slate-400">
+              Manual entry: {formatMoney(high3.manualAmount)}
+            </div>
+          </div>
+          <div className="p-3 rounded-lg border border-slate-200 dark:border-slate-700">
+            <div className="text-xs text-slate-500 dark:text-slate-400">Highest 36 months</div>
+            <div className="font-semibold">
+              {formatDisplayDate(computed.windowStart)} – {formatDisplayDate(computed.windowEnd)}
+            </div>
+            {computed.isProjected && (
+              <div className="text-xs text-slate-500 dark:text-slate-400">
+                Includes projected raises of {(Number(salaryGrowthRate ?? 0) * 100).toFixed(1)}%/yr (TSP salary growth)
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="disclaimer">
+        Estimate only. Your agency computes the official High-3 from your payroll records at retirement.
+      </div>
+    </div>
+  );
+}
@@ -3,9 +3,10 @@ import { useEffect, useMemo } from 'react';
 import { useScenario } from '../contexts/ScenarioContext';
 import { useAuth } from '../contexts/AuthContext';
 import { FEATURES, hasEntitlement } from '../lib/entitlements';
-import { calculateTspTraditionalVsRoth } from '../lib/calculations/tsp';
-import { calculateFersResults, findEarliestFersImmediateRetirementAge } from '../lib/calculations/fers';
+import { calculateTspTraditionalVsRoth, formatTspContributionType, selectTspProjection } from '../lib/calculations/tsp';
+import { buildFersInputsFromScenario, calculateFersResults, findEarliestFersImmediateRetirementAge } from '../lib/calculations/fers';
 import { calculateFireGap } from '../lib/calculations/fire';
+import { formatDisplayDate } from '../lib/calculations/dates';
 import { trackEvent } from '../lib/telemetry';
 
 const DEFAULTS = Object.freeze({
@@ -83,9 +84,13 @@ function buildDefaultFlags(scenario) {
   if (Number(tsp.annualSalaryGrowthRate ?? DEFAULTS.annualSalaryGrowthRate) === DEFAULTS.annualSalaryGrowthRate) flags.push('Salary growth is 3% (app default)');
   if (Boolean(tsp.includeEmployerMatch ?? DEFAULTS.includeEmployerMatch) === DEFAULTS.includeEmployerMatch) flags.push('Employer match is enabled (app default)');
   if (Boolean(tsp.includeAutomatic1Percent ?? DEFAULTS.includeAutomatic1Percent) === DEFAULTS.includeAutomatic1Percent) flags.push('Automatic 1% is enabled (app default)');
-  if (Number(tsp.annualEmployeeDeferralLimit ?? DEFAULTS.annualEmployeeDeferralLimit) === DEFAULTS.annualEmployeeDeferralLimit) flags.push('Employee deferral limit is $23,500 (app default)');
-  if (Number(tsp.annualCatchUpLimit ?? DEFAULTS.annualCatchUpLimit) === DEFAULTS.annualCatchUpLimit) flags.push('Catch-up limit is $7,500 (app default)');
-  if (Number(tsp.catchUpAge ?? DEFAULTS.catchUpAge) === DEFAULTS.catchUpAge) flags.push('Catch-up age is 50 (app default)');
+  if (tsp.useIrsLimits) {
+    flags.push('Contribution limits follow the IRS table, projected past known years (app default)');
+  } else {
+    if (Number(tsp.annualEmployeeDeferralLimit ?? DEFAULTS.annualEmployeeDeferralLimit) === DEFAULTS.annualEmployeeDeferralLimit) flags.push('Employee deferral limit is $23,500 (app default)');
+    if (Number(tsp.annualCatchUpLimit ?? DEFAULTS.annualCatchUpLimit) === DEFAULTS.annualCatchUpLimit) flags.push('Catch-up limit is $7,500 (app default)');
+    if (Number(tsp.catchUpAge ?? DEFAULTS.catchUpAge) === DEFAULTS.catchUpAge) flags.push('Catch-up age is 50 (app default)');
+  }
   if (isFundReturnsDefault(tsp.fundReturns)) flags.push('Fund returns are defaults (G/F/C/S/I)');
   if ((tsp.contributionType ?? DEFAULTS.contributionType) === DEFAULTS.contributionType) flags.push('Contribution type is Traditional (app default)');
   if (Number(tsp.currentTaxRate ?? DEFAULTS.currentTaxRate) === DEFAULTS.currentTaxRate) flags.push('Current tax rate is 22% (app default)');
@@ -162,9 +167,11 @@ function ScenarioCompare() {
         currentBalance: tsp.currentBalance ?? 0,
         annualSalary: tsp.annualSalary ?? 0,
         monthlyContributionPercent: tsp.monthlyContributionPercent ?? 0,
+        rothContributionPercent: tsp.rothContributionPercent ?? 0,
         currentAge: tsp.currentAge ?? 0,
         retirementAge: tsp.retirementAge ?? 0,
         allocation: tsp.allocation ?? {},
+        allocationSchedule: tsp.allocationSchedule,
         currentTaxRate: tsp.currentTaxRate ?? 22,
         retirementTaxRate: tsp.retirementTaxRate ?? 15,
         annualSalaryGrowthRate: Number(tsp.annualSalaryGrowthRate ?? 0) / 100,
@@ -174,6 +181,9 @@ function ScenarioCompare() {
         annualEmployeeDeferralLimit: tsp.annualEmployeeDeferralLimit ?? DEFAULTS.annualEmployeeDeferralLimit,
         annualCatchUpLimit: tsp.annualCatchUpLimit ?? DEFAULTS.annualCatchUpLimit,
         catchUpAge: tsp.catchUpAge ?? DEFAULTS.catchUpAge,
+        useIrsLimits: Boolean(tsp.useIrsLimits),
+        birthDate: fers.birthDate,
+        retirementDate: fers.retirementDate,
         fundReturns: tsp.fundReturns
           ? {
               G: Number(tsp.fundReturns.G ?? DEFAULTS.fundReturns.G) / 100,
@@ -184,47 +194,47 @@ function ScenarioCompare() {
             }
           : undefined,
       });
-      const tspSelected = tsp.contributionType === 'roth' ? tspRes.roth : tspRes.traditional;
+      const tspSelected = selectTspProjection(tspRes, tsp.contributionType);
 
       const year1 = tspSelected?.yearlyData?.[1] ?? null;
       const savingsRatePct =
         year1 && year1.salary > 0 ? ((year1.employeeContributions + year1.employerContributions) / year1.salary) * 100 : 0;
 
-      const fersRes = calculateFersResults({
-        yearsOfService: fers.yearsOfService ?? 0,
-        monthsOfService: fers.monthsOfService ?? 0,
-        high3Salary: fers.high3Salary ?? 0,
-        currentAge: fers.currentAge ?? 0,
-        retirementAge: fers.retirementAge ?? 0,
-        showComparison: false,
-        privateJobSalary: fers.privateJobSalary ?? 0,
-        privateJobYears: fers.privateJobYears ?? 0,
-        includeFutureService: true,
-      });
+      const fersRes = calculateFersResults(buildFersInputsFromScenario(scenario));
 
-      const plannedRetAge = tsp.retirementAge ?? fers.retirementAge ?? 0;
+      // A target retirement date (with a birth date) takes precedence over the whole-number ages.
+      const fersRetAge = fersRes.timeline?.retirementAge ?? fers.retirementAge;
+      const pensionStartAge = fersRes.stayFed.pensionStartAge ?? fersRetAge;
+      const plannedRetAge = fersRes.timeline?.retirementDate ? fersRetAge : (tsp.retirementAge ?? fers.retirementAge ?? 0);
 
       const gapDesired = calculateFireGap({
         tspProjectedBalance: tspSelected.projectedBalance ?? 0,
-        pensionMonthly: fersRes.stayFed.monthlyPension ?? 0,
+        pensionMonthly: fersRes.stayFed.netMonthlyPension ?? 0,
         fire,
         safeWithdrawalRate: swr,
         desiredFireAge: fire.desiredFireAge ?? undefined,
-        pensionStartAge: fers.retirementAge ?? undefined,
+        pensionStartAge: pensionStartAge ?? undefined,
+        supplementMonthly: fersRes.supplement?.monthlySupplement ?? 0,
+        supplementEndAge: fersRes.supplement?.endAge,
       });
 
       const gapAtPlannedRet = calculateFireGap({
         tspProjectedBalance: tspSelected.projectedBalance ?? 0,
-        pensionMonthly: fersRes.stayFed.monthlyPension ?? 0,
+        pensionMonthly: fersRes.stayFed.netMonthlyPension ?? 0,
         fire,
         safeWithdrawalRate: swr,
         desiredFireAge: plannedRetAge || undefined,
-        pensionStartAge: plannedRetAge || undefined,
+        pensionStartAge: Math.max(plannedRetAge || 0, pensionStartAge ?? 0) || undefined,
+        supplementMonthly: fersRes.supplement?.monthlySupplement ?? 0,
+        supplementStartAge: fersRetAge ?? undefined,
+        supplementEndAge: fersRes.supplement?.endAge,
       });
 
       const earliestEligibleAge = findEarliestFersImmediateRetirementAge({
         currentAge: fers.currentAge ?? 0,
-        totalYearsOfService: Number(fers.yearsOfService ?? 0) + Number(fers.monthsOfService ?? 0) / 12,
+        totalYearsOfService: fersRes.totalYears,
+        mra: fersRes.mra,
+        retirementCategory: fers.retirementCategory,
       });
 
       const estimatedEarliestFireAge = estimateEarliestFireAge({
@@ -233,8 +243,8 @@ function ScenarioCompare() {
         fireIncomeGoalMonthly: fire.monthlyFireIncomeGoal ?? 0,
         sideHustleIncome: fire.sideHustleIncome ?? 0,
         spouseIncome: fire.spouseIncome ?? 0,
-        pensionMonthly: fersRes.stayFed.monthlyPension ?? 0,
-        pensionStartAge: fers.retirementAge ?? 0,
+        pensionMonthly: fersRes.stayFed.netMonthlyPension ?? 0,
+        pensionStartAge: pensionStartAge ?? 0,
       });
 
       const defaultFlags = buildDefaultFlags(scenario);
@@ -261,9 +271,17 @@ function ScenarioCompare() {
         desiredAnnualEmployeeContribution: tspRes.limits?.desiredAnnualEmployeeContribution ?? null,
         savingsRatePct,
         fersMonthlyPension: fersRes.stayFed.monthlyPension ?? 0,
+        fersNetMonthlyPension: fersRes.stayFed.monthlyPremiums > 0 ? fersRes.stayFed.netMonthlyPension : null,
+        survivorElectionLabel: fersRes.survivor.reductionPercent > 0 ? fersRes.survivor.election.label : '',
+        retirementCategoryLabel: fersRes.retirementCategory.label,
+        mandatoryRetirementWarning: fersRes.mandatoryRetirement?.isPastMandatoryAge ? fersRes.mandatoryRetirement.message : '',
+        militaryYears: fersRes.militaryYears ?? 0,
+        militaryDeposit: fersRes.militaryYears > 0 ? fersRes.militaryBuyback?.totalDeposit ?? 0 : 0,
+        militaryMonthlyIncrease: fersRes.militaryYears > 0 ? fersRes.militaryBuyback?.monthlyPensionIncrease ?? 0 : 0,
         fersEligibleAtPlannedRetirement: Boolean(fersRes.stayFed.isEligible),
         fersEligibilityMessage: fersRes.stayFed.eligibilityMessage ?? '',
         earliestFersEligibilityAge: earliestEligibleAge,
+        earliestFersEligibilityDate: fersRes.timeline?.eligibleOn ?? null,
         retirementAge: plannedRetAge,
         desiredFireAge: fire.desiredFireAge ?? 0,
         fireGoalMonthly: gapDesired.fireIncomeGoal ?? 0,
@@ -432,17 +450,52 @@ function ScenarioCompare() {
               ))}
             </tr>
 
+            <tr className="border-t border-slate-200 dark:border-slate-700">
+              <td className="py-3 pr-4 font-medium">FERS retirement category</td>
+              {rows.map((r) => (
+                <td key={r.id} className="py-3 pr-4">
+                  {r.retirementCategoryLabel}
+                  {r.mandatoryRetirementWarning && (
+                    <div className="text-xs text-red-600 mt-1">{r.mandatoryRetirementWarning}</div>
+                  )}
+                </td>
+              ))}
+            </tr>
+
             <tr className="border-t border-slate-200 dark:border-slate-700">
               <td className="py-3 pr-4 font-medium">FERS monthly pension</td>
               {rows.map((r) => (
-                <td key={r.id} className="py-3 pr-4">{formatCurrency(r.fersMonthlyPension)}</td>
+                <td key={r.id} className="py-3 pr-4">
+                  {formatCurrency(r.fersMonthlyPension)}
+                  {r.fersNetMonthlyPension != null && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">{formatCurrency(r.fersNetMonthlyPension)} after FEHB/FEGLI premiums</div>
+                  )}
+                  {r.survivorElectionLabel && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">After {r.survivorElectionLabel.toLowerCase()} reduction</div>
+                  )}
+                </td>
+              ))}
+            </tr>
+
+            <tr className="border-t border-slate-200 dark:border-slate-700">
+              <td className="py-3 pr-4 font-medium">Military buyback (deposit → pension)</td>
+              {rows.map((r) => (
+                <td key={r.id} className="py-3 pr-4">
+                  {r.militaryYears > 0
+                    ? `${formatCurrency(r.militaryDeposit)} → +${formatCurrency(r.militaryMonthlyIncrease)}/mo`
+                    : '—'}
+                </td>
               ))}
             </tr>
 
             <tr className="border-t border-slate-200 dark:border-slate-700">
               <td className="py-3 pr-4 font-medium">Earliest FERS eligibility age (immediate)</td>
               {rows.map((r) => (
-                <td key={r.id} className="py-3 pr-4">{r.earliestFersEligibilityAge || '—'}</td>
+                <td key={r.id} className="py-3 pr-4">
+                  {r.earliestFersEligibilityDate
+                    ? formatDisplayDate(r.earliestFersEligibilityDate)
+                    : r.earliestFersEligibilityAge || '—'}
+                </td>
               ))}
             </tr>
 
@@ -611,7 +664,7 @@ function ScenarioCompare() {
                 {rows.map((r) => {
                   const scenario = selectedScenarios.find((s) => s.id === r.id);
                   const tsp = scenario?.tsp ?? {};
-                  return <td key={r.id} className="py-3 pr-4 capitalize">{tsp.contributionType ?? '—'}</td>;
+                  return <td key={r.id} className="py-3 pr-4">{tsp.contributionType ? formatTspContributionType(tsp) : '—'}</td>;
                 })}
               </tr>
               <tr className="border-t border-slate-200 dark:border-slate-700">
@@ -17,9 +17,13 @@ import FIREGapCalculator from './FIREGapCalculator';
 import { useNavigate } from 'react-router-dom';
 import AdvancedAnalyticsPanel from './AdvancedAnalyticsPanel';
 import OptimizationPanel from './OptimizationPanel';
-import { calculateTspTraditionalVsRoth } from '../lib/calculations/tsp';
-import { calculateFersResults, DEFAULT_MRA, findEarliestFersImmediateRetirementAge } from '../lib/calculations/fers';
+import { calculateTspTraditionalVsRoth, formatTspContributionType, selectTspProjection } from '../lib/calculations/tsp';
+import { buildFersInputsFromScenario, calculateFersResults, findEarliestFersImmediateRetirementAge } from '../lib/calculations/fers';
+import { formatDisplayDate } from '../lib/calculations/dates';
 import { calculateFireGap } from '../lib/calculations/fire';
+import { getPensionAtAge } from '../lib/calculations/cola';
+import { getPremiumsAtAge } from '../lib/calculations/benefits';
+import { getCourtOrderMonthlyAtAge } from '../lib/calculations/courtOrder';
 import { FEATURES, hasEntitlement } from '../lib/entitlements';
 import { trackEvent } from '../lib/telemetry';
 import NumberStepper from './NumberStepper';
@@ -54,6 +58,10 @@ function SummaryDashboard() {
   const [pensionData, setPensionData] = useState({
     annualPension: 25000,
     monthlyPension: 2083,
+    netAnnualPension: 25000,
+    netMonthlyPension: 2083,
+    premiumsMonthly: 0,
+    courtOrderMonthly: 0,
     lifetimePension: 575000,
     yearsOfService: 20,
     high3Salary: 85000,
@@ -91,51 +99,72 @@ function SummaryDashboard() {
       if (currentScenario.tsp) {
         const tspScenario = currentScenario.tsp;
 
-        const { traditional, roth } = calculateTspTraditionalVsRoth({
+        const tspResult = calculateTspTraditionalVsRoth({
           currentBalance: tspScenario.currentBalance,
           annualSalary: tspScenario.annualSalary,
           monthlyContributionPercent: tspScenario.monthlyContributionPercent,
+          rothContributionPercent: tspScenario.rothContributionPercent,
+          useIrsLimits: tspScenario.useIrsLimits,
           currentAge: tspScenario.currentAge,
           retirementAge: tspScenario.retirementAge,
           allocation: tspScenario.allocation,
+          allocationSchedule: tspScenario.allocationSchedule,
           currentTaxRate: tspScenario.currentTaxRate ?? 22,
           retirementTaxRate: tspScenario.retirementTaxRate ?? 15,
+          birthDate: currentScenario.fers?.birthDate,
+          retirementDate: currentScenario.fers?.retirementDate,
         });
 
-        const selected = tspScenario.contributionType === 'roth' ? roth : traditional;
+        const selected = selectTspProjection(tspResult, tspScenario.contributionType);
+        // With real dates the projection's first/last points carry the month-accurate ages.
+        const yearlyData = selected.yearlyData || [];
 
         setTspData({
           projectedBalance: Math.round(selected.projectedBalance),
           totalContributions: Math.round(selected.totalContributions),
           totalGrowth: Math.round(selected.totalGrowth),
-          yearlyData: selected.yearlyData || [],
-          retirementAge: tspScenario.retirementAge,
-          currentAge: tspScenario.currentAge
+          yearlyData,
+          retirementAge: yearlyData.length > 0 ? yearlyData[yearlyData.length - 1].year : tspScenario.retirementAge,
+          currentAge: yearlyData.length > 0 ? yearlyData[0].year : tspScenario.currentAge
         });
       }
       
       // Load FERS data from scenario
       if (currentScenario.fers) {
         const fersScenario = currentScenario.fers;
-        const fers = calculateFersResults({
-          yearsOfService: fersScenario.yearsOfService,
-          monthsOfService: fersScenario.monthsOfService,
-          high3Salary: fersScenario.high3Salary,
-          currentAge: fersScenario.currentAge,
-          retirementAge: fersScenario.retirementAge,
-          showComparison: false,
-          privateJobSalary: fersScenario.privateJobSalary ?? 0,
-          privateJobYears: fersScenario.privateJobYears ?? 0,
-          includeFutureService: true,
-        });
+        const fers = calculateFersResults(buildFersInputsFromScenario(currentScenario));
 
         setPensionData({
           annualPension: Math.round(fers.stayFed.annualPension),
           monthlyPension: Math.round(fers.stayFed.monthlyPension),
+          // FEHB/FEGLI premiums come straight out of the annuity.
+          netAnnualPension: Math.round(fers.stayFed.netAnnualPension),
+          netMonthlyPension: Math.round(fers.stayFed.netMonthlyPension),
+          premiumsMonthly: Math.round(fers.stayFed.monthlyPremiums),
+          premiums: fers.premiums,
+          // A court-ordered former spouse share is paid out of the annuity too.
+          courtOrderMonthly: Math.round(fers.stayFed.courtOrderMonthly ?? 0),
+          courtOrder: fers.courtOrder,
           lifetimePension: Math.round(fers.stayFed.lifetimePension),
           yearsOfService: Math.round((fers.projectedYears ?? fers.totalYears) * 10) / 10,
-          high3Salary: fersScenario.high3Salary,
-          retirementAge: fersScenario.retirementAge
+          militaryYears: Math.round((fers.militaryYears ?? 0) * 10) / 10,
+          militaryDeposit: fers.militaryYears > 0 ? Math.round(fers.militaryBuyback?.totalDeposit ?? 0) : 0,
+          supplementMonthly: Math.round(fers.supplement?.monthlySupplement ?? 0),
+          supplementEndAge: fers.supplement?.endAge ?? 62,
+          high3Salary: Math.round(fers.high3.amount),
+          retirementAge: fers.timeline?.retirementAge ?? fersScenario.retirementAge,
+          pensionStartAge: fers.stayFed.pensionStartAge,
+          pensionStream: fers.stayFed.pensionStream,
+          // CSRS COLA rules for the simulations: the CSRS share of the annuity and any CSRS Offset.
+          csrsComponentShare: fers.retirementSystem?.csrsShare ?? 0,
+          csrsOffsetMonthly: fers.retirementSystem?.offset?.monthlyOffset ?? 0,
+          survivorReductionMonthly: Math.round(fers.survivor?.monthlyReduction ?? 0),
+          survivorMonthly: Math.round(fers.survivor?.survivorMonthly ?? 0),
+          eligibleOn: fers.timeline?.eligibleOn ?? null,
+          // An early-out offer's VSIP after tax, in a taxable account or a bridge fund.
+          vsip: fers.earlyOut?.isEligible && fers.earlyOut.vsip.net > 0
+            ? { age: fers.earlyOut.retirementAge, ...fers.earlyOut.vsip }
+            : null
         });
       }
       
@@ -181,8 +210,12 @@ function SummaryDashboard() {
     const sideHustleIncome = currentScenario?.fire?.sideHustleIncome ?? 0;
     const spouseIncome = currentScenario?.fire?.spouseIncome ?? 0;
 
-    const pensionStartAge = currentScenario?.fers?.retirementAge ?? pensionData.retirementAge ?? tspData.retirementAge;
-    const pensionMonthly = pensionData.monthlyPension || 0;
+    const pensionStartAge = pensionData.pensionStartAge ?? pensionData.retirementAge ?? currentScenario?.fers?.retirementAge ?? tspData.retirementAge;
+    const pensionMonthly = pensionData.netMonthlyPension ?? pensionData.monthlyPension ?? 0;
+    // A bridge-fund VSIP is spent evenly until the pension starts.
+    const vsip = pensionData.vsip;
+    const bridgeYears = vsip ? pensionStartAge - vsip.age : 0;
+    const vsipBridgeMonthly = bridgeYears > 0 ? vsip.bridgeAmount / (bridgeYears * 12) : 0;
 
     // Find first age where projected passive income meets FIRE goal.
     let projectedFireAge = 0;
@@ -192,9 +225,25 @@ function SummaryDashboard() {
       const balance = Number(point.balance ?? 0);
       if (!age) continue;
 
-      const tspMonthlyWithdrawal = balance * (Number(swr ?? 0.04) || 0.04) / 12;
-      const pensionThisAge = age >= pensionStartAge ? pensionMonthly : 0;
-      const totalMonthlyIncome = tspMonthlyWithdrawal + pensionThisAge + sideHustleIncome + spouseIncome;
+      const hasVsip = vsip && age >= vsip.age;
+      const invested = balance + (hasVsip ? vsip.taxableAmount : 0);
+      const tspMonthlyWithdrawal = invested * (Number(swr ?? 0.04) || 0.04) / 12;
+      const bridgeThisAge = hasVsip && age < pensionStartAge ? vsipBridgeMonthly : 0;
+      // Follow the COLA-adjusted stream when we have one.
+      const pensionThisAge = age >= pensionStartAge
+        ? (pensionData.pensionStream
+          ? Math.max(
+              0,
+              getPensionAtAge(pensionData.pensionStream, age) / 12 -
+                getPremiumsAtAge(pensionData.premiums, age) -
+                getCourtOrderMonthlyAtAge(pensionData.courtOrder, pensionData.pensionStream, age)
+            )
+          : pensionMonthly)
+        : 0;
+      const supplementThisAge =
+        age >= pensionStartAge && age < (pensionData.supplementEndAge ?? 62) ? pensionData.supplementMonthly || 0 : 0;
+      const totalMonthlyIncome =
+        tspMonthlyWithdrawal + bridgeThisAge + pensionThisAge + supplementThisAge + sideHustleIncome + spouseIncome;
 
       if (totalMonthlyIncome >= fireGoalMonthly) {
         projectedFireAge = Math.round(age);
@@ -337,27 +386,20 @@ function SummaryDashboard() {
       const swrLocal = Number(summaryAssumptionsLocal.safeWithdrawalRate ?? 0.04);
       const pensionEndAgeLocal = Number(summaryAssumptionsLocal.pensionEndAge ?? 85);
 
-      const totalYearsOfService =
-        Number(currentScenario?.fers?.yearsOfService ?? 0) + Number(currentScenario?.fers?.monthsOfService ?? 0) / 12;
+      const pensionStartAge = Number(pensionData.retirementAge ?? currentScenario?.fers?.retirementAge ?? tspData.retirementAge);
 
-      const earliestFersImmediateAge = findEarliestFersImmediateRetirementAge({
-        currentAge: currentScenario?.fers?.currentAge,
-        totalYearsOfService,
-        mra: DEFAULT_MRA,
-      });
+      const fersResults = calculateFersResults(
+        buildFersInputsFromScenario(currentScenario, { retirementAge: pensionStartAge, retirementEndAge: pensionEndAgeLocal })
+      );
 
-      const pensionStartAge = Number(currentScenario?.fers?.retirementAge ?? pensionData.retirementAge ?? tspData.retirementAge);
+      // Service today, including any bought-back military time.
+      const totalYearsOfService = fersResults.totalYears;
 
-      const fersResults = calculateFersResults({
-        yearsOfService: currentScenario?.fers?.yearsOfService,
-        monthsOfService: currentScenario?.fers?.monthsOfService,
-        high3Salary: currentScenario?.fers?.high3Salary,
+      const earliestFersImmediateAge = findEarliestFersImmediateRetirementAge({
         currentAge: currentScenario?.fers?.currentAge,
-        retirementAge: pensionStartAge,
-        showComparison: false,
-        includeFutureService: true,
-        retirementEndAge: pensionEndAgeLocal,
-        mra: DEFAULT_MRA,
+        totalYearsOfService,
+        mra: fersResults.mra,
+        retirementCategory: currentScenario?.fers?.retirementCategory,
       });
 
       const ssLocal = currentScenario?.summary?.socialSecurity ?? {};
@@ -373,20 +415,24 @@ function SummaryDashboard() {
 
       const fireGap = calculateFireGap({
         tspProjectedBalance: tspData.projectedBalance,
-        pensionMonthly: pensionData.monthlyPension,
+        pensionMonthly: fersResults.stayFed.netMonthlyPension,
         fire: currentScenario?.fire ?? {},
         safeWithdrawalRate: swrLocal,
         desiredFireAge: fireData.desiredFireAge,
-        pensionStartAge,
+        pensionStartAge: fersResults.stayFed.pensionStartAge ?? pensionStartAge,
+        supplementMonthly: fersResults.supplement?.monthlySupplement ?? 0,
+        supplementEndAge: fersResults.supplement?.endAge,
+        taxableBalance: pensionData.vsip?.taxableAmount ?? 0,
+        bridgeAssets: pensionData.vsip?.bridgeAmount ?? 0,
       });
 
       const totalAnnualIncomeEstimate =
-        Number(pensionData.annualPension ?? 0) +
+        Number(fersResults.stayFed.netAnnualPension ?? 0) +
         Number(tspData.projectedBalance ?? 0) * Number(swrLocal || 0.04) +
         Number(ssMonthlyLocal ?? 0) * 12;
 
       const incomeReplacementPct = (() => {
-        const high3 = Number(currentScenario?.fers?.high3Salary ?? pensionData.high3Salary ?? 0);
+        const high3 = Number(fersResults.high3.amount ?? pensionData.high3Salary ?? 0);
         if (!high3) return null;
         return Math.round((totalAnnualIncomeEstimate / high3) * 100);
       })();
@@ -418,7 +464,8 @@ function SummaryDashboard() {
           generatedAt: new Date().toLocaleString(),
           swr: swrLocal,
           pensionEndAge: pensionEndAgeLocal,
-          mra: DEFAULT_MRA,
+          mra: fersResults.mra,
+          mraFromBirthDate: Boolean(currentScenario?.fers?.birthDate),
           earliestFersImmediateAge,
 
           totalNetWorthAtRetirement: fireData.totalNetWorth,
@@ -431,27 +478,48 @@ function SummaryDashboard() {
           tspAnnualSalary: currentScenario?.tsp?.annualSalary ?? 0,
           tspEmployeeContributionPct: currentScenario?.tsp?.monthlyContributionPercent ?? null,
           tspAllocation: currentScenario?.tsp?.allocation ?? null,
-          tspContributionType: currentScenario?.tsp?.contributionType ?? 'traditional',
+          tspContributionType: formatTspContributionType(currentScenario?.tsp ?? {}),
           tspValueMode: currentScenario?.tsp?.valueMode ?? 'nominal',
           tspInflationRate: currentScenario?.tsp?.inflationRate ?? 0,
 
           fersCurrentAge: currentScenario?.fers?.currentAge ?? null,
           plannedRetirementAge: pensionStartAge,
           fersProjectedYearsOfService: Math.round((fersResults.projectedYears ?? fersResults.totalYears ?? 0) * 10) / 10,
-          fersHigh3Salary: currentScenario?.fers?.high3Salary ?? pensionData.high3Salary,
+          fersHigh3Salary: fersResults.high3.amount,
+          fersHigh3Source: fersResults.high3.source,
           fersMultiplier: fersResults?.stayFed?.multiplier ?? null,
+          fersSickLeave: fersResults.sickLeave,
+          fersSupplement: fersResults.supplement,
+          fersMra10Selected: fersResults.mra10?.selected ?? null,
+          fersSurvivor: fersResults.survivor,
+          fersPensionStream: fersResults.stayFed.pensionStream,
+          fersRetirementCategory: fersResults.retirementCategory,
+          fersRetirementSystem: fersResults.retirementSystem,
+          fersPartTime: fersResults.partTime,
+          fersCourtOrder: fersResults.courtOrder,
+          fersFormerSpouseSurvivorMonthly: (fersResults.survivor?.formerSpouseSurvivorAnnual ?? 0) / 12,
+          fersMilitaryYears: fersResults.militaryYears ?? 0,
+          fersMilitaryDeposit: fersResults.militaryYears > 0 ? fersResults.militaryBuyback?.totalDeposit ?? 0 : 0,
           fersEligibilityMessages: (() => {
             const lines = [];
             const msg = fersResults?.stayFed?.eligibilityMessage;
             if (msg) lines.push(msg);
-            if (earliestFersImmediateAge && Number.isFinite(earliestFersImmediateAge)) {
+            if (fersResults.timeline?.eligibleOn) {
+              lines.push(`Eligible for immediate retirement on ${formatDisplayDate(fersResults.timeline.eligibleOn)}`);
+            } else if (earliestFersImmediateAge && Number.isFinite(earliestFersImmediateAge)) {
               lines.push(`Earliest immediate retirement age (estimated): ${earliestFersImmediateAge}`);
             }
+            if (fersResults.mandatoryRetirement) lines.push(fersResults.mandatoryRetirement.message);
             return lines;
           })(),
 
           pensionAnnual: pensionData.annualPension,
           pensionMonthly: pensionData.monthlyPension,
+          pensionNetMonthly: fersResults.stayFed.netMonthlyPension,
+          fersPremiums: fersResults.premiums,
+          fersPensionTax: fersResults.pensionTax,
+          fersDisability: fersResults.isDisabilityRetirement ? fersResults.disability : null,
+          fersEarlyOut: fersResults.earlyOut?.isEligible ? fersResults.earlyOut : null,
           pensionLifetimeValue: pensionData.lifetimePension,
 
           desiredFireAge: fireData.desiredFireAge,
@@ -464,6 +532,8 @@ function SummaryDashboard() {
           monthlyGapAtDesiredAge: fireGap.monthlyGapAtDesiredAge,
           bridgeYearsToBridge: fireGap.bridge?.yearsToBridge ?? 0,
           bridgeRequiredAssets: fireGap.bridge?.requiredBridgeAssets ?? 0,
+          bridgeVsipAssets: fireGap.bridge?.bridgeAssets ?? 0,
+          bridgeShortfall: fireGap.bridge?.bridgeShortfall ?? 0,
 
           socialSecurityMode: ssModeLocal,
           socialSecurityClaimingAge: ssClaimingAgeLocal,
@@ -652,7 +722,7 @@ function SummaryDashboard() {
           </div>
           <div className="card p-6 text-center">
             <div className="text-3xl font-bold gold-accent mb-2">
-              ${(pensionData.annualPension + (tspData.projectedBalance * 0.04)).toLocaleString()}
+              ${(pensionData.netAnnualPension + (tspData.projectedBalance * 0.04)).toLocaleString()}
             </div>
             <div className="text-sm text-slate-500 dark:text-slate-400">Annual Retirement Income</div>
           </div>
@@ -674,7 +744,7 @@ function SummaryDashboard() {
           </div>
           <div className="card p-6 text-center">
             <div className="text-3xl font-bold text-slate-600 dark:text-slate-400 mb-2">
-              {Math.round(((pensionData.annualPension + (tspData.projectedBalance * 0.04)) / pensionData.high3Salary) * 100)}%
+              {Math.round(((pensionData.netAnnualPension + (tspData.projectedBalance * 0.04)) / pensionData.high3Salary) * 100)}%
             </div>
             <div className="text-sm text-slate-500 dark:text-slate-400">Income Replacement</div>
           </div>
@@ -752,8 +822,13 @@ function SummaryDashboard() {
 
         <AdvancedAnalyticsPanel
           scenario={currentScenario}
-          pensionMonthly={pensionData.monthlyPension}
-          pensionStartAge={Number(currentScenario?.fers?.retirementAge ?? pensionData.retirementAge ?? tspData.retirementAge ?? 62)}
+          pensionMonthly={pensionData.netMonthlyPension}
+          pensionStartAge={Number(pensionData.pensionStartAge ?? pensionData.retirementAge ?? currentScenario?.fers?.retirementAge ?? tspData.retirementAge ?? 62)}
+          supplementMonthly={pensionData.supplementMonthly ?? 0}
+          supplementEndAge={pensionData.supplementEndAge ?? 62}
+          csrsComponentShare={pensionData.csrsComponentShare ?? 0}
+          csrsOffsetMonthly={pensionData.csrsOffsetMonthly ?? 0}
+          vsip={pensionData.vsip ?? null}
           entitlements={entitlements}
         />
 
@@ -859,6 +934,32 @@ function SummaryDashboard() {
                     ${pensionData.annualPension.toLocaleString()}
                   </span>
                 </div>
+                {pensionData.militaryYears > 0 && (
+                  <div className="text-xs text-slate-500 dark:text-slate-400 -mt-2">
+                    Includes {pensionData.militaryYears} yrs of bought-back military service (deposit ~${(pensionData.militaryDeposit ?? 0).toLocaleString()})
+                  </div>
+                )}
+                {pensionData.survivorReductionMonthly > 0 && (
+                  <div className="text-xs text-slate-500 dark:text-slate-400 -mt-2">
+                    After a ${pensionData.survivorReductionMonthly.toLocaleString()}/mo survivor reduction (spouse would receive ${(pensionData.survivorMonthly ?? 0).toLocaleString()}/mo)
+                  </div>
+                )}
+                {pensionData.premiumsMonthly > 0 && (
+                  <div className="flex justify-between items-center">
+                    <span className="text-slate-600">FEHB/FEGLI Premiums</span>
+                    <span className="font-medium text-red-600">
+                      -${(pensionData.premiumsMonthly * 12).toLocaleString()}
+                    </span>
+                  </div>
+                )}
+                {pensionData.courtOrderMonthly > 0 && (
+                  <div className="flex justify-between items-center">
+                    <span className="text-slate-600">Former Spouse (Court Order)</span>
+                    <span className="font-medium text-red-600">
+                      -${(pensionData.courtOrderMonthly * 12).toLocaleString()}
+                    </span>
+                  </div>
+                )}
                 <div className="flex justify-between items-center">
                   <span className="text-slate-600">TSP Withdrawals (4%)</span>
                   <span className="font-medium text-slate-800">
@@ -875,7 +976,7 @@ function SummaryDashboard() {
                 <div className="flex justify-between items-center">
                   <span className="text-slate-700 font-medium">Total Annual Income</span>
                   <span className="font-bold text-navy-600">
-                    ${Math.round(pensionData.annualPension + (tspData.projectedBalance * 0.04) + (pensionData.high3Salary * 0.4)).toLocaleString()}
+                    ${Math.round(pensionData.netAnnualPension + (tspData.projectedBalance * 0.04) + (pensionData.high3Salary * 0.4)).toLocaleString()}
                   </span>
                 </div>
               </div>
@@ -937,7 +1038,11 @@ function SummaryDashboard() {
       <div className="section-divider"></div>
       <FIREGapCalculator 
         tspProjectedBalance={tspData.projectedBalance}
-        pensionMonthly={pensionData.monthlyPension}
+        pensionMonthly={pensionData.netMonthlyPension}
+        pensionStartAge={pensionData.pensionStartAge}
+        supplementMonthly={pensionData.supplementMonthly ?? 0}
+        supplementEndAge={pensionData.supplementEndAge ?? 62}
+        vsip={pensionData.vsip ?? null}
       />
 
       <div className="mt-8 p-4 bg-slate-100 dark:bg-slate-800 rounded-lg border border-slate-200 dark:border-slate-700">
@@ -15,7 +15,18 @@ import {
 import { useScenario } from '../contexts/ScenarioContext';
 import { useAuth } from '../contexts/AuthContext';
 import ScenarioManager from './ScenarioManager';
-import { calculateTspTraditionalVsRoth } from '../lib/calculations/tsp';
+import {
+  calculateTspContributionSplitSweep,
+  calculateTspTraditionalVsRoth,
+  selectTspProjection,
+} from '../lib/calculations/tsp';
+import { calculateTspHistoricalBacktest } from '../lib/calculations/tspHistoricalReturns';
+import { hasLifecycleFunds, isLifecycleFund, L_FUNDS } from '../lib/calculations/lifecycleFunds';
+import { buildAllocationTimeline } from '../lib/calculations/allocationSchedule';
+import { getTspContributionLimits, SUPER_CATCH_UP_AGES } from '../lib/calculations/contributionLimits';
+import { todayIsoDate } from '../lib/calculations/dates';
+import { calculateAnnualFersContribution } from '../lib/calculations/fers';
+import AllocationSchedulePanel from './AllocationSchedulePanel';
 import TooltipWrapper from './TooltipWrapper';
 import NumberStepper from './NumberStepper';
 import { FEATURES, hasEntitlement } from '../lib/entitlements';
@@ -31,8 +42,25 @@ ChartJS.register(
   Filler
 );
 
+// Ages come from real dates when the scenario has them, so they can be fractional.
+const formatAgeLabel = (age) => (Number.isInteger(age) ? age : Number(age).toFixed(1));
+
+const CONTRIBUTION_TYPE_LABELS = Object.freeze({
+  traditional: 'Traditional',
+  roth: 'Roth',
+  split: 'Traditional + Roth',
+});
+
 function TSPForecast() {
   const { currentScenario, updateCurrentScenario } = useScenario();
+  // Dates live on the FERS side of the scenario; when set they override the age inputs below.
+  const scenarioBirthDate = currentScenario?.fers?.birthDate || '';
+  const scenarioRetirementDate = currentScenario?.fers?.retirementDate || '';
+  const allocationSchedule = currentScenario?.tsp?.allocationSchedule;
+  // The FERS contribution cohort also comes from the FERS page (hire date, or the cohort picked there).
+  const scenarioHireDate = currentScenario?.fers?.hireDate || '';
+  const scenarioContributionCohort = currentScenario?.fers?.contributionCohort || 'fers';
+  const scenarioRetirementCategory = currentScenario?.fers?.retirementCategory || 'regular';
   const { entitlements } = useAuth();
   const canEditFundAssumptions = hasEntitlement(entitlements, FEATURES.ADVANCED_ANALYTICS);
   
@@ -47,6 +75,7 @@ function TSPForecast() {
     currentAge: '35',
     retirementAge: '62',
     monthlyContributionPercent: '10',
+    rothContributionPercent: '0', // with a 'split' contribution type: the Roth part of the total
     annualSalary: '80000',
     annualSalaryGrowthRate: '3',
     includeEmployerMatch: true,
@@ -54,6 +83,7 @@ function TSPForecast() {
     annualEmployeeDeferralLimit: '23500',
     annualCatchUpLimit: '7500',
     catchUpAge: '50',
+    useIrsLimits: true,
     inflationRate: '2.5',
     valueMode: 'nominal', // 'nominal' | 'real'
     allocation: {
@@ -90,6 +120,7 @@ function TSPForecast() {
       currentAge: toNumber(inputs.currentAge),
       retirementAge: toNumber(inputs.retirementAge),
       monthlyContributionPercent: toNumber(inputs.monthlyContributionPercent),
+      rothContributionPercent: toNumber(inputs.rothContributionPercent),
       annualSalary: toNumber(inputs.annualSalary),
       annualSalaryGrowthRate: toNumber(inputs.annualSalaryGrowthRate),
       includeEmployerMatch: Boolean(inputs.includeEmployerMatch),
@@ -97,6 +128,7 @@ function TSPForecast() {
       annualEmployeeDeferralLimit: toNumber(inputs.annualEmployeeDeferralLimit),
       annualCatchUpLimit: toNumber(inputs.annualCatchUpLimit),
       catchUpAge: toNumber(inputs.catchUpAge),
+      useIrsLimits: Boolean(inputs.useIrsLimits),
       inflationRate: toNumber(inputs.inflationRate),
       valueMode: inputs.valueMode === 'real' ? 'real' : 'nominal',
       allocation: {
@@ -104,7 +136,12 @@ function TSPForecast() {
         F: toNumber(inputs.allocation.F),
         C: toNumber(inputs.allocation.C),
         S: toNumber(inputs.allocation.S),
-        I: toNumber(inputs.allocation.I)
+        I: toNumber(inputs.allocation.I),
+        ...Object.fromEntries(
+          Object.entries(inputs.allocation)
+            .filter(([fund]) => isLifecycleFund(fund))
+            .map(([fund, pct]) => [fund, toNumber(pct)])
+        )
       },
       fundReturns: {
         G: toNumber(inputs.fundReturns?.G),
@@ -135,6 +172,13 @@ function TSPForecast() {
       totalGrowth: 0,
       yearlyData: [],
       afterTaxValue: 0
+    },
+    split: {
+      projectedBalance: 0,
+      totalContributions: 0,
+      totalGrowth: 0,
+      yearlyData: [],
+      afterTaxValue: 0
     }
   });
   const [calcMeta, setCalcMeta] = useState({
@@ -142,6 +186,10 @@ function TSPForecast() {
     years: 0,
     limits: null,
   });
+  // Balance at retirement replayed over every historical start year (actual fund returns).
+  const [backtest, setBacktest] = useState(null);
+  // After-tax value across Traditional/Roth splits of the same deferral (split contributions only).
+  const [splitSweep, setSplitSweep] = useState(null);
 
   // Validation state
   const [validationErrors, setValidationErrors] = useState({});
@@ -171,6 +219,7 @@ function TSPForecast() {
       currentAge: String(tsp.currentAge ?? 35),
       retirementAge: String(tsp.retirementAge ?? 62),
       monthlyContributionPercent: String(tsp.monthlyContributionPercent ?? 10),
+      rothContributionPercent: String(tsp.rothContributionPercent ?? 0),
       annualSalary: String(tsp.annualSalary ?? 80000),
       annualSalaryGrowthRate: String(tsp.annualSalaryGrowthRate ?? 3),
       includeEmployerMatch: Boolean(tsp.includeEmployerMatch ?? true),
@@ -178,6 +227,7 @@ function TSPForecast() {
       annualEmployeeDeferralLimit: String(tsp.annualEmployeeDeferralLimit ?? 23500),
       annualCatchUpLimit: String(tsp.annualCatchUpLimit ?? 7500),
       catchUpAge: String(tsp.catchUpAge ?? 50),
+      useIrsLimits: Boolean(tsp.useIrsLimits),
       inflationRate: String(tsp.inflationRate ?? 2.5),
       valueMode: tsp.valueMode === 'real' ? 'real' : 'nominal',
       allocation: {
@@ -185,7 +235,12 @@ function TSPForecast() {
         F: String(tsp.allocation?.F ?? 20),
         C: String(tsp.allocation?.C ?? 40),
         S: String(tsp.allocation?.S ?? 20),
-        I: String(tsp.allocation?.I ?? 10)
+        I: String(tsp.allocation?.I ?? 10),
+        ...Object.fromEntries(
+          Object.entries(tsp.allocation ?? {})
+            .filter(([fund]) => isLifecycleFund(fund))
+            .map(([fund, pct]) => [fund, String(pct ?? 0)])
+        )
       },
       fundReturns: {
         G: String((tsp.fundReturns?.G ?? 2)),
@@ -267,6 +322,23 @@ function TSPForecast() {
     }, 1500);
   }, []);
 
+  // L Funds are optional rows in the allocation, keyed by fund id (e.g. L2050).
+  const addLifecycleFund = useCallback((fund) => {
+    if (!isLifecycleFund(fund)) return;
+    setInputs(prev => ({
+      ...prev,
+      allocation: { ...prev.allocation, [fund]: prev.allocation[fund] ?? '0' }
+    }));
+  }, []);
+
+  const removeLifecycleFund = useCallback((fund) => {
+    setInputs(prev => {
+      const allocation = { ...prev.allocation };
+      delete allocation[fund];
+      return { ...prev, allocation };
+    });
+  }, []);
+
   const stepField = useCallback((field, { step = 1, min = -Infinity, max = Infinity, integer = true } = {}) => {
     const numeric = parseNumericInputs(inputs);
     const current = Number(numeric?.[field] ?? 0);
@@ -316,6 +388,13 @@ function TSPForecast() {
     }));
   }, []);
 
+  const handleToggleIrsLimits = useCallback(() => {
+    setInputs(prev => ({
+      ...prev,
+      useIrsLimits: !prev.useIrsLimits
+    }));
+  }, []);
+
   const handleToggleAutomatic1Percent = useCallback(() => {
     setInputs(prev => ({
       ...prev,
@@ -345,6 +424,10 @@ function TSPForecast() {
     typingTimeoutRef.current = setTimeout(() => setIsUserTyping(false), 1500);
   }, []);
 
+  const handleAllocationScheduleChange = useCallback((next) => {
+    updateCurrentScenario({ tsp: { allocationSchedule: next } });
+  }, [updateCurrentScenario]);
+
   // Auto-adjust allocation to 100% helper
   const autoAdjustAllocation = useCallback(() => {
     const numericInputs = parseNumericInputs(inputs);
@@ -409,6 +492,16 @@ function TSPForecast() {
     return Object.keys(errors).length === 0;
   }, [inputs]);
 
+  const fersContribution = useMemo(
+    () => calculateAnnualFersContribution({
+      annualSalary: parseFloat(String(inputs.annualSalary ?? '').replace(/,/g, '')) || 0,
+      contributionCohort: scenarioContributionCohort,
+      hireDate: scenarioHireDate,
+      retirementCategory: scenarioRetirementCategory,
+    }),
+    [inputs.annualSalary, scenarioContributionCohort, scenarioHireDate, scenarioRetirementCategory]
+  );
+
   // Calculate projections
   const calculateProjections = useCallback(() => {
     if (!validateInputs()) return;
@@ -424,13 +517,15 @@ function TSPForecast() {
         }
       : undefined;
 
-    const res = calculateTspTraditionalVsRoth({
+    const projectionParams = {
       currentBalance: numericInputs.currentBalance,
       annualSalary: numericInputs.annualSalary,
       monthlyContributionPercent: numericInputs.monthlyContributionPercent,
+      rothContributionPercent: numericInputs.rothContributionPercent,
       currentAge: numericInputs.currentAge,
       retirementAge: numericInputs.retirementAge,
       allocation: numericInputs.allocation,
+      allocationSchedule,
       currentTaxRate: numericInputs.currentTaxRate,
       retirementTaxRate: numericInputs.retirementTaxRate,
       fundReturns,
@@ -441,11 +536,18 @@ function TSPForecast() {
       annualEmployeeDeferralLimit: numericInputs.annualEmployeeDeferralLimit,
       annualCatchUpLimit: numericInputs.annualCatchUpLimit,
       catchUpAge: numericInputs.catchUpAge,
-    });
+      useIrsLimits: numericInputs.useIrsLimits,
+      birthDate: scenarioBirthDate,
+      retirementDate: scenarioRetirementDate,
+      fersContributionRate: fersContribution.contributionRate,
+    };
+    const res = calculateTspTraditionalVsRoth(projectionParams);
 
-    setResults({ traditional: res.traditional, roth: res.roth });
+    setResults({ traditional: res.traditional, roth: res.roth, split: res.split });
     setCalcMeta({ weightedReturn: res.weightedReturn ?? 0, years: res.years ?? 0, limits: res.limits ?? null });
-  }, [inputs, validateInputs, canEditFundAssumptions]);
+    setBacktest(calculateTspHistoricalBacktest({ ...projectionParams, contributionType: numericInputs.contributionType }));
+    setSplitSweep(numericInputs.contributionType === 'split' ? calculateTspContributionSplitSweep(projectionParams) : null);
+  }, [inputs, validateInputs, canEditFundAssumptions, scenarioBirthDate, scenarioRetirementDate, allocationSchedule, fersContribution.contributionRate]);
 
   // Calculate on input changes (debounced)
   useEffect(() => {
@@ -467,7 +569,7 @@ function TSPForecast() {
   const traditionalChartData = useMemo(() => {
     const data = results.traditional;
     return {
-      labels: data.yearlyData.map(d => d.year),
+      labels: data.yearlyData.map(d => formatAgeLabel(d.year)),
       datasets: [
         {
           label: 'Traditional TSP Balance',
@@ -493,7 +595,7 @@ function TSPForecast() {
   const rothChartData = useMemo(() => {
     const data = results.roth;
     return {
-      labels: data.yearlyData.map(d => d.year),
+      labels: data.yearlyData.map(d => formatAgeLabel(d.year)),
       datasets: [
         {
           label: 'Roth TSP Balance',
@@ -516,6 +618,55 @@ function TSPForecast() {
     };
   }, [results.roth, useRealMode]);
 
+  const splitChartData = useMemo(() => {
+    const data = results.split;
+    const toReal = (d, nominal) => (useRealMode && d.balance > 0 ? nominal * ((d.balanceReal ?? d.balance) / d.balance) : nominal);
+    return {
+      labels: data.yearlyData.map(d => formatAgeLabel(d.year)),
+      datasets: [
+        {
+          label: 'Traditional Balance',
+          data: data.yearlyData.map(d => toReal(d, d.traditionalBalance ?? 0)),
+          borderColor: '#2e4a96',
+          backgroundColor: 'rgba(46, 74, 150, 0.1)',
+          fill: true,
+          tension: 0.1
+        },
+        {
+          label: 'Roth Balance',
+          data: data.yearlyData.map(d => toReal(d, d.rothBalance ?? 0)),
+          borderColor: '#d88635',
+          backgroundColor: 'rgba(216, 134, 53, 0.1)',
+          fill: true,
+          tension: 0.1
+        },
+        {
+          label: 'After-Tax Value',
+          data: data.yearlyData.map(d => useRealMode ? (d.afterTaxValueReal ?? d.afterTaxValue) : d.afterTaxValue),
+          borderColor: '#1a2b55',
+          backgroundColor: 'transparent',
+          borderDash: [5, 5],
+          fill: false,
+          tension: 0.1
+        }
+      ]
+    };
+  }, [results.split, useRealMode]);
+
+  const splitSweepChartData = useMemo(() => ({
+    labels: (splitSweep?.points ?? []).map(p => `${Math.round(p.rothPercent * 10) / 10}% Roth`),
+    datasets: [
+      {
+        label: 'After-Tax Value at Retirement',
+        data: (splitSweep?.points ?? []).map(p => p.afterTaxValue),
+        borderColor: '#b56d2b',
+        backgroundColor: 'rgba(181, 109, 43, 0.1)',
+        fill: true,
+        tension: 0.1
+      }
+    ]
+  }), [splitSweep]);
+
   const chartOptions = useMemo(() => ({
     responsive: true,
     maintainAspectRatio: false,
@@ -537,7 +688,10 @@ function TSPForecast() {
 
   const primaryChartData = inputs.showComparison
     ? traditionalChartData
-    : (inputs.contributionType === 'roth' ? rothChartData : traditionalChartData);
+    : selectTspProjection(
+        { traditional: traditionalChartData, roth: rothChartData, split: splitChartData },
+        inputs.contributionType
+      );
 
   // Get recommendation for Traditional vs Roth
   const getRecommendation = () => {
@@ -598,6 +752,17 @@ function TSPForecast() {
   // Parse numeric inputs for rendering
   const numericInputs = parseNumericInputs(inputs);
 
+  // Yearly fund mix through age 95, the Monte Carlo horizon, for the allocation chart.
+  const allocationTimeline = useMemo(() => {
+    const numeric = parseNumericInputs(inputs);
+    return buildAllocationTimeline({
+      allocation: numeric.allocation,
+      schedule: allocationSchedule,
+      currentAge: numeric.currentAge,
+      endAge: 95,
+    });
+  }, [inputs, allocationSchedule]);
+
   const formatDollars = (amount) =>
     new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -611,6 +776,12 @@ function TSPForecast() {
   const employeeLimitThisYear = calcMeta?.limits?.annualEmployeeDeferralLimit ?? 0;
   const effectiveAnnualEmployeeContribution = calcMeta?.limits?.effectiveAnnualEmployeeContribution ?? desiredAnnualEmployeeContribution;
   const isOverLimit = Boolean(calcMeta?.limits?.isOverLimit);
+  const selectedProjection = selectTspProjection(results, inputs.contributionType);
+  const irsLimitsThisYear = getTspContributionLimits(Number(todayIsoDate().slice(0, 4)));
+  const splitRothPercent = Math.min(numericInputs.rothContributionPercent, numericInputs.monthlyContributionPercent);
+  const contributionTypeLabel = CONTRIBUTION_TYPE_LABELS[inputs.contributionType] ?? CONTRIBUTION_TYPE_LABELS.traditional;
+  const paycheck = selectedProjection.paycheck;
+  const firstPaycheck = paycheck?.firstYear;
 
   return (
     <div className="animate-fade-in">
@@ -720,6 +891,11 @@ function TSPForecast() {
                   {validationErrors.retirementAge && (
                     <p className="text-red-500 text-xs mt-1">{validationErrors.retirementAge}</p>
                   )}
+                  {(scenarioBirthDate || scenarioRetirementDate) && (
+                    <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                      Using the {[scenarioBirthDate && 'birth date', scenarioRetirementDate && 'target retirement date'].filter(Boolean).join(' and ')} from the FERS page.
+                    </p>
+                  )}
                 </div>
               </TooltipWrapper>
               
@@ -778,6 +954,16 @@ function TSPForecast() {
                 >
                   Roth
                 </button>
+                <button
+                  onClick={() => handleContributionTypeChange('split')}
+                  className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                    inputs.contributionType === 'split'
+                      ? 'bg-navy-600 text-white'
+                      : 'bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-300 hover:bg-slate-300 dark:hover:bg-slate-600'
+                  }`}
+                >
+                  Split
+                </button>
               </div>
               
               <div className="flex items-center space-x-3">
@@ -833,6 +1019,37 @@ function TSPForecast() {
               </div>
             </TooltipWrapper>
 
+            {inputs.contributionType === 'split' && (
+              <TooltipWrapper text="How your total deferral is divided. Both buckets count toward the same annual limit, and the agency match is based on the total.">
+                <div className="mb-4">
+                  <label className="label" htmlFor="rothContributionPercent">
+                    Split: {Math.max(0, numericInputs.monthlyContributionPercent - splitRothPercent)}% Traditional, {splitRothPercent}% Roth
+                  </label>
+                  <input
+                    id="rothContributionPercent"
+                    type="range"
+                    min="0"
+                    max={numericInputs.monthlyContributionPercent}
+                    step="0.5"
+                    value={splitRothPercent}
+                    onChange={(e) => handleInputChange('rothContributionPercent', e.target.value)}
+                    className="w-full"
+                  />
+                  {splitSweep && splitSweep.points.length > 1 && (
+                    <>
+                      <div className="h-48 mt-3">
+                        <Line data={splitSweepChartData} options={chartOptions} />
+                      </div>
+                      <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">
+                        After-tax value at retirement for each split of your {splitSweep.totalPercent}% deferral. The highest
+                        is {formatDollars(splitSweep.best.afterTaxValue)} with {Math.round(splitSweep.best.rothPercent * 10) / 10}% Roth.
+                      </p>
+                    </>
+                  )}
+                </div>
+              </TooltipWrapper>
+            )}
+
             <div className="mt-4 space-y-3">
               <div className="flex items-center space-x-3">
                 <input
@@ -1004,12 +1221,44 @@ function TSPForecast() {
               </div>
               <p className="text-xs text-slate-500 dark:text-slate-400 mt-2">
                 Weighted portfolio return (based on your allocation): {(Number(calcMeta.weightedReturn ?? 0) * 100).toFixed(2)}% annual
+                {hasLifecycleFunds(numericInputs.allocation) && ' today; your L Funds grow more conservative each quarter'}
               </p>
             </div>
           </div>
 
           <div className="card p-6">
             <h3 className="text-xl font-semibold navy-text mb-6">Contribution Limits</h3>
+            <div className="flex items-center space-x-3 mb-4">
+              <input
+                type="checkbox"
+                id="useIrsLimits"
+                checked={Boolean(inputs.useIrsLimits)}
+                onChange={handleToggleIrsLimits}
+                className="w-4 h-4 text-navy-600"
+              />
+              <label htmlFor="useIrsLimits" className="text-sm font-medium text-slate-700 dark:text-slate-300">
+                Use the IRS limits for each year (SECURE 2.0 catch-ups included)
+              </label>
+            </div>
+            {inputs.useIrsLimits ? (
+              <div className="text-sm text-slate-600 dark:text-slate-400 space-y-1">
+                <p>
+                  {irsLimitsThisYear.year}: {formatDollars(irsLimitsThisYear.electiveDeferralLimit)} deferral limit, plus
+                  {' '}{formatDollars(irsLimitsThisYear.catchUpLimit)} catch-up from age 50
+                  {irsLimitsThisYear.superCatchUpLimit != null && (
+                    <> ({formatDollars(irsLimitsThisYear.superCatchUpLimit)} at ages {SUPER_CATCH_UP_AGES.min}–{SUPER_CATCH_UP_AGES.max})</>
+                  )}.
+                  Later years are indexed for inflation.
+                </p>
+                {calcMeta?.limits?.catchUpMustBeRoth && (
+                  <p className="text-amber-700 dark:text-amber-300">
+                    Your wages are above {formatDollars(irsLimitsThisYear.rothCatchUpWageThreshold)}, so catch-up contributions
+                    must be Roth. The projection puts them in your Roth balance.
+                  </p>
+                )}
+              </div>
+            ) : (
+            <>
             <div className="grid grid-cols-2 gap-6">
               <TooltipWrapper text="Annual employee elective deferral limit (editable; limits change over time)">
                 <div>
@@ -1093,6 +1342,11 @@ function TSPForecast() {
                   )}
                 </div>
               </TooltipWrapper>
+            </div>
+            </>
+            )}
+
+            <div>
 
               {isOverLimit && (
                 <div className="mt-4 p-3 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20">
@@ -1122,7 +1376,9 @@ function TSPForecast() {
             <div className="space-y-4">
               {Object.entries(numericInputs.allocation).map(([fund, percentage]) => (
                 <div key={fund} className="flex items-center space-x-4">
-                  <div className="w-20 text-sm text-slate-600 dark:text-slate-400 font-medium">{fund} Fund</div>
+                  <div className="w-20 text-sm text-slate-600 dark:text-slate-400 font-medium">
+                    {isLifecycleFund(fund) ? L_FUNDS[fund].label : `${fund} Fund`}
+                  </div>
                   <div className="flex items-stretch gap-2 flex-1">
                     <input
                       type="text"
@@ -1142,11 +1398,40 @@ function TSPForecast() {
                   </div>
                   <div className="w-12 text-sm text-slate-500 dark:text-slate-400">%</div>
                   <div className="w-12 text-xs text-slate-400 dark:text-slate-500">
-                    {(fund === 'G' ? 2 : fund === 'F' ? 3 : fund === 'C' ? 7 : fund === 'S' ? 8 : 6)}%
+                    {isLifecycleFund(fund) ? (
+                      <button
+                        type="button"
+                        onClick={() => removeLifecycleFund(fund)}
+                        className="text-slate-500 hover:text-red-500"
+                        aria-label={`Remove ${L_FUNDS[fund].label}`}
+                      >
+                        Remove
+                      </button>
+                    ) : (
+                      `${fund === 'G' ? 2 : fund === 'F' ? 3 : fund === 'C' ? 7 : fund === 'S' ? 8 : 6}%`
+                    )}
                   </div>
                 </div>
               ))}
             </div>
+            <TooltipWrapper text="An L Fund holds the G, F, C, S and I Funds and shifts toward the G Fund each quarter as its target year nears. Projections follow that glide path instead of a fixed mix.">
+              <div className="mt-4">
+                <label className="label" htmlFor="addLifecycleFund">Add an L Fund</label>
+                <select
+                  id="addLifecycleFund"
+                  value=""
+                  onChange={(e) => addLifecycleFund(e.target.value)}
+                  className="input-field w-full"
+                >
+                  <option value="">Choose a fund…</option>
+                  {Object.values(L_FUNDS)
+                    .filter((lFund) => !(lFund.id in inputs.allocation))
+                    .map((lFund) => (
+                      <option key={lFund.id} value={lFund.id}>{lFund.label}</option>
+                    ))}
+                </select>
+              </div>
+            </TooltipWrapper>
             <div className="mt-4 flex justify-between items-center">
               <span className={`text-sm font-medium ${
                 Math.abs(Object.values(numericInputs.allocation).reduce((sum, val) => sum + val, 0) - 100) < 0.01 
@@ -1165,6 +1450,13 @@ function TSPForecast() {
               <p className="text-red-500 text-xs mt-2">{validationErrors.allocation}</p>
             )}
           </div>
+
+          <AllocationSchedulePanel
+            key={`allocationSchedule_${currentScenario?.id ?? 'none'}`}
+            value={allocationSchedule}
+            timeline={allocationTimeline}
+            onChange={handleAllocationScheduleChange}
+          />
         </div>
 
         {/* Results Section */}
@@ -1172,24 +1464,29 @@ function TSPForecast() {
           {!inputs.showComparison ? (
             <div className="card p-6">
               <h3 className="text-xl font-semibold navy-text mb-6">
-                {inputs.contributionType === 'traditional' ? 'Traditional' : 'Roth'} TSP Projection
+                {contributionTypeLabel} TSP Projection
               </h3>
               <div className="grid grid-cols-2 gap-6">
                 <div className="text-center">
                   <div className="text-3xl font-bold navy-text mb-2">
-                    {formatDollars(inputs.contributionType === 'traditional' ? results.traditional.projectedBalance : results.roth.projectedBalance)}
+                    {formatDollars(selectedProjection.projectedBalance)}
                   </div>
                   <div className="text-sm text-slate-500 dark:text-slate-400">Projected Balance</div>
+                  {inputs.contributionType === 'split' && (
+                    <div className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                      {formatDollars(selectedProjection.traditionalBalance)} Traditional, {formatDollars(selectedProjection.rothBalance)} Roth
+                    </div>
+                  )}
                 </div>
                 <div className="text-center">
                   <div className="text-3xl font-bold gold-accent mb-2">
-                    {formatDollars(inputs.contributionType === 'traditional' ? results.traditional.afterTaxValue : results.roth.afterTaxValue)}
+                    {formatDollars(selectedProjection.afterTaxValue)}
                   </div>
                   <div className="text-sm text-slate-500 dark:text-slate-400">After-Tax Value</div>
                 </div>
                 <div className="text-center">
                   <div className="text-3xl font-bold text-slate-600 dark:text-slate-400 mb-2">
-                    ${(inputs.contributionType === 'traditional' ? results.traditional.totalContributions : results.roth.totalContributions).toLocaleString()}
+                    ${(selectedProjection.totalContributions ?? 0).toLocaleString()}
                   </div>
                   <div className="text-sm text-slate-500 dark:text-slate-400">Total Contributions</div>
                 </div>
@@ -1244,6 +1541,41 @@ function TSPForecast() {
             </div>
           )}
 
+          {backtest?.runs.length > 0 && (
+            <div className="card p-6">
+              <h3 className="text-xl font-semibold navy-text mb-2">Historical Backtest</h3>
+              <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                Your {CONTRIBUTION_TYPE_LABELS[backtest.contributionType]} projection replayed with your allocation's
+                {' '}historical TSP returns, once for each start year from {backtest.runs[0].startYear} to
+                {' '}{backtest.runs[backtest.runs.length - 1].startYear}
+                {backtest.isSynthetic ? '' : ` whose years to retirement fall within ${backtest.firstYear}–${backtest.lastYear}`}.
+              </p>
+              <div className="grid grid-cols-3 gap-4 text-center">
+                {[
+                  ['Worst', backtest.worst],
+                  ['Median', backtest.median],
+                  ['Best', backtest.best],
+                ].map(([label, run]) => (
+                  <div key={label} className="p-3 rounded-lg bg-slate-50 dark:bg-slate-800/50 border border-slate-200 dark:border-slate-700">
+                    <div className="text-xs text-slate-500 dark:text-slate-400">
+                      {label} (starting {run.startYear}{backtest.isSynthetic ? ', synthetic' : ''})
+                    </div>
+                    <div className="font-semibold text-slate-700 dark:text-slate-200">{formatDollars(run.projectedBalance)}</div>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-3 text-xs text-slate-500 dark:text-slate-400">
+                Compare with {formatDollars(selectedProjection.projectedBalance)} at
+                {' '}your assumed {(calcMeta.weightedReturn * 100).toFixed(1)}% return.
+                {backtest.isSynthetic && ` Synthetic: your ${Math.round(calcMeta.years)} years to retirement are longer than the ${backtest.historyYears} years of history, so after ${backtest.lastYear} returns loop back to ${backtest.firstYear}, a sequence that never happened.`}
+                {backtest.monthlyYears > 0
+                  ? ` ${backtest.monthlyYears} of the ${backtest.historyYears} years are replayed month by month; the others are spread evenly over their months.`
+                  : " Each year's return is spread evenly over its months, so swings within a year are not replayed."}
+                {' '}See Advanced Analytics on the Summary page to backtest withdrawals too.
+              </div>
+            </div>
+          )}
+
           {/* Chart */}
           <div className="card p-6">
             <h3 className="text-xl font-semibold navy-text mb-6">Growth Projection</h3>
@@ -1267,6 +1599,66 @@ function TSPForecast() {
             </div>
           </div>
 
+          {firstPaycheck && (
+            <div className="card p-6">
+              <h3 className="text-xl font-semibold navy-text mb-2">Net Paycheck</h3>
+              <p className="text-sm text-slate-600 dark:text-slate-400 mb-4">
+                {fersContribution.contributionCohort.label}: {(fersContribution.contributionRate * 100).toFixed(1)}% of salary
+                ({formatDollars(fersContribution.annualContribution)} this year) goes to your FERS annuity
+                {fersContribution.isDerivedFromHireDate ? ', based on your hire date' : ''}.{' '}
+                <Link to="/fers-pension" className="text-navy-600 dark:text-navy-400 hover:underline">Change on the FERS page</Link>
+              </p>
+              <div className="space-y-2 text-sm">
+                {[
+                  ['Gross pay', firstPaycheck.grossPay],
+                  ['FERS retirement', -firstPaycheck.fersContribution],
+                  [`TSP (${contributionTypeLabel})`, -firstPaycheck.tspContribution],
+                  ['Social Security & Medicare', -(firstPaycheck.socialSecurityTax + firstPaycheck.medicareTax)],
+                  [`Federal income tax (${numericInputs.currentTaxRate}%)`, -firstPaycheck.federalIncomeTax],
+                ].map(([label, amount]) => (
+                  <div key={label} className="flex justify-between">
+                    <span className="text-slate-600 dark:text-slate-400">{label}</span>
+                    <span className="font-medium">{formatDollars(amount / firstPaycheck.payPeriods)}</span>
+                  </div>
+                ))}
+                <div className="flex justify-between border-t border-slate-200 dark:border-slate-700 pt-2">
+                  <span className="font-semibold">Take-home per paycheck</span>
+                  <span className="font-semibold navy-text">{formatDollars(firstPaycheck.netPerPaycheck)}</span>
+                </div>
+              </div>
+              {paycheck.rows.length > 1 && (
+                <div className="mt-4 max-h-64 overflow-y-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-slate-500 dark:text-slate-400">
+                        <th className="py-1">Age</th>
+                        <th className="py-1 text-right">Gross</th>
+                        <th className="py-1 text-right">FERS</th>
+                        <th className="py-1 text-right">TSP</th>
+                        <th className="py-1 text-right">Take-home / paycheck</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {paycheck.rows.map((row) => (
+                        <tr key={row.age} className="border-t border-slate-100 dark:border-slate-800">
+                          <td className="py-1">{formatAgeLabel(row.age)}</td>
+                          <td className="py-1 text-right">{formatDollars(row.grossPay)}</td>
+                          <td className="py-1 text-right">{formatDollars(row.fersContribution)}</td>
+                          <td className="py-1 text-right">{formatDollars(row.tspContribution)}</td>
+                          <td className="py-1 text-right">{formatDollars(row.netPerPaycheck)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <p className="text-xs text-slate-500 dark:text-slate-400 mt-3">
+                {paycheck.payPeriodsPerYear} biweekly paychecks a year. Income tax uses your current tax rate as a flat
+                rate; state tax, FEHB and other deductions are not included.
+              </p>
+            </div>
+          )}
+
           {/* Comparison Chart for Roth */}
           {inputs.showComparison && (
             <div className="card p-6">
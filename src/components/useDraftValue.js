@@ -0,0 +1,31 @@
+import { useState } from 'react';
+
+/**
+ * Form state for the scenario editor panels. Inputs edit a draft of raw strings so partial numbers like
+ * "4." survive typing; every edit is parsed with `fromDraft` and reported through `onChange`. The draft is
+ * built from `value` once, so the parent remounts the panel with a `key` when the active scenario changes.
+ *
+ * List helpers address items by their `id`.
+ */
+export function useDraftValue(value, { toDraft, fromDraft, onChange }) {
+  const [draft, setDraft] = useState(() => toDraft(value));
+
+  const commit = (next) => {
+    setDraft(next);
+    onChange?.(fromDraft(next));
+  };
+
+  const update = (field, fieldValue) => commit({ ...draft, [field]: fieldValue });
+
+  const updateItem = (listKey, id, field, fieldValue) =>
+    commit({
+      ...draft,
+      [listKey]: draft[listKey].map((item) => (item.id === id ? { ...item, [field]: fieldValue } : item)),
+    });
+
+  const addItem = (listKey, item) => commit({ ...draft, [listKey]: [...draft[listKey], item] });
+
+  const removeItem = (listKey, id) => commit({ ...draft, [listKey]: draft[listKey].filter((item) => item.id !== id) });
+
+  return { draft, commit, update, updateItem, addItem, removeItem };
+}
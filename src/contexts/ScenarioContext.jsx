@@ -3,10 +3,18 @@ import { supabase, isSupabaseAvailable } from '../supabaseClient';
 import { useAuth } from './AuthContext';
 import { DEFAULT_FREE_SCENARIO_LIMIT } from '../lib/entitlements';
 import { trackEvent } from '../lib/telemetry';
+import { createDefaultMilitaryService } from '../lib/calculations/militaryDeposit';
+import { createDefaultPartTimeService } from '../lib/calculations/partTimeService';
+import { createDefaultSalaryHistory } from '../lib/calculations/high3';
+import { createDefaultBenefits } from '../lib/calculations/benefits';
+import { createDefaultCourtOrder } from '../lib/calculations/courtOrder';
+import { createDefaultRetirementDateOptimizer } from '../lib/calculations/retirementDate';
+import { createDefaultEarlyOut } from '../lib/calculations/fers';
+import { createDefaultAllocationSchedule } from '../lib/calculations/allocationSchedule';
 
 const ScenarioContext = createContext();
 
-const SCENARIO_SCHEMA_VERSION = 2;
+const SCENARIO_SCHEMA_VERSION = 4;
 
 const SCENARIO_TEMPLATES = Object.freeze([
   {
@@ -60,6 +68,34 @@ const getValueByPath = (obj, path) => {
   return path.split('.').reduce((acc, key) => (acc ? acc[key] : undefined), obj);
 };
 
+// Projects set up before benefits_data existed lack the column until supabase-migrations.sql is run.
+// PostgREST reports it as PGRST204 (unknown column in the schema cache), Postgres as 42703.
+const isMissingBenefitsColumnError = (error) =>
+  (error?.code === 'PGRST204' || error?.code === '42703') && String(error?.message ?? '').includes('benefits_data');
+
+const toScenarioRow = (scenario) => {
+  const row = {
+    scenario_name: scenario.name,
+    tsp_data: scenario.tsp,
+    fers_data: scenario.fers,
+    fire_goal: scenario.fire,
+    summary_data: scenario.summary,
+  };
+  if (scenario.benefits) row.benefits_data = scenario.benefits;
+  return row;
+};
+
+// Runs a scenario insert or update, retrying without benefits_data when the column is missing so saves
+// keep working (without benefits) on projects that have not run the migration yet.
+const writeScenarioRow = async (write, row) => {
+  const result = await write(row);
+  if (!result.error || !('benefits_data' in row) || !isMissingBenefitsColumnError(result.error)) return result;
+  console.warn('scenarios.benefits_data is missing; run supabase-migrations.sql. Saving without benefits.');
+  const legacyRow = { ...row };
+  delete legacyRow.benefits_data;
+  return write(legacyRow);
+};
+
 const DIFF_FIELDS = Object.freeze([
   { path: 'tsp.currentAge', label: 'TSP: current age' },
   { path: 'tsp.retirementAge', label: 'TSP: retirement age' },
@@ -67,10 +103,63 @@ const DIFF_FIELDS = Object.freeze([
   { path: 'tsp.monthlyContributionPercent', label: 'TSP: contribution %' },
   { path: 'tsp.annualSalary', label: 'TSP: salary' },
   { path: 'tsp.valueMode', label: 'TSP: real vs nominal' },
+  { path: 'tsp.contributionType', label: 'TSP: contribution type' },
+  { path: 'tsp.rothContributionPercent', label: 'TSP: Roth contribution %' },
+  { path: 'tsp.useIrsLimits', label: 'TSP: IRS contribution limits by year' },
+  { path: 'tsp.allocationSchedule.type', label: 'TSP: allocation schedule' },
+  { path: 'tsp.allocationSchedule.startAge', label: 'TSP: allocation shift start age' },
+  { path: 'tsp.allocationSchedule.percentPerYear', label: 'TSP: allocation shift per year (%)' },
+  { path: 'tsp.allocationSchedule.toFund', label: 'TSP: allocation shift into fund' },
   { path: 'fers.currentAge', label: 'FERS: current age' },
+  { path: 'fers.birthDate', label: 'FERS: date of birth' },
+  { path: 'fers.serviceComputationDate', label: 'FERS: service computation date' },
+  { path: 'fers.retirementDate', label: 'FERS: target retirement date' },
   { path: 'fers.retirementAge', label: 'FERS: planned retirement age' },
   { path: 'fers.yearsOfService', label: 'FERS: years of service' },
   { path: 'fers.high3Salary', label: 'FERS: high-3' },
+  { path: 'fers.sickLeaveHours', label: 'FERS: unused sick leave (hours)' },
+  { path: 'fers.socialSecurityAt62Monthly', label: 'FERS: Social Security estimate at 62' },
+  { path: 'fers.postRetirementEarnings', label: 'FERS: post-retirement earnings' },
+  { path: 'fers.annuityCommencementAge', label: 'FERS: MRA+10 annuity start age' },
+  { path: 'fers.separationAge', label: 'FERS: separation age (leave early)' },
+  { path: 'fers.deferredCommencementAge', label: 'FERS: deferred annuity start age' },
+  { path: 'fers.survivorElection', label: 'FERS: survivor election' },
+  { path: 'fers.retirementType', label: 'FERS: retirement type' },
+  { path: 'fers.disabilityAge', label: 'FERS: disability age' },
+  { path: 'fers.ssDisabilityMonthly', label: 'FERS: Social Security disability (monthly)' },
+  { path: 'fers.earlyOut.type', label: 'FERS: early-out offer' },
+  { path: 'fers.earlyOut.age', label: 'FERS: early-out age' },
+  { path: 'fers.earlyOut.vsipAmount', label: 'FERS: VSIP amount' },
+  { path: 'fers.earlyOut.vsipDestination', label: 'FERS: VSIP destination' },
+  { path: 'fers.spouseAge', label: 'FERS: spouse age' },
+  { path: 'fers.contributionCohort', label: 'FERS: contribution cohort' },
+  { path: 'fers.hireDate', label: 'FERS: hire date' },
+  { path: 'fers.accumulatedContributions', label: 'FERS: retirement contributions paid' },
+  { path: 'fers.retirementCategory', label: 'FERS: retirement category' },
+  { path: 'fers.retirementSystem', label: 'FERS: retirement system' },
+  { path: 'fers.csrsServiceYears', label: 'FERS: CSRS years' },
+  { path: 'fers.militaryService.enabled', label: 'FERS: military buyback included' },
+  { path: 'fers.militaryService.periods', label: 'FERS: military service periods' },
+  { path: 'fers.partTimeService.enabled', label: 'FERS: part-time proration included' },
+  { path: 'fers.partTimeService.periods', label: 'FERS: part-time service periods' },
+  { path: 'fers.courtOrder.type', label: 'FERS: court order award' },
+  { path: 'fers.courtOrder.awardPercent', label: 'FERS: court order percentage' },
+  { path: 'fers.courtOrder.marriedServiceYears', label: 'FERS: service during marriage' },
+  { path: 'fers.courtOrder.fixedMonthly', label: 'FERS: court order fixed amount' },
+  { path: 'fers.courtOrder.survivorAward', label: 'FERS: former spouse survivor annuity' },
+  { path: 'fers.retirementDateOptimizer.annualLeaveHours', label: 'FERS: annual leave balance' },
+  { path: 'fers.retirementDateOptimizer.leaveCategory', label: 'FERS: leave category' },
+  { path: 'fers.retirementDateOptimizer.finalSalary', label: 'FERS: final salary' },
+  { path: 'fers.retirementDateOptimizer.rangeStart', label: 'FERS: retirement date search start' },
+  { path: 'fers.retirementDateOptimizer.rangeEnd', label: 'FERS: retirement date search end' },
+  { path: 'fers.salaryHistory.enabled', label: 'FERS: High-3 from salary history' },
+  { path: 'fers.salaryHistory.entries', label: 'FERS: salary history' },
+  { path: 'benefits.fehb.enrolled', label: 'Benefits: FEHB in retirement' },
+  { path: 'benefits.fehb.enrollmentType', label: 'Benefits: FEHB enrollment type' },
+  { path: 'benefits.fehb.monthlyPremium', label: 'Benefits: FEHB premium (monthly)' },
+  { path: 'benefits.fehb.premiumGrowthRate', label: 'Benefits: FEHB premium growth' },
+  { path: 'benefits.fegli.enrolled', label: 'Benefits: FEGLI in retirement' },
+  { path: 'benefits.fegli.basicReduction', label: 'Benefits: FEGLI Basic reduction' },
   { path: 'fire.desiredFireAge', label: 'FIRE: desired FIRE age' },
   { path: 'fire.monthlyFireIncomeGoal', label: 'FIRE: income goal (monthly)' },
   { path: 'summary.monthlyExpenses', label: 'Summary: monthly expenses' },
@@ -113,6 +202,9 @@ export const ScenarioProvider = ({ children }) => {
       annualEmployeeDeferralLimit: 23500,
       annualCatchUpLimit: 7500,
       catchUpAge: 50,
+      // Year-indexed IRS limits (SECURE 2.0 catch-ups included); false uses the three fixed limits above.
+      // New scenarios use them; the v3 -> v4 migration keeps older scenarios on their fixed limits.
+      useIrsLimits: true,
       inflationRate: 2.5,
       valueMode: 'nominal', // 'nominal' | 'real'
       allocation: {
@@ -122,6 +214,7 @@ export const ScenarioProvider = ({ children }) => {
         S: 20,
         I: 10
       },
+      allocationSchedule: createDefaultAllocationSchedule(),
       fundReturns: {
         G: 2,
         F: 3,
@@ -129,7 +222,8 @@ export const ScenarioProvider = ({ children }) => {
         S: 8,
         I: 6,
       },
-      contributionType: 'traditional', // 'traditional' or 'roth'
+      contributionType: 'traditional', // 'traditional', 'roth' or 'split'
+      rothContributionPercent: 0, // with 'split': the Roth part of monthlyContributionPercent
       currentTaxRate: 22,
       retirementTaxRate: 15,
       showComparison: false,
@@ -139,8 +233,37 @@ export const ScenarioProvider = ({ children }) => {
       monthsOfService: 0,
       high3Salary: 85000,
       retirementAge: 62,
-      currentAge: 42
+      currentAge: 42,
+      birthDate: '', // 'YYYY-MM-DD'; drives the MRA lookup (blank => DEFAULT_MRA)
+      // Optional real dates; when set they replace the whole-number age/service inputs.
+      serviceComputationDate: '',
+      retirementDate: '',
+      sickLeaveHours: 0,
+      socialSecurityAt62Monthly: 0,
+      postRetirementEarnings: 0,
+      annuityCommencementAge: 0,
+      separationAge: 0,
+      deferredCommencementAge: 0,
+      survivorElection: 'none',
+      retirementType: 'voluntary', // 'voluntary' | 'disability' ("what if I can't keep working" variant)
+      disabilityAge: 0, // 0 => now
+      ssDisabilityMonthly: 0,
+      earlyOut: createDefaultEarlyOut(), // VERA/DSR offer compared with the plan
+      spouseAge: 0,
+      contributionCohort: 'fers',
+      hireDate: '', // first FERS-covered hire; when set it decides the contribution cohort
+      accumulatedContributions: 0, // 0 => estimated from High-3 and service
+      retirementCategory: 'regular',
+      retirementSystem: 'fers', // 'fers' | 'fers_transferee' | 'csrs_offset' | 'csrs'
+      csrsServiceYears: 0, // transferee: CSRS years at transfer; CSRS Offset: CSRS years before 1984
+      militaryService: createDefaultMilitaryService(),
+      partTimeService: createDefaultPartTimeService(),
+      courtOrder: createDefaultCourtOrder(), // former spouse apportionment and survivor award
+      retirementDateOptimizer: createDefaultRetirementDateOptimizer(), // leave balance and candidate date range
+      salaryHistory: createDefaultSalaryHistory(),
     },
+    // FEHB/FEGLI coverage carried into retirement (premiums come out of the annuity)
+    benefits: createDefaultBenefits(),
     // FIRE-specific fields for FireFed upgrade
     fire: {
       desiredFireAge: 55,
@@ -189,6 +312,28 @@ export const ScenarioProvider = ({ children }) => {
       version = 2;
     }
 
+    // v2 -> v3: fers.birthDate drives the MRA. Older scenarios have none, so keep it blank and
+    // the engines fall back to DEFAULT_MRA until the user enters one.
+    if (version < 3) {
+      s = {
+        ...s,
+        fers: { ...(s.fers ?? {}), birthDate: s.fers?.birthDate ?? '' },
+        schemaVersion: 3,
+      };
+      version = 3;
+    }
+
+    // v3 -> v4: tsp.useIrsLimits. Scenarios saved before it existed keep the fixed limits they were
+    // projected with, so loading them doesn't change their results.
+    if (version < 4) {
+      s = {
+        ...s,
+        tsp: { ...(s.tsp ?? {}), useIrsLimits: s.tsp?.useIrsLimits ?? false },
+        schemaVersion: 4,
+      };
+      version = 4;
+    }
+
     if (!Number.isFinite(version) || version !== SCENARIO_SCHEMA_VERSION) {
       s.schemaVersion = SCENARIO_SCHEMA_VERSION;
     }
@@ -202,8 +347,28 @@ export const ScenarioProvider = ({ children }) => {
     const merged = {
       ...base,
       ...migrated,
-      tsp: { ...base.tsp, ...(migrated?.tsp ?? {}) },
-      fers: { ...base.fers, ...(migrated?.fers ?? {}) },
+      tsp: {
+        ...base.tsp,
+        ...(migrated?.tsp ?? {}),
+        allocationSchedule: { ...base.tsp.allocationSchedule, ...(migrated?.tsp?.allocationSchedule ?? {}) },
+      },
+      fers: {
+        ...base.fers,
+        ...(migrated?.fers ?? {}),
+        militaryService: { ...base.fers.militaryService, ...(migrated?.fers?.militaryService ?? {}) },
+        partTimeService: { ...base.fers.partTimeService, ...(migrated?.fers?.partTimeService ?? {}) },
+        courtOrder: { ...base.fers.courtOrder, ...(migrated?.fers?.courtOrder ?? {}) },
+        retirementDateOptimizer: {
+          ...base.fers.retirementDateOptimizer,
+          ...(migrated?.fers?.retirementDateOptimizer ?? {}),
+        },
+        salaryHistory: { ...base.fers.salaryHistory, ...(migrated?.fers?.salaryHistory ?? {}) },
+        earlyOut: { ...base.fers.earlyOut, ...(migrated?.fers?.earlyOut ?? {}) },
+      },
+      benefits: {
+        fehb: { ...base.benefits.fehb, ...(migrated?.benefits?.fehb ?? {}) },
+        fegli: { ...base.benefits.fegli, ...(migrated?.benefits?.fegli ?? {}) },
+      },
       fire: { ...base.fire, ...(migrated?.fire ?? {}) },
       summary: {
         ...base.summary,
@@ -289,6 +454,7 @@ export const ScenarioProvider = ({ children }) => {
                   fers: scenario.fers_data,
                   fire: scenario.fire_goal,
                   summary: scenario.summary_data,
+                  benefits: scenario.benefits_data,
                 })
               );
               setScenarios(normalizedScenarios);
@@ -356,20 +522,10 @@ export const ScenarioProvider = ({ children }) => {
     if (!isSupabaseAvailable || !user) return null;
 
     try {
-      const { data, error } = await supabase
-        .from('scenarios')
-        .insert([
-          {
-            user_id: user.id,
-            scenario_name: scenario.name,
-            tsp_data: scenario.tsp,
-            fers_data: scenario.fers,
-            fire_goal: scenario.fire,
-            summary_data: scenario.summary,
-          }
-        ])
-        .select()
-        .single();
+      const { data, error } = await writeScenarioRow(
+        (row) => supabase.from('scenarios').insert([row]).select().single(),
+        { user_id: user.id, ...toScenarioRow(scenario) }
+      );
 
       if (error) throw error;
       return data;
@@ -384,19 +540,10 @@ export const ScenarioProvider = ({ children }) => {
     if (!isSupabaseAvailable || !user) return null;
 
     try {
-      const { data, error } = await supabase
-        .from('scenarios')
-        .update({
-          scenario_name: scenario.name,
-          tsp_data: scenario.tsp,
-          fers_data: scenario.fers,
-          fire_goal: scenario.fire,
-          summary_data: scenario.summary,
-        })
-        .eq('id', scenario.id)
-        .eq('user_id', user.id)
-        .select()
-        .single();
+      const { data, error } = await writeScenarioRow(
+        (row) => supabase.from('scenarios').update(row).eq('id', scenario.id).eq('user_id', user.id).select().single(),
+        toScenarioRow(scenario)
+      );
 
       if (error) throw error;
       return data;
@@ -475,6 +622,7 @@ export const ScenarioProvider = ({ children }) => {
       fers: updates.fers ? { ...currentScenario.fers, ...updates.fers } : currentScenario.fers,
       fire: updates.fire ? { ...currentScenario.fire, ...updates.fire } : currentScenario.fire,
       summary: updates.summary ? { ...currentScenario.summary, ...updates.summary } : currentScenario.summary,
+      benefits: updates.benefits ? { ...currentScenario.benefits, ...updates.benefits } : currentScenario.benefits,
       meta: { ...(currentScenario.meta ?? {}), ...(updates.meta ?? {}), updatedAt: new Date().toISOString() },
     });
     
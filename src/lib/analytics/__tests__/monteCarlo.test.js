@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { resolveSimulationInputs, runMonteCarloAnalytics, simulateCashflowPath } from '../monteCarlo';
+
+// Retired at 45 with an empty TSP: the annuity alone has to cover the $2,000 a month goal.
+const baseScenario = {
+  tsp: { currentAge: 45, retirementAge: 45, currentBalance: 0, annualSalary: 0, allocation: { G: 100 }, inflationRate: 0 },
+  fire: { desiredFireAge: 45, monthlyFireIncomeGoal: 2000 },
+};
+const cashflow = { pensionMonthly: 2000, pensionStartAge: 45, socialSecurityMonthly: 0, socialSecurityStartAge: 67 };
+
+describe('Monte Carlo cashflow inputs', () => {
+  it('pays a disability annuity from the disability age, before the MRA', () => {
+    const disability = { ...baseScenario, fers: { retirementType: 'disability' } };
+    const inputs = resolveSimulationInputs({ ...cashflow, scenario: disability, settings: { endAge: 70 } });
+    expect(inputs.pensionStart).toBe(45);
+    expect(inputs.pensionColas).toEqual([{ share: 1, rate: 0, startAge: 0 }]);
+    expect(simulateCashflowPath(inputs, () => 0).failed).toBe(false);
+
+    const result = runMonteCarloAnalytics({ ...cashflow, scenario: disability, settings: { endAge: 70, simulations: 100, seed: 1 } });
+    expect(result.inputs.pensionStartAge).toBe(45);
+    expect(result.outcomes.probabilityFundsLastToEndAge).toBe(1);
+  });
+
+  it('holds a voluntary retirement annuity until the MRA', () => {
+    const voluntary = { ...baseScenario, fers: { retirementType: 'voluntary' } };
+    const inputs = resolveSimulationInputs({ ...cashflow, scenario: voluntary, settings: { endAge: 70 } });
+    expect(inputs.pensionStart).toBe(inputs.mra);
+    expect(simulateCashflowPath(inputs, () => 0)).toMatchObject({ failed: true, failedAtAge: 45 });
+  });
+
+  it('spends a VSIP before the annuity starts, growing it only in a taxable account', () => {
+    const voluntary = { ...baseScenario, fers: { retirementType: 'voluntary' } };
+    const withVsip = (vsip) => resolveSimulationInputs({ ...cashflow, vsip, scenario: voluntary, settings: { endAge: 70 } });
+
+    // Five years of the $24,000 a year need before the annuity at 57.
+    const shortBridge = withVsip({ age: 45, bridgeAmount: 120000 });
+    expect(simulateCashflowPath(shortBridge, () => 0)).toMatchObject({ failed: true, failedAtAge: 50 });
+
+    const bridge = simulateCashflowPath(withVsip({ age: 45, bridgeAmount: 24000 * 12 }), () => 0.05);
+    expect(bridge).toMatchObject({ failed: false, endBalance: 0 });
+    const taxable = simulateCashflowPath(withVsip({ age: 45, taxableAmount: 24000 * 12 }), () => 0.05);
+    expect(taxable.failed).toBe(false);
+    expect(taxable.endBalance).toBeGreaterThan(0);
+  });
+
+  it('starts a CSRS annuity at 55 and grows it by the full CPI from the first year', () => {
+    // Without a birth date the FERS MRA would be 57. A little cash absorbs rounding between the two growth paths.
+    const scenario = {
+      tsp: { ...baseScenario.tsp, currentAge: 55, retirementAge: 55, currentBalance: 1000, inflationRate: 3 },
+      fire: { desiredFireAge: 55, monthlyFireIncomeGoal: 2000 },
+      fers: { retirementSystem: 'csrs' },
+    };
+    const args = { ...cashflow, pensionStartAge: 55, settings: { endAge: 80 } };
+
+    const csrs = resolveSimulationInputs({ ...args, scenario });
+    expect(csrs.mra).toBe(57);
+    expect(csrs.pensionStart).toBe(55);
+    expect(csrs.pensionColas).toEqual([{ share: 1, rate: 0.03, startAge: 0 }]);
+    expect(simulateCashflowPath(csrs, () => 0).failed).toBe(false);
+
+    const fers = resolveSimulationInputs({ ...args, scenario: { ...scenario, fers: { ...scenario.fers, retirementSystem: 'fers' } } });
+    expect(fers.pensionStart).toBe(57);
+
+    // CSRS Offset keeps the CSRS rules and loses the Social Security offset at 62.
+    const offset = resolveSimulationInputs({
+      ...args,
+      csrsOffsetMonthly: 500,
+      scenario: { ...scenario, fers: { ...scenario.fers, retirementSystem: 'csrs_offset' } },
+    });
+    expect(offset.pensionStart).toBe(55);
+    expect(simulateCashflowPath(offset, () => 0)).toMatchObject({ failed: true, failedAtAge: 62 });
+  });
+
+  it('gives a FERS transferee each component its own COLA', () => {
+    const scenario = { ...baseScenario, tsp: { ...baseScenario.tsp, inflationRate: 3 }, fers: { retirementSystem: 'fers_transferee' } };
+    const inputs = resolveSimulationInputs({ ...cashflow, csrsComponentShare: 0.25, scenario, settings: { endAge: 70 } });
+    expect(inputs.pensionColas).toEqual([
+      { share: 0.25, rate: 0.03, startAge: 0 },
+      { share: 0.75, rate: 0.02, startAge: 62 },
+    ]);
+    expect(inputs.pensionStart).toBe(inputs.mra);
+  });
+});
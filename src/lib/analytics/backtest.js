@@ -0,0 +1,70 @@
+import { resolveSimulationInputs, simulateCashflowPath } from './monteCarlo';
+import { buildAllocationTimeline } from '../calculations/allocationSchedule';
+import {
+  getHistoricalMixReturns,
+  getHistoricalReturnSequence,
+  getHistoricalStartYears,
+} from '../calculations/tspHistoricalReturns';
+
+/**
+ * Historical backtest: the same accumulation and withdrawal model as the Monte Carlo run, replayed once
+ * for every start year whose whole horizon fits in the TSP return history. A horizon longer than the
+ * history replays every start year with wrapped sequences, flagged `isSynthetic`. Like the Monte Carlo
+ * run, each year uses the fund mix in effect then (allocation schedule and L Fund glide paths). Start
+ * years are ranked by the balance left at the end age; a run that runs out of money ranks below every
+ * run that does not, earliest failure first. Spending still grows with the scenario's inflation.
+ */
+export function runHistoricalBacktest({ settings, ...cashflow }) {
+  const inputs = resolveSimulationInputs({ ...cashflow, settings });
+  const horizonYears = Math.max(0, Math.floor(inputs.endAge - inputs.currentAge) + 1);
+  const mixes = buildAllocationTimeline({
+    allocation: inputs.allocation,
+    schedule: inputs.allocationSchedule,
+    currentAge: inputs.currentAge,
+    endAge: inputs.endAge,
+  }).map((point) => point.mix);
+  const history = getHistoricalMixReturns(mixes);
+
+  const { startYears, isSynthetic } = getHistoricalStartYears(history, horizonYears);
+
+  const runs = startYears.map((year) => {
+    const returns = getHistoricalReturnSequence(history, year, horizonYears);
+    const path = simulateCashflowPath(inputs, (i) => returns[i] ?? 0);
+    return {
+      startYear: year,
+      balanceAtRetirement: path.balanceAtRetirement,
+      endBalance: path.endBalance,
+      failed: path.failed,
+      failedAtAge: path.failedAtAge,
+      achievedFireByDesired: path.achievedFireByDesired,
+    };
+  });
+
+  const ranked = [...runs].sort((a, b) => {
+    if (a.failed !== b.failed) return a.failed ? -1 : 1;
+    if (a.failed) return a.failedAtAge - b.failedAtAge || a.startYear - b.startYear;
+    return a.endBalance - b.endBalance || a.startYear - b.startYear;
+  });
+  const failedStartYears = runs.filter((r) => r.failed).map((r) => r.startYear);
+
+  return {
+    inputs: {
+      currentAge: inputs.currentAge,
+      retirementAge: inputs.retirementAge,
+      desiredFireAge: inputs.desiredFireAge,
+      endAge: inputs.endAge,
+      fireGoalMonthly: inputs.fireGoalMonthly,
+      inflationRate: inputs.inflation,
+    },
+    firstYear: history[0]?.year ?? null,
+    lastYear: history[history.length - 1]?.year ?? null,
+    historyYears: history.length,
+    isSynthetic,
+    runs,
+    worst: ranked[0] ?? null,
+    median: ranked[Math.floor((ranked.length - 1) / 2)] ?? null,
+    best: ranked[ranked.length - 1] ?? null,
+    failedStartYears,
+    successRate: runs.length > 0 ? (runs.length - failedStartYears.length) / runs.length : 0,
+  };
+}
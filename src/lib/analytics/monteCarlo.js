@@ -1,5 +1,16 @@
 import { mulberry32, normal01 } from './random';
 import { summarizePercentiles } from './stats';
+import { calculateFersColaRate, FERS_COLA_START_AGE } from '../calculations/cola';
+import { calculateMinimumRetirementAge, getFersRetirementCategory, resolveFersTimeline } from '../calculations/fers';
+import {
+  CSRS_EARLIEST_RETIREMENT_AGE,
+  CSRS_OFFSET_AGE,
+  getRetirementSystem,
+  isCsrsRetirementSystem,
+} from '../calculations/csrs';
+import { todayIsoDate } from '../calculations/dates';
+import { getEmployeeDeferralLimit } from '../calculations/contributionLimits';
+import { buildAllocationTimeline } from '../calculations/allocationSchedule';
 
 const FUND_STDDEV = Object.freeze({
   // Coarse volatility assumptions (annualized), used to approximate portfolio volatility.
@@ -66,15 +77,25 @@ function annualContribution({
   annualCatchUpLimit,
   age,
   catchUpAge,
+  useIrsLimits = false,
+  year,
 }) {
   const sal = Math.max(0, clampNumber(salary, 0));
   const pct = Math.max(0, clampNumber(employeePct, 0));
 
   const rawEmployee = sal * (pct / 100);
-  const limit = Math.max(0, clampNumber(annualEmployeeDeferralLimit, 23500));
-  const catchUp = age >= Math.max(0, clampNumber(catchUpAge, 50)) ? Math.max(0, clampNumber(annualCatchUpLimit, 7500)) : 0;
+  let totalLimit;
+  if (useIrsLimits) {
+    // Year-indexed IRS limits, including the SECURE 2.0 catch-up for ages 60-63. Whether catch-up is
+    // Roth doesn't matter here: the simulation tracks one balance.
+    totalLimit = getEmployeeDeferralLimit({ year, age }).totalLimit;
+  } else {
+    const limit = Math.max(0, clampNumber(annualEmployeeDeferralLimit, 23500));
+    const catchUp = age >= Math.max(0, clampNumber(catchUpAge, 50)) ? Math.max(0, clampNumber(annualCatchUpLimit, 7500)) : 0;
+    totalLimit = limit + catchUp;
+  }
 
-  const employee = Math.min(rawEmployee, limit + catchUp);
+  const employee = Math.min(rawEmployee, totalLimit);
 
   const auto1 = includeAutomatic1Percent ? sal * 0.01 : 0;
   const matchPct = includeEmployerMatch ? computeEmployerMatchPct(pct) : 0;
@@ -88,6 +109,8 @@ function calcPassiveMonthlyIncome({
   swr,
   pensionMonthly,
   pensionStartAge,
+  supplementMonthly,
+  supplementEndAge,
   ssMonthly,
   ssStartAge,
   age,
@@ -98,30 +121,49 @@ function calcPassiveMonthlyIncome({
   const swrLocal = clampNumber(swr, 0.04);
   const tspMonthly = (b * swrLocal) / 12;
   const pension = age >= pensionStartAge ? Math.max(0, clampNumber(pensionMonthly, 0)) : 0;
+  const supplement =
+    age >= pensionStartAge && age < supplementEndAge ? Math.max(0, clampNumber(supplementMonthly, 0)) : 0;
   const ss = age >= ssStartAge ? Math.max(0, clampNumber(ssMonthly, 0)) : 0;
   const side = Math.max(0, clampNumber(sideHustleIncome, 0));
   const spouse = Math.max(0, clampNumber(spouseIncome, 0));
-  return tspMonthly + pension + ss + side + spouse;
+  return tspMonthly + pension + supplement + ss + side + spouse;
 }
 
-export function runMonteCarloAnalytics({
+/**
+ * Scenario inputs shared by the Monte Carlo and historical backtest engines: ages, contributions,
+ * the withdrawal need and the guaranteed income that offsets it. `vsip` is an early-out VSIP after tax
+ * (`{ age, taxableAmount, bridgeAmount }`, as on calculateEarlyOutRetirement().vsip) paid at `age`.
+ */
+export function resolveSimulationInputs({
   scenario,
   pensionMonthly,
   pensionStartAge,
+  supplementMonthly = 0,
+  supplementEndAge = 62,
   socialSecurityMonthly,
   socialSecurityStartAge,
+  csrsComponentShare = 0,
+  csrsOffsetMonthly = 0,
+  vsip = null,
   settings,
 }) {
   const tsp = scenario?.tsp ?? {};
+  const fers = scenario?.fers ?? {};
   const fire = scenario?.fire ?? {};
   const summary = scenario?.summary ?? {};
   const assumptions = summary?.assumptions ?? {};
 
-  const currentAge = clampNumber(tsp.currentAge, 0);
-  const retirementAge = clampNumber(tsp.retirementAge, 0);
+  // Birth and target retirement dates (when present) give month-accurate, possibly fractional ages.
+  const timeline = resolveFersTimeline({
+    birthDate: fers.birthDate,
+    retirementDate: fers.retirementDate,
+    currentAge: clampNumber(tsp.currentAge, 0),
+    retirementAge: clampNumber(tsp.retirementAge, 0),
+  });
+  const currentAge = clampNumber(timeline.currentAge, 0);
+  const retirementAge = clampNumber(timeline.retirementAge, 0);
   const desiredFireAge = clampNumber(fire.desiredFireAge, retirementAge);
 
-  const sims = Math.max(100, clampNumber(settings?.simulations ?? 750, 750));
   const endAge = Math.max(desiredFireAge, clampNumber(settings?.endAge ?? 95, 95));
   const swr = clampNumber(assumptions.safeWithdrawalRate ?? settings?.swr ?? 0.04, 0.04);
   const inflation = clampNumber(tsp.inflationRate ?? settings?.inflationRate ?? 2.5, 2.5) / 100;
@@ -131,26 +173,235 @@ export function runMonteCarloAnalytics({
     clampNumber(fire.monthlyFireIncomeGoal, 0) || clampNumber(summary.monthlyExpenses, 0)
   );
 
-  const weights = toWeightMap(tsp.allocation);
-  const mu = portfolioMeanReturn({ weights, fundReturnsPct: tsp.fundReturns });
-  const sigma = portfolioStdDev({ weights });
+  // An annuity can't begin before the MRA, which depends on the birth year. Special provision
+  // retirees (age 50 with 20 years, any age with 25) are the exception, and a disability annuity
+  // starts at the disability age whatever it is. CSRS has no MRA: optional retirement starts at 55.
+  const mra = calculateMinimumRetirementAge(fers.birthDate);
+  const isSpecialProvision = getFersRetirementCategory(fers.retirementCategory).isSpecialProvision;
+  const isDisability = fers.retirementType === 'disability';
+  const system = getRetirementSystem(fers.retirementSystem);
+  const isCsrs = !isDisability && isCsrsRetirementSystem(system.id);
+  let earliestAnnuityAge = mra;
+  if (isSpecialProvision || isDisability) earliestAnnuityAge = 0;
+  else if (isCsrs) earliestAnnuityAge = CSRS_EARLIEST_RETIREMENT_AGE;
+
+  // CSRS annuities get the full CPI from the first year; FERS annuities the diet COLA, none before 62
+  // for regular retirees (disability annuities get it at any age). A transferee's annuity has one part
+  // of each, and a CSRS Offset annuity loses a fixed Social Security offset from 62.
+  let csrsShare = 0;
+  if (isCsrs) csrsShare = 1;
+  else if (!isDisability && system.hasCsrsComponent) csrsShare = Math.min(1, Math.max(0, clampNumber(csrsComponentShare, 0)));
+  const pensionColas = [
+    { share: csrsShare, rate: inflation, startAge: 0 },
+    {
+      share: 1 - csrsShare,
+      rate: calculateFersColaRate(inflation),
+      startAge: isSpecialProvision || isDisability ? 0 : FERS_COLA_START_AGE,
+    },
+  ].filter((component) => component.share > 0);
+
+  return {
+    currentAge,
+    retirementAge,
+    desiredFireAge,
+    endAge,
+    mra,
+    swr,
+    inflation,
+    fireGoalMonthly,
+    allocation: tsp.allocation,
+    allocationSchedule: tsp.allocationSchedule,
+    fundReturns: tsp.fundReturns,
+    baseBalance: Math.max(0, clampNumber(tsp.currentBalance, 0)),
+    annualSalary0: Math.max(0, clampNumber(tsp.annualSalary, 0)),
+    salaryGrowth: clampNumber(tsp.annualSalaryGrowthRate ?? 3, 3) / 100,
+    employeePct: clampNumber(tsp.monthlyContributionPercent, 0),
+    includeEmployerMatch: Boolean(tsp.includeEmployerMatch ?? true),
+    includeAutomatic1Percent: Boolean(tsp.includeAutomatic1Percent ?? true),
+    annualEmployeeDeferralLimit: clampNumber(tsp.annualEmployeeDeferralLimit ?? 23500, 23500),
+    annualCatchUpLimit: clampNumber(tsp.annualCatchUpLimit ?? 7500, 7500),
+    catchUpAge: clampNumber(tsp.catchUpAge ?? 50, 50),
+    useIrsLimits: Boolean(tsp.useIrsLimits),
+    startYear: Number(todayIsoDate().slice(0, 4)),
+    sideHustleIncome: Math.max(0, clampNumber(fire.sideHustleIncome, 0)),
+    spouseIncome: Math.max(0, clampNumber(fire.spouseIncome, 0)),
+    pensionMonthly,
+    pensionStart: Math.max(earliestAnnuityAge, clampNumber(pensionStartAge, retirementAge)),
+    supplementMonthly,
+    supplementEnd: clampNumber(supplementEndAge, 62),
+    socialSecurityMonthly,
+    ssStart: Math.max(0, clampNumber(socialSecurityStartAge, 67)),
+    pensionColas,
+    csrsOffsetMonthly: isCsrs && system.hasOffset ? Math.max(0, clampNumber(csrsOffsetMonthly, 0)) : 0,
+    vsipAge: clampNumber(vsip?.age, currentAge),
+    vsipTaxable: Math.max(0, clampNumber(vsip?.taxableAmount, 0)),
+    vsipBridge: Math.max(0, clampNumber(vsip?.bridgeAmount, 0)),
+  };
+}
+
+/**
+ * One path through the accumulation and withdrawal phases, a year at a time. `returnForYear(i)` gives
+ * the portfolio return for the i-th simulated year. A taxable VSIP joins the invested balance in the
+ * year it is paid; a bridge-fund VSIP is held as cash and spent before the balance is drawn on.
+ */
+export function simulateCashflowPath(inputs, returnForYear) {
+  const {
+    currentAge,
+    retirementAge,
+    desiredFireAge,
+    endAge,
+    swr,
+    inflation,
+    fireGoalMonthly,
+    baseBalance,
+    annualSalary0,
+    salaryGrowth,
+    employeePct,
+    includeEmployerMatch,
+    includeAutomatic1Percent,
+    annualEmployeeDeferralLimit,
+    annualCatchUpLimit,
+    catchUpAge,
+    useIrsLimits,
+    startYear,
+    sideHustleIncome,
+    spouseIncome,
+    pensionMonthly,
+    pensionStart,
+    supplementMonthly,
+    supplementEnd,
+    socialSecurityMonthly,
+    ssStart,
+    pensionColas,
+    csrsOffsetMonthly,
+    vsipAge = currentAge,
+    vsipTaxable = 0,
+    vsipBridge = 0,
+  } = inputs;
+
+  let balance = baseBalance;
+  let bridgeFund = 0;
+  let vsipPaid = false;
+  let salary = annualSalary0;
+  // One COLA factor per annuity part (CSRS, FERS), each weighted by its share of the first annuity.
+  const colaFactors = pensionColas.map(() => 1);
+  let failed = false;
+  let failedAtAge = null;
+  let balanceAtRetirement = null;
+  let balanceAtDesired = null;
+  const workEndAge = Math.min(retirementAge, desiredFireAge);
+
+  for (let age = currentAge, yearIndex = 0; age <= endAge; age++, yearIndex++) {
+    // Fraction of this year still spent working (a retirement date mid-year gives a partial year).
+    const workFraction = Math.min(1, Math.max(0, workEndAge - age));
+    const isWorkingYear = workFraction > 0;
+
+    const r = returnForYear(yearIndex);
+
+    if (!vsipPaid && age + 1 > vsipAge) {
+      balance += vsipTaxable;
+      bridgeFund += vsipBridge;
+      vsipPaid = true;
+    }
+
+    if (isWorkingYear) {
+      const contrib = annualContribution({
+        salary,
+        employeePct,
+        includeEmployerMatch,
+        includeAutomatic1Percent,
+        annualEmployeeDeferralLimit,
+        annualCatchUpLimit,
+        age,
+        catchUpAge,
+        useIrsLimits,
+        year: startYear + yearIndex,
+      });
+      balance = (balance + contrib * workFraction) * (1 + r);
+      salary = salary * (1 + salaryGrowth);
+    } else {
+      // Withdrawal model: start at desired FIRE age.
+      if (age >= desiredFireAge) {
+        const yearsSince = age - desiredFireAge;
+        const inflatedNeedAnnual = fireGoalMonthly * 12 * Math.pow(1 + inflation, yearsSince);
+        const pensionGrowth = pensionColas.reduce((sum, component, i) => sum + component.share * colaFactors[i], 0);
+        const csrsOffsetAnnual = age >= CSRS_OFFSET_AGE ? csrsOffsetMonthly * 12 : 0;
+        const pensionAnnual =
+          age >= pensionStart
+            ? Math.max(0, Math.max(0, clampNumber(pensionMonthly, 0) * 12) * pensionGrowth - csrsOffsetAnnual)
+            : 0;
+        // FERS supplement: paid from the pension start until 62 (already earnings-tested by the caller).
+        const supplementAnnual =
+          age >= pensionStart && age < supplementEnd ? Math.max(0, clampNumber(supplementMonthly, 0) * 12) : 0;
+        const ssAnnual = age >= ssStart ? Math.max(0, clampNumber(socialSecurityMonthly, 0) * 12) : 0;
+        const otherAnnual = (sideHustleIncome + spouseIncome) * 12;
+
+        const need = Math.max(0, inflatedNeedAnnual - pensionAnnual - supplementAnnual - ssAnnual - otherAnnual);
+        const fromBridge = Math.min(bridgeFund, need);
+        bridgeFund -= fromBridge;
+        balance = balance - (need - fromBridge);
+        if (balance < 0) {
+          failed = true;
+          failedAtAge = age;
+          balance = 0;
+          break;
+        }
+      }
 
-  const annualSalary0 = Math.max(0, clampNumber(tsp.annualSalary, 0));
-  const salaryGrowth = clampNumber(tsp.annualSalaryGrowthRate ?? 3, 3) / 100;
-  const employeePct = clampNumber(tsp.monthlyContributionPercent, 0);
+      balance = balance * (1 + r);
+    }
 
-  const includeEmployerMatch = Boolean(tsp.includeEmployerMatch ?? true);
-  const includeAutomatic1Percent = Boolean(tsp.includeAutomatic1Percent ?? true);
-  const annualEmployeeDeferralLimit = clampNumber(tsp.annualEmployeeDeferralLimit ?? 23500, 23500);
-  const annualCatchUpLimit = clampNumber(tsp.annualCatchUpLimit ?? 7500, 7500);
-  const catchUpAge = clampNumber(tsp.catchUpAge ?? 50, 50);
+    pensionColas.forEach((component, i) => {
+      if (age >= pensionStart && age + 1 >= component.startAge) colaFactors[i] *= 1 + component.rate;
+    });
 
-  const baseBalance = Math.max(0, clampNumber(tsp.currentBalance, 0));
-  const sideHustleIncome = Math.max(0, clampNumber(fire.sideHustleIncome, 0));
-  const spouseIncome = Math.max(0, clampNumber(fire.spouseIncome, 0));
+    if (balanceAtRetirement == null && age >= retirementAge) balanceAtRetirement = balance;
+    if (balanceAtDesired == null && age >= desiredFireAge) balanceAtDesired = balance;
+  }
 
-  const pensionStart = Math.max(0, clampNumber(pensionStartAge, retirementAge));
-  const ssStart = Math.max(0, clampNumber(socialSecurityStartAge, 67));
+  const passiveAtDesired = calcPassiveMonthlyIncome({
+    balance: balanceAtDesired,
+    swr,
+    pensionMonthly,
+    pensionStartAge: pensionStart,
+    supplementMonthly,
+    supplementEndAge: supplementEnd,
+    ssMonthly: socialSecurityMonthly,
+    ssStartAge: ssStart,
+    age: desiredFireAge,
+    sideHustleIncome,
+    spouseIncome,
+  });
+
+  return {
+    balanceAtRetirement,
+    balanceAtDesired,
+    endBalance: balance + bridgeFund,
+    failed,
+    failedAtAge,
+    achievedFireByDesired: passiveAtDesired >= fireGoalMonthly,
+  };
+}
+
+export function runMonteCarloAnalytics({ settings, ...cashflow }) {
+  const inputs = resolveSimulationInputs({ ...cashflow, settings });
+  const sims = Math.max(100, clampNumber(settings?.simulations ?? 750, 750));
+
+  // The allocation schedule and L Fund glide paths change the mix, so mean and volatility are worked out
+  // for each simulated year.
+  const yearly = buildAllocationTimeline({
+    allocation: inputs.allocation,
+    schedule: inputs.allocationSchedule,
+    currentAge: inputs.currentAge,
+    endAge: inputs.endAge,
+  }).map(({ mix }) => {
+    const weights = toWeightMap(mix);
+    return {
+      mu: portfolioMeanReturn({ weights, fundReturnsPct: inputs.fundReturns }),
+      sigma: portfolioStdDev({ weights }),
+    };
+  });
+  const { mu, sigma } = yearly[0];
 
   const balancesAtRetirement = [];
   const balancesAtDesired = [];
@@ -159,74 +410,16 @@ export function runMonteCarloAnalytics({
 
   for (let i = 0; i < sims; i++) {
     const rng = mulberry32((settings?.seed ?? Date.now()) + i * 7919);
-
-    let balance = baseBalance;
-    let salary = annualSalary0;
-    let failed = false;
-    let balanceAtRetirementThisSim = null;
-    let balanceAtDesiredThisSim = null;
-    const workEndAge = Math.min(retirementAge, desiredFireAge);
-
-    for (let age = currentAge; age <= endAge; age++) {
-      const isWorkingYear = age < workEndAge;
-
-      // Random annual return (clamped to avoid extreme tails).
-      const r = Math.max(-0.65, Math.min(0.65, mu + sigma * normal01(rng)));
-
-      if (isWorkingYear) {
-        const contrib = annualContribution({
-          salary,
-          employeePct,
-          includeEmployerMatch,
-          includeAutomatic1Percent,
-          annualEmployeeDeferralLimit,
-          annualCatchUpLimit,
-          age,
-          catchUpAge,
-        });
-        balance = (balance + contrib) * (1 + r);
-        salary = salary * (1 + salaryGrowth);
-      } else {
-        // Withdrawal model: start at desired FIRE age.
-        if (age >= desiredFireAge) {
-          const yearsSince = age - desiredFireAge;
-          const inflatedNeedAnnual = fireGoalMonthly * 12 * Math.pow(1 + inflation, yearsSince);
-          const pensionAnnual = age >= pensionStart ? Math.max(0, clampNumber(pensionMonthly, 0) * 12) : 0;
-          const ssAnnual = age >= ssStart ? Math.max(0, clampNumber(socialSecurityMonthly, 0) * 12) : 0;
-          const otherAnnual = (sideHustleIncome + spouseIncome) * 12;
-
-          const needFromTsp = Math.max(0, inflatedNeedAnnual - pensionAnnual - ssAnnual - otherAnnual);
-          balance = balance - needFromTsp;
-          if (balance < 0) {
-            failed = true;
-            balance = 0;
-            break;
-          }
-        }
-
-        balance = balance * (1 + r);
-      }
-
-      if (age === retirementAge) balanceAtRetirementThisSim = balance;
-      if (age === desiredFireAge) balanceAtDesiredThisSim = balance;
-    }
-
-    const passiveAtDesired = calcPassiveMonthlyIncome({
-      balance: balanceAtDesiredThisSim,
-      swr,
-      pensionMonthly,
-      pensionStartAge: pensionStart,
-      ssMonthly: socialSecurityMonthly,
-      ssStartAge: ssStart,
-      age: desiredFireAge,
-      sideHustleIncome,
-      spouseIncome,
+    // Random annual return (clamped to avoid extreme tails).
+    const path = simulateCashflowPath(inputs, (yearIndex) => {
+      const year = yearly[Math.min(yearIndex, yearly.length - 1)];
+      return Math.max(-0.65, Math.min(0.65, year.mu + year.sigma * normal01(rng)));
     });
 
-    if (balanceAtRetirementThisSim != null) balancesAtRetirement.push(balanceAtRetirementThisSim);
-    if (balanceAtDesiredThisSim != null) balancesAtDesired.push(balanceAtDesiredThisSim);
-    achievedFireByDesired.push(passiveAtDesired >= fireGoalMonthly);
-    succeededToEnd.push(!failed);
+    if (path.balanceAtRetirement != null) balancesAtRetirement.push(path.balanceAtRetirement);
+    if (path.balanceAtDesired != null) balancesAtDesired.push(path.balanceAtDesired);
+    achievedFireByDesired.push(path.achievedFireByDesired);
+    succeededToEnd.push(!path.failed);
   }
 
   const retirementPct = summarizePercentiles(balancesAtRetirement);
@@ -242,15 +435,18 @@ export function runMonteCarloAnalytics({
   return {
     inputs: {
       simulations: sims,
-      currentAge,
-      retirementAge,
-      desiredFireAge,
-      endAge,
-      swr,
-      inflationRate: inflation,
+      currentAge: inputs.currentAge,
+      retirementAge: inputs.retirementAge,
+      desiredFireAge: inputs.desiredFireAge,
+      endAge: inputs.endAge,
+      mra: inputs.mra,
+      pensionStartAge: inputs.pensionStart,
+      swr: inputs.swr,
+      inflationRate: inputs.inflation,
+      pensionColaRate: inputs.pensionColas.reduce((sum, component) => sum + component.share * component.rate, 0),
       meanReturn: mu,
       portfolioStdDev: sigma,
-      fireGoalMonthly,
+      fireGoalMonthly: inputs.fireGoalMonthly,
     },
     outcomes: {
       probabilityFireByDesiredAge: pFireByDesired,
@@ -260,5 +456,3 @@ export function runMonteCarloAnalytics({
     },
   };
 }
-
-
@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import { buildAllocationTimeline, getScheduledAllocation } from '../allocationSchedule';
+import { expandAllocation } from '../lifecycleFunds';
+import { calculateTspTraditionalVsRoth } from '../tsp';
+import { calculateTspHistoricalBacktest } from '../tspHistoricalReturns';
+import { runHistoricalBacktest } from '../../analytics/backtest';
+
+const allocation = { G: 10, F: 20, C: 40, S: 20, I: 10 };
+
+describe('allocation schedules', () => {
+  it('moves a percent a year into one fund, taken evenly from the others', () => {
+    const schedule = { type: 'rule', startAge: 50, percentPerYear: 2, toFund: 'G' };
+    expect(getScheduledAllocation({ allocation, schedule, age: 50.5 })).toBe(allocation);
+
+    const at55 = getScheduledAllocation({ allocation, schedule, age: 55 });
+    expect(at55.G).toBeCloseTo(20, 9);
+    expect(at55.C).toBeCloseTo((40 * 80) / 90, 9);
+    expect(Object.values(at55).reduce((sum, pct) => sum + pct, 0)).toBeCloseTo(100, 9);
+    expect(getScheduledAllocation({ allocation, schedule, age: 120 }).G).toBeCloseTo(100, 9);
+  });
+
+  it('switches to the most recent step by age or date', () => {
+    const schedule = {
+      type: 'steps',
+      steps: [
+        { age: 55, date: '', allocation: { G: 30, F: 20, C: 30, S: 10, I: 10 } },
+        { age: '', date: '2040-07-01', allocation: { G: 60, F: 20, C: 20, S: 0, I: 0 } },
+      ],
+    };
+    expect(getScheduledAllocation({ allocation, schedule, age: 54, date: '2036-01-01' })).toBe(allocation);
+    expect(getScheduledAllocation({ allocation, schedule, age: 56, date: '2037-01-01' }).G).toBe(30);
+    expect(getScheduledAllocation({ allocation, schedule, age: 59.5, date: '2040-07-01' }).G).toBe(60);
+
+    const timeline = buildAllocationTimeline({ allocation, schedule, currentAge: 50, endAge: 60, asOfDate: '2031-01-01' });
+    expect(timeline).toHaveLength(11);
+    expect(timeline[10].mix.G).toBe(60);
+  });
+
+  it('keeps the base allocation for an empty schedule or a step with neither age nor date', () => {
+    expect(getScheduledAllocation({ allocation, schedule: { type: 'steps', steps: [] }, age: 70 })).toBe(allocation);
+    expect(getScheduledAllocation({ allocation, schedule: { type: 'rule', startAge: 50, percentPerYear: 0 }, age: 70 }))
+      .toBe(allocation);
+    const blankStep = { type: 'steps', steps: [{ age: '', date: '', allocation: { G: 100 } }] };
+    expect(getScheduledAllocation({ allocation, schedule: blankStep, age: 70 })).toBe(allocation);
+  });
+
+  it('shifts out of an L Fund and expands its glide path in the timeline', () => {
+    const schedule = { type: 'rule', startAge: 50, percentPerYear: 10, toFund: 'G' };
+    const at52 = getScheduledAllocation({ allocation: { L2050: 100 }, schedule, age: 52 });
+    expect(at52).toEqual({ L2050: 80, G: 20 });
+
+    const timeline = buildAllocationTimeline({
+      allocation: { L2050: 100 },
+      schedule,
+      currentAge: 52,
+      endAge: 52,
+      asOfDate: '2026-01-01',
+    });
+    expect(timeline[0].mix).toEqual(expandAllocation({ L2050: 80, G: 20 }, '2026-01-01'));
+  });
+
+  it('applies the allocation in effect each month to the projection', () => {
+    const base = {
+      currentBalance: 100000,
+      annualSalary: 60000,
+      monthlyContributionPercent: 5,
+      currentAge: 45,
+      retirementAge: 55,
+      currentTaxRate: 22,
+      retirementTaxRate: 15,
+      asOfDate: '2026-01-01',
+    };
+    const allG = calculateTspTraditionalVsRoth({ ...base, allocation: { G: 100 } });
+    const switched = calculateTspTraditionalVsRoth({
+      ...base,
+      allocation,
+      allocationSchedule: { type: 'steps', steps: [{ age: 40, date: '', allocation: { G: 100 } }] },
+    });
+    expect(switched.traditional.projectedBalance).toBeCloseTo(allG.traditional.projectedBalance, 6);
+
+    const shifting = calculateTspTraditionalVsRoth({
+      ...base,
+      allocation,
+      allocationSchedule: { type: 'rule', startAge: 45, percentPerYear: 5, toFund: 'G' },
+    });
+    const fixed = calculateTspTraditionalVsRoth({ ...base, allocation });
+    expect(shifting.traditional.projectedBalance).toBeLessThan(fixed.traditional.projectedBalance);
+    expect(shifting.traditional.projectedBalance).toBeGreaterThan(allG.traditional.projectedBalance);
+  });
+
+  it('replays the allocation in effect each year in historical backtests', () => {
+    // All C for the first year, all G from age 41 on.
+    const schedule = { type: 'steps', steps: [{ age: 41, date: '', allocation: { G: 100 } }] };
+    const backtest = calculateTspHistoricalBacktest({
+      currentBalance: 100000,
+      annualSalary: 0,
+      monthlyContributionPercent: 0,
+      currentAge: 40,
+      retirementAge: 42,
+      allocation: { C: 100 },
+      allocationSchedule: schedule,
+      currentTaxRate: 22,
+      retirementTaxRate: 15,
+      asOfDate: '2026-01-01',
+    });
+    const from2008 = backtest.runs.find((run) => run.startYear === 2008);
+    expect(from2008.projectedBalance).toBeCloseTo(100000 * (1 - 0.3699) * (1 + 0.0297), 6);
+
+    const scenario = {
+      tsp: { currentAge: 60, retirementAge: 60, currentBalance: 100000, annualSalary: 0, allocation: { C: 100 }, inflationRate: 0 },
+      fire: { desiredFireAge: 60, monthlyFireIncomeGoal: 0 },
+    };
+    const args = { pensionMonthly: 0, pensionStartAge: 60, socialSecurityMonthly: 0, socialSecurityStartAge: 67, settings: { endAge: 61 } };
+    const shifted = runHistoricalBacktest({
+      ...args,
+      scenario: { ...scenario, tsp: { ...scenario.tsp, allocationSchedule: { ...schedule, steps: [{ ...schedule.steps[0], age: 61 }] } } },
+    });
+    expect(shifted.runs.find((run) => run.startYear === 2008).endBalance).toBeCloseTo(100000 * (1 - 0.3699) * (1 + 0.0297), 6);
+    // An L Fund follows its glide path, so its backtest differs from holding today's mix throughout.
+    const lFund = runHistoricalBacktest({ ...args, settings: { endAge: 90 }, scenario: { ...scenario, tsp: { ...scenario.tsp, allocation: { L2030: 100 } } } });
+    const todaysMix = runHistoricalBacktest({
+      ...args,
+      settings: { endAge: 90 },
+      scenario: { ...scenario, tsp: { ...scenario.tsp, allocation: expandAllocation({ L2030: 100 }) } },
+    });
+    expect(lFund.runs[0].endBalance).not.toBeCloseTo(todaysMix.runs[0].endBalance, 0);
+  });
+});
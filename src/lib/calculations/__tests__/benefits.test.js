@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateFegliBasicInsuranceAmount,
+  calculateFegliMonthlyPremium,
+  calculateRetirementPremiums,
+  checkFiveYearRule,
+} from '../benefits';
+import { calculateFersResults } from '../fers';
+
+describe('fehb and fegli in retirement', () => {
+  it('requires 5 years of coverage immediately before an immediate retirement', () => {
+    expect(checkFiveYearRule({ yearsCoveredAtRetirement: 5 }).isMet).toBe(true);
+    expect(checkFiveYearRule({ yearsCoveredAtRetirement: 4.5 }).isMet).toBe(false);
+    expect(checkFiveYearRule({ yearsCoveredAtRetirement: 20, isImmediateAnnuity: false }).isMet).toBe(false);
+  });
+
+  it('prices FEGLI Basic on salary rounded up plus $2,000 and drops free coverage at 65', () => {
+    expect(calculateFegliBasicInsuranceAmount(85500)).toBe(88000);
+    const fegli = { basicReduction: '75', optionA: true, optionBMultiples: 2, optionBReduction: 'full' };
+    const at62 = calculateFegliMonthlyPremium({ age: 62, annualSalary: 85500, fegli });
+    expect(at62.basic).toBeCloseTo(88 * 0.325, 6);
+    expect(at62.optionA).toBeCloseTo(13, 6);
+    expect(at62.optionB).toBeCloseTo(86 * 2 * 1.127, 6);
+    expect(calculateFegliMonthlyPremium({ age: 66, annualSalary: 85500, fegli }).total).toBe(0);
+  });
+
+  it('counts the years still to work toward the 5-year rule and charges nothing when it fails', () => {
+    const args = { currentAge: 60, pensionStartAge: 62, endAge: 63, finalSalary: 100000 };
+    const fehb = { enrolled: true, monthlyPremium: 200, premiumGrowthRate: 0, yearsEnrolled: 3 };
+
+    const met = calculateRetirementPremiums({ ...args, retirementAge: 62, benefits: { fehb } });
+    expect(met.fehb.fiveYearRule.yearsCoveredAtRetirement).toBe(5);
+    expect(met.firstYearMonthly).toBeCloseTo(200, 6);
+
+    const short = calculateRetirementPremiums({ ...args, retirementAge: 61.5, benefits: { fehb } });
+    expect(short.fehb.isContinued).toBe(false);
+    expect(short.firstYearMonthly).toBe(0);
+  });
+
+  it('keeps charging after 65 for a partial Basic reduction or unreduced Option B', () => {
+    const fegli = { basicReduction: '50', optionBMultiples: 1, optionBReduction: 'none' };
+    const at66 = calculateFegliMonthlyPremium({ age: 66, annualSalary: 85500, fegli });
+    expect(at66.basic).toBeCloseTo(88 * 0.6825, 6);
+    expect(at66.optionB).toBeCloseTo(86 * 1.343, 6);
+    expect(calculateFegliBasicInsuranceAmount(0)).toBe(0);
+  });
+
+  it('grows FEHB premiums from today and nets them out of the pension', () => {
+    const benefits = {
+      fehb: { enrolled: true, enrollmentType: 'self', monthlyPremium: 200, premiumGrowthRate: 5, yearsEnrolled: 10 },
+    };
+    const premiums = calculateRetirementPremiums({
+      benefits,
+      currentAge: 60,
+      retirementAge: 62,
+      pensionStartAge: 62,
+      endAge: 64,
+      finalSalary: 100000,
+    });
+    expect(premiums.fehb.isContinued).toBe(true);
+    expect(premiums.rows[0].fehbMonthly).toBeCloseTo(200 * 1.05 ** 2, 6);
+
+    const res = calculateFersResults({
+      yearsOfService: 30,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 60,
+      retirementAge: 62,
+      includeFutureService: true,
+      benefits,
+    });
+    expect(res.stayFed.netMonthlyPension).toBeCloseTo(res.stayFed.monthlyPension - 200 * 1.05 ** 2, 6);
+  });
+});
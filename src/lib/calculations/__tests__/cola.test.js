@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { buildFersPensionStream, calculateFersColaRate } from '../cola';
+import { calculateFersResults } from '../fers';
+
+describe('fers diet COLA', () => {
+  it('pays full CPI up to 2%, 2% between 2% and 3%, and CPI minus 1% above 3%', () => {
+    expect(calculateFersColaRate(0.015)).toBeCloseTo(0.015, 9);
+    expect(calculateFersColaRate(0.025)).toBeCloseTo(0.02, 9);
+    expect(calculateFersColaRate(0.05)).toBeCloseTo(0.04, 9);
+    expect(calculateFersColaRate(-0.01)).toBe(0);
+  });
+
+  it('starts COLAs at 62 for regular retirees and deflates to first-year dollars', () => {
+    const stream = buildFersPensionStream({ annualPension: 30000, startAge: 60, endAge: 65, inflationRate: 0.025 });
+    expect(stream.rows.map((r) => r.colaPercent)).toEqual([0, 0, 2, 2, 2]);
+    expect(stream.rows[1].nominalAnnual).toBeCloseTo(30000, 6);
+    expect(stream.rows[2].nominalAnnual).toBeCloseTo(30600, 6);
+    expect(stream.rows[2].realAnnual).toBeCloseTo(30600 / 1.025 ** 2, 6);
+    expect(stream.lifetimeReal).toBeLessThan(30000 * 5);
+  });
+
+  it('holds the COLA at 2% from exactly 2% through exactly 3% CPI', () => {
+    expect(calculateFersColaRate(0.02)).toBeCloseTo(0.02, 9);
+    expect(calculateFersColaRate(0.03)).toBeCloseTo(0.02, 9);
+    expect(calculateFersColaRate(0.031)).toBeCloseTo(0.021, 9);
+  });
+
+  it('gives CSRS the full CPI from the second year and prorates a final partial year', () => {
+    const stream = buildFersPensionStream({
+      annualPension: 30000,
+      startAge: 55,
+      endAge: 57.5,
+      inflationRate: 0.04,
+      colaStartAge: 0,
+      colaRule: 'csrs',
+    });
+    expect(stream.rows.map((r) => r.colaPercent)).toEqual([0, 4, 4]);
+    expect(stream.rows[2].nominalAnnual).toBeCloseTo(30000 * 1.04 ** 2, 6);
+    expect(stream.rows[2].realAnnual).toBeCloseTo(30000, 6);
+    expect(stream.lifetimeNominal).toBeCloseTo(30000 + 30000 * 1.04 + 0.5 * 30000 * 1.04 ** 2, 6);
+  });
+
+  it('gives special provision retirees COLAs before 62 and feeds the lifetime pension', () => {
+    const res = calculateFersResults({
+      yearsOfService: 25,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 50,
+      retirementAge: 50,
+      retirementCategory: 'leo',
+      retirementEndAge: 52,
+      inflationRate: 0.02,
+    });
+    const first = res.stayFed.annualPension;
+    expect(res.stayFed.pensionStream.rows[1].nominalAnnual).toBeCloseTo(first * 1.02, 6);
+    expect(res.stayFed.lifetimePension).toBeCloseTo(first + first * 1.02, 6);
+  });
+});
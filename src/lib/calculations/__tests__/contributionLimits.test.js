@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { getEmployeeDeferralLimit, getTspContributionLimits } from '../contributionLimits';
+import { calculateTspTraditionalVsRoth } from '../tsp';
+
+describe('IRS contribution limits', () => {
+  it('reads known years from the table and projects later ones in IRS rounding steps', () => {
+    expect(getTspContributionLimits(2025)).toMatchObject({ electiveDeferralLimit: 23500, catchUpLimit: 7500, isProjected: false });
+    expect(getTspContributionLimits(2020).year).toBe(2023);
+
+    const projected = getTspContributionLimits(2030);
+    expect(projected.isProjected).toBe(true);
+    expect(projected.electiveDeferralLimit).toBe(Math.floor((24500 * Math.pow(1.025, 4)) / 500) * 500);
+    expect(projected.electiveDeferralLimit % 500).toBe(0);
+    expect(projected.rothCatchUpWageThreshold % 5000).toBe(0);
+  });
+
+  it('applies the age 60-63 super catch-up and the Roth catch-up rule for high earners', () => {
+    expect(getEmployeeDeferralLimit({ year: 2026, age: 49 }).totalLimit).toBe(24500);
+    expect(getEmployeeDeferralLimit({ year: 2026, age: 55 }).totalLimit).toBe(32500);
+    expect(getEmployeeDeferralLimit({ year: 2026, age: 61 })).toMatchObject({ totalLimit: 35750, isSuperCatchUp: true });
+    expect(getEmployeeDeferralLimit({ year: 2026, age: 64 }).isSuperCatchUp).toBe(false);
+    expect(getEmployeeDeferralLimit({ year: 2024, age: 61 }).totalLimit).toBe(30500);
+
+    expect(getEmployeeDeferralLimit({ year: 2026, age: 55, priorYearWages: 160000 }).catchUpMustBeRoth).toBe(true);
+    expect(getEmployeeDeferralLimit({ year: 2025, age: 55, priorYearWages: 160000 }).catchUpMustBeRoth).toBe(false);
+    expect(getEmployeeDeferralLimit({ year: 2026, age: 45, priorYearWages: 160000 }).catchUpMustBeRoth).toBe(false);
+  });
+
+  it('starts each catch-up in the year of the birthday and ends the super catch-up after 63', () => {
+    expect(getEmployeeDeferralLimit({ year: 2025, age: 49.9 }).catchUp).toBe(0);
+    expect(getEmployeeDeferralLimit({ year: 2025, age: 50 }).catchUp).toBe(7500);
+    expect(getEmployeeDeferralLimit({ year: 2025, age: 59 }).isSuperCatchUp).toBe(false);
+    expect(getEmployeeDeferralLimit({ year: 2025, age: 60 })).toMatchObject({ totalLimit: 34750, isSuperCatchUp: true });
+    expect(getEmployeeDeferralLimit({ year: 2026, age: 63 }).isSuperCatchUp).toBe(true);
+
+    // Wages exactly at the threshold may still go Traditional.
+    expect(getEmployeeDeferralLimit({ year: 2026, age: 55, priorYearWages: 150000 }).catchUpMustBeRoth).toBe(false);
+    expect(getEmployeeDeferralLimit({ year: 2031, age: 55, priorYearWages: 1e6 }).catchUpMustBeRoth).toBe(true);
+  });
+
+  it('caps projected deferrals at the IRS limit and sends a high earner\'s catch-up to Roth', () => {
+    const result = calculateTspTraditionalVsRoth({
+      currentBalance: 0,
+      annualSalary: 200000,
+      monthlyContributionPercent: 20,
+      currentAge: 61,
+      retirementAge: 62,
+      currentTaxRate: 0,
+      retirementTaxRate: 15,
+      includeEmployerMatch: false,
+      allocation: { G: 100 },
+      fundReturns: { G: 0 },
+      asOfDate: '2026-01-01',
+      useIrsLimits: true,
+    });
+
+    expect(result.limits).toMatchObject({ annualEmployeeDeferralLimit: 35750, isSuperCatchUp: true, catchUpMustBeRoth: true });
+    expect(result.traditional.traditionalBalance).toBeCloseTo(24500, 6);
+    expect(result.traditional.rothBalance).toBeCloseTo(11250, 6);
+    expect(result.roth.rothBalance).toBeCloseTo(35750, 6);
+  });
+});
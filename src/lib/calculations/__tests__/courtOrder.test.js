@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { calculateCourtOrderApportionment, getCourtOrderMonthlyAtAge } from '../courtOrder';
+import { calculateSurvivorBenefit } from '../survivorBenefit';
+import { calculateFersResults } from '../fers';
+
+describe('former spouse court orders', () => {
+  it('awards a percentage of the marital share of the gross annuity', () => {
+    const res = calculateCourtOrderApportionment({
+      courtOrder: { type: 'marital_fraction', awardPercent: 50, marriedServiceYears: 15 },
+      grossAnnualPension: 36000,
+      totalYearsOfService: 30,
+      survivorReductionPercent: 10,
+    });
+    expect(res.maritalFraction).toBeCloseTo(0.5, 9);
+    expect(res.shareOfGross).toBeCloseTo(0.25, 9);
+    expect(res.monthlyToFormerSpouse).toBeCloseTo(750, 6);
+    const stream = { rows: [{ age: 62, nominalAnnual: 32400 }, { age: 63, nominalAnnual: 32400 * 1.02 }] };
+    expect(getCourtOrderMonthlyAtAge(res, stream, 63)).toBeCloseTo(750 * 1.02, 6);
+  });
+
+  it('keeps a fixed award flat through COLAs and within the annuity', () => {
+    const res = calculateCourtOrderApportionment({
+      courtOrder: { type: 'fixed', fixedMonthly: 5000 },
+      grossAnnualPension: 36000,
+      totalYearsOfService: 30,
+    });
+    expect(res.monthlyToFormerSpouse).toBe(3000);
+    const stream = { rows: [{ age: 62, nominalAnnual: 24000 }, { age: 63, nominalAnnual: 36000 * 1.02 }] };
+    expect(getCourtOrderMonthlyAtAge(res, stream, 62)).toBe(2000);
+    expect(getCourtOrderMonthlyAtAge(res, stream, 63)).toBe(3000);
+    expect(getCourtOrderMonthlyAtAge(res, stream, 61)).toBe(0);
+  });
+
+  it('caps the marital fraction at the whole annuity and ignores an order with no type', () => {
+    const longMarriage = calculateCourtOrderApportionment({
+      courtOrder: { type: 'marital_fraction', awardPercent: 50, marriedServiceYears: 40 },
+      grossAnnualPension: 36000,
+      totalYearsOfService: 30,
+    });
+    expect(longMarriage.maritalFraction).toBe(1);
+    expect(longMarriage.monthlyToFormerSpouse).toBeCloseTo(1500, 6);
+
+    const none = calculateCourtOrderApportionment({ courtOrder: null, grossAnnualPension: 36000, totalYearsOfService: 30 });
+    expect(none.type.id).toBe('none');
+    expect(none.monthlyToFormerSpouse).toBe(0);
+    expect(getCourtOrderMonthlyAtAge(none, { rows: [{ age: 62, nominalAnnual: 36000 }] }, 62)).toBe(0);
+  });
+
+  it('puts a former spouse survivor award ahead of the current spouse within the 50% cap', () => {
+    const res = calculateSurvivorBenefit({
+      annualPension: 40000,
+      election: 'full',
+      retireeAge: 62,
+      formerSpouseSurvivorPercent: 25,
+    });
+    expect(res.reductionPercent).toBe(10);
+    expect(res.survivorAnnual).toBeCloseTo(10000, 6);
+    expect(res.formerSpouseSurvivorAnnual).toBeCloseTo(10000, 6);
+    expect(res.annualPension).toBeCloseTo(36000, 6);
+  });
+
+  it('takes the former spouse share out of the net annuity', () => {
+    const res = calculateFersResults({
+      yearsOfService: 30,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 62,
+      retirementAge: 62,
+      courtOrder: { type: 'fixed', fixedMonthly: 500, survivorAward: 'partial' },
+    });
+    // 33,000 gross, 5% former spouse survivor reduction.
+    expect(res.stayFed.annualPension).toBeCloseTo(31350, 6);
+    expect(res.stayFed.courtOrderMonthly).toBe(500);
+    expect(res.stayFed.netMonthlyPension).toBeCloseTo(31350 / 12 - 500, 6);
+  });
+});
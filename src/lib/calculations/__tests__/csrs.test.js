@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateCsrsAnnuityAnnual,
+  calculateCsrsOffsetReduction,
+  calculateCsrsPercentOfHigh3,
+  describeRetirementSystem,
+  evaluateCsrsEligibility,
+} from '../csrs';
+import { calculateFersResults } from '../fers';
+
+const base = {
+  yearsOfService: 30,
+  monthsOfService: 0,
+  high3Salary: 100000,
+  currentAge: 60,
+  retirementAge: 60,
+  mra: 56,
+};
+
+describe('csrs and fers transferee annuities', () => {
+  it('uses the 1.5% / 1.75% / 2% tiers capped at 80% and CSRS eligibility', () => {
+    expect(calculateCsrsPercentOfHigh3(30)).toBeCloseTo(0.075 + 0.0875 + 0.4, 9);
+    expect(calculateCsrsPercentOfHigh3(45)).toBe(0.8);
+    expect(calculateCsrsAnnuityAnnual({ high3Salary: 100000, csrsYearsOfService: 45, sickLeaveYears: 1 }).annualPension)
+      .toBeCloseTo(82000, 6);
+    expect(evaluateCsrsEligibility({ age: 55, totalYearsOfService: 30 }).isEligibleImmediate).toBe(true);
+    expect(evaluateCsrsEligibility({ age: 57, totalYearsOfService: 25 }).isEligibleImmediate).toBe(false);
+  });
+
+  it('reaches the 80% cap at 41 years 10.5 months and keeps only sick leave above it', () => {
+    expect(calculateCsrsPercentOfHigh3(41.75)).toBeCloseTo(0.7975, 9);
+    expect(calculateCsrsPercentOfHigh3(41.875)).toBeCloseTo(0.8, 9);
+    expect(calculateCsrsPercentOfHigh3(50)).toBe(0.8);
+
+    const res = calculateFersResults({ ...base, yearsOfService: 44, currentAge: 62, retirementAge: 62, retirementSystem: 'csrs' });
+    expect(res.stayFed.annualPension).toBeCloseTo(80000, 6);
+    const withSickLeave = calculateFersResults({
+      ...base,
+      yearsOfService: 44,
+      currentAge: 62,
+      retirementAge: 62,
+      retirementSystem: 'csrs',
+      sickLeaveHours: 2087,
+    });
+    expect(withSickLeave.stayFed.annualPension).toBeCloseTo(82000, 6);
+  });
+
+  it('allows 60 with 20 or 62 with 5 years, defers otherwise, and caps offset service at 40 years', () => {
+    expect(evaluateCsrsEligibility({ age: 60, totalYearsOfService: 20 }).isEligibleImmediate).toBe(true);
+    expect(evaluateCsrsEligibility({ age: 62, totalYearsOfService: 5 }).isEligibleImmediate).toBe(true);
+    expect(evaluateCsrsEligibility({ age: 61, totalYearsOfService: 19 })).toMatchObject({
+      isEligibleImmediate: false,
+      isEligibleDeferred: true,
+    });
+    expect(evaluateCsrsEligibility({ age: 62, totalYearsOfService: 4 }).isEligibleDeferred).toBe(false);
+
+    expect(calculateCsrsOffsetReduction({ socialSecurityAt62Monthly: 2000, offsetYearsOfService: 45 })).toMatchObject({
+      offsetYears: 40,
+      monthlyOffset: 2000,
+    });
+  });
+
+  it('combines a CSRS component with a FERS component for a transferee', () => {
+    const fersOnly = calculateFersResults(base);
+    expect(fersOnly.retirementSystem.csrsComponent).toBeNull();
+    expect(fersOnly.stayFed.annualPension).toBeCloseTo(30000, 6);
+
+    const res = calculateFersResults({ ...base, retirementSystem: 'fers_transferee', csrsServiceYears: 10 });
+    // 10 CSRS years: 7.5% + 8.75%; 20 FERS years at 1%.
+    expect(res.retirementSystem.csrsComponent.annualPension).toBeCloseTo(16250, 6);
+    expect(res.retirementSystem.fersComponent.annualPension).toBeCloseTo(20000, 6);
+    expect(res.stayFed.annualPension).toBeCloseTo(36250, 6);
+    expect(res.retirementSystem.csrsShare).toBeCloseTo(16250 / 36250, 9);
+    expect(fersOnly.retirementSystem.csrsShare).toBe(0);
+    expect(res.supplement.serviceYears).toBe(20);
+  });
+
+  it('reduces a CSRS Offset annuity at 62 by the Social Security earned on offset service', () => {
+    const res = calculateFersResults({
+      ...base,
+      retirementEndAge: 64,
+      retirementSystem: 'csrs_offset',
+      csrsServiceYears: 10,
+      socialSecurityAt62Monthly: 2000,
+    });
+    expect(res.stayFed.annualPension).toBeCloseTo(56250, 6);
+    expect(res.supplement.isEligible).toBe(false);
+    expect(res.retirementSystem.offset.annualOffset).toBeCloseTo(2000 * (20 / 40) * 12, 6);
+    const at62 = res.stayFed.pensionStream.rows.find((r) => r.age === 62);
+    expect(at62.nominalAnnual).toBeCloseTo(56250 - 12000, 6);
+    expect(describeRetirementSystem({ retirementSystem: 'csrs', hireDate: '1990-05-01' }).isSelectionConsistent).toBe(false);
+  });
+});
@@ -1,10 +1,22 @@
 import { describe, expect, it } from 'vitest';
 import {
+  buildFersInputsFromScenario,
+  calculateAnnualFersContribution,
+  calculateDisabilityRetirement,
+  calculateEarlyOutRetirement,
   calculateFersMultiplier,
   calculateFersResults,
+  calculateDeferredRetirement,
+  calculateFersSupplement,
+  calculateMinimumRetirementAge,
+  calculateMra10CommencementOptions,
   calculateMra10ReductionPercent,
+  convertSickLeaveHoursToService,
   evaluateFersRegularEligibility,
   findEarliestFersImmediateRetirementAge,
+  findEarliestFersImmediateRetirementDate,
+  getFersContributionCohortForHireDate,
+  getMinimumRetirementAgeForBirthYear,
 } from '../fers';
 
 describe('fers calculations', () => {
@@ -56,3 +68,521 @@ describe('fers calculations', () => {
 });
 
 
+
+describe('fers military buyback', () => {
+  const baseInputs = {
+    yearsOfService: 16,
+    monthsOfService: 0,
+    high3Salary: 100000,
+    currentAge: 58,
+    retirementAge: 62,
+    showComparison: false,
+    includeFutureService: true,
+    militaryService: {
+      enabled: true,
+      periods: [{ startDate: '1990-01-01', endDate: '1993-12-31', basePay: 60000 }],
+      civilianHireDate: '2008-01-01',
+      paymentDate: '2009-01-01',
+    },
+  };
+
+  it('adds bought-back military service to projected service when enabled', () => {
+    const res = calculateFersResults(baseInputs);
+    expect(res.militaryYears).toBeCloseTo(4, 6);
+    expect(res.projectedYears).toBeCloseTo(24, 6);
+    // Crossing 20 years at 62 unlocks the 1.1% multiplier
+    expect(res.stayFed.multiplier).toBeCloseTo(0.011, 6);
+  });
+
+  it('reports the annuity change and payback period of the deposit', () => {
+    const res = calculateFersResults(baseInputs);
+    expect(res.militaryBuyback.annualPensionWithout).toBeCloseTo(100000 * 20 * 0.011, 6);
+    expect(res.militaryBuyback.annualPensionIncrease).toBeCloseTo(100000 * 4 * 0.011, 6);
+    expect(res.militaryBuyback.paybackYears).toBeCloseTo(1800 / 4400, 6);
+  });
+});
+
+describe('fers sick leave credit', () => {
+  it('converts hours using the 2087-hour chart', () => {
+    expect(convertSickLeaveHoursToService(2087)).toMatchObject({ years: 1, months: 0, totalMonths: 12 });
+    expect(convertSickLeaveHoursToService(174).totalMonths).toBe(1);
+    expect(convertSickLeaveHoursToService(1000)).toMatchObject({ years: 0, months: 5, days: 22 });
+  });
+
+  it('increases the annuity but not eligibility or the multiplier', () => {
+    const inputs = {
+      yearsOfService: 19,
+      monthsOfService: 6,
+      high3Salary: 100000,
+      currentAge: 62,
+      retirementAge: 62,
+      showComparison: false,
+    };
+    const without = calculateFersResults(inputs);
+    const withSick = calculateFersResults({ ...inputs, sickLeaveHours: 2087 });
+
+    expect(withSick.projectedYears).toBeCloseTo(19.5, 6);
+    expect(withSick.computationYears).toBeCloseTo(20.5, 6);
+    // 19.5 years of service does not reach 20, so sick leave can't unlock the 1.1% multiplier
+    expect(withSick.stayFed.multiplier).toBeCloseTo(0.01, 6);
+    expect(withSick.sickLeave.annualPensionIncrease).toBeCloseTo(1000, 6);
+    expect(withSick.stayFed.annualPension - without.stayFed.annualPension).toBeCloseTo(1000, 6);
+  });
+});
+
+describe('fers special retirement supplement', () => {
+  it('estimates SS-at-62 x civilian service / 40 for MRA+30 and withholds $1 per $2 over the exempt amount', () => {
+    const base = {
+      retirementAge: 57,
+      totalYearsOfService: 30,
+      civilianYearsOfService: 30,
+      socialSecurityAt62Monthly: 2000,
+      mra: 57,
+    };
+    const srs = calculateFersSupplement(base);
+    expect(srs.isEligible).toBe(true);
+    expect(srs.monthlySupplement).toBeCloseTo(1500, 6);
+    expect(srs.yearsPaid).toBe(5);
+
+    const tested = calculateFersSupplement({ ...base, postRetirementEarnings: 24480 + 10000, exemptAmount: 24480 });
+    expect(tested.earningsTestReduction).toBeCloseTo(5000, 6);
+    expect(tested.annualSupplement).toBeCloseTo(18000 - 5000, 6);
+  });
+
+  it('is not payable for MRA+10, at 62+, or before the MRA', () => {
+    const common = { socialSecurityAt62Monthly: 2000, mra: 57 };
+    expect(calculateFersSupplement({ ...common, retirementAge: 57, totalYearsOfService: 15 }).monthlySupplement).toBe(0);
+    expect(calculateFersSupplement({ ...common, retirementAge: 62, totalYearsOfService: 30 }).isEligible).toBe(false);
+    expect(calculateFersSupplement({ ...common, retirementAge: 55, totalYearsOfService: 30 }).isEligible).toBe(false);
+
+    // 60 with 20 years also qualifies.
+    const res = calculateFersResults({
+      yearsOfService: 20,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 60,
+      retirementAge: 60,
+      socialSecurityAt62Monthly: 2000,
+    });
+    expect(res.supplement.monthlySupplement).toBeCloseTo(1000, 6);
+  });
+});
+
+describe('fers minimum retirement age', () => {
+  it('follows the OPM birth-year table', () => {
+    expect(getMinimumRetirementAgeForBirthYear(1946)).toBe(55);
+    expect(getMinimumRetirementAgeForBirthYear(1948) * 12).toBeCloseTo(55 * 12 + 2, 6);
+    expect(getMinimumRetirementAgeForBirthYear(1960)).toBe(56);
+    expect(getMinimumRetirementAgeForBirthYear(1967) * 12).toBeCloseTo(56 * 12 + 6, 6);
+    expect(getMinimumRetirementAgeForBirthYear(1975)).toBe(57);
+    expect(calculateMinimumRetirementAge('')).toBe(57);
+  });
+
+  it('uses the birth-date MRA for eligibility and the earliest retirement age', () => {
+    const res = calculateFersResults({
+      yearsOfService: 30,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 56,
+      retirementAge: 56,
+      birthDate: '1962-05-01',
+    });
+    expect(res.mra).toBe(56);
+    expect(res.stayFed.isEligible).toBe(true);
+
+    expect(findEarliestFersImmediateRetirementAge({ currentAge: 50, totalYearsOfService: 24, mra: res.mra })).toBe(56);
+  });
+});
+
+describe('fers date-based timeline', () => {
+  it('finds the calendar date each immediate retirement rule is met', () => {
+    const res = findEarliestFersImmediateRetirementDate({
+      birthDate: '1967-03-15',
+      serviceComputationDate: '1995-01-01',
+    });
+    // MRA is 56 and 6 months; 30 years of service complete on 2024-12-31.
+    expect(res.mraDate).toBe('2023-09-15');
+    expect(res.eligibleOn).toBe('2023-09-15');
+    expect(res.isMra10First).toBe(true);
+    expect(res.unreducedOn).toBe('2024-12-31');
+  });
+
+  it('uses month-accurate age and service when retirement dates are given', () => {
+    const res = calculateFersResults({
+      yearsOfService: 0,
+      monthsOfService: 0,
+      high3Salary: 120000,
+      currentAge: 0,
+      retirementAge: 0,
+      birthDate: '1970-01-01',
+      serviceComputationDate: '2005-01-01',
+      retirementDate: '2027-04-30',
+      asOfDate: '2025-01-01',
+    });
+    expect(res.timeline.retirementAge * 12).toBeCloseTo(57 * 12 + 3, 6);
+    expect(res.timeline.serviceAtRetirement * 12).toBeCloseTo(22 * 12 + 4, 6);
+    // MRA+10 at 57 and 3 months is reduced 5% per year for each full month under 62.
+    expect(calculateMra10ReductionPercent({ annuityStartAge: res.timeline.retirementAge })).toBeCloseTo(57 * (5 / 12), 6);
+  });
+});
+
+describe('fers MRA+10 postponed annuity', () => {
+  it('lists start ages up to 62 with the reduction shrinking 5% per year', () => {
+    const res = calculateMra10CommencementOptions({
+      high3Salary: 100000,
+      totalYearsOfService: 15,
+      separationAge: 57,
+      mra: 57,
+      retirementEndAge: 85,
+    });
+    expect(res.isApplicable).toBe(true);
+    expect(res.options.map((o) => o.commencementAge)).toEqual([57, 58, 59, 60, 61, 62]);
+    expect(res.options[0].reductionPercent).toBeCloseTo(25, 6);
+    expect(res.options[0].annualPension).toBeCloseTo(11250, 6);
+    expect(res.options[5].annualPension).toBeCloseTo(15000, 6);
+    expect(res.options[5].lifetimeValue).toBeCloseTo(15000 * 23, 6);
+    expect(res.options[5].isPostponed).toBe(true);
+  });
+
+  it('waives the reduction at 60 with 20+ years and uses the chosen start age', () => {
+    const res = calculateFersResults({
+      yearsOfService: 22,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 57,
+      retirementAge: 57,
+      mra: 57,
+      annuityCommencementAge: 60,
+    });
+    expect(res.mra10.latestCommencementAge).toBe(60);
+    expect(res.mra10.selected.reductionPercent).toBe(0);
+    expect(res.stayFed.pensionStartAge).toBe(60);
+    expect(res.stayFed.annualPension).toBeCloseTo(22000, 6);
+    expect(res.stayFed.isEligible).toBe(true);
+  });
+
+  it('needs a full 20 years for the waiver at 60 and counts only whole months under 62', () => {
+    expect(calculateMra10ReductionPercent({ annuityStartAge: 60, mra: 57, totalYearsOfService: 20 })).toBe(0);
+    expect(calculateMra10ReductionPercent({ annuityStartAge: 60, mra: 57, totalYearsOfService: 19.99 })).toBeCloseTo(10, 9);
+    expect(calculateMra10ReductionPercent({ annuityStartAge: 59.5, mra: 57, totalYearsOfService: 25 })).toBeCloseTo(12.5, 9);
+    expect(calculateMra10ReductionPercent({ annuityStartAge: 61 + 11 / 12, mra: 57, totalYearsOfService: 10 }))
+      .toBeCloseTo(5 / 12, 9);
+    expect(calculateMra10ReductionPercent({ annuityStartAge: 61.95, mra: 57, totalYearsOfService: 10 })).toBe(0);
+  });
+});
+
+describe('fers deferred retirement', () => {
+  it('offers a reduced MRA+10 start and an unreduced start at 60, defaulting to the unreduced one', () => {
+    const res = calculateDeferredRetirement({
+      high3Salary: 100000,
+      separationAge: 45,
+      serviceAtSeparation: 20,
+      mra: 57,
+      retirementEndAge: 85,
+    });
+    expect(res.options.map((o) => o.commencementAge)).toEqual([57, 60, 62]);
+    expect(res.options[0].reductionPercent).toBeCloseTo(25, 6);
+    expect(res.selected.commencementAge).toBe(60);
+    expect(res.selected.annualPension).toBeCloseTo(20000, 6);
+    expect(res.keepsFehb).toBe(false);
+    expect(res.fehbNote).toMatch(/0\.0 of the required 5 years/);
+
+    const covered = calculateDeferredRetirement({
+      high3Salary: 100000,
+      separationAge: 45,
+      serviceAtSeparation: 20,
+      mra: 57,
+      fehbYearsCoveredAtSeparation: 20,
+    });
+    // 60 with 20 is a postponed annuity, but MRA+10 and 62 with 5 are deferred when separating at 45.
+    expect(covered.options.map((o) => o.keepsFehb)).toEqual([false, true, false]);
+    expect(covered.keepsFehb).toBe(true);
+    expect(covered.fehbNote).toMatch(/suspended until the annuity starts/);
+  });
+
+  it('keeps FEHB on a postponed MRA+10 annuity after separating past the MRA', () => {
+    const res = calculateDeferredRetirement({
+      high3Salary: 100000,
+      separationAge: 58,
+      serviceAtSeparation: 12,
+      mra: 57,
+      fehbYearsCoveredAtSeparation: 12,
+    });
+    const byRule = Object.fromEntries(res.options.map((o) => [o.rule, o]));
+    expect(byRule['MRA+10 (reduced)']).toMatchObject({ commencementAge: 58, keepsFehb: true });
+    expect(byRule['62 with 5 years']).toMatchObject({ commencementAge: 62, keepsFehb: false });
+    expect(res.selected.rule).toBe('62 with 5 years');
+    expect(res.keepsFehb).toBe(false);
+
+    const uncovered = calculateDeferredRetirement({
+      high3Salary: 100000,
+      separationAge: 58,
+      serviceAtSeparation: 12,
+      mra: 57,
+      fehbYearsCoveredAtSeparation: 4,
+    });
+    expect(uncovered.options.every((o) => !o.keepsFehb)).toBe(true);
+  });
+
+  it('only allows a contribution refund under 5 years of service', () => {
+    const res = calculateDeferredRetirement({ high3Salary: 80000, separationAge: 30, serviceAtSeparation: 4 });
+    expect(res.isEligible).toBe(false);
+    expect(res.selected).toBeNull();
+  });
+
+  it('builds the leave-early path from the chosen separation and start ages', () => {
+    const res = calculateFersResults({
+      yearsOfService: 10,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 40,
+      retirementAge: 62,
+      mra: 57,
+      showComparison: true,
+      privateJobSalary: 120000,
+      privateJobYears: 10,
+      separationAge: 50,
+      deferredCommencementAge: 62,
+    });
+    expect(res.leaveEarly.serviceAtSeparation).toBe(20);
+    expect(res.leaveEarly.commencementAge).toBe(62);
+    expect(res.leaveEarly.deferredPension).toBeCloseTo(20000, 6);
+    expect(res.leaveEarly.cumulativeByAge[0].age).toBe(40);
+  });
+});
+
+describe('fers special provision retirement', () => {
+  it('uses 1.7% for the first 20 years and 1% after, with eligibility at 50/20 and any age/25', () => {
+    const res = calculateFersResults({
+      yearsOfService: 25,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 50,
+      retirementAge: 50,
+      retirementCategory: 'leo',
+    });
+    expect(res.usesSpecialProvisionFormula).toBe(true);
+    expect(res.stayFed.annualPension).toBeCloseTo(100000 * (20 * 0.017 + 5 * 0.01), 6);
+    expect(res.stayFed.isEligible).toBe(true);
+
+    expect(findEarliestFersImmediateRetirementAge({ currentAge: 40, totalYearsOfService: 15, retirementCategory: 'firefighter' })).toBe(50);
+    expect(findEarliestFersImmediateRetirementAge({ currentAge: 40, totalYearsOfService: 15 })).toBe(57);
+  });
+
+  it('pays the supplement before the MRA and warns past the mandatory age', () => {
+    const res = calculateFersResults({
+      yearsOfService: 20,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 52,
+      retirementAge: 58,
+      includeFutureService: true,
+      retirementCategory: 'atc',
+      socialSecurityAt62Monthly: 2000,
+    });
+    expect(res.supplement.isEligible).toBe(true);
+    expect(res.mandatoryRetirement.mandatoryAge).toBe(56);
+    expect(res.mandatoryRetirement.isPastMandatoryAge).toBe(true);
+
+    const supplementAt50 = calculateFersSupplement({
+      retirementAge: 50,
+      totalYearsOfService: 20,
+      socialSecurityAt62Monthly: 2000,
+      mra: 57,
+      retirementCategory: 'leo',
+    });
+    expect(supplementAt50.isEligible).toBe(true);
+    expect(supplementAt50.monthlySupplement).toBeCloseTo(1000, 6);
+  });
+});
+
+describe('fers contribution cohorts', () => {
+  it('derives FERS, FERS-RAE and FERS-FRAE from the hire date', () => {
+    expect(getFersContributionCohortForHireDate('2012-12-31')).toBe('fers');
+    expect(getFersContributionCohortForHireDate('2013-06-01')).toBe('fers_rae');
+    expect(getFersContributionCohortForHireDate('2014-01-01')).toBe('fers_frae');
+    expect(getFersContributionCohortForHireDate('')).toBeNull();
+  });
+
+  it('uses the hire date over a hand-picked cohort for the annual contribution', () => {
+    const res = calculateAnnualFersContribution({ annualSalary: 80000, contributionCohort: 'fers', hireDate: '2015-03-02' });
+    expect(res.isDerivedFromHireDate).toBe(true);
+    expect(res.contributionRate).toBeCloseTo(0.044, 9);
+    expect(res.annualContribution).toBeCloseTo(3520, 6);
+    expect(calculateAnnualFersContribution({ annualSalary: 80000, contributionCohort: 'fers_rae', retirementCategory: 'leo' }).annualContribution)
+      .toBeCloseTo(2880, 6);
+  });
+});
+
+describe('fers disability retirement', () => {
+  it('pays 60% then 40% of High-3 less the Social Security offsets, then recomputes at 62', () => {
+    const res = calculateDisabilityRetirement({
+      high3Salary: 100000,
+      disabilityAge: 45,
+      serviceAtDisability: 10,
+      ssDisabilityMonthly: 1000,
+      retirementEndAge: 70,
+    });
+    expect(res.isEligible).toBe(true);
+    expect(res.firstYearAnnuity).toBeCloseTo(60000 - 12000, 6);
+    expect(res.laterAnnuity).toBeCloseTo(40000 - 7200, 6);
+    // 17 years on disability count as service; no COLAs without inflation.
+    expect(res.recomputation.serviceYears).toBe(27);
+    expect(res.recomputation.annualPension).toBeCloseTo(100000 * 27 * 0.011, 6);
+    expect(res.stream.rows.find((r) => r.age === 62).phase).toBe('recomputed');
+  });
+
+  it('pays the earned annuity when it is larger or an unreduced retirement is available', () => {
+    expect(calculateDisabilityRetirement({ high3Salary: 100000, disabilityAge: 60, serviceAtDisability: 22 }).firstYearAnnuity)
+      .toBeCloseTo(22000, 6);
+    expect(calculateDisabilityRetirement({ high3Salary: 100000, disabilityAge: 40, serviceAtDisability: 1 }).isEligible)
+      .toBe(false);
+  });
+
+  it('replaces the planned retirement in a disability scenario', () => {
+    const res = calculateFersResults({
+      yearsOfService: 10,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 45,
+      retirementAge: 62,
+      retirementType: 'disability',
+    });
+    expect(res.isDisabilityRetirement).toBe(true);
+    expect(res.stayFed.pensionStartAge).toBe(45);
+    expect(res.stayFed.annualPension).toBeCloseTo(60000, 6);
+    expect(res.supplement.isEligible).toBe(false);
+  });
+});
+
+describe('fers early-out and discontinued service retirement', () => {
+  it('is available at 50 with 20 years or any age with 25, without an age reduction', () => {
+    expect(evaluateFersRegularEligibility({ age: 50, totalYearsOfService: 20, mra: 57 }).isEligibleEarlyOut).toBe(true);
+    expect(evaluateFersRegularEligibility({ age: 45, totalYearsOfService: 25, mra: 57 }).isEligibleEarlyOut).toBe(true);
+    expect(evaluateFersRegularEligibility({ age: 49, totalYearsOfService: 24, mra: 57 }).isEligibleEarlyOut).toBe(false);
+
+    const res = calculateEarlyOutRetirement({
+      type: 'dsr',
+      high3Salary: 100000,
+      retirementAge: 52,
+      totalYearsOfService: 22,
+      mra: 57,
+      retirementEndAge: 70,
+      socialSecurityAt62Monthly: 2000,
+    });
+    expect(res.isEligible).toBe(true);
+    expect(res.annualPension).toBeCloseTo(22000, 6);
+    // The supplement waits for the MRA.
+    expect(res.supplement.startAge).toBe(57);
+    expect(res.supplement.annualSupplement).toBeCloseTo(2000 * (22 / 40) * 12, 6);
+    expect(res.supplement.yearsPaid).toBe(5);
+  });
+
+  it('taxes the VSIP as wages and compares the offer with the current plan', () => {
+    const res = calculateFersResults({
+      yearsOfService: 20,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 50,
+      retirementAge: 57,
+      mra: 57,
+      retirementEndAge: 70,
+      socialSecurityAt62Monthly: 2000,
+      earlyOut: { type: 'vera', age: 0, vsipAmount: 30000, vsipDestination: 'bridge' },
+      vsipTaxRate: 22,
+      fireIncomeGoalMonthly: 4000,
+      otherMonthlyIncome: 500,
+    });
+    const { earlyOut } = res;
+    expect(earlyOut.vsip.gross).toBe(25000);
+    expect(earlyOut.vsip.isCapped).toBe(true);
+    expect(earlyOut.vsip.net).toBeCloseTo(25000 * (1 - 0.22 - 0.062 - 0.0145), 6);
+    // $4,000 less the $1,666.67 annuity and $500 of other income to the MRA, then less the $1,000 supplement.
+    expect(earlyOut.vsip.bridgeNeed).toBeCloseTo((4000 - 20000 / 12 - 500) * 84 + (4000 - 20000 / 12 - 1500) * 60, 6);
+    expect(earlyOut.vsip.bridgeAmount).toBeCloseTo(earlyOut.vsip.net, 9);
+    expect(earlyOut.vsip.bridgeShortfall).toBeCloseTo(earlyOut.vsip.bridgeNeed - earlyOut.vsip.net, 6);
+    expect(earlyOut.comparison.yearsEarlier).toBe(7);
+    expect(earlyOut.comparison.planned.salary).toBeCloseTo(700000, 6);
+    expect(earlyOut.comparison.difference).toBeCloseTo(
+      earlyOut.comparison.earlyOut.total - earlyOut.comparison.planned.total,
+      6
+    );
+  });
+
+  it('pays a VSIP up to the cap only when the early-out is available', () => {
+    const offer = {
+      type: 'vera',
+      high3Salary: 100000,
+      retirementAge: 50,
+      totalYearsOfService: 20,
+      mra: 57,
+      retirementEndAge: 70,
+      socialSecurityAt62Monthly: 2000,
+      vsipTaxRate: 0,
+      vsipDestination: 'bridge',
+    };
+    const atCap = calculateEarlyOutRetirement({ ...offer, vsipAmount: 25000 });
+    expect(atCap.vsip).toMatchObject({ gross: 25000, isCapped: false });
+    // Without an income goal there is no bridge to fund.
+    expect(atCap.vsip).toMatchObject({ bridgeNeed: 0, bridgeShortfall: 0, bridgeCoverage: null });
+
+    // $333.33 a month short for the 7 years before the MRA; the supplement closes the gap after it.
+    const withGoal = calculateEarlyOutRetirement({ ...offer, vsipAmount: 25000, fireIncomeGoalMonthly: 2000 });
+    expect(withGoal.vsip.bridgeNeed).toBeCloseTo((2000 - 20000 / 12) * 84, 6);
+    expect(withGoal.vsip.bridgeCoverage).toBeCloseTo(withGoal.vsip.net / withGoal.vsip.bridgeNeed, 9);
+    expect(withGoal.vsip.bridgeCoverage).toBeLessThan(1);
+    const taxable = calculateEarlyOutRetirement({
+      ...offer,
+      vsipAmount: 25000,
+      fireIncomeGoalMonthly: 2000,
+      vsipDestination: 'taxable',
+    });
+    expect(taxable.vsip).toMatchObject({ bridgeAmount: 0, bridgeCoverage: null });
+    expect(taxable.vsip.taxableAmount).toBeCloseTo(taxable.vsip.net, 9);
+    expect(taxable.vsip.bridgeShortfall).toBeCloseTo(taxable.vsip.bridgeNeed, 9);
+
+    const tooYoung = calculateEarlyOutRetirement({ ...offer, retirementAge: 49, vsipAmount: 40000 });
+    expect(tooYoung.isEligible).toBe(false);
+    expect(tooYoung.annualPension).toBe(0);
+    expect(tooYoung.vsip.gross).toBe(0);
+    expect(tooYoung.message).toMatch(/age 50 with 20 years/);
+  });
+});
+
+describe('fers inputs from a saved scenario', () => {
+  const scenario = {
+    fers: {
+      yearsOfService: 20,
+      high3Salary: 100000,
+      currentAge: 50,
+      retirementAge: 60,
+      contributionCohort: 'fers_frae',
+      hireDate: '2014-06-01',
+      accumulatedContributions: 12000,
+    },
+    tsp: { annualSalaryGrowthRate: 2, inflationRate: 3, retirementTaxRate: 20, currentTaxRate: 24 },
+    summary: { assumptions: { pensionEndAge: 90 } },
+  };
+
+  it('carries every FERS field and converts the TSP page percentages', () => {
+    const inputs = buildFersInputsFromScenario(scenario);
+    expect(inputs).toMatchObject({
+      contributionCohort: 'fers_frae',
+      hireDate: '2014-06-01',
+      accumulatedContributions: 12000,
+      annualSalaryGrowthRate: 0.02,
+      inflationRate: 0.03,
+      retirementTaxRate: 20,
+      vsipTaxRate: 24,
+      retirementEndAge: 90,
+      includeFutureService: true,
+      showComparison: false,
+    });
+    expect(buildFersInputsFromScenario(scenario, { retirementAge: 62 }).retirementAge).toBe(62);
+    expect(buildFersInputsFromScenario({}).retirementEndAge).toBe(85);
+
+    const fers = calculateFersResults(inputs);
+    expect(fers.pensionTax).toMatchObject({ employeeContributions: 12000, contributionsAreEstimated: false });
+    expect(fers.pensionTax.contributionCohort.id).toBe('fers_frae');
+  });
+});
@@ -36,6 +36,41 @@ describe('fire calculations', () => {
     expect(gap.bridge?.monthlyShortfall).toBeCloseTo(500, 0);
     expect(gap.bridge?.requiredBridgeAssets).toBeCloseTo(42000, 0);
   });
-});
 
+  it('counts the FERS supplement at the desired age but not after it ends', () => {
+    const gap = calculateFireGap({
+      tspProjectedBalance: 1200000, // 4% => 4k/mo
+      pensionMonthly: 1000,
+      fire: { monthlyFireIncomeGoal: 6000, sideHustleIncome: 0, spouseIncome: 0 },
+      safeWithdrawalRate: 0.04,
+      desiredFireAge: 57,
+      pensionStartAge: 57,
+      supplementMonthly: 1200,
+    });
+
+    expect(gap.supplement?.monthlyAtDesiredAge).toBe(1200);
+    expect(gap.totalPassiveIncomeAtDesiredAge).toBeCloseTo(6200, 0);
+    expect(gap.isFireReadyAtDesiredAge).toBe(true);
+    expect(gap.totalPassiveIncomeAfterPension).toBeCloseTo(5000, 0);
+  });
+
+  it('draws a taxable VSIP with the TSP and sets a bridge-fund VSIP against the bridge', () => {
+    const base = {
+      tspProjectedBalance: 1200000, // 4% => 4k/mo
+      pensionMonthly: 1000,
+      fire: { monthlyFireIncomeGoal: 4500, sideHustleIncome: 0, spouseIncome: 0 },
+      safeWithdrawalRate: 0.04,
+      desiredFireAge: 55,
+      pensionStartAge: 62,
+    };
+    const taxable = calculateFireGap({ ...base, taxableBalance: 60000 }); // 4% => $200/mo
+    expect(taxable.taxableMonthlyWithdrawal).toBeCloseTo(200, 6);
+    expect(taxable.totalPassiveIncomeAtDesiredAge).toBeCloseTo(4200, 6);
+    expect(taxable.bridge.requiredBridgeAssets).toBeCloseTo(300 * 84, 6);
 
+    const bridge = calculateFireGap({ ...base, bridgeAssets: 20000 });
+    expect(bridge.bridge.requiredBridgeAssets).toBeCloseTo(42000, 6);
+    expect(bridge.bridge.bridgeShortfall).toBeCloseTo(22000, 6);
+    expect(calculateFireGap({ ...base, bridgeAssets: 50000 }).bridge.bridgeShortfall).toBe(0);
+  });
+});
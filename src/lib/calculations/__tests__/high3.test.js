@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { calculateHigh3FromSalaryHistory } from '../high3';
+import { calculateFersResults } from '../fers';
+
+describe('high-3 from salary history', () => {
+  it('averages the highest 36 consecutive months, day-weighted across rate changes', () => {
+    const res = calculateHigh3FromSalaryHistory({
+      entries: [
+        { effectiveDate: '2018-01-01', annualRate: 80000 },
+        { effectiveDate: '2020-01-01', annualRate: 90000 },
+        { effectiveDate: '2022-01-01', annualRate: 100000 },
+        // Locality change to a lower-paying area.
+        { effectiveDate: '2024-01-01', annualRate: 95000 },
+      ],
+      endDate: '2025-12-31',
+    });
+    // Best window is 2022-01-01 through 2024-12-31: two years at 100k and one at 95k.
+    expect(res.windowStart).toBe('2022-01-01');
+    expect(res.windowEnd).toBe('2024-12-31');
+    expect(res.high3).toBeCloseTo((100000 * 730 + 95000 * 366) / 1096, 2);
+    expect(res.isProjected).toBe(false);
+  });
+
+  it('projects January raises at the salary growth rate when retiring in the future', () => {
+    const res = calculateHigh3FromSalaryHistory({
+      entries: [{ effectiveDate: '2025-01-01', annualRate: 100000 }],
+      endDate: '2029-12-31',
+      annualGrowthRate: 0.02,
+    });
+    expect(res.isProjected).toBe(true);
+    expect(res.windowStart).toBe('2027-01-01');
+    expect(res.high3).toBeGreaterThan(100000 * 1.02 * 1.02);
+    expect(res.high3).toBeLessThan(100000 * 1.02 ** 4);
+  });
+
+  it('averages the whole history when it is shorter than 3 years', () => {
+    const res = calculateHigh3FromSalaryHistory({
+      entries: [
+        { effectiveDate: '2025-01-01', annualRate: 90000 },
+        { effectiveDate: '2024-01-01', annualRate: 80000 },
+      ],
+      endDate: '2025-12-31',
+    });
+    expect(res.windowStart).toBe('2024-01-01');
+    expect(res.windowEnd).toBe('2025-12-31');
+    expect(res.high3).toBeCloseTo((80000 * 366 + 90000 * 365) / 731, 2);
+  });
+
+  it('ignores entries without a date or a positive rate', () => {
+    const res = calculateHigh3FromSalaryHistory({
+      entries: [
+        { effectiveDate: '2020-01-01', annualRate: 100000 },
+        { effectiveDate: '', annualRate: 500000 },
+        { effectiveDate: '2022-01-01', annualRate: 0 },
+      ],
+      endDate: '2025-12-31',
+    });
+    expect(res.segments).toHaveLength(1);
+    expect(res.high3).toBeCloseTo(100000, 6);
+    expect(calculateHigh3FromSalaryHistory({ entries: [], endDate: '2025-12-31' })).toMatchObject({
+      high3: 0,
+      windowStart: null,
+    });
+  });
+
+  it('is used by calculateFersResults when enabled, otherwise the manual value wins', () => {
+    const base = {
+      yearsOfService: 30,
+      monthsOfService: 0,
+      high3Salary: 50000,
+      currentAge: 60,
+      retirementAge: 60,
+      asOfDate: '2026-01-01',
+    };
+    const salaryHistory = { enabled: true, entries: [{ effectiveDate: '2020-01-01', annualRate: 100000 }] };
+
+    const computed = calculateFersResults({ ...base, salaryHistory });
+    expect(computed.high3.source).toBe('salaryHistory');
+    expect(computed.stayFed.annualPension).toBeCloseTo(30000, 6);
+
+    const manual = calculateFersResults({ ...base, salaryHistory: { ...salaryHistory, enabled: false } });
+    expect(manual.high3.source).toBe('manual');
+    expect(manual.stayFed.annualPension).toBeCloseTo(15000, 6);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+import {
+  expandAllocation,
+  formatAllocation,
+  getLifecycleFundMix,
+  hasLifecycleFunds,
+  L_FUND_GLIDE_PATH,
+} from '../lifecycleFunds';
+import { calculateTspTraditionalVsRoth, calculateWeightedReturn } from '../tsp';
+
+const sum = (mix) => Object.values(mix).reduce((total, pct) => total + pct, 0);
+
+describe('L Fund glide paths', () => {
+  it('holds one mix per quarter and reaches L Income in the target year', () => {
+    const february = getLifecycleFundMix('L2050', '2026-02-15');
+    expect(getLifecycleFundMix('L2050', '2026-03-31')).toEqual(february);
+    expect(getLifecycleFundMix('L2050', '2026-04-01').G).toBeGreaterThan(february.G);
+    expect(sum(february)).toBeCloseTo(100, 9);
+
+    const income = L_FUND_GLIDE_PATH[L_FUND_GLIDE_PATH.length - 1];
+    expect(getLifecycleFundMix('L2030', '2031-06-01').G).toBe(income.G);
+    expect(getLifecycleFundMix('LIncome', '2026-06-01').C).toBe(income.C);
+    expect(getLifecycleFundMix('L2075', '2026-06-01').C).toBe(L_FUND_GLIDE_PATH[0].C);
+  });
+
+  it('lands exactly on a glide path row and switches to L Income on January 1 of the target year', () => {
+    const row25 = L_FUND_GLIDE_PATH.find((row) => row.yearsToTarget === 25);
+    expect(getLifecycleFundMix('L2050', '2025-01-01').G).toBeCloseTo(row25.G, 2);
+
+    const income = L_FUND_GLIDE_PATH[L_FUND_GLIDE_PATH.length - 1];
+    const lastQuarter = getLifecycleFundMix('L2030', '2029-12-31');
+    expect(lastQuarter.G).toBeLessThan(income.G);
+    expect(lastQuarter.G).toBeGreaterThan(L_FUND_GLIDE_PATH[L_FUND_GLIDE_PATH.length - 2].G);
+    expect(getLifecycleFundMix('L2030', '2030-01-01').G).toBe(income.G);
+    expect(getLifecycleFundMix('L1999', '2026-06-01')).toEqual(getLifecycleFundMix('LIncome'));
+  });
+
+  it('only counts L Funds that hold a share', () => {
+    expect(hasLifecycleFunds({ C: 100, L2050: 0 })).toBe(false);
+    expect(hasLifecycleFunds({ C: 50, L2050: '50' })).toBe(true);
+    expect(formatAllocation({ C: 50, L2050: 50, L2040: 0 })).toBe('G 0%, F 0%, C 50%, S 0%, I 0%, L 2050 50%');
+  });
+
+  it('expands L Funds into individual fund percentages', () => {
+    const mix = expandAllocation({ G: 10, C: 40, L2040: 50 }, '2026-01-01');
+    const l2040 = getLifecycleFundMix('L2040', '2026-01-01');
+    expect(mix.G).toBeCloseTo(10 + l2040.G / 2, 9);
+    expect(mix.C).toBeCloseTo(40 + l2040.C / 2, 9);
+    expect(sum(mix)).toBeCloseTo(100, 9);
+    expect(expandAllocation({ G: 10, F: 20, C: 40, S: 20, I: 10 })).toEqual({ G: 10, F: 20, C: 40, S: 20, I: 10 });
+  });
+
+  it('lowers the projected return as an L Fund moves toward its target', () => {
+    const allocation = { L2035: 100 };
+    const early = calculateWeightedReturn({ allocation, asOfDate: '2026-01-01' });
+    const late = calculateWeightedReturn({ allocation, asOfDate: '2034-01-01' });
+    expect(late).toBeLessThan(early);
+
+    const base = {
+      currentBalance: 100000,
+      annualSalary: 0,
+      monthlyContributionPercent: 0,
+      currentAge: 45,
+      retirementAge: 55,
+      currentTaxRate: 22,
+      retirementTaxRate: 15,
+      asOfDate: '2026-01-01',
+    };
+    const glide = calculateTspTraditionalVsRoth({ ...base, allocation });
+    const fixed = calculateTspTraditionalVsRoth({ ...base, allocation: expandAllocation(allocation, '2026-01-01') });
+    expect(glide.traditional.projectedBalance).toBeLessThan(fixed.traditional.projectedBalance);
+    expect(glide.weightedReturn).toBeCloseTo(early, 9);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { calculateMilitaryDeposit, calculateMilitaryInterestAccrualDate } from '../militaryDeposit';
+
+describe('military deposit calculations', () => {
+  it('charges 3% of basic pay and credits whole months of service', () => {
+    const res = calculateMilitaryDeposit({
+      periods: [{ startDate: '2000-01-01', endDate: '2003-12-31', basePay: 100000 }],
+      civilianHireDate: '2010-06-01',
+      paymentDate: '2011-06-01',
+    });
+    expect(res.creditableMonths).toBe(48);
+    expect(res.creditableYears).toBeCloseTo(4, 6);
+    expect(res.depositPrincipal).toBeCloseTo(3000, 6);
+    expect(res.isInterestFree).toBe(true);
+    expect(res.totalDeposit).toBeCloseTo(3000, 6);
+  });
+
+  it('accrues interest once the two-year grace period has passed', () => {
+    const res = calculateMilitaryDeposit({
+      periods: [{ startDate: '2000-01-01', endDate: '2003-12-31', basePay: 100000 }],
+      civilianHireDate: '2010-06-01',
+      paymentDate: '2014-06-01',
+      interestRate: 5,
+    });
+    expect(res.interestAccrualDate).toBe('2012-06-01');
+    // ~2 years compounded at 5%
+    expect(res.interest).toBeCloseTo(3000 * (1.05 * 1.05 - 1), 0);
+  });
+
+  it('stays interest-free through the last day of the grace period and adds simple interest for a partial year', () => {
+    const base = {
+      periods: [{ startDate: '2000-01-01', endDate: '2003-12-31', basePay: 100000 }],
+      civilianHireDate: '2010-06-01',
+      interestRate: 4,
+    };
+    expect(calculateMilitaryDeposit({ ...base, paymentDate: '2012-05-31' }).isInterestFree).toBe(true);
+    expect(calculateMilitaryDeposit({ ...base, paymentDate: '2012-06-01' })).toMatchObject({ interest: 0, totalDeposit: 3000 });
+
+    const halfYearLate = calculateMilitaryDeposit({ ...base, paymentDate: '2013-12-01' });
+    expect(halfYearLate.isInterestFree).toBe(false);
+    expect(halfYearLate.yearsOfInterest).toBeCloseTo(1.5, 1);
+    expect(halfYearLate.interest).toBeCloseTo(3000 * (1.04 * (1 + 0.04 * (halfYearLate.yearsOfInterest - 1)) - 1), 6);
+  });
+
+  it('adds up separate tours of duty', () => {
+    const res = calculateMilitaryDeposit({
+      periods: [
+        { id: 'a', startDate: '1998-01-01', endDate: '1999-12-31', basePay: 40000 },
+        { id: 'b', startDate: '2003-07-01', endDate: '2004-06-30', basePay: 30000 },
+      ],
+      civilianHireDate: '2010-06-01',
+      paymentDate: '2011-01-01',
+    });
+    expect(res.periods.map((p) => p.months)).toEqual([24, 12]);
+    expect(res.creditableYears).toBeCloseTo(3, 6);
+    expect(res.depositPrincipal).toBeCloseTo(2100, 6);
+    expect(calculateMilitaryDeposit({ periods: [], civilianHireDate: '2010-06-01' }).totalDeposit).toBe(0);
+  });
+
+  it('never starts interest before 1991 for early hires', () => {
+    expect(calculateMilitaryInterestAccrualDate('1985-03-01').toISOString().slice(0, 10)).toBe('1991-01-01');
+  });
+});
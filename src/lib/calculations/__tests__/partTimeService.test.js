@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { calculatePartTimeProration } from '../partTimeService';
+import { calculateFersResults } from '../fers';
+
+describe('part-time service proration', () => {
+  it('prorates by scheduled hours over full-time hours and reports each period', () => {
+    const res = calculatePartTimeProration({
+      periods: [
+        { id: 'a', startDate: '2010-01-01', endDate: '2013-12-31', hoursPerWeek: 20 },
+        { id: 'b', startDate: '2016-01-01', endDate: '2016-12-31', hoursPerWeek: 32 },
+      ],
+      totalYearsOfService: 20,
+      unproratedAnnualPension: 20000,
+    });
+    // 4 years at half time and 1 year at 80% lose 2.2 full-time years of 20.
+    expect(res.fullTimeEquivalentYearsLost).toBeCloseTo(2.2, 9);
+    expect(res.prorationFactor).toBeCloseTo(17.8 / 20, 9);
+    expect(res.periods[0].annualPensionReduction).toBeCloseTo(2000, 6);
+    expect(res.periods[1].annualPensionReduction).toBeCloseTo(200, 6);
+    expect(res.annualPension).toBeCloseTo(17800, 6);
+  });
+
+  it('treats 40 or more hours, or no hours entered, as full time', () => {
+    const res = calculatePartTimeProration({
+      periods: [
+        { startDate: '2010-01-01', endDate: '2010-12-31', hoursPerWeek: 45 },
+        { startDate: '2011-01-01', endDate: '2011-12-31' },
+      ],
+      totalYearsOfService: 10,
+      unproratedAnnualPension: 10000,
+    });
+    expect(res.periods.map((p) => p.hoursPerWeek)).toEqual([40, 40]);
+    expect(res.prorationFactor).toBe(1);
+    expect(res.annualPensionReduction).toBe(0);
+  });
+
+  it('never prorates below zero and leaves the annuity alone without service', () => {
+    const period = { startDate: '2000-01-01', endDate: '2019-12-31', hoursPerWeek: 0 };
+    const res = calculatePartTimeProration({ periods: [period], totalYearsOfService: 10, unproratedAnnualPension: 10000 });
+    expect(res.fullTimeEquivalentYearsLost).toBe(10);
+    expect(res.prorationFactor).toBe(0);
+    expect(calculatePartTimeProration({ periods: [period], totalYearsOfService: 0 }).prorationFactor).toBe(1);
+  });
+
+  it('reduces the annuity but not the service used for eligibility', () => {
+    const partTimeService = {
+      enabled: true,
+      periods: [{ startDate: '2010-01-01', endDate: '2014-12-31', hoursPerWeek: 20 }],
+    };
+    const inputs = { yearsOfService: 30, monthsOfService: 0, high3Salary: 100000, currentAge: 62, retirementAge: 62 };
+    expect(calculateFersResults({ ...inputs, partTimeService: { ...partTimeService, enabled: false } }).partTime).toBeNull();
+
+    const res = calculateFersResults({ ...inputs, partTimeService });
+    expect(res.projectedYears).toBe(30);
+    expect(res.stayFed.isEligible).toBe(true);
+    expect(res.partTime.prorationFactor).toBeCloseTo(27.5 / 30, 9);
+    expect(res.stayFed.annualPension).toBeCloseTo(100000 * 30 * 0.011 * (27.5 / 30), 6);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { calculateSimplifiedMethod, getSimplifiedMethodPayments } from '../pensionTax';
+import { calculateFersResults, estimateFersContributions } from '../fers';
+
+describe('pension tax-free portion (Simplified Method)', () => {
+  it('uses the single-life table by age and the joint table by combined ages', () => {
+    expect(getSimplifiedMethodPayments({ annuitantAge: 57.5 })).toEqual({ table: 'single', expectedPayments: 310 });
+    expect(getSimplifiedMethodPayments({ annuitantAge: 62 }).expectedPayments).toBe(260);
+    expect(getSimplifiedMethodPayments({ annuitantAge: 62, beneficiaryAge: 60 })).toEqual({ table: 'joint', expectedPayments: 310 });
+  });
+
+  it('reads each table row through its last age', () => {
+    expect(getSimplifiedMethodPayments({ annuitantAge: 55 }).expectedPayments).toBe(360);
+    expect(getSimplifiedMethodPayments({ annuitantAge: 56 }).expectedPayments).toBe(310);
+    expect(getSimplifiedMethodPayments({ annuitantAge: 70.9 }).expectedPayments).toBe(210);
+    expect(getSimplifiedMethodPayments({ annuitantAge: 71 }).expectedPayments).toBe(160);
+    expect(getSimplifiedMethodPayments({ annuitantAge: 55, beneficiaryAge: 55 }).expectedPayments).toBe(410);
+    expect(getSimplifiedMethodPayments({ annuitantAge: 75, beneficiaryAge: 70 }).expectedPayments).toBe(210);
+  });
+
+  it('never makes more than the whole payment tax-free and taxes everything without a cost', () => {
+    const small = calculateSimplifiedMethod({ costInContract: 400000, monthlyPension: 1000, annuitantAge: 62 });
+    expect(small.taxFreeMonthly).toBe(1000);
+    expect(small.taxableMonthly).toBe(0);
+    expect(small.recoveryMonths).toBe(400);
+
+    const noCost = calculateSimplifiedMethod({ costInContract: 0, monthlyPension: 3000, annuitantAge: 62, taxRate: 10 });
+    expect(noCost).toMatchObject({ taxFreeMonthly: 0, recoveryMonths: 0, recoveryEndAge: null });
+    expect(noCost.estimatedMonthlyTax).toBeCloseTo(300, 6);
+  });
+
+  it('recovers the cost in level tax-free payments', () => {
+    const res = calculateSimplifiedMethod({
+      costInContract: 26000,
+      monthlyPension: 3000,
+      annuitantAge: 62,
+      taxRate: 12,
+    });
+    expect(res.taxFreeMonthly).toBeCloseTo(100, 6);
+    expect(res.taxableMonthly).toBeCloseTo(2900, 6);
+    expect(res.recoveryMonths).toBe(260);
+    expect(res.estimatedMonthlyTax).toBeCloseTo(348, 6);
+  });
+
+  it('estimates contributions by cohort when no total is entered', () => {
+    expect(estimateFersContributions({ high3Salary: 100000, yearsOfService: 10, contributionRate: 0.044 }))
+      .toBeCloseTo(44000, 6);
+    const res = calculateFersResults({
+      yearsOfService: 30,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 62,
+      retirementAge: 62,
+      contributionCohort: 'fers_frae',
+      retirementTaxRate: 15,
+    });
+    expect(res.pensionTax.contributionRate).toBeCloseTo(0.044, 9);
+    expect(res.pensionTax.costInContract).toBeCloseTo(132000, 6);
+    expect(res.pensionTax.taxFreeMonthly).toBeCloseTo(132000 / 260, 6);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { getAnnuityStartDate, optimizeRetirementDate, projectAnnualLeave } from '../retirementDate';
+
+describe('retirement date optimizer', () => {
+  it('credits leave only for full pay periods and caps it at each new leave year', () => {
+    // Pay periods end on Saturday 2030-12-07, 12-21 and 2031-01-04; leave year 2031 starts 2031-01-05.
+    const base = { annualLeaveHours: 236, leaveCategory: 'eight', asOfDate: '2030-11-24' };
+    expect(projectAnnualLeave({ ...base, separationDate: '2030-12-20' })).toMatchObject({ hours: 244, isMidPayPeriod: true });
+    expect(projectAnnualLeave({ ...base, separationDate: '2031-01-04' })).toMatchObject({ hours: 260, forfeitedHours: 0 });
+    expect(projectAnnualLeave({ ...base, separationDate: '2031-01-17' })).toMatchObject({ hours: 240, forfeitedHours: 20 });
+  });
+
+  it('starts the annuity the next month, or the next day under the CSRS 3-day rule', () => {
+    expect(getAnnuityStartDate({ separationDate: '2031-01-02' })).toBe('2031-02-01');
+    expect(getAnnuityStartDate({ separationDate: '2031-01-02', retirementSystem: 'csrs' })).toBe('2031-01-03');
+    expect(getAnnuityStartDate({ separationDate: '2031-01-04', retirementSystem: 'csrs' })).toBe('2031-02-01');
+  });
+
+  it('explains why no dates can be ranked', () => {
+    const fersInputs = { birthDate: '1968-05-10', serviceComputationDate: '1998-03-01', high3Salary: 120000, asOfDate: '2030-11-24' };
+    const args = { fersInputs, finalSalary: 125000, rangeStart: '2030-12-01', rangeEnd: '2031-01-31' };
+    expect(optimizeRetirementDate({ ...args, fersInputs: { ...fersInputs, birthDate: '' } }).message).toMatch(/birth date/);
+    expect(optimizeRetirementDate({ ...args, rangeEnd: '2030-11-30' }).message).toMatch(/date range to search/);
+    expect(optimizeRetirementDate({ ...args, rangeStart: '2029-01-01', rangeEnd: '2029-12-31' }).message).toMatch(/already passed/);
+    expect(optimizeRetirementDate({ ...args, rangeEnd: '2032-12-01' }).message).toMatch(/at most 2 years/);
+    expect(optimizeRetirementDate({ ...args, finalSalary: 0 })).toMatchObject({ isAvailable: false, best: null });
+  });
+
+  it('adds the first three days of each month as candidates under CSRS', () => {
+    const fersInputs = {
+      birthDate: '1960-05-10',
+      serviceComputationDate: '1980-03-01',
+      high3Salary: 120000,
+      asOfDate: '2030-11-24',
+      retirementSystem: 'csrs',
+    };
+    const args = { finalSalary: 125000, rangeStart: '2030-12-01', rangeEnd: '2031-01-31' };
+    const csrsDates = optimizeRetirementDate({ ...args, fersInputs }).candidates.map((c) => c.date);
+    expect(csrsDates).toEqual(expect.arrayContaining(['2031-01-01', '2031-01-02', '2031-01-03']));
+    const fersDates = optimizeRetirementDate({ ...args, fersInputs: { ...fersInputs, retirementSystem: 'fers' } })
+      .candidates.map((c) => c.date);
+    expect(fersDates).not.toContain('2031-01-02');
+  });
+
+  it('ranks dates by final pay, leave payout and annuity over each first year', () => {
+    const res = optimizeRetirementDate({
+      fersInputs: { birthDate: '1968-05-10', serviceComputationDate: '1998-03-01', high3Salary: 120000, asOfDate: '2030-11-24' },
+      finalSalary: 125000,
+      annualLeaveHours: 300,
+      leaveCategory: 'eight',
+      rangeStart: '2030-12-01',
+      rangeEnd: '2031-01-31',
+    });
+    expect(res.isAvailable).toBe(true);
+    const byDate = Object.fromEntries(res.candidates.map((c) => [c.date, c]));
+    expect(byDate['2030-12-31'].windowEnd).toBe('2031-12-31');
+    // The last day of the year starts the annuity a month sooner than the next pay period end...
+    expect(byDate['2030-12-31'].annuityStartDate).toBe('2031-01-01');
+    expect(byDate['2031-01-04'].annuityStartDate).toBe('2031-02-01');
+    expect(byDate['2030-12-31'].rank).toBeLessThan(byDate['2031-01-04'].rank);
+    // ...which still pays out the leave that a January date would lose over the carryover ceiling.
+    expect(byDate['2031-01-04'].leaveHours).toBe(324);
+    expect(byDate['2031-01-31']).toMatchObject({ leaveHours: 248, forfeitedLeaveHours: 84 });
+    const best = res.best;
+    expect(best.totalCash).toBeCloseTo(best.finalPay + best.leavePayout + best.annuityPaid, 6);
+    expect(res.candidates.every((c) => c.differenceFromBest <= 0)).toBe(true);
+  });
+
+  it('puts a month end ahead of later mid-month dates that start the annuity a month later', () => {
+    const res = optimizeRetirementDate({
+      fersInputs: { birthDate: '1968-05-10', serviceComputationDate: '1998-03-01', high3Salary: 120000, asOfDate: '2030-11-24' },
+      finalSalary: 125000,
+      rangeStart: '2031-03-01',
+      rangeEnd: '2031-04-30',
+    });
+    const byDate = Object.fromEntries(res.candidates.map((c) => [c.date, c]));
+    expect(byDate['2031-03-31']).toMatchObject({ annuityStartDate: '2031-04-01', annuityMonths: 12 });
+    expect(byDate['2031-04-12'].annuityStartDate).toBe('2031-05-01');
+    expect(byDate['2031-04-12'].annuityMonths).toBeCloseTo(11.4, 6);
+    expect(byDate['2031-03-31'].rank).toBeLessThan(byDate['2031-04-12'].rank);
+    expect(byDate['2031-03-31'].rank).toBeLessThan(byDate['2031-04-26'].rank);
+    // The pay period ending 2031-03-29 is still unpaid on the 31st, so it is paid along with Monday the 31st.
+    expect(byDate['2031-03-31'].finalPay).toBeCloseTo(11 * 8 * res.hourlyRate, 6);
+    expect(byDate['2031-03-31'].totalCash).toBeGreaterThan(byDate['2031-03-29'].totalCash);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { calculateLifeExpectancy, calculateSurvivorBenefit, getAnnualDeathProbability } from '../survivorBenefit';
+import { calculateFersResults } from '../fers';
+
+describe('survivor benefit election', () => {
+  it('reduces the annuity 10% for a full election and pays 50% of the unreduced annuity', () => {
+    const res = calculateSurvivorBenefit({
+      annualPension: 30000,
+      baseAnnualPension: 40000,
+      election: 'full',
+      retireeAge: 62,
+      spouseAge: 60,
+    });
+    expect(res.annualReduction).toBeCloseTo(3000, 6);
+    expect(res.annualPension).toBeCloseTo(27000, 6);
+    expect(res.survivorAnnual).toBeCloseTo(20000, 6);
+    expect(res.probabilitySpouseOutlives).toBeGreaterThan(0.5);
+    expect(res.expectedSurvivorValue).toBeGreaterThan(0);
+  });
+
+  it('leaves expected values out without a spouse age', () => {
+    const res = calculateSurvivorBenefit({ annualPension: 30000, election: 'partial', retireeAge: 62 });
+    expect(res.annualPension).toBeCloseTo(28500, 6);
+    expect(res.survivorAnnual).toBeCloseTo(7500, 6);
+    expect(res.expectedCost).toBeNull();
+    expect(res.netExpectedValue).toBeNull();
+  });
+
+  it('costs nothing without an election and treats an unknown election as none', () => {
+    const none = calculateSurvivorBenefit({ annualPension: 30000, election: 'none', retireeAge: 62, spouseAge: 60 });
+    expect(none).toMatchObject({ reductionPercent: 0, annualReduction: 0, survivorAnnual: 0, expectedCost: 0 });
+    expect(none.annualPension).toBe(30000);
+    expect(calculateSurvivorBenefit({ annualPension: 30000, election: 'bogus', retireeAge: 62 }).election.id).toBe('none');
+  });
+
+  it('gives a younger spouse a better chance of collecting', () => {
+    const args = { annualPension: 30000, election: 'full', retireeAge: 62 };
+    const younger = calculateSurvivorBenefit({ ...args, spouseAge: 50 });
+    const older = calculateSurvivorBenefit({ ...args, spouseAge: 75 });
+    expect(younger.probabilitySpouseOutlives).toBeGreaterThan(older.probabilitySpouseOutlives);
+    expect(younger.netExpectedValue).toBeGreaterThan(older.netExpectedValue);
+    expect(younger.expectedCost).toBeCloseTo(older.expectedCost, 2);
+  });
+
+  it('interpolates the mortality table and lowers life expectancy with age', () => {
+    expect(getAnnualDeathProbability(65)).toBeCloseTo(0.0142, 6);
+    expect(getAnnualDeathProbability(120)).toBe(1);
+    expect(calculateLifeExpectancy(60)).toBeGreaterThan(calculateLifeExpectancy(75));
+  });
+
+  it('flows the reduced annuity into the FERS results', () => {
+    const res = calculateFersResults({
+      yearsOfService: 30,
+      monthsOfService: 0,
+      high3Salary: 100000,
+      currentAge: 60,
+      retirementAge: 62,
+      includeFutureService: false,
+      survivorElection: 'full',
+      spouseAge: 58,
+    });
+    expect(res.survivor.annualPensionBeforeReduction).toBeCloseTo(33000, 6);
+    expect(res.stayFed.annualPension).toBeCloseTo(29700, 6);
+    expect(res.survivor.spouseAge).toBe(60);
+  });
+});
@@ -1,5 +1,12 @@
 import { describe, expect, it } from 'vitest';
-import { calculateTspTraditionalVsRoth, calculateWeightedReturn } from '../tsp';
+import {
+  calculateNetPay,
+  calculateTspContributionSplitSweep,
+  calculateTspTraditionalVsRoth,
+  calculateWeightedReturn,
+  MEDICARE_TAX_RATE,
+  SOCIAL_SECURITY_TAX_RATE,
+} from '../tsp';
 
 describe('tsp calculations', () => {
   it('weighted return respects allocation and default returns', () => {
@@ -42,6 +49,26 @@ describe('tsp calculations', () => {
     expect(traditional.yearlyData[traditional.yearlyData.length - 1].year).toBe(42);
   });
 
+  it('counts contribution months up to a target retirement date', () => {
+    const { contributionMonths, traditional } = calculateTspTraditionalVsRoth({
+      currentBalance: 0,
+      annualSalary: 120000,
+      monthlyContributionPercent: 10,
+      currentAge: 0,
+      retirementAge: 0,
+      birthDate: '1980-01-01',
+      retirementDate: '2027-07-01',
+      asOfDate: '2025-01-01',
+      allocation: { G: 100, F: 0, C: 0, S: 0, I: 0 },
+      currentTaxRate: 22,
+      retirementTaxRate: 15,
+    });
+
+    expect(contributionMonths).toBe(30);
+    expect(traditional.yearlyData[0].year).toBe(45);
+    expect(traditional.yearlyData[traditional.yearlyData.length - 1].year).toBeCloseTo(47.5, 6);
+  });
+
   it('flags when employee contributions exceed the annual deferral limit and caps the effective annual employee contribution', () => {
     const res = calculateTspTraditionalVsRoth({
       currentBalance: 0,
@@ -92,6 +119,83 @@ describe('tsp calculations', () => {
     expect(withMatch.traditional.projectedBalance).toBeGreaterThan(withoutMatch.traditional.projectedBalance);
     expect(withMatch.roth.projectedBalance).toBeGreaterThan(withoutMatch.roth.projectedBalance);
   });
-});
 
+  it('nets FERS, payroll taxes, income tax and the TSP deferral out of take-home pay', () => {
+    const pay = calculateNetPay({
+      grossPay: 100000,
+      fersContributionRate: 0.044,
+      tspEmployeeContribution: 5000,
+      currentTaxRate: 20,
+    });
+    expect(pay.fersContribution).toBeCloseTo(4400, 6);
+    expect(pay.federalIncomeTax).toBeCloseTo(19000, 6);
+    expect(pay.netPay).toBeCloseTo(100000 - 4400 - 5000 - 100000 * (SOCIAL_SECURITY_TAX_RATE + MEDICARE_TAX_RATE) - 19000, 6);
+  });
+
+  it('projects take-home pay per paycheck with the FERS contribution', () => {
+    const inputs = {
+      currentBalance: 0,
+      annualSalary: 78000,
+      monthlyContributionPercent: 5,
+      currentAge: 30,
+      retirementAge: 32,
+      allocation: { G: 100, F: 0, C: 0, S: 0, I: 0 },
+      currentTaxRate: 22,
+      retirementTaxRate: 15,
+      asOfDate: '2026-01-01',
+    };
+    const low = calculateTspTraditionalVsRoth({ ...inputs, fersContributionRate: 0.008 });
+    const high = calculateTspTraditionalVsRoth({ ...inputs, fersContributionRate: 0.044 });
+    expect(high.traditional.paycheck.rows).toHaveLength(2);
+    expect(low.traditional.paycheck.firstYear.netPerPaycheck - high.traditional.paycheck.firstYear.netPerPaycheck)
+      .toBeCloseTo((78000 * 0.036) / 26, 6);
+  });
+
+  it('splits deferrals between Traditional and Roth under one combined limit', () => {
+    const inputs = {
+      currentBalance: 0,
+      annualSalary: 400000,
+      monthlyContributionPercent: 10,
+      rothContributionPercent: 4,
+      currentAge: 30,
+      retirementAge: 31,
+      allocation: { G: 100 },
+      currentTaxRate: 22,
+      retirementTaxRate: 15,
+      annualEmployeeDeferralLimit: 23500,
+      asOfDate: '2026-01-01',
+    };
+    const { traditional, roth, split } = calculateTspTraditionalVsRoth(inputs);
+    // $40,000 desired is capped at $23,500 in total, still 60/40.
+    const employee = split.yearlyData[1].employeeContributions;
+    expect(employee).toBeCloseTo(traditional.yearlyData[1].employeeContributions, 6);
+    expect(employee).toBeCloseTo(23500, 6);
+    // Roth deposits are the after-tax part of the 40% share.
+    expect(split.rothBalance / (1 - 0.22)).toBeCloseTo((split.traditionalBalance * 0.4) / 0.6, 6);
+    expect(split.afterTaxValue).toBeGreaterThan(roth.afterTaxValue);
+    expect(split.afterTaxValue).toBeLessThan(traditional.afterTaxValue);
+
+    const pay = split.paycheck.firstYear;
+    expect(pay.federalIncomeTax).toBeCloseTo((400000 - 23500 * 0.6) * 0.22, 6);
+  });
 
+  it('sweeps the Roth share from none to all of the deferral', () => {
+    const inputs = {
+      currentBalance: 10000,
+      annualSalary: 90000,
+      monthlyContributionPercent: 10,
+      currentAge: 40,
+      retirementAge: 60,
+      allocation: { C: 100 },
+      currentTaxRate: 12,
+      retirementTaxRate: 22,
+      asOfDate: '2026-01-01',
+    };
+    const { traditional, roth } = calculateTspTraditionalVsRoth(inputs);
+    const sweep = calculateTspContributionSplitSweep(inputs, { steps: 4 });
+    expect(sweep.points.map((p) => p.rothPercent)).toEqual([0, 2.5, 5, 7.5, 10]);
+    expect(sweep.points[0].afterTaxValue).toBeCloseTo(traditional.afterTaxValue, 6);
+    expect(sweep.points[4].afterTaxValue).toBeCloseTo(roth.afterTaxValue, 6);
+    expect(sweep.best.rothPercent).toBe(10);
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, expect, it } from 'vitest';
+import {
+  calculateTspHistoricalBacktest,
+  getHistoricalMixReturns,
+  getHistoricalMonthlySequence,
+  getHistoricalPortfolioReturns,
+  getHistoricalReturnSequence,
+  getHistoricalStartYears,
+} from '../tspHistoricalReturns';
+import { calculateTspTraditionalVsRoth } from '../tsp';
+import { runHistoricalBacktest } from '../../analytics/backtest';
+
+describe('historical TSP returns', () => {
+  it('blends fund returns over the years every held fund existed', () => {
+    const gc = getHistoricalPortfolioReturns({ G: 50, C: 50 });
+    expect(gc[0].year).toBe(1989);
+    expect(gc.find((r) => r.year === 2008).return).toBeCloseTo((0.0375 - 0.3699) / 2, 9);
+    expect(getHistoricalPortfolioReturns({ C: 80, I: 20 })[0].year).toBe(2002);
+    expect(getHistoricalPortfolioReturns({})).toEqual([]);
+  });
+
+  it('replays only start years whose horizon fits the history, else flags wrapped sequences as synthetic', () => {
+    const gc = getHistoricalPortfolioReturns({ G: 50, C: 50 });
+    const tenYears = getHistoricalStartYears(gc, 10);
+    expect(tenYears.isSynthetic).toBe(false);
+    expect(tenYears.startYears[0]).toBe(1989);
+    expect(tenYears.startYears[tenYears.startYears.length - 1]).toBe(2015);
+    expect(getHistoricalStartYears(gc, 9.5).startYears).toEqual(tenYears.startYears);
+    expect(getHistoricalStartYears(gc, gc.length).startYears).toEqual([1989]);
+
+    const tooLong = getHistoricalStartYears(gc, gc.length + 1);
+    expect(tooLong.isSynthetic).toBe(true);
+    expect(tooLong.startYears).toHaveLength(gc.length);
+    expect(getHistoricalReturnSequence(gc, 2024, 3)[1]).toBe(gc[0].return);
+    expect(getHistoricalStartYears([], 5).startYears).toEqual([]);
+  });
+
+  it('compounds each historical year to exactly its return', () => {
+    const base = {
+      currentBalance: 100000,
+      annualSalary: 0,
+      monthlyContributionPercent: 0,
+      currentAge: 40,
+      retirementAge: 42,
+      allocation: { C: 100 },
+      currentTaxRate: 22,
+      retirementTaxRate: 15,
+      asOfDate: '2026-01-01',
+    };
+    const res = calculateTspTraditionalVsRoth({ ...base, annualReturns: [0.1, -0.2] });
+    expect(res.traditional.projectedBalance).toBeCloseTo(100000 * 1.1 * 0.8, 6);
+
+    const backtest = calculateTspHistoricalBacktest(base);
+    // Two-year horizons: the last start year is 2023.
+    expect(backtest.runs).toHaveLength(35);
+    expect(backtest.runs[backtest.runs.length - 1].startYear).toBe(2023);
+    expect(backtest.isSynthetic).toBe(false);
+    // Two years of C fund: 2007-2008 is the worst pair, 1997-1998 the best.
+    expect(backtest.worst.startYear).toBe(2007);
+    expect(backtest.best.startYear).toBe(1997);
+    expect(backtest.median.projectedBalance).toBeGreaterThan(backtest.worst.projectedBalance);
+  });
+
+  it('replays monthly rows where bundled and spreads other years evenly over their months', () => {
+    // A made-up 2008 with the whole C fund loss in October, to check the replay order.
+    const october = Array(12).fill(0);
+    october[9] = -0.3699;
+    const table = { 2008: { C: october } };
+    const history = getHistoricalMixReturns([{ C: 100 }], table);
+    expect(history.find((r) => r.year === 2008).isMonthly).toBe(true);
+    expect(history.find((r) => r.year === 2007).isMonthly).toBe(false);
+
+    const months = getHistoricalMonthlySequence(history, 2007, 18);
+    expect(months).toHaveLength(18);
+    const compounded2007 = months.slice(0, 12).reduce((acc, r) => acc * (1 + r), 1) - 1;
+    expect(compounded2007).toBeCloseTo(0.0554, 9);
+    expect(getHistoricalMonthlySequence(history, 2008, 12)[9]).toBeCloseTo(-0.3699, 9);
+    expect(getHistoricalMonthlySequence(history, 2024, 24)[12]).toBe(history[0].monthlyReturnsForMix(1)[0]);
+
+    // The bundled table has no monthly rows, so the TSP page's backtest spreads every year.
+    const backtest = calculateTspHistoricalBacktest({
+      currentBalance: 100000,
+      annualSalary: 0,
+      monthlyContributionPercent: 0,
+      currentAge: 40,
+      retirementAge: 41,
+      allocation: { C: 100 },
+      currentTaxRate: 22,
+      retirementTaxRate: 15,
+      asOfDate: '2026-01-01',
+    });
+    expect(backtest.monthlyYears).toBe(0);
+    expect(backtest.runs.find((r) => r.startYear === 2008).projectedBalance).toBeCloseTo(100000 * (1 - 0.3699), 6);
+  });
+
+  it('replays accumulation and withdrawals for every start year and lists the failures', () => {
+    const scenario = {
+      tsp: { currentAge: 60, retirementAge: 60, currentBalance: 500000, annualSalary: 0, allocation: { C: 100 }, inflationRate: 0 },
+      fire: { desiredFireAge: 60, monthlyFireIncomeGoal: 4000 },
+    };
+    const args = { scenario, pensionMonthly: 0, pensionStartAge: 60, socialSecurityMonthly: 0, socialSecurityStartAge: 67, settings: { endAge: 70 } };
+
+    // Ages 60 through 70 are 11 years, so 2014 is the last start year with real returns throughout.
+    const res = runHistoricalBacktest(args);
+    expect(res.runs).toHaveLength(26);
+    expect(res.isSynthetic).toBe(false);
+    expect(res.failedStartYears).toEqual(res.runs.filter((r) => r.failed).map((r) => r.startYear));
+    expect(res.successRate).toBeCloseTo(1 - res.failedStartYears.length / 26, 9);
+    // Retiring into the 2000-2002 bear market runs out of money first.
+    expect(res.failedStartYears).toEqual([1999, 2000, 2001]);
+    expect(res.worst).toMatchObject({ startYear: 2000, failed: true });
+    expect(res.best.failed).toBe(false);
+
+    const lean = runHistoricalBacktest({ ...args, scenario: { ...scenario, fire: { desiredFireAge: 60, monthlyFireIncomeGoal: 500 } } });
+    expect(lean.failedStartYears).toEqual([]);
+
+    const long = runHistoricalBacktest({ ...args, settings: { endAge: 100 } });
+    expect(long.isSynthetic).toBe(true);
+    expect(long.runs).toHaveLength(36);
+  });
+});
@@ -0,0 +1,107 @@
+import { addYears, parseIsoDate, todayIsoDate, toIsoDate, yearsBetween } from './dates';
+import { expandAllocation } from './lifecycleFunds';
+
+export const ALLOCATION_SCHEDULE_TYPES = Object.freeze({
+  none: Object.freeze({ id: 'none', label: 'Keep my allocation' }),
+  steps: Object.freeze({ id: 'steps', label: 'Switch allocation at set ages or dates' }),
+  rule: Object.freeze({ id: 'rule', label: 'Shift a set percent each year' }),
+});
+
+export function getAllocationScheduleType(type) {
+  return ALLOCATION_SCHEDULE_TYPES[type] ?? ALLOCATION_SCHEDULE_TYPES.none;
+}
+
+export function createDefaultAllocationStep() {
+  return { age: 55, date: '', allocation: { G: 30, F: 20, C: 30, S: 10, I: 10 } };
+}
+
+export function createDefaultAllocationSchedule() {
+  return {
+    type: 'none',
+    // 'steps': each step replaces the whole allocation from its age (or date, when set) on.
+    steps: [],
+    // 'rule': from `startAge`, move `percentPerYear` of the balance into `toFund` every year.
+    startAge: 50,
+    percentPerYear: 2,
+    toFund: 'G',
+  };
+}
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function isAllocationScheduleActive(schedule) {
+  const type = getAllocationScheduleType(schedule?.type).id;
+  if (type === 'steps') return Array.isArray(schedule.steps) && schedule.steps.length > 0;
+  if (type === 'rule') return toNumber(schedule.percentPerYear, 0) > 0;
+  return false;
+}
+
+// Years since a step took effect (negative before it does). A step with a date uses the date, else its age.
+function yearsSinceStep(step, { age, date }) {
+  const startsOn = parseIsoDate(step?.date);
+  if (startsOn) return yearsBetween(startsOn, date);
+  if (step?.age === '' || step?.age == null) return -Infinity;
+  return toNumber(age, 0) - toNumber(step.age, Infinity);
+}
+
+function shiftTowardFund(allocation, toFund, percent) {
+  const total = Object.values(allocation).reduce((sum, pct) => sum + Math.max(0, toNumber(pct, 0)), 0);
+  const target = Math.max(0, toNumber(allocation[toFund], 0));
+  const others = total - target;
+  const moved = Math.min(Math.max(0, percent), others);
+  if (moved <= 0) return allocation;
+
+  const scale = (others - moved) / others;
+  return Object.fromEntries(
+    [...new Set([...Object.keys(allocation), toFund])].map((fund) => [
+      fund,
+      fund === toFund ? target + moved : Math.max(0, toNumber(allocation[fund], 0)) * scale,
+    ])
+  );
+}
+
+/**
+ * The allocation in effect at `age` on `date` under a schedule. The result may still hold L Funds; use
+ * expandAllocation() for the individual fund split. Without an active schedule this is `allocation`.
+ */
+export function getScheduledAllocation({ allocation, schedule, age, date = undefined }) {
+  const base = allocation ?? {};
+  if (!isAllocationScheduleActive(schedule)) return base;
+  const on = parseIsoDate(date) ?? parseIsoDate(todayIsoDate());
+
+  if (schedule.type === 'steps') {
+    // The most recent step to take effect wins; before the first one the base allocation holds.
+    const current = schedule.steps
+      .map((step) => ({ step, since: yearsSinceStep(step, { age, date: on }) }))
+      .filter(({ since }) => Number.isFinite(since) && since >= 0)
+      .sort((a, b) => a.since - b.since)[0];
+    return current ? { ...current.step.allocation } : base;
+  }
+
+  const years = Math.floor(toNumber(age, 0) - toNumber(schedule.startAge, 0));
+  if (years <= 0) return base;
+  return shiftTowardFund(base, schedule.toFund || 'G', years * toNumber(schedule.percentPerYear, 0));
+}
+
+/**
+ * Individual fund mix (percent) for each whole year of age from `currentAge` through `endAge`, with the
+ * schedule and any L Fund glide paths applied. Feeds the allocation-over-time chart.
+ */
+export function buildAllocationTimeline({ allocation, schedule, currentAge, endAge, asOfDate = undefined }) {
+  const start = toNumber(currentAge, 0);
+  const years = Math.max(0, Math.floor(toNumber(endAge, start) - start));
+  const asOf = parseIsoDate(asOfDate) ?? parseIsoDate(todayIsoDate());
+
+  return Array.from({ length: years + 1 }, (_, i) => {
+    const age = start + i;
+    const date = addYears(asOf, i);
+    return {
+      age,
+      date: toIsoDate(date),
+      mix: expandAllocation(getScheduledAllocation({ allocation, schedule, age, date }), date),
+    };
+  });
+}
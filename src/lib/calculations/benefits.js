@@ -0,0 +1,203 @@
+export const FEHB_FEGLI_CONTINUATION_YEARS = 5;
+export const FEGLI_REDUCTION_AGE = 65;
+export const DEFAULT_FEHB_PREMIUM_GROWTH_RATE = 5; // percent per year
+
+export const FEHB_ENROLLMENT_TYPES = Object.freeze({
+  self: Object.freeze({ id: 'self', label: 'Self Only' }),
+  self_plus_one: Object.freeze({ id: 'self_plus_one', label: 'Self Plus One' }),
+  family: Object.freeze({ id: 'family', label: 'Self and Family' }),
+});
+
+// Annuitant monthly Basic premiums per $1,000 of coverage, before and after 65.
+export const FEGLI_BASIC_REDUCTIONS = Object.freeze({
+  75: Object.freeze({ id: '75', label: '75% reduction', monthlyRateUnder65: 0.325, monthlyRate65Plus: 0 }),
+  50: Object.freeze({ id: '50', label: '50% reduction', monthlyRateUnder65: 1.0075, monthlyRate65Plus: 0.6825 }),
+  none: Object.freeze({ id: 'none', label: 'No reduction', monthlyRateUnder65: 2.405, monthlyRate65Plus: 2.08 }),
+});
+
+// Annuitant monthly premiums by age band: [minimum age, Option A per $10,000, Option B per $1,000,
+// Option C per multiple].
+const FEGLI_OPTIONAL_RATES = Object.freeze([
+  [0, 0.43, 0.043, 0.59],
+  [35, 0.43, 0.065, 0.74],
+  [40, 0.65, 0.108, 1.0],
+  [45, 1.3, 0.173, 1.5],
+  [50, 1.95, 0.282, 2.28],
+  [55, 3.9, 0.52, 3.68],
+  [60, 13.0, 1.127, 7.37],
+  [65, 13.0, 1.343, 8.88],
+  [70, 13.0, 2.47, 9.97],
+  [75, 13.0, 4.485, 13.0],
+  [80, 13.0, 5.98, 18.2],
+]);
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function createDefaultBenefits() {
+  return {
+    fehb: {
+      enrolled: false,
+      planName: '',
+      enrollmentType: 'self',
+      monthlyPremium: 0, // enrollee share today
+      premiumGrowthRate: DEFAULT_FEHB_PREMIUM_GROWTH_RATE,
+      yearsEnrolled: 0, // continuous years covered so far
+    },
+    fegli: {
+      enrolled: false,
+      basicReduction: '75',
+      optionA: false,
+      optionBMultiples: 0,
+      optionBReduction: 'full', // 'full' (free after 65) | 'none'
+      optionCMultiples: 0,
+      optionCReduction: 'full',
+      yearsEnrolled: 0,
+    },
+  };
+}
+
+/**
+ * FEHB and FEGLI only continue into retirement for someone covered for the 5 years immediately
+ * before retiring (or since their first opportunity to enroll) who retires on an immediate annuity.
+ */
+export function checkFiveYearRule({ yearsCoveredAtRetirement, isImmediateAnnuity = true, label = 'Coverage' }) {
+  const years = Math.max(0, toNumber(yearsCoveredAtRetirement, 0));
+  if (!isImmediateAnnuity) {
+    return {
+      isMet: false,
+      yearsCoveredAtRetirement: years,
+      message: `${label} cannot be carried into a deferred annuity.`,
+    };
+  }
+  if (years + 1e-9 < FEHB_FEGLI_CONTINUATION_YEARS) {
+    return {
+      isMet: false,
+      yearsCoveredAtRetirement: years,
+      message: `${label} ends at retirement: ${years.toFixed(1)} of the required ${FEHB_FEGLI_CONTINUATION_YEARS} years immediately before retiring.`,
+    };
+  }
+  return {
+    isMet: true,
+    yearsCoveredAtRetirement: years,
+    message: `${label} continues into retirement (5-year rule met).`,
+  };
+}
+
+export function calculateFegliBasicInsuranceAmount(annualSalary) {
+  const salary = Math.max(0, toNumber(annualSalary, 0));
+  if (salary <= 0) return 0;
+  return Math.ceil(salary / 1000) * 1000 + 2000;
+}
+
+function optionalRatesForAge(age) {
+  let match = FEGLI_OPTIONAL_RATES[0];
+  for (const row of FEGLI_OPTIONAL_RATES) {
+    if (age >= row[0]) match = row;
+  }
+  return { optionA: match[1], optionB: match[2], optionC: match[3] };
+}
+
+/**
+ * Monthly FEGLI premiums for an annuitant at `age`. Basic coverage is based on final salary; Option A
+ * becomes free at 65, and Options B and C do too when a full reduction is elected.
+ */
+export function calculateFegliMonthlyPremium({ age, annualSalary, fegli }) {
+  const a = toNumber(age, 0);
+  const is65Plus = a >= FEGLI_REDUCTION_AGE;
+  const f = fegli ?? {};
+  const reduction = FEGLI_BASIC_REDUCTIONS[f.basicReduction] ?? FEGLI_BASIC_REDUCTIONS[75];
+  const basicThousands = calculateFegliBasicInsuranceAmount(annualSalary) / 1000;
+  const rates = optionalRatesForAge(a);
+
+  const basic = basicThousands * (is65Plus ? reduction.monthlyRate65Plus : reduction.monthlyRateUnder65);
+  const optionA = f.optionA && !is65Plus ? rates.optionA : 0;
+  const optionBThousands = Math.ceil(Math.max(0, toNumber(annualSalary, 0)) / 1000) * Math.max(0, toNumber(f.optionBMultiples, 0));
+  const optionB = is65Plus && f.optionBReduction !== 'none' ? 0 : optionBThousands * rates.optionB;
+  const optionCMultiples = Math.max(0, toNumber(f.optionCMultiples, 0));
+  const optionC = is65Plus && f.optionCReduction !== 'none' ? 0 : optionCMultiples * rates.optionC;
+
+  return { basic, optionA, optionB, optionC, total: basic + optionA + optionB + optionC };
+}
+
+/**
+ * Health and life insurance premiums withheld from the annuity, year by year from `pensionStartAge`
+ * to `endAge` (monthly amounts). FEHB grows from today's premium at `premiumGrowthRate`; FEGLI uses
+ * fixed annuitant rates. Coverage that fails the 5-year rule contributes nothing.
+ */
+export function calculateRetirementPremiums({
+  benefits,
+  currentAge,
+  retirementAge,
+  pensionStartAge,
+  endAge,
+  finalSalary,
+  isImmediateAnnuity = true,
+}) {
+  const fehbInput = benefits?.fehb ?? {};
+  const fegliInput = benefits?.fegli ?? {};
+  const ageNow = toNumber(currentAge, 0);
+  const yearsToRetirement = Math.max(0, toNumber(retirementAge, ageNow) - ageNow);
+  const start = toNumber(pensionStartAge, toNumber(retirementAge, 0));
+  const end = toNumber(endAge, 0);
+
+  const fehbRule = fehbInput.enrolled
+    ? checkFiveYearRule({
+        yearsCoveredAtRetirement: toNumber(fehbInput.yearsEnrolled, 0) + yearsToRetirement,
+        isImmediateAnnuity,
+        label: 'FEHB',
+      })
+    : null;
+  const fegliRule = fegliInput.enrolled
+    ? checkFiveYearRule({
+        yearsCoveredAtRetirement: toNumber(fegliInput.yearsEnrolled, 0) + yearsToRetirement,
+        isImmediateAnnuity,
+        label: 'FEGLI',
+      })
+    : null;
+
+  const fehbPremiumToday = Math.max(0, toNumber(fehbInput.monthlyPremium, 0));
+  const fehbGrowth = toNumber(fehbInput.premiumGrowthRate, DEFAULT_FEHB_PREMIUM_GROWTH_RATE) / 100;
+
+  const rows = [];
+  for (let t = 0; start + t < end; t++) {
+    const age = start + t;
+    const fehbMonthly = fehbRule?.isMet ? fehbPremiumToday * Math.pow(1 + fehbGrowth, age - ageNow) : 0;
+    const fegliMonthly = fegliRule?.isMet
+      ? calculateFegliMonthlyPremium({ age, annualSalary: finalSalary, fegli: fegliInput }).total
+      : 0;
+    rows.push({ age, fehbMonthly, fegliMonthly, totalMonthly: fehbMonthly + fegliMonthly });
+  }
+
+  return {
+    fehb: {
+      enrolled: Boolean(fehbInput.enrolled),
+      planName: fehbInput.planName ?? '',
+      enrollmentType: FEHB_ENROLLMENT_TYPES[fehbInput.enrollmentType] ?? FEHB_ENROLLMENT_TYPES.self,
+      fiveYearRule: fehbRule,
+      isContinued: Boolean(fehbRule?.isMet),
+    },
+    fegli: {
+      enrolled: Boolean(fegliInput.enrolled),
+      basicInsuranceAmount: calculateFegliBasicInsuranceAmount(finalSalary),
+      fiveYearRule: fegliRule,
+      isContinued: Boolean(fegliRule?.isMet),
+    },
+    rows,
+    firstYearMonthly: rows[0]?.totalMonthly ?? 0,
+  };
+}
+
+/** Total monthly premiums at `age` from calculateRetirementPremiums (0 before the annuity starts). */
+export function getPremiumsAtAge(premiums, age) {
+  const rows = premiums?.rows ?? [];
+  const a = toNumber(age, 0);
+  let match = null;
+  for (const row of rows) {
+    if (row.age <= a + 1e-9) match = row;
+    else break;
+  }
+  return match?.totalMonthly ?? 0;
+}
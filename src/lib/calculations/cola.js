@@ -0,0 +1,78 @@
+export const FERS_COLA_START_AGE = 62;
+export const DEFAULT_COLA_INFLATION_RATE = 0.025;
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+/**
+ * FERS "diet COLA" for a given CPI increase (decimals): the full CPI up to 2%, a flat 2% between 2%
+ * and 3%, and CPI minus 1% above 3%.
+ */
+export function calculateFersColaRate(inflationRate) {
+  const cpi = toNumber(inflationRate, 0);
+  if (cpi <= 0) return 0;
+  if (cpi <= 0.02) return cpi;
+  if (cpi <= 0.03) return 0.02;
+  return cpi - 0.01;
+}
+
+/**
+ * Year-by-year FERS annuity from `startAge` until `endAge`. The annuity grows by the diet COLA each
+ * year once the retiree has reached `colaStartAge` (62 for regular retirees; special provision
+ * retirees get COLAs at any age). `colaRule: 'csrs'` gives the full CPI instead, as CSRS annuities
+ * get. Real amounts are in dollars of the first annuity year, deflated at `inflationRate`. A final
+ * partial year is prorated. The first COLA is not prorated for a partial year on the rolls.
+ */
+export function buildFersPensionStream({
+  annualPension,
+  startAge,
+  endAge,
+  inflationRate = 0,
+  colaStartAge = FERS_COLA_START_AGE,
+  colaRule = 'fers',
+}) {
+  const base = Math.max(0, toNumber(annualPension, 0));
+  const start = toNumber(startAge, 0);
+  const end = toNumber(endAge, 0);
+  const inflation = Math.max(0, toNumber(inflationRate, 0));
+  const colaRate = colaRule === 'csrs' ? inflation : calculateFersColaRate(inflation);
+  const colaAge = toNumber(colaStartAge, FERS_COLA_START_AGE);
+
+  const rows = [];
+  let nominal = base;
+  let lifetimeNominal = 0;
+  let lifetimeReal = 0;
+  for (let t = 0; start + t < end; t++) {
+    const age = start + t;
+    const isColaYear = t > 0 && age >= colaAge && colaRate > 0;
+    if (isColaYear) nominal *= 1 + colaRate;
+    const real = nominal / Math.pow(1 + inflation, t);
+    const fraction = Math.min(1, end - age);
+    lifetimeNominal += nominal * fraction;
+    lifetimeReal += real * fraction;
+    rows.push({
+      age,
+      colaPercent: isColaYear ? colaRate * 100 : 0,
+      nominalAnnual: nominal,
+      realAnnual: real,
+      cumulativeNominal: lifetimeNominal,
+      cumulativeReal: lifetimeReal,
+    });
+  }
+
+  return { colaRate, inflationRate: inflation, colaStartAge: colaAge, rows, lifetimeNominal, lifetimeReal };
+}
+
+/** Nominal annual annuity at `age` from a stream built by buildFersPensionStream (0 before the start). */
+export function getPensionAtAge(stream, age) {
+  const rows = stream?.rows ?? [];
+  const a = toNumber(age, 0);
+  let match = null;
+  for (const row of rows) {
+    if (row.age <= a + 1e-9) match = row;
+    else break;
+  }
+  return match?.nominalAnnual ?? 0;
+}
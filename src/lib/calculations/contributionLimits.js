@@ -0,0 +1,73 @@
+// IRS limits on TSP employee deferrals (Internal Revenue Code 402(g) and 414(v)), by tax year.
+// - electiveDeferralLimit: Traditional and Roth deferrals combined; agency contributions don't count.
+// - catchUpLimit: extra deferrals from the year you turn 50.
+// - superCatchUpLimit: SECURE 2.0's higher catch-up for the years you turn 60 through 63 (from 2025).
+// - rothCatchUpWageThreshold: SECURE 2.0 (from 2026): if last year's FICA wages were above this, catch-up
+//   deferrals must be Roth.
+export const TSP_CONTRIBUTION_LIMITS = Object.freeze(
+  [
+    [2023, 22500, 7500, null, null],
+    [2024, 23000, 7500, null, null],
+    [2025, 23500, 7500, 11250, null],
+    [2026, 24500, 8000, 11250, 150000],
+  ].map(([year, electiveDeferralLimit, catchUpLimit, superCatchUpLimit, rothCatchUpWageThreshold]) =>
+    Object.freeze({ year, electiveDeferralLimit, catchUpLimit, superCatchUpLimit, rothCatchUpWageThreshold })
+  )
+);
+
+// Past the table, limits are indexed from the last known year at an assumed inflation rate and rounded
+// down the way the IRS does: $500 steps for the deferral limits, $5,000 for the wage threshold.
+export const PROJECTED_LIMIT_INDEX_RATE = 0.025;
+
+export const CATCH_UP_AGE = 50;
+export const SUPER_CATCH_UP_AGES = Object.freeze({ min: 60, max: 63 });
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const roundDown = (amount, step) => Math.floor(amount / step) * step;
+
+/** Limits for a tax year; years after the table are projected (`isProjected`). */
+export function getTspContributionLimits(year, { indexRate = PROJECTED_LIMIT_INDEX_RATE } = {}) {
+  const y = Math.floor(toNumber(year, TSP_CONTRIBUTION_LIMITS[0].year));
+  const first = TSP_CONTRIBUTION_LIMITS[0];
+  const last = TSP_CONTRIBUTION_LIMITS[TSP_CONTRIBUTION_LIMITS.length - 1];
+  if (y <= first.year) return { ...first, isProjected: false };
+  if (y <= last.year) return { ...TSP_CONTRIBUTION_LIMITS.find((row) => row.year === y), isProjected: false };
+
+  const factor = Math.pow(1 + toNumber(indexRate, PROJECTED_LIMIT_INDEX_RATE), y - last.year);
+  return {
+    year: y,
+    electiveDeferralLimit: roundDown(last.electiveDeferralLimit * factor, 500),
+    catchUpLimit: roundDown(last.catchUpLimit * factor, 500),
+    superCatchUpLimit: roundDown(last.superCatchUpLimit * factor, 500),
+    rothCatchUpWageThreshold: roundDown(last.rothCatchUpWageThreshold * factor, 5000),
+    isProjected: true,
+  };
+}
+
+/**
+ * What one employee may defer in `year` at `age` (the age reached that year). `catchUpMustBeRoth` applies
+ * the SECURE 2.0 rule for employees whose `priorYearWages` were above the threshold.
+ */
+export function getEmployeeDeferralLimit({ year, age, priorYearWages = 0, indexRate = PROJECTED_LIMIT_INDEX_RATE }) {
+  const limits = getTspContributionLimits(year, { indexRate });
+  const ageThisYear = Math.floor(toNumber(age, 0));
+  const isSuperCatchUp =
+    limits.superCatchUpLimit != null && ageThisYear >= SUPER_CATCH_UP_AGES.min && ageThisYear <= SUPER_CATCH_UP_AGES.max;
+  const catchUp = ageThisYear < CATCH_UP_AGE ? 0 : isSuperCatchUp ? limits.superCatchUpLimit : limits.catchUpLimit;
+
+  return {
+    ...limits,
+    baseLimit: limits.electiveDeferralLimit,
+    catchUp,
+    totalLimit: limits.electiveDeferralLimit + catchUp,
+    isSuperCatchUp,
+    catchUpMustBeRoth:
+      catchUp > 0 &&
+      limits.rothCatchUpWageThreshold != null &&
+      toNumber(priorYearWages, 0) > limits.rothCatchUpWageThreshold,
+  };
+}
@@ -0,0 +1,87 @@
+import { getPensionAtAge } from './cola';
+
+export const COURT_ORDER_AWARD_TYPES = Object.freeze({
+  none: Object.freeze({ id: 'none', label: 'No court order' }),
+  marital_fraction: Object.freeze({ id: 'marital_fraction', label: 'Percentage of the marital share' }),
+  percentage: Object.freeze({ id: 'percentage', label: 'Percentage of the annuity' }),
+  fixed: Object.freeze({ id: 'fixed', label: 'Fixed monthly amount' }),
+});
+
+export const FORMER_SPOUSE_SURVIVOR_AWARDS = Object.freeze({
+  none: Object.freeze({ id: 'none', label: 'None', survivorPercent: 0 }),
+  partial: Object.freeze({ id: 'partial', label: 'Partial (25% survivor)', survivorPercent: 25 }),
+  full: Object.freeze({ id: 'full', label: 'Full (50% survivor)', survivorPercent: 50 }),
+});
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function createDefaultCourtOrder() {
+  return {
+    type: 'none',
+    awardPercent: 50, // of the marital share, or of the annuity
+    marriedServiceYears: 0, // service during the marriage (marital fraction numerator)
+    fixedMonthly: 0,
+    survivorAward: 'none',
+  };
+}
+
+export function getFormerSpouseSurvivorAward(survivorAward) {
+  return FORMER_SPOUSE_SURVIVOR_AWARDS[survivorAward] ?? FORMER_SPOUSE_SURVIVOR_AWARDS.none;
+}
+
+/**
+ * Former spouse's share of the annuity under a court order, taken from the gross annuity (before the
+ * survivor reduction, as OPM reads an order that does not say otherwise). A marital fraction is
+ * service during the marriage over total service. Percentage awards rise with COLAs; fixed amounts
+ * do not, and never exceed the annuity.
+ */
+export function calculateCourtOrderApportionment({
+  courtOrder,
+  grossAnnualPension,
+  totalYearsOfService,
+  survivorReductionPercent = 0,
+}) {
+  const order = { ...createDefaultCourtOrder(), ...(courtOrder ?? {}) };
+  const type = COURT_ORDER_AWARD_TYPES[order.type] ?? COURT_ORDER_AWARD_TYPES.none;
+  const gross = Math.max(0, toNumber(grossAnnualPension, 0));
+  const totalYears = Math.max(0, toNumber(totalYearsOfService, 0));
+  const awardPercent = Math.min(100, Math.max(0, toNumber(order.awardPercent, 0)));
+
+  let maritalFraction = null;
+  let shareOfGross = 0;
+  if (type.id === 'marital_fraction') {
+    maritalFraction = totalYears > 0 ? Math.min(1, Math.max(0, toNumber(order.marriedServiceYears, 0)) / totalYears) : 0;
+    shareOfGross = (awardPercent / 100) * maritalFraction;
+  } else if (type.id === 'percentage') {
+    shareOfGross = awardPercent / 100;
+  }
+  const fixedMonthly = type.id === 'fixed' ? Math.min(gross / 12, Math.max(0, toNumber(order.fixedMonthly, 0))) : 0;
+  const monthlyToFormerSpouse = type.id === 'fixed' ? fixedMonthly : (gross * shareOfGross) / 12;
+
+  // The retiree's paid annuity is after the survivor reduction; a percentage award follows the gross.
+  const paidFactor = 1 - Math.max(0, toNumber(survivorReductionPercent, 0)) / 100;
+
+  return {
+    type,
+    awardPercent,
+    maritalFraction,
+    shareOfGross,
+    shareOfPaidAnnuity: paidFactor > 0 ? shareOfGross / paidFactor : 0,
+    isFixed: type.id === 'fixed',
+    monthlyToFormerSpouse,
+    annualToFormerSpouse: monthlyToFormerSpouse * 12,
+    survivorAward: getFormerSpouseSurvivorAward(order.survivorAward),
+  };
+}
+
+/** Monthly payment to the former spouse at `age`, following the paid annuity stream's COLAs. */
+export function getCourtOrderMonthlyAtAge(apportionment, pensionStream, age) {
+  if (!apportionment || apportionment.type.id === 'none') return 0;
+  const paidMonthly = getPensionAtAge(pensionStream, age) / 12;
+  if (paidMonthly <= 0) return 0;
+  if (apportionment.isFixed) return Math.min(paidMonthly, apportionment.monthlyToFormerSpouse);
+  return paidMonthly * apportionment.shareOfPaidAnnuity;
+}
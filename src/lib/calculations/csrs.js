@@ -0,0 +1,182 @@
+import { parseIsoDate } from './dates';
+
+// Employees first hired on or after this date are covered by FERS.
+export const FERS_COVERAGE_START_DATE = '1984-01-01';
+
+// CSRS general formula: 1.5% for the first 5 years, 1.75% for the next 5, 2% after; at most 80% of
+// High-3 before sick leave credit.
+const CSRS_TIER_YEARS = 5;
+const CSRS_FIRST_RATE = 0.015;
+const CSRS_SECOND_RATE = 0.0175;
+const CSRS_AFTER_RATE = 0.02;
+export const CSRS_MAX_PERCENT_OF_HIGH3 = 0.8;
+// Employee retirement deductions; CSRS Offset employees pay the rest as Social Security tax.
+export const CSRS_CONTRIBUTION_RATE = 0.07;
+export const CSRS_OFFSET_CONTRIBUTION_RATE = 0.008;
+
+// Earliest CSRS optional retirement (with 30 years); CSRS has no MRA.
+export const CSRS_EARLIEST_RETIREMENT_AGE = 55;
+
+// CSRS Offset: from 62 the annuity is reduced by the Social Security attributable to offset service.
+export const CSRS_OFFSET_AGE = 62;
+const CSRS_OFFSET_MAX_YEARS = 40;
+
+export const RETIREMENT_SYSTEMS = Object.freeze({
+  fers: Object.freeze({ id: 'fers', label: 'FERS', hasCsrsComponent: false, hasOffset: false }),
+  fers_transferee: Object.freeze({ id: 'fers_transferee', label: 'FERS transferee (CSRS + FERS components)', hasCsrsComponent: true, hasOffset: false }),
+  csrs_offset: Object.freeze({ id: 'csrs_offset', label: 'CSRS Offset', hasCsrsComponent: true, hasOffset: true }),
+  csrs: Object.freeze({ id: 'csrs', label: 'CSRS', hasCsrsComponent: true, hasOffset: false }),
+});
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function getRetirementSystem(retirementSystem) {
+  return RETIREMENT_SYSTEMS[retirementSystem] ?? RETIREMENT_SYSTEMS.fers;
+}
+
+export function isCsrsRetirementSystem(retirementSystem) {
+  const id = getRetirementSystem(retirementSystem).id;
+  return id === 'csrs' || id === 'csrs_offset';
+}
+
+/** CSRS percentage of High-3 for `years` of service, capped at 80%. */
+export function calculateCsrsPercentOfHigh3(years) {
+  const y = Math.max(0, toNumber(years, 0));
+  const first = Math.min(y, CSRS_TIER_YEARS);
+  const second = Math.min(Math.max(0, y - CSRS_TIER_YEARS), CSRS_TIER_YEARS);
+  const after = Math.max(0, y - 2 * CSRS_TIER_YEARS);
+  const percent = first * CSRS_FIRST_RATE + second * CSRS_SECOND_RATE + after * CSRS_AFTER_RATE;
+  return Math.min(CSRS_MAX_PERCENT_OF_HIGH3, percent);
+}
+
+/**
+ * CSRS annuity (or the CSRS component of a FERS transferee's annuity). Sick leave credit is added at
+ * 2% on top of the 80% cap.
+ */
+export function calculateCsrsAnnuityAnnual({ high3Salary, csrsYearsOfService, sickLeaveYears = 0 }) {
+  const high3 = Math.max(0, toNumber(high3Salary, 0));
+  const years = Math.max(0, toNumber(csrsYearsOfService, 0));
+  const sickYears = Math.max(0, toNumber(sickLeaveYears, 0));
+  const percentOfHigh3 =
+    calculateCsrsPercentOfHigh3(years) + (years > 0 ? sickYears * CSRS_AFTER_RATE : 0);
+  return {
+    annualPension: high3 * percentOfHigh3,
+    percentOfHigh3,
+    computationYears: years + (years > 0 ? sickYears : 0),
+  };
+}
+
+/** CSRS (and CSRS Offset) optional retirement: 55 with 30 years, 60 with 20, or 62 with 5. */
+export function evaluateCsrsEligibility({ age, totalYearsOfService }) {
+  const a = toNumber(age, 0);
+  const y = toNumber(totalYearsOfService, 0);
+  const isEligibleImmediate = (a >= CSRS_EARLIEST_RETIREMENT_AGE && y >= 30) || (a >= 60 && y >= 20) || (a >= 62 && y >= 5);
+  return {
+    isEligibleImmediate,
+    isEligibleDeferred: !isEligibleImmediate && y >= 5,
+    eligibilityMessage: isEligibleImmediate
+      ? 'Eligible for an immediate CSRS annuity'
+      : y >= 5
+        ? 'Not yet eligible for an immediate CSRS annuity (55 with 30 years, 60 with 20, or 62 with 5); deferred annuity at 62'
+        : 'Not eligible for a CSRS annuity (at least 5 years of service required)',
+  };
+}
+
+/**
+ * CSRS Offset reduction: the Social Security benefit at 62 times offset service (years after 1983)
+ * over 40. Applied from 62, or from the annuity start if later.
+ */
+export function calculateCsrsOffsetReduction({ socialSecurityAt62Monthly, offsetYearsOfService }) {
+  const ssAt62 = Math.max(0, toNumber(socialSecurityAt62Monthly, 0));
+  const offsetYears = Math.min(CSRS_OFFSET_MAX_YEARS, Math.max(0, toNumber(offsetYearsOfService, 0)));
+  const monthlyOffset = ssAt62 * (offsetYears / CSRS_OFFSET_MAX_YEARS);
+  return { offsetYears, monthlyOffset, annualOffset: monthlyOffset * 12 };
+}
+
+/**
+ * "Which system applies" from the first federal hire date: FERS for hires after 1983, otherwise CSRS
+ * or CSRS Offset unless the employee elected to transfer to FERS. `isSelectionConsistent` is false when
+ * the selected system cannot apply to that hire date.
+ */
+export function describeRetirementSystem({ retirementSystem, hireDate }) {
+  const system = getRetirementSystem(retirementSystem);
+  const hired = parseIsoDate(hireDate);
+  if (!hired) {
+    return { system, isSelectionConsistent: true, message: '' };
+  }
+  if (hired >= parseIsoDate(FERS_COVERAGE_START_DATE)) {
+    const isFers = system.id === 'fers';
+    return {
+      system,
+      isSelectionConsistent: isFers,
+      message: isFers
+        ? 'FERS applies: first hired after 1983.'
+        : `First hired after 1983, so FERS applies rather than ${system.label}.`,
+    };
+  }
+  return {
+    system,
+    isSelectionConsistent: true,
+    message: system.id === 'fers'
+      ? 'Hired before 1984: you are covered by CSRS or CSRS Offset unless you elected FERS. If you transferred, choose FERS transferee to count your CSRS years.'
+      : `${system.label} applies: hired before 1984.`,
+  };
+}
+
+// Share of row `i` paid (a final partial year is prorated), recovered from the stream's cumulative total.
+const paidFraction = (rows, i) => {
+  const row = rows[i];
+  if (!(row.nominalAnnual > 0)) return 1;
+  const before = i > 0 ? rows[i - 1].cumulativeNominal : 0;
+  return (row.cumulativeNominal - before) / row.nominalAnnual;
+};
+
+/** Reduces a pension stream by a fixed `annualOffset` from `offsetAge`, recomputing real and cumulative amounts. */
+export function applyCsrsOffsetToStream(stream, { annualOffset, offsetAge = CSRS_OFFSET_AGE }) {
+  const offset = Math.max(0, toNumber(annualOffset, 0));
+  const inflation = toNumber(stream?.inflationRate, 0);
+  const source = stream?.rows ?? [];
+  let lifetimeNominal = 0;
+  let lifetimeReal = 0;
+  const rows = source.map((row, t) => {
+    const offsetAnnual = row.age >= offsetAge ? Math.min(row.nominalAnnual, offset) : 0;
+    const nominalAnnual = row.nominalAnnual - offsetAnnual;
+    const realAnnual = nominalAnnual / Math.pow(1 + inflation, t);
+    const fraction = paidFraction(source, t);
+    lifetimeNominal += nominalAnnual * fraction;
+    lifetimeReal += realAnnual * fraction;
+    return { ...row, offsetAnnual, nominalAnnual, realAnnual, cumulativeNominal: lifetimeNominal, cumulativeReal: lifetimeReal };
+  });
+  return { ...stream, rows, lifetimeNominal, lifetimeReal };
+}
+
+/**
+ * Adds two pension streams built over the same ages, such as a transferee's CSRS and FERS components.
+ * `colaPercent` becomes the combined annuity's growth.
+ */
+export function sumPensionStreams(a, b) {
+  const source = a?.rows ?? [];
+  const other = b?.rows ?? [];
+  let lifetimeNominal = 0;
+  let lifetimeReal = 0;
+  const rows = source.map((row, t) => {
+    const nominalAnnual = row.nominalAnnual + (other[t]?.nominalAnnual ?? 0);
+    const realAnnual = row.realAnnual + (other[t]?.realAnnual ?? 0);
+    const fraction = paidFraction(source, t);
+    const previous = t > 0 ? source[t - 1].nominalAnnual + (other[t - 1]?.nominalAnnual ?? 0) : 0;
+    lifetimeNominal += nominalAnnual * fraction;
+    lifetimeReal += realAnnual * fraction;
+    return {
+      ...row,
+      colaPercent: previous > 0 ? (nominalAnnual / previous - 1) * 100 : 0,
+      nominalAnnual,
+      realAnnual,
+      cumulativeNominal: lifetimeNominal,
+      cumulativeReal: lifetimeReal,
+    };
+  });
+  return { ...a, rows, lifetimeNominal, lifetimeReal };
+}
@@ -0,0 +1,80 @@
+// Calendar helpers shared by the FERS engines. Dates are handled as 'YYYY-MM-DD' strings
+// and parsed in UTC so results do not shift with the user's time zone.
+
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export function parseIsoDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  const match = ISO_DATE_RE.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const [, y, m, d] = match;
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+export function toIsoDate(date) {
+  const d = parseIsoDate(date);
+  return d ? d.toISOString().slice(0, 10) : '';
+}
+
+export function todayIsoDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export function addDays(date, days) {
+  const d = parseIsoDate(date);
+  if (!d) return null;
+  return new Date(d.getTime() + Number(days ?? 0) * 86400000);
+}
+
+export function addMonths(date, months) {
+  const d = parseIsoDate(date);
+  if (!d) return null;
+  const total = d.getUTCFullYear() * 12 + d.getUTCMonth() + Math.trunc(Number(months ?? 0));
+  const year = Math.floor(total / 12);
+  const month = total - year * 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(d.getUTCDate(), lastDay)));
+}
+
+export function addYears(date, years) {
+  return addMonths(date, Math.trunc(Number(years ?? 0)) * 12);
+}
+
+// Whole calendar months from `start` up to (not including) `end`.
+export function fullMonthsBetween(start, end) {
+  const a = parseIsoDate(start);
+  const b = parseIsoDate(end);
+  if (!a || !b || b <= a) return 0;
+  let months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth());
+  if (b.getUTCDate() < a.getUTCDate()) months -= 1;
+  return Math.max(0, months);
+}
+
+// Whole months of service for an inclusive period (both the first and last day count).
+export function serviceMonthsInclusive(start, end) {
+  const endExclusive = addDays(end, 1);
+  return endExclusive ? fullMonthsBetween(start, endExclusive) : 0;
+}
+
+export function yearsBetween(start, end) {
+  const a = parseIsoDate(start);
+  const b = parseIsoDate(end);
+  if (!a || !b) return 0;
+  return (b.getTime() - a.getTime()) / (365.25 * 86400000);
+}
+
+// e.g. 'May 1, 2031'. Formats in UTC to match parseIsoDate.
+export function formatDisplayDate(value) {
+  const d = parseIsoDate(value);
+  if (!d) return '—';
+  return d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+// e.g. 57.333… -> '57 yrs 4 mos'
+export function formatYearsAndMonths(years) {
+  const totalMonths = Math.round(Math.max(0, Number(years ?? 0) || 0) * 12);
+  const y = Math.floor(totalMonths / 12);
+  const m = totalMonths % 12;
+  return m > 0 ? `${y} yrs ${m} mos` : `${y} yrs`;
+}
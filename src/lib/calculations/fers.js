@@ -1,29 +1,248 @@
+import {
+  addDays,
+  addMonths,
+  fullMonthsBetween,
+  parseIsoDate,
+  serviceMonthsInclusive,
+  todayIsoDate,
+  toIsoDate,
+} from './dates';
+import { calculateRetirementPremiums, checkFiveYearRule } from './benefits';
+import { calculateBridgeStrategy } from './fire';
+import { buildFersPensionStream, calculateFersColaRate, FERS_COLA_START_AGE, getPensionAtAge } from './cola';
+import {
+  applyCsrsOffsetToStream,
+  calculateCsrsAnnuityAnnual,
+  calculateCsrsOffsetReduction,
+  CSRS_CONTRIBUTION_RATE,
+  CSRS_OFFSET_AGE,
+  CSRS_OFFSET_CONTRIBUTION_RATE,
+  describeRetirementSystem,
+  evaluateCsrsEligibility,
+  getRetirementSystem,
+  isCsrsRetirementSystem,
+  sumPensionStreams,
+} from './csrs';
+import { calculateHigh3FromSalaryHistory } from './high3';
+import { calculateCourtOrderApportionment, getFormerSpouseSurvivorAward } from './courtOrder';
+import { calculateMilitaryDeposit } from './militaryDeposit';
+import { calculatePartTimeProration } from './partTimeService';
+import { calculateSimplifiedMethod } from './pensionTax';
+import { calculateSurvivorBenefit } from './survivorBenefit';
+import { MEDICARE_TAX_RATE, SOCIAL_SECURITY_TAX_RATE } from './tsp';
+
 export const DEFAULT_RETIREMENT_END_AGE = 85;
 export const DEFAULT_MRA = 57;
+// "Leave early" separates once service reaches this many years unless a separation age is given.
+export const DEFAULT_SEPARATION_SERVICE_YEARS = 20;
+
+// The FERS supplement stops at 62, when the retiree first becomes eligible for Social Security.
+export const SRS_END_AGE = 62;
+// SSA annual exempt amount for the under-full-retirement-age earnings test (2026). OPM applies it to the supplement.
+export const SRS_EARNINGS_TEST_EXEMPT_AMOUNT = 24480;
+
+// OPM sick leave chart: a 2087-hour work year, so one month is ~173.92 hours and one day ~5.797 hours.
+export const SICK_LEAVE_HOURS_PER_YEAR = 2087;
+const SICK_LEAVE_HOURS_PER_MONTH = SICK_LEAVE_HOURS_PER_YEAR / 12;
+const SICK_LEAVE_HOURS_PER_DAY = SICK_LEAVE_HOURS_PER_YEAR / 360;
+
+// Special provision (LEO, firefighter, ATC) retirement: 1.7% for the first 20 years, 1% after,
+// unreduced at 50 with 20 years or at any age with 25. Mandatory retirement applies once 20 years are served.
+export const SPECIAL_PROVISION_MIN_AGE = 50;
+export const SPECIAL_PROVISION_FIRST_YEARS = 20;
+export const SPECIAL_PROVISION_ANY_AGE_YEARS = 25;
+const SPECIAL_PROVISION_FIRST_RATE = 0.017;
+const SPECIAL_PROVISION_AFTER_RATE = 0.01;
+
+// Disability retirement: 18 months of civilian service; recomputed at 62 as if work had continued.
+export const DISABILITY_MIN_SERVICE_YEARS = 1.5;
+export const DISABILITY_RECOMPUTATION_AGE = 62;
+const DISABILITY_FIRST_YEAR_RATE = 0.6;
+const DISABILITY_LATER_RATE = 0.4;
+const DISABILITY_FIRST_YEAR_SS_OFFSET = 1;
+const DISABILITY_LATER_SS_OFFSET = 0.6;
+
+// Early-outs (VERA) and discontinued service retirement (DSR): 50 with 20 years or any age with 25.
+export const EARLY_OUT_MIN_AGE = 50;
+export const EARLY_OUT_MIN_YEARS = 20;
+export const EARLY_OUT_ANY_AGE_YEARS = 25;
+// Statutory VSIP cap; agencies may offer less.
+export const VSIP_MAX_AMOUNT = 25000;
+
+export const FERS_EARLY_OUT_TYPES = Object.freeze({
+  none: Object.freeze({ id: 'none', label: 'No offer' }),
+  vera: Object.freeze({ id: 'vera', label: 'VERA (voluntary early retirement)' }),
+  dsr: Object.freeze({ id: 'dsr', label: 'Discontinued service retirement (involuntary)' }),
+});
+
+export const VSIP_DESTINATIONS = Object.freeze({
+  taxable: Object.freeze({ id: 'taxable', label: 'Taxable account' }),
+  bridge: Object.freeze({ id: 'bridge', label: 'Bridge fund (until the supplement starts)' }),
+});
+
+export function createDefaultEarlyOut() {
+  return {
+    type: 'none',
+    age: 0, // 0 => now
+    vsipAmount: 0,
+    vsipDestination: 'taxable',
+  };
+}
+
+export const FERS_RETIREMENT_CATEGORIES = Object.freeze({
+  regular: Object.freeze({ id: 'regular', label: 'Regular FERS', isSpecialProvision: false, mandatoryRetirementAge: null }),
+  leo: Object.freeze({ id: 'leo', label: 'Law enforcement officer', isSpecialProvision: true, mandatoryRetirementAge: 57 }),
+  firefighter: Object.freeze({ id: 'firefighter', label: 'Firefighter', isSpecialProvision: true, mandatoryRetirementAge: 57 }),
+  atc: Object.freeze({ id: 'atc', label: 'Air traffic controller', isSpecialProvision: true, mandatoryRetirementAge: 56 }),
+});
+
+export function getFersRetirementCategory(retirementCategory) {
+  return FERS_RETIREMENT_CATEGORIES[retirementCategory] ?? FERS_RETIREMENT_CATEGORIES.regular;
+}
+
+// Employee contribution toward the annuity by hire cohort (special provision employees pay 0.5% more).
+export const FERS_CONTRIBUTION_COHORTS = Object.freeze({
+  fers: Object.freeze({ id: 'fers', label: 'FERS (hired before 2013)', rate: 0.008, specialProvisionRate: 0.013 }),
+  fers_rae: Object.freeze({ id: 'fers_rae', label: 'FERS-RAE (hired in 2013)', rate: 0.031, specialProvisionRate: 0.036 }),
+  fers_frae: Object.freeze({ id: 'fers_frae', label: 'FERS-FRAE (hired 2014 or later)', rate: 0.044, specialProvisionRate: 0.049 }),
+});
+
+export function getFersContributionCohort(contributionCohort) {
+  return FERS_CONTRIBUTION_COHORTS[contributionCohort] ?? FERS_CONTRIBUTION_COHORTS.fers;
+}
+
+// First hired into a FERS-covered position on or after these dates (with under 5 years of FERS service
+// at the end of 2012) puts an employee in FERS-RAE or FERS-FRAE.
+export const FERS_RAE_HIRE_DATE = '2013-01-01';
+export const FERS_FRAE_HIRE_DATE = '2014-01-01';
+
+export function getFersContributionCohortForHireDate(hireDate) {
+  const hired = parseIsoDate(hireDate);
+  if (!hired) return null;
+  if (hired >= parseIsoDate(FERS_FRAE_HIRE_DATE)) return FERS_CONTRIBUTION_COHORTS.fers_frae.id;
+  if (hired >= parseIsoDate(FERS_RAE_HIRE_DATE)) return FERS_CONTRIBUTION_COHORTS.fers_rae.id;
+  return FERS_CONTRIBUTION_COHORTS.fers.id;
+}
+
+// A valid hire date decides the cohort; otherwise the one picked by hand is used.
+export function resolveFersContributionCohort({ contributionCohort, hireDate }) {
+  return getFersContributionCohortForHireDate(hireDate) ?? getFersContributionCohort(contributionCohort).id;
+}
+
+export function getFersContributionRate({ contributionCohort, retirementCategory = 'regular' }) {
+  const cohort = getFersContributionCohort(contributionCohort);
+  return getFersRetirementCategory(retirementCategory).isSpecialProvision ? cohort.specialProvisionRate : cohort.rate;
+}
+
+export function calculateAnnualFersContribution({ annualSalary, contributionCohort, hireDate = '', retirementCategory = 'regular' }) {
+  const cohortId = resolveFersContributionCohort({ contributionCohort, hireDate });
+  const rate = getFersContributionRate({ contributionCohort: cohortId, retirementCategory });
+  const salary = Math.max(0, Number(annualSalary ?? 0) || 0);
+  return {
+    contributionCohort: getFersContributionCohort(cohortId),
+    isDerivedFromHireDate: Boolean(getFersContributionCohortForHireDate(hireDate)),
+    contributionRate: rate,
+    annualContribution: salary * rate,
+  };
+}
+
+/**
+ * Estimates lifetime FERS retirement contributions when the actual total isn't known: the salary is
+ * walked back from the High-3 at `annualSalaryGrowthRate` (decimal) over each year of service.
+ */
+export function estimateFersContributions({ high3Salary, yearsOfService, contributionRate, annualSalaryGrowthRate = 0 }) {
+  const salary = Math.max(0, Number(high3Salary ?? 0));
+  const years = Math.max(0, Number(yearsOfService ?? 0));
+  const rate = Math.max(0, Number(contributionRate ?? 0));
+  const growth = Number(annualSalaryGrowthRate ?? 0);
+  let total = 0;
+  for (let k = 0; k < years; k++) {
+    total += (salary / Math.pow(1 + growth, k)) * rate * Math.min(1, years - k);
+  }
+  return total;
+}
+
+function meetsSpecialProvisionRules({ age, totalYearsOfService, retirementCategory }) {
+  if (!getFersRetirementCategory(retirementCategory).isSpecialProvision) return false;
+  return (
+    (age >= SPECIAL_PROVISION_MIN_AGE && totalYearsOfService >= SPECIAL_PROVISION_FIRST_YEARS) ||
+    totalYearsOfService >= SPECIAL_PROVISION_ANY_AGE_YEARS
+  );
+}
+
+export function convertSickLeaveHoursToService(hours) {
+  const h = Math.max(0, Number(hours ?? 0) || 0);
+  // Small epsilon keeps chart boundaries (e.g. 174 hours = 1 month) from flooring down on float error.
+  const totalMonths = Math.floor(h / SICK_LEAVE_HOURS_PER_MONTH + 1e-9);
+  const remainingHours = Math.max(0, h - totalMonths * SICK_LEAVE_HOURS_PER_MONTH);
+  const days = Math.min(29, Math.floor(remainingHours / SICK_LEAVE_HOURS_PER_DAY + 1e-9));
+  return {
+    hours: h,
+    years: Math.floor(totalMonths / 12),
+    months: totalMonths % 12,
+    days,
+    totalMonths,
+    // Only whole months count in the annuity computation; leftover days are dropped.
+    creditableYears: totalMonths / 12,
+  };
+}
+
+// OPM MRA table: 55 before 1948, +2 months per birth year to 56 (1953–1964), then +2 months per year to 57 (1970+).
+export function getMinimumRetirementAgeForBirthYear(birthYear) {
+  const year = Number(birthYear);
+  if (!Number.isFinite(year) || year <= 0) return DEFAULT_MRA;
+  if (year < 1948) return 55;
+  if (year <= 1952) return 55 + ((year - 1947) * 2) / 12;
+  if (year <= 1964) return 56;
+  if (year <= 1969) return 56 + ((year - 1964) * 2) / 12;
+  return 57;
+}
+
+// Falls back to DEFAULT_MRA when no birth date has been entered (older scenarios).
+export function calculateMinimumRetirementAge(birthDate) {
+  const d = parseIsoDate(birthDate);
+  return d ? getMinimumRetirementAgeForBirthYear(d.getUTCFullYear()) : DEFAULT_MRA;
+}
 
-export function calculateFersMultiplier({ retirementAge, totalYearsOfService }) {
+export function formatMinimumRetirementAge(mra) {
+  const totalMonths = Math.round(Number(mra ?? DEFAULT_MRA) * 12);
+  const years = Math.floor(totalMonths / 12);
+  const months = totalMonths % 12;
+  return months > 0 ? `${years} and ${months} months` : String(years);
+}
+
+export function calculateFersMultiplier({ retirementAge, totalYearsOfService, retirementCategory = 'regular' }) {
   const age = Number(retirementAge ?? 0);
   const years = Number(totalYearsOfService ?? 0);
+  if (getFersRetirementCategory(retirementCategory).isSpecialProvision) {
+    // Blended into one effective rate so callers can keep using High-3 × service × multiplier.
+    if (years <= 0) return SPECIAL_PROVISION_FIRST_RATE;
+    const firstYears = Math.min(years, SPECIAL_PROVISION_FIRST_YEARS);
+    return (firstYears * SPECIAL_PROVISION_FIRST_RATE + (years - firstYears) * SPECIAL_PROVISION_AFTER_RATE) / years;
+  }
   if (age >= 62 && years >= 20) return 0.011;
   return 0.01;
 }
 
-export function calculateMra10ReductionPercent({ annuityStartAge, mra = DEFAULT_MRA }) {
+export function calculateMra10ReductionPercent({ annuityStartAge, mra = DEFAULT_MRA, totalYearsOfService = 0 }) {
   const startAge = Number(annuityStartAge ?? 0);
   const mraAge = Number(mra ?? DEFAULT_MRA);
   if (startAge <= 0) return 0;
   if (startAge >= 62) return 0;
   if (startAge < mraAge) return 0;
+  // With 20+ years the reduction is waived once the annuity starts at 60.
+  if (startAge >= 60 && Number(totalYearsOfService ?? 0) >= 20) return 0;
 
-  const yearsUnder62 = 62 - startAge;
-  // Simplified rule: 5% per year under 62 (pro-rated monthly in real life; we keep it simple here).
-  return Math.max(0, yearsUnder62 * 5);
+  // 5/12 of 1% for each full month under 62 (5% per year).
+  const monthsUnder62 = Math.floor((62 - startAge) * 12 + 1e-9);
+  return Math.max(0, monthsUnder62 * (5 / 12));
 }
 
 export function evaluateFersRegularEligibility({
   age,
   totalYearsOfService,
   mra = DEFAULT_MRA,
+  retirementCategory = 'regular',
 }) {
   const a = Number(age ?? 0);
   const y = Number(totalYearsOfService ?? 0);
@@ -32,10 +251,14 @@ export function evaluateFersRegularEligibility({
   const immediateFull =
     (a >= 62 && y >= 5) ||
     (a >= 60 && y >= 20) ||
-    (a >= mraAge && y >= 30);
+    (a >= mraAge && y >= 30) ||
+    meetsSpecialProvisionRules({ age: a, totalYearsOfService: y, retirementCategory });
 
   const immediateMra10 = !immediateFull && a >= mraAge && y >= 10;
 
+  // Only with an agency early-out authority or an involuntary separation.
+  const earlyOut = (a >= EARLY_OUT_MIN_AGE && y >= EARLY_OUT_MIN_YEARS) || y >= EARLY_OUT_ANY_AGE_YEARS;
+
   const deferred = y >= 5;
 
   const messages = [];
@@ -46,7 +269,7 @@ export function evaluateFersRegularEligibility({
     messages.push(
       `Eligible for immediate retirement under MRA+10 (simplified reduction: ~${reduction.toFixed(1)}%)`
     );
-    messages.push('You may be able to postpone the annuity start to reduce/eliminate the reduction (not fully modeled).');
+    messages.push('You can postpone the annuity start (up to 62, or 60 with 20+ years) to reduce or eliminate the reduction.');
   } else if (deferred) {
     messages.push('Not eligible for immediate retirement; may be eligible for deferred retirement (FEHB rules differ).');
   } else {
@@ -60,6 +283,7 @@ export function evaluateFersRegularEligibility({
     isEligibleImmediate: immediateFull || immediateMra10,
     isEligibleImmediateUnreduced: immediateFull,
     isEligibleImmediateMra10: immediateMra10,
+    isEligibleEarlyOut: earlyOut,
     isEligibleDeferred: deferred,
     messages,
   };
@@ -70,6 +294,7 @@ export function findEarliestFersImmediateRetirementAge({
   totalYearsOfService,
   mra = DEFAULT_MRA,
   maxAgeToCheck = 70,
+  retirementCategory = 'regular',
 }) {
   const ageNow = Number(currentAge ?? 0);
   const yearsNow = Number(totalYearsOfService ?? 0);
@@ -80,15 +305,532 @@ export function findEarliestFersImmediateRetirementAge({
 
   for (let a = Math.ceil(ageNow); a <= maxAge; a++) {
     const projectedYears = yearsNow + Math.max(0, a - ageNow);
-    const res = evaluateFersRegularEligibility({ age: a, totalYearsOfService: projectedYears, mra });
+    const res = evaluateFersRegularEligibility({ age: a, totalYearsOfService: projectedYears, mra, retirementCategory });
     if (res.isEligibleImmediate) return a;
   }
   return null;
 }
 
-export function calculateFersEligibility({ retirementAge, totalYearsOfService }) {
+/**
+ * Resolves age and service from real dates when the scenario has them, falling back to the
+ * whole-number inputs otherwise. Ages are whole months since birth; service counts both the
+ * SCD and the retirement date (OPM style).
+ */
+export function resolveFersTimeline({
+  birthDate,
+  serviceComputationDate,
+  retirementDate,
+  asOfDate,
+  currentAge,
+  retirementAge,
+  yearsOfService,
+  monthsOfService,
+}) {
+  const asOf = parseIsoDate(asOfDate) ?? parseIsoDate(todayIsoDate());
+  const birth = parseIsoDate(birthDate);
+  const scd = parseIsoDate(serviceComputationDate);
+  const retireOn = parseIsoDate(retirementDate);
+
+  const ageNow = birth ? fullMonthsBetween(birth, asOf) / 12 : Number(currentAge ?? 0);
+  const retireAge = birth && retireOn ? fullMonthsBetween(birth, retireOn) / 12 : Number(retirementAge ?? 0);
+  const serviceToDate = scd
+    ? serviceMonthsInclusive(scd, asOf) / 12
+    : Number(yearsOfService ?? 0) + Number(monthsOfService ?? 0) / 12;
+  const serviceAtRetirement = scd && retireOn ? serviceMonthsInclusive(scd, retireOn) / 12 : null;
+
+  return {
+    asOfDate: toIsoDate(asOf),
+    currentAge: ageNow,
+    retirementAge: retireAge,
+    retirementDate: retireOn ? toIsoDate(retireOn) : null,
+    serviceToDate,
+    serviceAtRetirement,
+    usesBirthDate: Boolean(birth),
+    usesServiceComputationDate: Boolean(scd),
+  };
+}
+
+/**
+ * Earliest calendar dates for an immediate retirement. Each rule is met on the later of the
+ * day the age is reached and the day the service is complete; `additionalServiceMonths`
+ * covers bought-back military time that sits outside the SCD.
+ */
+export function findEarliestFersImmediateRetirementDate({
+  birthDate,
+  serviceComputationDate,
+  mra = undefined,
+  additionalServiceMonths = 0,
+  retirementCategory = 'regular',
+}) {
+  const birth = parseIsoDate(birthDate);
+  const scd = parseIsoDate(serviceComputationDate);
+  if (!birth || !scd) return null;
+
+  const mraAge = mra != null ? Number(mra) : calculateMinimumRetirementAge(birthDate);
+  const mraMonths = Math.round(mraAge * 12);
+  const extra = Math.max(0, Math.round(Number(additionalServiceMonths ?? 0)));
+
+  const dateForRule = (ageMonths, serviceYears) => {
+    const ageDate = addMonths(birth, ageMonths);
+    // Service is inclusive of the SCD, so N years are complete the day before the anniversary.
+    const serviceDate = addDays(addMonths(scd, Math.max(0, serviceYears * 12 - extra)), -1);
+    return ageDate > serviceDate ? ageDate : serviceDate;
+  };
+
+  const earliest = (dates) => dates.reduce((min, d) => (min == null || d < min ? d : min), null);
+
+  const unreducedOn = earliest([
+    dateForRule(62 * 12, 5),
+    dateForRule(60 * 12, 20),
+    dateForRule(mraMonths, 30),
+    ...(getFersRetirementCategory(retirementCategory).isSpecialProvision
+      ? [
+          dateForRule(SPECIAL_PROVISION_MIN_AGE * 12, SPECIAL_PROVISION_FIRST_YEARS),
+          dateForRule(0, SPECIAL_PROVISION_ANY_AGE_YEARS),
+        ]
+      : []),
+  ]);
+  const mra10On = dateForRule(mraMonths, 10);
+  const eligibleOn = mra10On < unreducedOn ? mra10On : unreducedOn;
+
+  return {
+    mra: mraAge,
+    mraDate: toIsoDate(addMonths(birth, mraMonths)),
+    eligibleOn: toIsoDate(eligibleOn),
+    unreducedOn: toIsoDate(unreducedOn),
+    isMra10First: mra10On < unreducedOn,
+  };
+}
+
+/**
+ * Side-by-side annuity start ages for an MRA+10 separation: start right away with the age
+ * reduction, or postpone to any later whole age up to 62 (60 with 20+ years). FEHB can be
+ * reinstated when a postponed annuity starts, but there is no coverage in between.
+ */
+export function calculateMra10CommencementOptions({
+  high3Salary,
+  totalYearsOfService,
+  separationAge,
+  mra = DEFAULT_MRA,
+  retirementEndAge = DEFAULT_RETIREMENT_END_AGE,
+  sickLeaveHours = 0,
+  retirementCategory = 'regular',
+  inflationRate = 0,
+}) {
+  const age = Number(separationAge ?? 0);
+  const years = Number(totalYearsOfService ?? 0);
+  const mraAge = Number(mra ?? DEFAULT_MRA);
+  const endAge = Number(retirementEndAge ?? DEFAULT_RETIREMENT_END_AGE);
+  const latestCommencementAge = years >= 20 ? 60 : 62;
+
+  const { isEligibleImmediateMra10 } = evaluateFersRegularEligibility({
+    age,
+    totalYearsOfService: years,
+    mra: mraAge,
+    retirementCategory,
+  });
+  if (!isEligibleImmediateMra10) {
+    return { isApplicable: false, separationAge: age, latestCommencementAge, options: [] };
+  }
+
+  // Multiplier and computation service are fixed at separation; only the start age moves.
+  const { annualPension: unreducedAnnual } = calculateFersPensionAnnual({
+    high3Salary,
+    totalYearsOfService: years,
+    retirementAge: age,
+    sickLeaveHours,
+  });
+
+  const startAges = [age];
+  for (let a = Math.floor(age) + 1; a <= latestCommencementAge; a++) startAges.push(a);
+
+  const options = startAges.map((commencementAge) => {
+    const reductionPercent = calculateMra10ReductionPercent({
+      annuityStartAge: commencementAge,
+      mra: mraAge,
+      totalYearsOfService: years,
+    });
+    const annualPension = unreducedAnnual * (1 - reductionPercent / 100);
+    const isPostponed = commencementAge > age;
+    return {
+      commencementAge,
+      isPostponed,
+      yearsWithoutAnnuity: commencementAge - age,
+      reductionPercent,
+      annualPension,
+      monthlyPension: annualPension / 12,
+      lifetimeValue: buildFersPensionStream({ annualPension, startAge: commencementAge, endAge, inflationRate }).lifetimeNominal,
+      fehbNote: isPostponed
+        ? 'FEHB suspended until the annuity starts, then reinstated (5-year rule)'
+        : 'FEHB continues without a break (5-year rule)',
+    };
+  });
+
+  return { isApplicable: true, separationAge: age, latestCommencementAge, options };
+}
+
+/**
+ * Deferred retirement for someone who separates before qualifying for an immediate annuity. The
+ * annuity can start at 62 with 5 years, 60 with 20, the MRA with 30, or the MRA with 10–29 years
+ * reduced 5% per year under 62. Unused sick leave is not credited. FEHB suspended at separation
+ * comes back when a postponed annuity starts (60 with 20, the MRA with 30, or MRA+10 after separating
+ * at the MRA) if the 5-year rule was met by `fehbYearsCoveredAtSeparation`; a true deferred annuity
+ * never carries it. `commencementAge` picks an option (0 = the earliest unreduced one).
+ */
+export function calculateDeferredRetirement({
+  high3Salary,
+  separationAge,
+  serviceAtSeparation,
+  mra = DEFAULT_MRA,
+  retirementEndAge = DEFAULT_RETIREMENT_END_AGE,
+  commencementAge = 0,
+  inflationRate = 0,
+  fehbYearsCoveredAtSeparation = 0,
+}) {
+  const sepAge = Number(separationAge ?? 0);
+  const years = Number(serviceAtSeparation ?? 0);
+  const mraAge = Number(mra ?? DEFAULT_MRA);
+  const endAge = Number(retirementEndAge ?? DEFAULT_RETIREMENT_END_AGE);
+  const fehbRule = checkFiveYearRule({ yearsCoveredAtRetirement: fehbYearsCoveredAtSeparation, label: 'FEHB' });
+
+  // `isPostponable`: the annuity counts as postponed, not deferred, even when it starts after separation.
+  const rules = [
+    { rule: 'MRA with 30 years', age: mraAge, minYears: 30, isReduced: false, isPostponable: true },
+    { rule: '60 with 20 years', age: 60, minYears: 20, isReduced: false, isPostponable: true },
+    { rule: 'MRA+10 (reduced)', age: mraAge, minYears: 10, maxYears: 30, isReduced: true, isPostponable: false },
+    { rule: '62 with 5 years', age: 62, minYears: 5, isReduced: false, isPostponable: false },
+  ];
+
+  const fehbFor = (r, startAge) => {
+    // Separating on or after the rule's age makes it an immediate (or, for MRA+10, postponed) annuity.
+    if (!r.isPostponable && sepAge + 1e-9 < r.age) {
+      return { keepsFehb: false, fehbNote: 'FEHB ends at separation and cannot be reinstated with a deferred annuity.' };
+    }
+    if (!fehbRule.isMet) return { keepsFehb: false, fehbNote: fehbRule.message };
+    return {
+      keepsFehb: true,
+      fehbNote: startAge > sepAge + 1e-9
+        ? 'FEHB is suspended until the annuity starts, then reinstated (5-year rule).'
+        : 'FEHB continues without a break (5-year rule).',
+    };
+  };
+
+  const options = rules
+    .filter((r) => years >= r.minYears && (r.maxYears == null || years < r.maxYears))
+    .map((r) => {
+      // The annuity can't start before separation.
+      const startAge = Math.max(r.age, sepAge);
+      const reductionPercent = r.isReduced
+        ? calculateMra10ReductionPercent({ annuityStartAge: startAge, mra: mraAge, totalYearsOfService: years })
+        : 0;
+      // The 1.1% factor depends on age at separation, not when the deferred annuity begins.
+      const multiplier = calculateFersMultiplier({ retirementAge: sepAge, totalYearsOfService: years });
+      const annualPension = Number(high3Salary ?? 0) * years * multiplier * (1 - reductionPercent / 100);
+      return {
+        rule: r.rule,
+        commencementAge: startAge,
+        reductionPercent,
+        multiplier,
+        annualPension,
+        monthlyPension: annualPension / 12,
+        lifetimeValue: buildFersPensionStream({ annualPension, startAge, endAge, inflationRate }).lifetimeNominal,
+        ...fehbFor(r, startAge),
+      };
+    })
+    .sort((a, b) => a.commencementAge - b.commencementAge || a.reductionPercent - b.reductionPercent);
+
+  const unreduced = options.filter((o) => o.reductionPercent === 0);
+  const requested = Number(commencementAge ?? 0);
+  const selected =
+    (requested > 0 ? options.find((o) => Math.abs(o.commencementAge - requested) < 1e-9) : null) ??
+    unreduced[0] ??
+    options[0] ??
+    null;
+
+  return {
+    separationAge: sepAge,
+    serviceAtSeparation: years,
+    isEligible: options.length > 0,
+    options,
+    earliestCommencementAge: options[0]?.commencementAge ?? null,
+    unreducedCommencementAge: unreduced[0]?.commencementAge ?? null,
+    selected,
+    keepsFehb: selected?.keepsFehb ?? false,
+    fehbNote: selected?.fehbNote ?? 'FEHB ends at separation.',
+    message: options.length > 0
+      ? ''
+      : 'Under 5 years of service at separation: only a refund of retirement contributions is available.',
+  };
+}
+
+function scalePensionStream(stream, factor) {
+  if (factor === 1) return stream;
+  const scale = (row) => ({
+    ...row,
+    nominalAnnual: row.nominalAnnual * factor,
+    realAnnual: row.realAnnual * factor,
+    cumulativeNominal: row.cumulativeNominal * factor,
+    cumulativeReal: row.cumulativeReal * factor,
+  });
+  return {
+    ...stream,
+    rows: stream.rows.map(scale),
+    lifetimeNominal: stream.lifetimeNominal * factor,
+    lifetimeReal: stream.lifetimeReal * factor,
+  };
+}
+
+/**
+ * FERS disability retirement at `disabilityAge`. Under 62, and without an unreduced immediate annuity,
+ * it pays 60% of High-3 less 100% of the Social Security disability benefit for the first 12 months,
+ * then 40% less 60% of it, but never less than the earned annuity. At 62 it is recomputed as if the
+ * retiree had worked until then: the time on disability counts as service and the High-3 is raised by
+ * the COLAs paid meanwhile. Otherwise the earned annuity is paid. Disability annuities get COLAs at any
+ * age; the stream has the same shape as buildFersPensionStream().
+ */
+export function calculateDisabilityRetirement({
+  high3Salary,
+  disabilityAge,
+  serviceAtDisability,
+  civilianServiceAtDisability = undefined,
+  mra = DEFAULT_MRA,
+  retirementEndAge = DEFAULT_RETIREMENT_END_AGE,
+  ssDisabilityMonthly = 0,
+  inflationRate = 0,
+  retirementCategory = 'regular',
+}) {
+  const high3 = Math.max(0, Number(high3Salary ?? 0) || 0);
+  const age = Number(disabilityAge ?? 0);
+  const years = Math.max(0, Number(serviceAtDisability ?? 0) || 0);
+  const civilianYears = Math.max(0, Number(civilianServiceAtDisability ?? years) || 0);
+  const endAge = Number(retirementEndAge ?? DEFAULT_RETIREMENT_END_AGE);
+  const ssAnnual = Math.max(0, Number(ssDisabilityMonthly ?? 0) || 0) * 12;
+  const inflation = Math.max(0, Number(inflationRate ?? 0) || 0);
+  const colaRate = calculateFersColaRate(inflation);
+
+  const isEligible = civilianYears + 1e-9 >= DISABILITY_MIN_SERVICE_YEARS;
+  const eligibility = evaluateFersRegularEligibility({ age, totalYearsOfService: years, mra, retirementCategory });
+  const earnedCategory = meetsSpecialProvisionRules({ age, totalYearsOfService: years, retirementCategory })
+    ? retirementCategory
+    : 'regular';
+  const earnedAnnuity = isEligible
+    ? high3 * years * calculateFersMultiplier({ retirementAge: age, totalYearsOfService: years, retirementCategory: earnedCategory })
+    : 0;
+  const paysEarnedAnnuity = age >= DISABILITY_RECOMPUTATION_AGE || eligibility.isEligibleImmediateUnreduced;
+
+  const firstYearAnnuity = !isEligible || paysEarnedAnnuity
+    ? earnedAnnuity
+    : Math.max(earnedAnnuity, high3 * DISABILITY_FIRST_YEAR_RATE - ssAnnual * DISABILITY_FIRST_YEAR_SS_OFFSET);
+  const laterAnnuity = !isEligible || paysEarnedAnnuity
+    ? earnedAnnuity
+    : Math.max(earnedAnnuity, high3 * DISABILITY_LATER_RATE - ssAnnual * DISABILITY_LATER_SS_OFFSET);
+
+  let recomputation = null;
+  if (isEligible && !paysEarnedAnnuity) {
+    const yearsOnDisability = DISABILITY_RECOMPUTATION_AGE - age;
+    const colasPaid = Math.max(0, Math.ceil(yearsOnDisability - 1e-9) - 1);
+    const serviceYears = years + yearsOnDisability;
+    const adjustedHigh3 = high3 * Math.pow(1 + colaRate, colasPaid);
+    const multiplier = calculateFersMultiplier({ retirementAge: DISABILITY_RECOMPUTATION_AGE, totalYearsOfService: serviceYears });
+    recomputation = {
+      age: DISABILITY_RECOMPUTATION_AGE,
+      serviceYears,
+      high3: adjustedHigh3,
+      multiplier,
+      annualPension: adjustedHigh3 * serviceYears * multiplier,
+    };
+  }
+
+  const rows = [];
+  let lifetimeNominal = 0;
+  let lifetimeReal = 0;
+  let recomputedAt = null;
+  for (let t = 0; isEligible && age + t < endAge; t++) {
+    const rowAge = age + t;
+    let phase;
+    let nominal;
+    let ssOffsetAnnual = 0;
+    if (paysEarnedAnnuity) {
+      phase = 'earned';
+      nominal = earnedAnnuity * Math.pow(1 + colaRate, t);
+    } else if (rowAge < DISABILITY_RECOMPUTATION_AGE) {
+      phase = t === 0 ? 'first_year' : 'reduced';
+      const base = t === 0 ? firstYearAnnuity : laterAnnuity;
+      nominal = base * Math.pow(1 + colaRate, t);
+      ssOffsetAnnual = ssAnnual * (t === 0 ? DISABILITY_FIRST_YEAR_SS_OFFSET : DISABILITY_LATER_SS_OFFSET);
+    } else {
+      phase = 'recomputed';
+      if (recomputedAt == null) recomputedAt = t;
+      nominal = recomputation.annualPension * Math.pow(1 + colaRate, t - recomputedAt);
+    }
+    const real = nominal / Math.pow(1 + inflation, t);
+    const fraction = Math.min(1, endAge - rowAge);
+    lifetimeNominal += nominal * fraction;
+    lifetimeReal += real * fraction;
+    rows.push({
+      age: rowAge,
+      phase,
+      ssOffsetAnnual,
+      colaPercent: t > 0 && t !== recomputedAt && colaRate > 0 ? colaRate * 100 : 0,
+      nominalAnnual: nominal,
+      realAnnual: real,
+      cumulativeNominal: lifetimeNominal,
+      cumulativeReal: lifetimeReal,
+    });
+  }
+
+  return {
+    isEligible,
+    disabilityAge: age,
+    serviceAtDisability: years,
+    paysEarnedAnnuity,
+    earnedAnnuity,
+    firstYearAnnuity,
+    laterAnnuity,
+    firstYearMonthly: firstYearAnnuity / 12,
+    laterMonthly: laterAnnuity / 12,
+    ssDisabilityAnnual: ssAnnual,
+    recomputation,
+    stream: { colaRate, inflationRate: inflation, colaStartAge: 0, rows, lifetimeNominal, lifetimeReal },
+    message: isEligible
+      ? ''
+      : `Disability retirement needs at least ${DISABILITY_MIN_SERVICE_YEARS * 12} months of civilian service.`,
+  };
+}
+
+/**
+ * VERA or DSR at `retirementAge`, side by side with working to the planned retirement. FERS early-out
+ * annuities are not reduced for age (1% multiplier, COLAs from 62), and the supplement waits until
+ * the MRA. The VSIP is taxed as wages at `vsipTaxRate` (percent) plus Social Security and Medicare.
+ * The bridge is calculateBridgeStrategy() from the early-out age to 62: `fireIncomeGoalMonthly` less
+ * the annuity and `otherMonthlyIncome`, with the supplement counted from the MRA. A VSIP put in the
+ * bridge fund is set against that shortfall; otherwise it lands in a taxable account.
+ * `prorationFactor` carries any part-time proration of the planned annuity.
+ */
+export function calculateEarlyOutRetirement({
+  type = 'vera',
+  high3Salary,
+  retirementAge,
+  totalYearsOfService,
+  civilianYearsOfService = undefined,
+  sickLeaveHours = 0,
+  mra = DEFAULT_MRA,
+  retirementEndAge = DEFAULT_RETIREMENT_END_AGE,
+  inflationRate = 0,
+  socialSecurityAt62Monthly = 0,
+  postRetirementEarnings = 0,
+  vsipAmount = 0,
+  vsipTaxRate = 0,
+  vsipDestination = 'taxable',
+  fireIncomeGoalMonthly = 0,
+  otherMonthlyIncome = 0,
+  plannedRetirementAge,
+  plannedLifetimePension = 0,
+  plannedLifetimeSupplement = 0,
+  prorationFactor = 1,
+}) {
+  const offer = FERS_EARLY_OUT_TYPES[type] ?? FERS_EARLY_OUT_TYPES.vera;
   const age = Number(retirementAge ?? 0);
   const years = Number(totalYearsOfService ?? 0);
+  const mraAge = Number(mra ?? DEFAULT_MRA);
+  const endAge = Number(retirementEndAge ?? DEFAULT_RETIREMENT_END_AGE);
+  const high3 = Math.max(0, Number(high3Salary ?? 0) || 0);
+
+  const eligibility = evaluateFersRegularEligibility({ age, totalYearsOfService: years, mra: mraAge });
+  const isEligible = eligibility.isEligibleEarlyOut;
+
+  const { annualPension: fullTimeAnnualPension, multiplier } = isEligible
+    ? calculateFersPensionAnnual({ high3Salary: high3, totalYearsOfService: years, retirementAge: age, sickLeaveHours })
+    : { annualPension: 0, multiplier: 0 };
+  const annualPension = fullTimeAnnualPension * Math.max(0, Number(prorationFactor ?? 1));
+  const pensionStream = buildFersPensionStream({ annualPension, startAge: age, endAge, inflationRate });
+
+  const ssAt62 = Math.max(0, Number(socialSecurityAt62Monthly ?? 0) || 0);
+  const supplementYears = Math.round(Math.max(0, Number(civilianYearsOfService ?? years) || 0));
+  const supplementStartAge = Math.max(age, mraAge);
+  const { annualSupplement } = applySupplementEarningsTest({
+    annualSupplement: isEligible && supplementStartAge < SRS_END_AGE ? ssAt62 * (supplementYears / 40) * 12 : 0,
+    annualEarnings: postRetirementEarnings,
+  });
+  const supplementYearsPaid = annualSupplement > 0 ? Math.max(0, Math.min(SRS_END_AGE, endAge) - supplementStartAge) : 0;
+
+  const vsipGross = isEligible ? Math.min(VSIP_MAX_AMOUNT, Math.max(0, Number(vsipAmount ?? 0) || 0)) : 0;
+  const vsipTax = vsipGross * (Math.max(0, Number(vsipTaxRate ?? 0) || 0) / 100 + SOCIAL_SECURITY_TAX_RATE + MEDICARE_TAX_RATE);
+  const vsipNet = vsipGross - vsipTax;
+  const destination = VSIP_DESTINATIONS[vsipDestination] ?? VSIP_DESTINATIONS.taxable;
+  const isBridge = destination.id === 'bridge';
+  const bridge = calculateBridgeStrategy({
+    desiredFireAge: age,
+    pensionStartAge: SRS_END_AGE,
+    fireIncomeGoalMonthly,
+    monthlyIncomeBeforePension: annualPension / 12 + Math.max(0, Number(otherMonthlyIncome ?? 0) || 0),
+    supplementMonthly: annualSupplement / 12,
+    supplementStartAge,
+    supplementEndAge: SRS_END_AGE,
+    bridgeAssets: isBridge ? vsipNet : 0,
+  });
+
+  // Through the end age, not counting what either path earns in a later job.
+  const plannedAge = Number(plannedRetirementAge ?? age);
+  const plannedSalary = Math.max(0, plannedAge - age) * high3;
+  const plannedTotal = plannedSalary + Number(plannedLifetimePension ?? 0) + Number(plannedLifetimeSupplement ?? 0);
+  const earlyOutTotal = pensionStream.lifetimeNominal + annualSupplement * supplementYearsPaid + vsipNet;
+
+  return {
+    type: offer,
+    isEligible,
+    retirementAge: age,
+    totalYearsOfService: years,
+    reductionPercent: 0,
+    multiplier,
+    annualPension,
+    monthlyPension: annualPension / 12,
+    pensionStream,
+    lifetimePension: pensionStream.lifetimeNominal,
+    supplement: {
+      startAge: annualSupplement > 0 ? supplementStartAge : null,
+      annualSupplement,
+      monthlySupplement: annualSupplement / 12,
+      yearsPaid: supplementYearsPaid,
+      totalPaid: annualSupplement * supplementYearsPaid,
+    },
+    vsip: {
+      gross: vsipGross,
+      tax: vsipTax,
+      net: vsipNet,
+      isCapped: Number(vsipAmount ?? 0) > VSIP_MAX_AMOUNT,
+      destination,
+      taxableAmount: isBridge ? 0 : vsipNet,
+      bridgeAmount: isBridge ? vsipNet : 0,
+      bridgeNeed: bridge.requiredBridgeAssets,
+      bridgeShortfall: bridge.bridgeShortfall,
+      bridgeCoverage: isBridge && bridge.requiredBridgeAssets > 0 ? Math.min(1, vsipNet / bridge.requiredBridgeAssets) : null,
+    },
+    comparison: {
+      planned: { retirementAge: plannedAge, salary: plannedSalary, pension: Number(plannedLifetimePension ?? 0), supplement: Number(plannedLifetimeSupplement ?? 0), total: plannedTotal },
+      earlyOut: { retirementAge: age, salary: 0, pension: pensionStream.lifetimeNominal, supplement: annualSupplement * supplementYearsPaid, vsip: vsipNet, total: earlyOutTotal },
+      difference: earlyOutTotal - plannedTotal,
+      yearsEarlier: Math.max(0, plannedAge - age),
+    },
+    message: isEligible
+      ? ''
+      : `${offer.label} needs age ${EARLY_OUT_MIN_AGE} with ${EARLY_OUT_MIN_YEARS} years of service, or ${EARLY_OUT_ANY_AGE_YEARS} years at any age.`,
+  };
+}
+
+export function calculateFersEligibility({
+  retirementAge,
+  totalYearsOfService,
+  mra = DEFAULT_MRA,
+  retirementCategory = 'regular',
+}) {
+  const age = Number(retirementAge ?? 0);
+  const years = Number(totalYearsOfService ?? 0);
+  const mraAge = Number(mra ?? DEFAULT_MRA);
+
+  if (meetsSpecialProvisionRules({ age, totalYearsOfService: years, retirementCategory })) {
+    return { isEligible: true, eligibilityMessage: 'Eligible for immediate special provision retirement with full pension' };
+  }
 
   if (age >= 62 && years >= 5) {
     return { isEligible: true, eligibilityMessage: 'Eligible for immediate retirement with full pension' };
@@ -96,9 +838,12 @@ export function calculateFersEligibility({ retirementAge, totalYearsOfService })
   if (age >= 60 && years >= 20) {
     return { isEligible: true, eligibilityMessage: 'Eligible for immediate retirement with full pension' };
   }
-  if (age >= 57 && years >= 30) {
+  if (age >= mraAge && years >= 30) {
     return { isEligible: true, eligibilityMessage: 'Eligible for immediate retirement with full pension' };
   }
+  if (age >= mraAge && years >= 10) {
+    return { isEligible: true, eligibilityMessage: 'Eligible for MRA+10 retirement (reduced unless the annuity start is postponed)' };
+  }
 
   return {
     isEligible: false,
@@ -106,10 +851,111 @@ export function calculateFersEligibility({ retirementAge, totalYearsOfService })
   };
 }
 
-export function calculateFersPensionAnnual({ high3Salary, totalYearsOfService, retirementAge }) {
-  const multiplier = calculateFersMultiplier({ retirementAge, totalYearsOfService });
-  const annualPension = Number(high3Salary ?? 0) * Number(totalYearsOfService ?? 0) * multiplier;
-  return { annualPension, monthlyPension: annualPension / 12, multiplier };
+/**
+ * Special provision employees must separate at the category's mandatory age, or once 20 years
+ * are complete if that comes later. Returns null for regular FERS.
+ */
+export function calculateMandatoryRetirement({ retirementCategory, currentAge, totalYearsOfService, retirementAge }) {
+  const category = getFersRetirementCategory(retirementCategory);
+  if (!category.mandatoryRetirementAge) return null;
+
+  const ageNow = Number(currentAge ?? 0);
+  const yearsNow = Number(totalYearsOfService ?? 0);
+  const ageAtTwentyYears = ageNow + Math.max(0, SPECIAL_PROVISION_FIRST_YEARS - yearsNow);
+  const mandatoryAge = Math.max(category.mandatoryRetirementAge, ageAtTwentyYears);
+  const isPastMandatoryAge = Number(retirementAge ?? 0) > mandatoryAge;
+
+  return {
+    category: category.label,
+    mandatoryAge,
+    isPastMandatoryAge,
+    message: isPastMandatoryAge
+      ? `Planned retirement is past the mandatory retirement age (${Math.round(mandatoryAge * 10) / 10}) for a ${category.label.toLowerCase()}.`
+      : `Mandatory retirement at age ${Math.round(mandatoryAge * 10) / 10} for a ${category.label.toLowerCase()}.`,
+  };
+}
+
+export function applySupplementEarningsTest({
+  annualSupplement,
+  annualEarnings,
+  exemptAmount = SRS_EARNINGS_TEST_EXEMPT_AMOUNT,
+}) {
+  const supplement = Math.max(0, Number(annualSupplement ?? 0) || 0);
+  const earnings = Math.max(0, Number(annualEarnings ?? 0) || 0);
+  const excess = Math.max(0, earnings - Number(exemptAmount ?? SRS_EARNINGS_TEST_EXEMPT_AMOUNT));
+  // $1 of supplement is withheld for every $2 earned above the exempt amount.
+  const reduction = Math.min(supplement, excess / 2);
+  return { annualSupplement: supplement - reduction, reduction };
+}
+
+export function calculateFersSupplement({
+  retirementAge,
+  totalYearsOfService,
+  civilianYearsOfService,
+  socialSecurityAt62Monthly,
+  postRetirementEarnings = 0,
+  mra = DEFAULT_MRA,
+  exemptAmount = SRS_EARNINGS_TEST_EXEMPT_AMOUNT,
+  retirementCategory = 'regular',
+}) {
+  const age = Number(retirementAge ?? 0);
+  const mraAge = Number(mra ?? DEFAULT_MRA);
+  const ssAt62 = Math.max(0, Number(socialSecurityAt62Monthly ?? 0) || 0);
+  // Only civilian FERS service counts, rounded to the nearest whole year.
+  const serviceYears = Math.round(Math.max(0, Number(civilianYearsOfService ?? totalYearsOfService ?? 0)));
+
+  const eligibility = evaluateFersRegularEligibility({ age, totalYearsOfService, mra: mraAge, retirementCategory });
+  // Special provision retirees get the supplement from their retirement date, even before the MRA.
+  const hasMraGate = !getFersRetirementCategory(retirementCategory).isSpecialProvision;
+  let reason = '';
+  if (age >= SRS_END_AGE) reason = `Not payable when retiring at ${SRS_END_AGE} or later`;
+  else if (hasMraGate && age < mraAge) reason = 'Not payable before your MRA';
+  else if (!eligibility.isEligibleImmediateUnreduced) reason = 'Only payable with an immediate, unreduced retirement (not MRA+10 or deferred)';
+
+  const isEligible = reason === '';
+  if (isEligible && ssAt62 <= 0) reason = 'Enter your Social Security estimate at 62 to estimate the supplement';
+
+  const monthlyBeforeEarningsTest = isEligible ? ssAt62 * (serviceYears / 40) : 0;
+  const { annualSupplement, reduction } = applySupplementEarningsTest({
+    annualSupplement: monthlyBeforeEarningsTest * 12,
+    annualEarnings: postRetirementEarnings,
+    exemptAmount,
+  });
+  const yearsPaid = isEligible ? Math.max(0, SRS_END_AGE - age) : 0;
+
+  return {
+    isEligible,
+    reason,
+    startAge: isEligible ? age : null,
+    endAge: SRS_END_AGE,
+    yearsPaid,
+    serviceYears,
+    monthlyBeforeEarningsTest,
+    earningsTestReduction: reduction,
+    annualSupplement,
+    monthlySupplement: annualSupplement / 12,
+    totalPaid: annualSupplement * yearsPaid,
+  };
+}
+
+export function calculateFersPensionAnnual({
+  high3Salary,
+  totalYearsOfService,
+  retirementAge,
+  sickLeaveHours = 0,
+  retirementCategory = 'regular',
+}) {
+  // Sick leave adds computation service only; it never counts toward eligibility or the 1.1% multiplier.
+  const multiplier = calculateFersMultiplier({ retirementAge, totalYearsOfService, retirementCategory });
+  const sickLeaveYears = convertSickLeaveHoursToService(sickLeaveHours).creditableYears;
+  const computationYears = Number(totalYearsOfService ?? 0) + sickLeaveYears;
+  // Under special provision, sick leave is credited at 1% rather than the 1.7% rate.
+  const sickLeaveMultiplier = getFersRetirementCategory(retirementCategory).isSpecialProvision
+    ? SPECIAL_PROVISION_AFTER_RATE
+    : multiplier;
+  const annualPension =
+    Number(high3Salary ?? 0) * (Number(totalYearsOfService ?? 0) * multiplier + sickLeaveYears * sickLeaveMultiplier);
+  return { annualPension, monthlyPension: annualPension / 12, multiplier, computationYears, sickLeaveYears };
 }
 
 export function calculateFersResults({
@@ -123,69 +969,597 @@ export function calculateFersResults({
   privateJobYears,
   includeFutureService = false,
   retirementEndAge = DEFAULT_RETIREMENT_END_AGE,
-  mra = DEFAULT_MRA,
-  deferredYearsAssumption = 20,
+  birthDate = '',
+  serviceComputationDate = '',
+  retirementDate = '',
+  asOfDate = undefined,
+  mra = undefined,
+  separationAge = 0,
+  deferredCommencementAge = 0,
+  militaryService = null,
+  sickLeaveHours = 0,
+  socialSecurityAt62Monthly = 0,
+  postRetirementEarnings = 0,
+  annuityCommencementAge = 0,
+  retirementCategory = 'regular',
+  salaryHistory = null,
+  annualSalaryGrowthRate = 0,
+  survivorElection = 'none',
+  spouseAge = 0,
+  inflationRate = 0,
+  benefits = null,
+  contributionCohort = 'fers',
+  hireDate = '',
+  accumulatedContributions = 0,
+  retirementTaxRate = 0,
+  retirementType = 'voluntary',
+  disabilityAge = 0,
+  ssDisabilityMonthly = 0,
+  earlyOut = null,
+  vsipTaxRate = 0,
+  fireIncomeGoalMonthly = 0,
+  otherMonthlyIncome = 0,
+  retirementSystem = 'fers',
+  csrsServiceYears = 0,
+  partTimeService = null,
+  courtOrder = null,
 }) {
-  const totalYears = Number(yearsOfService ?? 0) + Number(monthsOfService ?? 0) / 12;
-  const ageNow = Number(currentAge ?? 0);
-  const retireAge = Number(retirementAge ?? 0);
+  const timeline = resolveFersTimeline({
+    birthDate,
+    serviceComputationDate,
+    retirementDate,
+    asOfDate,
+    currentAge,
+    retirementAge,
+    yearsOfService,
+    monthsOfService,
+  });
+  const civilianYears = timeline.serviceToDate;
+  const ageNow = timeline.currentAge;
+  const retireAge = timeline.retirementAge;
   const endAge = Number(retirementEndAge ?? DEFAULT_RETIREMENT_END_AGE);
+  // An explicit `mra` wins; otherwise derive it from the birth date.
+  const mraAge = mra != null ? Number(mra) : calculateMinimumRetirementAge(birthDate);
 
-  const projectedYears =
-    includeFutureService ? totalYears + Math.max(0, retireAge - ageNow) : totalYears;
+  // Bought-back military time counts toward both eligibility and the computation once the deposit is paid.
+  const militaryDeposit = militaryService ? calculateMilitaryDeposit(militaryService) : null;
+  const militaryYears = militaryService?.enabled ? militaryDeposit.creditableYears : 0;
+  const totalYears = civilianYears + militaryYears;
 
-  const { annualPension, monthlyPension, multiplier } = calculateFersPensionAnnual({
-    high3Salary,
+  let futureYears = 0;
+  if (includeFutureService) {
+    futureYears = timeline.serviceAtRetirement != null
+      ? Math.max(0, timeline.serviceAtRetirement - civilianYears)
+      : Math.max(0, retireAge - ageNow);
+  }
+  const projectedYears = totalYears + futureYears;
+
+  // An enabled salary history replaces the manual High-3 (which stays available as the override).
+  // Without a target date, service is assumed to end at the planned retirement age.
+  const serviceEndDate =
+    timeline.retirementDate ??
+    toIsoDate(addDays(addMonths(timeline.asOfDate, Math.round(Math.max(0, retireAge - ageNow) * 12)), -1));
+  const salaryHistoryHigh3 = salaryHistory?.enabled
+    ? calculateHigh3FromSalaryHistory({
+        entries: salaryHistory.entries,
+        endDate: serviceEndDate,
+        asOfDate: timeline.asOfDate,
+        annualGrowthRate: annualSalaryGrowthRate,
+      })
+    : null;
+  const usesSalaryHistory = (salaryHistoryHigh3?.high3 ?? 0) > 0;
+  const high3 = usesSalaryHistory ? salaryHistoryHigh3.high3 : Number(high3Salary ?? 0);
+
+  // The 1.7% formula only applies when the retirement itself meets the special provision rules.
+  const usesSpecialProvisionFormula = meetsSpecialProvisionRules({
+    age: retireAge,
+    totalYearsOfService: projectedYears,
+    retirementCategory,
+  });
+  const pensionCategory = usesSpecialProvisionFormula ? retirementCategory : 'regular';
+
+  const { annualPension, multiplier, computationYears } = calculateFersPensionAnnual({
+    high3Salary: high3,
     totalYearsOfService: projectedYears,
     retirementAge: retireAge,
+    sickLeaveHours,
+    retirementCategory: pensionCategory,
   });
 
-  const lifetimePension = annualPension * Math.max(0, endAge - retireAge);
-  const eligibility = calculateFersEligibility({ retirementAge: retireAge, totalYearsOfService: projectedYears });
+  const sickLeaveService = convertSickLeaveHoursToService(sickLeaveHours);
+  const annualPensionWithoutSickLeave = calculateFersPensionAnnual({
+    high3Salary: high3,
+    totalYearsOfService: projectedYears,
+    retirementAge: retireAge,
+    retirementCategory: pensionCategory,
+  }).annualPension;
+  const sickLeave = {
+    ...sickLeaveService,
+    annualPensionIncrease: annualPension - annualPensionWithoutSickLeave,
+    monthlyPensionIncrease: (annualPension - annualPensionWithoutSickLeave) / 12,
+  };
+
+  // An MRA+10 annuity is reduced for age; a chosen later start age (0 = start right away) trades
+  // years without an annuity for a smaller reduction.
+  const mra10Options = calculateMra10CommencementOptions({
+    high3Salary: high3,
+    totalYearsOfService: projectedYears,
+    separationAge: retireAge,
+    mra: mraAge,
+    retirementEndAge: endAge,
+    sickLeaveHours,
+    retirementCategory,
+    inflationRate,
+  });
+  const requestedStartAge = Number(annuityCommencementAge ?? 0);
+  // CSRS and CSRS Offset replace the FERS formula and eligibility; a FERS transferee keeps FERS
+  // eligibility with a CSRS component for the years before the transfer. CSRS has no MRA+10.
+  const system = getRetirementSystem(retirementSystem);
+  const isCsrs = isCsrsRetirementSystem(system.id);
+  const csrsYears = Math.min(projectedYears, Math.max(0, Number(csrsServiceYears ?? 0) || 0));
+  const csrsEligibility = isCsrs
+    ? evaluateCsrsEligibility({ age: retireAge, totalYearsOfService: projectedYears })
+    : null;
+  let csrsComponent = null;
+  let fersComponent = null;
+  if (isCsrs) {
+    csrsComponent = calculateCsrsAnnuityAnnual({
+      high3Salary: high3,
+      csrsYearsOfService: projectedYears,
+      sickLeaveYears: sickLeaveService.creditableYears,
+    });
+  } else if (system.id === 'fers_transferee') {
+    csrsComponent = calculateCsrsAnnuityAnnual({ high3Salary: high3, csrsYearsOfService: csrsYears });
+    const fersComponentYears = projectedYears - csrsYears + sickLeaveService.creditableYears;
+    fersComponent = { annualPension: high3 * fersComponentYears * multiplier, computationYears: fersComponentYears };
+  }
+  const basicAnnualPension = csrsComponent
+    ? csrsComponent.annualPension + (fersComponent?.annualPension ?? 0)
+    : annualPension;
+  // Part-time periods prorate the whole annuity; they still count in full as service.
+  const partTime = partTimeService?.enabled
+    ? calculatePartTimeProration({
+        periods: partTimeService.periods,
+        totalYearsOfService: projectedYears,
+        unproratedAnnualPension: basicAnnualPension,
+      })
+    : null;
+  const systemAnnualPension = partTime ? partTime.annualPension : basicAnnualPension;
+  const csrsOffset = system.hasOffset
+    ? calculateCsrsOffsetReduction({ socialSecurityAt62Monthly, offsetYearsOfService: projectedYears - csrsYears })
+    : null;
 
-  const workingYears = Math.max(0, retireAge - ageNow);
-  const totalLifetimeEarnings = workingYears * Number(high3Salary ?? 0) + lifetimePension;
+  const mra10Selected = mra10Options.isApplicable && !isCsrs
+    ? mra10Options.options.find((o) => o.commencementAge === requestedStartAge) ?? mra10Options.options[0]
+    : null;
+  const mra10 = isCsrs
+    ? { ...mra10Options, isApplicable: false, options: [], selected: null }
+    : { ...mra10Options, selected: mra10Selected };
 
-  // Leave early scenario: simplified assumptions
-  const deferredYears = Number(deferredYearsAssumption ?? 20);
-  const deferredPension = Number(high3Salary ?? 0) * deferredYears * 0.01;
-  const lifetimeDeferred = deferredPension * Math.max(0, endAge - Number(mra ?? DEFAULT_MRA));
+  // "What if I can't keep working": disability retirement at `disabilityAge` (0 = now). A disability
+  // scenario variant replaces the planned retirement with it.
+  const disabilityAt = Number(disabilityAge ?? 0) > 0 ? Math.max(ageNow, Number(disabilityAge)) : ageNow;
+  const disability = calculateDisabilityRetirement({
+    high3Salary: high3,
+    disabilityAge: disabilityAt,
+    serviceAtDisability: totalYears + Math.max(0, disabilityAt - ageNow),
+    civilianServiceAtDisability: civilianYears + Math.max(0, disabilityAt - ageNow),
+    mra: mraAge,
+    retirementEndAge: endAge,
+    ssDisabilityMonthly,
+    inflationRate,
+    retirementCategory,
+  });
+  const isDisabilityRetirement = retirementType === 'disability' && disability.isEligible;
+  const stopWorkAge = isDisabilityRetirement ? disabilityAt : retireAge;
+
+  // A CSRS retiree short of optional retirement gets a deferred annuity at 62.
+  const pensionStartAge = isDisabilityRetirement
+    ? disabilityAt
+    : mra10Selected
+      ? mra10Selected.commencementAge
+      : csrsEligibility && !csrsEligibility.isEligibleImmediate ? Math.max(retireAge, 62) : retireAge;
+
+  // The survivor election reduces the annuity for life; the spouse's age is projected to the annuity start.
+  const spouseAgeNow = Number(spouseAge ?? 0);
+  const survivorBaseAnnuity = isDisabilityRetirement ? disability.firstYearAnnuity : systemAnnualPension;
+  const reducedAnnualPension = mra10Selected
+    ? systemAnnualPension * (1 - mra10Selected.reductionPercent / 100)
+    : systemAnnualPension;
+  const survivor = calculateSurvivorBenefit({
+    annualPension: isDisabilityRetirement ? survivorBaseAnnuity : reducedAnnualPension,
+    baseAnnualPension: survivorBaseAnnuity,
+    election: survivorElection,
+    retireeAge: pensionStartAge,
+    spouseAge: spouseAgeNow > 0 ? spouseAgeNow + (pensionStartAge - ageNow) : 0,
+    formerSpouseSurvivorPercent: getFormerSpouseSurvivorAward(courtOrder?.survivorAward).survivorPercent,
+  });
+  const stayFedAnnualPension = survivor.annualPension;
+
+  // A court order pays the former spouse a share of the gross annuity straight from OPM.
+  const courtOrderResult = courtOrder && courtOrder.type && courtOrder.type !== 'none'
+    ? calculateCourtOrderApportionment({
+        courtOrder,
+        grossAnnualPension: survivor.annualPensionBeforeReduction,
+        totalYearsOfService: projectedYears,
+        survivorReductionPercent: survivor.reductionPercent,
+      })
+    : null;
+  const courtOrderMonthly = courtOrderResult?.monthlyToFormerSpouse ?? 0;
+
+  // COLAs follow the scenario's inflation assumption; regular retirees get none before 62.
+  const survivorFactor = survivorBaseAnnuity > 0 ? stayFedAnnualPension / survivorBaseAnnuity : 1;
+  // Share of the annuity that follows CSRS COLA rules: all of it under CSRS, the CSRS component for a transferee.
+  const csrsShare = isCsrs
+    ? 1
+    : fersComponent && basicAnnualPension > 0 ? csrsComponent.annualPension / basicAnnualPension : 0;
+  const buildSystemStream = (annual, colaRule) => buildFersPensionStream({
+    annualPension: annual,
+    startAge: pensionStartAge,
+    endAge,
+    inflationRate,
+    // CSRS annuities get full-CPI COLAs at any age.
+    colaStartAge: colaRule === 'csrs' || usesSpecialProvisionFormula ? 0 : FERS_COLA_START_AGE,
+    colaRule,
+  });
+  let pensionStream;
+  if (isDisabilityRetirement) {
+    pensionStream = scalePensionStream(disability.stream, survivorFactor);
+  } else if (isCsrs) {
+    pensionStream = buildSystemStream(stayFedAnnualPension, 'csrs');
+    if (csrsOffset) pensionStream = applyCsrsOffsetToStream(pensionStream, { annualOffset: csrsOffset.annualOffset });
+  } else if (fersComponent) {
+    pensionStream = sumPensionStreams(
+      buildSystemStream(stayFedAnnualPension * csrsShare, 'csrs'),
+      buildSystemStream(stayFedAnnualPension * (1 - csrsShare), 'fers')
+    );
+  } else {
+    pensionStream = buildSystemStream(stayFedAnnualPension, 'fers');
+  }
+  const lifetimePension = pensionStream.lifetimeNominal;
+
+  let militaryBuyback = null;
+  if (militaryDeposit) {
+    const withoutMilitary = calculateFersPensionAnnual({
+      high3Salary: high3,
+      totalYearsOfService: civilianYears + futureYears,
+      retirementAge: retireAge,
+      sickLeaveHours,
+      retirementCategory: pensionCategory,
+    });
+    const withMilitary = calculateFersPensionAnnual({
+      high3Salary: high3,
+      totalYearsOfService: civilianYears + futureYears + militaryDeposit.creditableYears,
+      retirementAge: retireAge,
+      sickLeaveHours,
+      retirementCategory: pensionCategory,
+    });
+    const annualPensionIncrease = withMilitary.annualPension - withoutMilitary.annualPension;
+    militaryBuyback = {
+      ...militaryDeposit,
+      isIncluded: Boolean(militaryService?.enabled),
+      annualPensionWithout: withoutMilitary.annualPension,
+      annualPensionWith: withMilitary.annualPension,
+      annualPensionIncrease,
+      monthlyPensionIncrease: annualPensionIncrease / 12,
+      paybackYears: annualPensionIncrease > 0 ? militaryDeposit.totalDeposit / annualPensionIncrease : null,
+    };
+  }
+
+  const fersEligibility = calculateFersEligibility({
+    retirementAge: retireAge,
+    totalYearsOfService: projectedYears,
+    mra: mraAge,
+    retirementCategory,
+  });
+  const eligibility = csrsEligibility
+    ? { isEligible: csrsEligibility.isEligibleImmediate, eligibilityMessage: csrsEligibility.eligibilityMessage }
+    : fersEligibility;
+  // FEHB/FEGLI premiums come out of the annuity. High-3 stands in for final basic pay.
+  const premiums = benefits
+    ? calculateRetirementPremiums({
+        benefits,
+        currentAge: ageNow,
+        retirementAge: stopWorkAge,
+        pensionStartAge,
+        endAge,
+        finalSalary: high3,
+        isImmediateAnnuity: isDisabilityRetirement || eligibility.isEligible,
+      })
+    : null;
+  const monthlyPremiums = premiums?.firstYearMonthly ?? 0;
+  const netMonthlyPension = Math.max(0, stayFedAnnualPension / 12 - monthlyPremiums - courtOrderMonthly);
 
-  const privateSectorEarnings = Number(privateJobYears ?? 0) * Number(privateJobSalary ?? 0);
+  // The retiree's own contributions (plus any military deposit) come back tax-free over the
+  // Simplified Method's expected number of payments. 0 contributions = estimate them.
+  const cohortId = resolveFersContributionCohort({ contributionCohort, hireDate });
+  const fersContributionRate = getFersContributionRate({ contributionCohort: cohortId, retirementCategory });
+  // CSRS employees pay 7% (CSRS Offset 0.8% while also paying Social Security); transferees a blend.
+  let contributionRate = fersContributionRate;
+  if (isCsrs) contributionRate = system.hasOffset ? CSRS_OFFSET_CONTRIBUTION_RATE : CSRS_CONTRIBUTION_RATE;
+  else if (fersComponent && projectedYears > 0) {
+    contributionRate = (csrsYears * CSRS_CONTRIBUTION_RATE + (projectedYears - csrsYears) * fersContributionRate) / projectedYears;
+  }
+  const enteredContributions = Number(accumulatedContributions ?? 0);
+  const employeeContributions = enteredContributions > 0
+    ? enteredContributions
+    : estimateFersContributions({
+        high3Salary: high3,
+        yearsOfService: civilianYears + futureYears,
+        contributionRate,
+        annualSalaryGrowthRate,
+      });
+  const militaryDepositPaid = militaryService?.enabled ? militaryDeposit?.totalDeposit ?? 0 : 0;
+  const pensionTax = {
+    contributionCohort: getFersContributionCohort(cohortId),
+    contributionRate,
+    contributionsAreEstimated: !(enteredContributions > 0),
+    employeeContributions,
+    militaryDepositPaid,
+    ...calculateSimplifiedMethod({
+      costInContract: employeeContributions + militaryDepositPaid,
+      monthlyPension: stayFedAnnualPension / 12,
+      annuitantAge: pensionStartAge,
+      beneficiaryAge: survivor.reductionPercent > 0 ? survivor.spouseAge ?? 0 : 0,
+      taxRate: retirementTaxRate,
+    }),
+  };
+
+  const mandatoryRetirement = calculateMandatoryRetirement({
+    retirementCategory,
+    currentAge: ageNow,
+    totalYearsOfService: totalYears,
+    retirementAge: retireAge,
+  });
+
+  const regularSupplement = calculateFersSupplement({
+    retirementAge: retireAge,
+    totalYearsOfService: projectedYears,
+    // A transferee's supplement counts only FERS service.
+    civilianYearsOfService: Math.max(0, civilianYears + futureYears - (fersComponent ? csrsYears : 0)),
+    socialSecurityAt62Monthly,
+    postRetirementEarnings,
+    mra: mraAge,
+    retirementCategory,
+  });
+  // Disability and CSRS retirees never receive the supplement.
+  const supplement = isDisabilityRetirement || isCsrs
+    ? {
+        ...regularSupplement,
+        isEligible: false,
+        reason: isCsrs ? `Not payable under ${system.label}` : 'Not payable with a disability retirement',
+        startAge: null,
+        yearsPaid: 0,
+        monthlyBeforeEarningsTest: 0,
+        earningsTestReduction: 0,
+        annualSupplement: 0,
+        monthlySupplement: 0,
+        totalPaid: 0,
+      }
+    : regularSupplement;
+
+  // Agency early-out offer at `earlyOut.age` (0 = now), compared with the plan above.
+  const earlyOutAt = Number(earlyOut?.age ?? 0) > 0 ? Math.max(ageNow, Number(earlyOut.age)) : ageNow;
+  const earlyOutResult = earlyOut && earlyOut.type && earlyOut.type !== 'none'
+    ? calculateEarlyOutRetirement({
+        type: earlyOut.type,
+        high3Salary: high3,
+        retirementAge: earlyOutAt,
+        totalYearsOfService: totalYears + Math.max(0, earlyOutAt - ageNow),
+        civilianYearsOfService: civilianYears + Math.max(0, earlyOutAt - ageNow),
+        sickLeaveHours,
+        mra: mraAge,
+        retirementEndAge: endAge,
+        inflationRate,
+        socialSecurityAt62Monthly,
+        postRetirementEarnings,
+        vsipAmount: earlyOut.vsipAmount,
+        vsipTaxRate,
+        vsipDestination: earlyOut.vsipDestination,
+        fireIncomeGoalMonthly,
+        otherMonthlyIncome,
+        plannedRetirementAge: stopWorkAge,
+        plannedLifetimePension: lifetimePension,
+        plannedLifetimeSupplement: supplement.totalPaid,
+        prorationFactor: partTime?.prorationFactor ?? 1,
+      })
+    : null;
+
+  const workingYears = Math.max(0, stopWorkAge - ageNow);
+  const totalLifetimeEarnings = workingYears * high3 + lifetimePension;
+
+  // Leave early: separate at `separationAge` (by default once service reaches 20 years), work in the
+  // private sector, and take a deferred annuity.
+  const separateAt = Number(separationAge ?? 0) > 0
+    ? Math.max(ageNow, Number(separationAge))
+    : ageNow + Math.max(0, DEFAULT_SEPARATION_SERVICE_YEARS - totalYears);
+  const deferred = calculateDeferredRetirement({
+    high3Salary: high3,
+    separationAge: separateAt,
+    serviceAtSeparation: totalYears + Math.max(0, separateAt - ageNow),
+    mra: mraAge,
+    retirementEndAge: endAge,
+    commencementAge: deferredCommencementAge,
+    inflationRate,
+    fehbYearsCoveredAtSeparation: benefits?.fehb?.enrolled
+      ? Number(benefits.fehb.yearsEnrolled ?? 0) + Math.max(0, separateAt - ageNow)
+      : 0,
+  });
+  const deferredPension = deferred.selected?.annualPension ?? 0;
+  const deferredStartAge = deferred.selected?.commencementAge ?? null;
+  const lifetimeDeferred = deferred.selected?.lifetimeValue ?? 0;
+  const deferredStream = deferred.selected
+    ? buildFersPensionStream({ annualPension: deferredPension, startAge: deferredStartAge, endAge, inflationRate })
+    : null;
+
+  const privateYears = Number(privateJobYears ?? 0);
+  const privateSalary = Number(privateJobSalary ?? 0);
+  const privateSectorEarnings = privateYears * privateSalary;
   const leaveEarlyLifetimeEarnings =
-    deferredYears * Number(high3Salary ?? 0) + privateSectorEarnings + lifetimeDeferred;
+    Math.max(0, separateAt - ageNow) * high3 + privateSectorEarnings + lifetimeDeferred;
 
+  // Year-by-year cumulative income on each path; break-even is when staying catches up after
+  // leaving had been ahead.
+  const cumulativeByAge = [];
   let breakEvenAge = 0;
   if (showComparison) {
-    const annualDifference = annualPension - deferredPension;
-    if (annualDifference > 0) {
-      const earningsGap = leaveEarlyLifetimeEarnings - totalLifetimeEarnings;
-      if (earningsGap > 0) {
-        breakEvenAge = retireAge + earningsGap / annualDifference;
-      }
+    let stayTotal = 0;
+    let leaveTotal = 0;
+    let leaveWasAhead = false;
+    for (let age = Math.floor(ageNow); age <= endAge; age++) {
+      if (age < stopWorkAge) stayTotal += high3;
+      else if (age >= pensionStartAge) stayTotal += getPensionAtAge(pensionStream, age);
+      if (age < separateAt) leaveTotal += high3;
+      else if (age < separateAt + privateYears) leaveTotal += privateSalary;
+      if (deferredStream && age >= deferredStartAge) leaveTotal += getPensionAtAge(deferredStream, age);
+      cumulativeByAge.push({ age, stayFed: stayTotal, leaveEarly: leaveTotal });
+
+      if (leaveTotal > stayTotal) leaveWasAhead = true;
+      else if (leaveWasAhead && breakEvenAge === 0) breakEvenAge = age;
     }
   }
 
+  const earliestDates = findEarliestFersImmediateRetirementDate({
+    birthDate,
+    serviceComputationDate,
+    mra: mraAge,
+    additionalServiceMonths: militaryYears * 12,
+    retirementCategory,
+  });
+
   return {
     totalYears,
+    mra: mraAge,
+    timeline: {
+      ...timeline,
+      mraDate: earliestDates?.mraDate ?? null,
+      eligibleOn: earliestDates?.eligibleOn ?? null,
+      unreducedOn: earliestDates?.unreducedOn ?? null,
+      isMra10First: earliestDates?.isMra10First ?? false,
+    },
+    civilianYears,
+    militaryYears,
     projectedYears,
+    computationYears,
+    militaryBuyback,
+    sickLeave,
+    supplement,
+    mra10,
+    survivor,
+    premiums,
+    pensionTax,
+    disability,
+    isDisabilityRetirement,
+    earlyOut: earlyOutResult,
+    partTime,
+    courtOrder: courtOrderResult,
+    retirementSystem: {
+      ...describeRetirementSystem({ retirementSystem: system.id, hireDate: hireDate || serviceComputationDate }),
+      csrsYears: isCsrs ? projectedYears : fersComponent ? csrsYears : 0,
+      csrsComponent,
+      fersComponent,
+      csrsShare: isDisabilityRetirement ? 0 : csrsShare,
+      offset: csrsOffset ? { ...csrsOffset, startAge: Math.max(CSRS_OFFSET_AGE, pensionStartAge) } : null,
+    },
+    retirementCategory: getFersRetirementCategory(retirementCategory),
+    high3: {
+      amount: high3,
+      source: usesSalaryHistory ? 'salaryHistory' : 'manual',
+      manualAmount: Number(high3Salary ?? 0),
+      salaryHistory: salaryHistoryHigh3,
+    },
+    usesSpecialProvisionFormula,
+    mandatoryRetirement,
     stayFed: {
-      annualPension,
-      monthlyPension,
-      multiplier,
+      annualPension: stayFedAnnualPension,
+      monthlyPension: stayFedAnnualPension / 12,
+      monthlyPremiums,
+      courtOrderMonthly,
+      netMonthlyPension,
+      netAnnualPension: netMonthlyPension * 12,
+      pensionStartAge,
+      multiplier: isCsrs && csrsComponent.computationYears > 0
+        ? csrsComponent.percentOfHigh3 / csrsComponent.computationYears
+        : multiplier,
       lifetimePension,
-      isEligible: eligibility.isEligible,
-      eligibilityMessage: eligibility.eligibilityMessage,
+      lifetimePensionReal: pensionStream.lifetimeReal,
+      pensionStream,
+      isEligible: isDisabilityRetirement || eligibility.isEligible,
+      eligibilityMessage: isDisabilityRetirement
+        ? 'Eligible for disability retirement (if approved by OPM)'
+        : eligibility.eligibilityMessage,
       totalLifetimeEarnings,
     },
     leaveEarly: {
+      separationAge: separateAt,
+      serviceAtSeparation: deferred.serviceAtSeparation,
+      commencementAge: deferredStartAge,
       deferredPension,
-      mra: Number(mra ?? DEFAULT_MRA),
+      mra: mraAge,
       lifetimeDeferred,
       totalLifetimeEarnings: leaveEarlyLifetimeEarnings,
       breakEvenAge,
+      deferred,
+      cumulativeByAge,
     },
   };
 }
 
 
+
+/**
+ * Maps a saved scenario onto calculateFersResults inputs so every page computes the annuity from the same
+ * fields. TSP-page rates are stored as percentages: salary growth and inflation become fractions, while the
+ * retirement and current (VSIP) tax rates stay percentages. The lifetime horizon follows the Summary's
+ * pension end age. `overrides` replace individual inputs, e.g. a what-if retirement age.
+ */
+export function buildFersInputsFromScenario(scenario, overrides = {}) {
+  const fers = scenario?.fers ?? {};
+  const tsp = scenario?.tsp ?? {};
+  const fire = scenario?.fire ?? {};
+  return {
+    yearsOfService: fers.yearsOfService ?? 0,
+    monthsOfService: fers.monthsOfService ?? 0,
+    high3Salary: fers.high3Salary ?? 0,
+    currentAge: fers.currentAge ?? 0,
+    retirementAge: fers.retirementAge ?? 0,
+    birthDate: fers.birthDate ?? '',
+    serviceComputationDate: fers.serviceComputationDate ?? '',
+    retirementDate: fers.retirementDate ?? '',
+    showComparison: false,
+    privateJobSalary: fers.privateJobSalary ?? 0,
+    privateJobYears: fers.privateJobYears ?? 0,
+    separationAge: fers.separationAge ?? 0,
+    deferredCommencementAge: fers.deferredCommencementAge ?? 0,
+    includeFutureService: true,
+    retirementEndAge: Number(scenario?.summary?.assumptions?.pensionEndAge ?? DEFAULT_RETIREMENT_END_AGE),
+    militaryService: fers.militaryService ?? null,
+    partTimeService: fers.partTimeService ?? null,
+    courtOrder: fers.courtOrder ?? null,
+    sickLeaveHours: fers.sickLeaveHours ?? 0,
+    socialSecurityAt62Monthly: fers.socialSecurityAt62Monthly ?? 0,
+    postRetirementEarnings: fers.postRetirementEarnings ?? 0,
+    annuityCommencementAge: fers.annuityCommencementAge ?? 0,
+    retirementCategory: fers.retirementCategory ?? 'regular',
+    retirementSystem: fers.retirementSystem ?? 'fers',
+    csrsServiceYears: fers.csrsServiceYears ?? 0,
+    survivorElection: fers.survivorElection ?? 'none',
+    spouseAge: fers.spouseAge ?? 0,
+    salaryHistory: fers.salaryHistory ?? null,
+    contributionCohort: fers.contributionCohort ?? 'fers',
+    hireDate: fers.hireDate ?? '',
+    accumulatedContributions: fers.accumulatedContributions ?? 0,
+    retirementType: fers.retirementType ?? 'voluntary',
+    disabilityAge: fers.disabilityAge ?? 0,
+    ssDisabilityMonthly: fers.ssDisabilityMonthly ?? 0,
+    earlyOut: fers.earlyOut ?? null,
+    benefits: scenario?.benefits ?? null,
+    annualSalaryGrowthRate: Number(tsp.annualSalaryGrowthRate ?? 0) / 100,
+    inflationRate: Number(tsp.inflationRate ?? 0) / 100,
+    retirementTaxRate: Number(tsp.retirementTaxRate ?? 15),
+    vsipTaxRate: Number(tsp.currentTaxRate ?? 22),
+    fireIncomeGoalMonthly: Number(fire.monthlyFireIncomeGoal ?? 0),
+    otherMonthlyIncome: Number(fire.sideHustleIncome ?? 0) + Number(fire.spouseIncome ?? 0),
+    ...overrides,
+  };
+}
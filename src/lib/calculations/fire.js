@@ -1,4 +1,5 @@
 export const DEFAULT_SAFE_WITHDRAWAL_RATE = 0.04;
+export const DEFAULT_SUPPLEMENT_END_AGE = 62;
 export const SAFE_WITHDRAWAL_RATE_PRESETS = Object.freeze([0.03, 0.035, 0.04]);
 
 const toNumber = (value, fallback = 0) => {
@@ -8,11 +9,20 @@ const toNumber = (value, fallback = 0) => {
 
 const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
 
+/**
+ * Cash needed to cover the income goal from `desiredFireAge` until `pensionStartAge`, less any FERS
+ * supplement paid meanwhile. `bridgeAssets` is money already set aside for it (such as a VSIP), which
+ * leaves `bridgeShortfall` still to fund.
+ */
 export function calculateBridgeStrategy({
   desiredFireAge,
   pensionStartAge,
   fireIncomeGoalMonthly,
   monthlyIncomeBeforePension,
+  supplementMonthly = 0,
+  supplementStartAge = undefined,
+  supplementEndAge = DEFAULT_SUPPLEMENT_END_AGE,
+  bridgeAssets = 0,
 }) {
   const desired = toNumber(desiredFireAge, 0);
   const pensionStart = toNumber(pensionStartAge, 0);
@@ -22,13 +32,27 @@ export function calculateBridgeStrategy({
   const pre = Math.max(0, toNumber(monthlyIncomeBeforePension, 0));
   const monthlyShortfall = Math.max(0, goal - pre);
 
+  const supplement = Math.max(0, toNumber(supplementMonthly, 0));
+  const supplementStart = toNumber(supplementStartAge, pensionStart);
+  const supplementEnd = toNumber(supplementEndAge, DEFAULT_SUPPLEMENT_END_AGE);
+
   // Simple “cash needed” bridge estimate: assumes no growth/interest and level dollars.
-  const requiredBridgeAssets = monthlyShortfall * 12 * yearsToBridge;
+  // Walk the bridge a year at a time so any years covered by the FERS supplement need less.
+  let requiredBridgeAssets = 0;
+  for (let age = desired; age < desired + yearsToBridge; age += 1) {
+    const span = Math.min(1, desired + yearsToBridge - age);
+    const supplementThisYear = age >= supplementStart && age < supplementEnd ? supplement : 0;
+    requiredBridgeAssets += Math.max(0, monthlyShortfall - supplementThisYear) * 12 * span;
+  }
+  const setAside = Math.max(0, toNumber(bridgeAssets, 0));
 
   return {
     yearsToBridge,
     monthlyShortfall,
     requiredBridgeAssets,
+    bridgeAssets: setAside,
+    bridgeShortfall: Math.max(0, requiredBridgeAssets - setAside),
+    supplementOffset: monthlyShortfall * 12 * yearsToBridge - requiredBridgeAssets,
   };
 }
 
@@ -48,9 +72,16 @@ export function calculateFireGap({
   safeWithdrawalRate = DEFAULT_SAFE_WITHDRAWAL_RATE,
   desiredFireAge = undefined,
   pensionStartAge = undefined,
+  supplementMonthly = 0,
+  supplementStartAge = undefined,
+  supplementEndAge = DEFAULT_SUPPLEMENT_END_AGE,
+  taxableBalance = 0,
+  bridgeAssets = 0,
 }) {
   const swr = clamp(toNumber(safeWithdrawalRate, DEFAULT_SAFE_WITHDRAWAL_RATE), 0.01, 0.1);
   const tspMonthlyWithdrawal = toNumber(tspProjectedBalance, 0) * swr / 12;
+  // Savings outside the TSP (such as a VSIP in a taxable account) are drawn at the same rate.
+  const taxableMonthlyWithdrawal = Math.max(0, toNumber(taxableBalance, 0)) * swr / 12;
 
   const sideHustleIncome = toNumber(fire.sideHustleIncome, 0);
   const spouseIncome = toNumber(fire.spouseIncome, 0);
@@ -64,11 +95,19 @@ export function calculateFireGap({
   const pensionAtDesiredAge = pensionAvailableAtDesiredAge ? toNumber(pensionMonthly, 0) : 0;
   const pensionAfterStart = toNumber(pensionMonthly, 0);
 
+  // The FERS supplement is temporary (pension start to 62), so it only counts at the desired age
+  // and is left out of the long-run "after pension" figures.
+  const supplement = Math.max(0, toNumber(supplementMonthly, 0));
+  const supplementStart = toNumber(supplementStartAge, pensionStart);
+  const supplementEnd = toNumber(supplementEndAge, DEFAULT_SUPPLEMENT_END_AGE);
+  const supplementAtDesiredAge =
+    supplement > 0 && desired > 0 && desired >= supplementStart && desired < supplementEnd ? supplement : 0;
+
   const monthlyIncomeBeforePension =
-    tspMonthlyWithdrawal + sideHustleIncome + spouseIncome;
+    tspMonthlyWithdrawal + taxableMonthlyWithdrawal + sideHustleIncome + spouseIncome;
 
   const totalPassiveIncomeAtDesiredAge =
-    monthlyIncomeBeforePension + pensionAtDesiredAge;
+    monthlyIncomeBeforePension + pensionAtDesiredAge + supplementAtDesiredAge;
 
   const totalPassiveIncomeAfterPension =
     monthlyIncomeBeforePension + pensionAfterStart;
@@ -92,10 +131,15 @@ export function calculateFireGap({
     pensionStartAge: pensionStart,
     fireIncomeGoalMonthly: fireIncomeGoal,
     monthlyIncomeBeforePension,
+    supplementMonthly: supplement,
+    supplementStartAge: supplementStart,
+    supplementEndAge: supplementEnd,
+    bridgeAssets,
   });
 
   return {
     tspMonthlyWithdrawal,
+    taxableMonthlyWithdrawal,
     totalPassiveIncome: totalPassiveIncomeAtDesiredAge,
     totalPassiveIncomeAtDesiredAge,
     totalPassiveIncomeAfterPension,
@@ -115,6 +159,12 @@ export function calculateFireGap({
       pensionIncludedAtDesiredAge: pensionAvailableAtDesiredAge,
       pensionAssetEquivalent: calculatePensionAssetEquivalent({ pensionMonthly, safeWithdrawalRate: swr }),
     },
+    supplement: {
+      monthly: supplement,
+      startAge: supplement > 0 ? supplementStart || null : null,
+      endAge: supplementEnd,
+      monthlyAtDesiredAge: supplementAtDesiredAge,
+    },
     bridge,
     inputs: {
       safeWithdrawalRate: swr,
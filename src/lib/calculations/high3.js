@@ -0,0 +1,121 @@
+import { addDays, addYears, parseIsoDate, todayIsoDate, toIsoDate } from './dates';
+
+const DAY_MS = 86400000;
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function createDefaultSalaryHistory() {
+  return {
+    enabled: false,
+    entries: [],
+  };
+}
+
+/**
+ * Builds the pay timeline: each entry's annual rate (basic pay including locality) is in effect
+ * from its effective date until the next entry. After the last entry, future raises are projected
+ * every January 1 at `annualGrowthRate` (decimal) up to `endDate`.
+ */
+export function buildSalaryTimeline({ entries = [], endDate, asOfDate, annualGrowthRate = 0 } = {}) {
+  const list = (Array.isArray(entries) ? entries : [])
+    .map((e) => ({ date: parseIsoDate(e?.effectiveDate), rate: Math.max(0, toNumber(e?.annualRate, 0)) }))
+    .filter((e) => e.date && e.rate > 0)
+    .sort((a, b) => a.date - b.date);
+  if (list.length === 0) return [];
+
+  const end = parseIsoDate(endDate) ?? parseIsoDate(asOfDate) ?? parseIsoDate(todayIsoDate());
+  const growth = toNumber(annualGrowthRate, 0);
+  const segments = list.map((e) => ({ start: e.date, rate: e.rate, isProjected: false }));
+
+  if (growth !== 0) {
+    const last = segments[segments.length - 1];
+    let rate = last.rate;
+    for (let year = last.start.getUTCFullYear() + 1; Date.UTC(year, 0, 1) < end.getTime(); year++) {
+      rate *= 1 + growth;
+      segments.push({ start: new Date(Date.UTC(year, 0, 1)), rate, isProjected: true });
+    }
+  }
+
+  return segments
+    .map((s, idx) => {
+      const next = idx + 1 < segments.length ? segments[idx + 1].start : end;
+      return { ...s, end: next < end ? next : end };
+    })
+    .filter((s) => s.end > s.start);
+}
+
+// Pay earned between two dates, day-weighted across rate changes (as an annual-rate integral).
+function payBetween(segments, from, to) {
+  let total = 0;
+  for (const s of segments) {
+    const a = s.start > from ? s.start : from;
+    const b = s.end < to ? s.end : to;
+    if (b > a) total += (s.rate * (b - a)) / DAY_MS;
+  }
+  return total;
+}
+
+/**
+ * OPM High-3: the highest average basic pay over any 3 consecutive years of service, weighting
+ * each rate by the days it was in effect. With less than 3 years of pay history, it averages the
+ * whole history. `endDate` is the last day of service (inclusive).
+ */
+export function calculateHigh3FromSalaryHistory({ entries = [], endDate, asOfDate, annualGrowthRate = 0 } = {}) {
+  const serviceEnd = parseIsoDate(endDate);
+  const endExclusive = serviceEnd ? addDays(serviceEnd, 1) : null;
+  const segments = buildSalaryTimeline({
+    entries,
+    endDate: endExclusive ? toIsoDate(endExclusive) : undefined,
+    asOfDate,
+    annualGrowthRate,
+  });
+  if (segments.length === 0) {
+    return { high3: 0, windowStart: null, windowEnd: null, isProjected: false, projectedRaises: 0, segments: [] };
+  }
+
+  const first = segments[0].start;
+  const last = segments[segments.length - 1].end;
+
+  // A sliding average over step-shaped pay peaks with one window edge on a rate change, so those are
+  // the only windows worth checking.
+  const candidates = [];
+  if (addYears(first, 3) >= last) {
+    candidates.push([first, last]);
+  } else {
+    for (const s of segments) {
+      for (const edge of [s.start, s.end]) {
+        const endsAt = addYears(edge, 3);
+        if (edge >= first && endsAt <= last) candidates.push([edge, endsAt]);
+        const startsAt = addYears(edge, -3);
+        if (startsAt >= first && edge <= last) candidates.push([startsAt, edge]);
+      }
+    }
+  }
+
+  let best = null;
+  for (const [from, to] of candidates) {
+    const days = (to - from) / DAY_MS;
+    if (days <= 0) continue;
+    const average = payBetween(segments, from, to) / days;
+    if (!best || average > best.average + 1e-9) best = { average, from, to };
+  }
+
+  const projected = segments.filter((s) => s.isProjected);
+  return {
+    high3: best?.average ?? 0,
+    windowStart: best ? toIsoDate(best.from) : null,
+    // Report the last day inside the window.
+    windowEnd: best ? toIsoDate(addDays(best.to, -1)) : null,
+    isProjected: Boolean(best) && projected.some((s) => s.start < best.to),
+    projectedRaises: projected.length,
+    segments: segments.map((s) => ({
+      start: toIsoDate(s.start),
+      end: toIsoDate(addDays(s.end, -1)),
+      rate: s.rate,
+      isProjected: s.isProjected,
+    })),
+  };
+}
@@ -0,0 +1,87 @@
+import { parseIsoDate, todayIsoDate, yearsBetween } from './dates';
+
+export const INDIVIDUAL_TSP_FUNDS = Object.freeze(['G', 'F', 'C', 'S', 'I']);
+
+// The L Funds open today. Each holds the individual funds and moves toward L Income as its target
+// year approaches; L Income's mix stays fixed.
+export const L_FUNDS = Object.freeze(
+  Object.fromEntries(
+    [null, 2030, 2035, 2040, 2045, 2050, 2055, 2060, 2065, 2070, 2075].map((targetYear) => {
+      const id = targetYear ? `L${targetYear}` : 'LIncome';
+      return [id, Object.freeze({ id, label: targetYear ? `L ${targetYear}` : 'L Income', targetYear })];
+    })
+  )
+);
+
+// Glide path in percent by years to the target year, in the shape of the TSP's published L Fund
+// allocations (rounded). Between rows the mix is interpolated, and it is reset each calendar quarter as
+// the TSP rebalances. From the target year on a fund holds the L Income mix (the last row).
+export const L_FUND_GLIDE_PATH = Object.freeze(
+  [
+    [45, 0.5, 0.5, 53, 16, 30],
+    [35, 3, 3, 50, 14, 30],
+    [25, 12, 5, 45, 12, 26],
+    [15, 26, 6, 37, 10, 21],
+    [5, 47, 6, 25, 6, 16],
+    [0, 70, 6, 13, 3, 8],
+  ].map(([yearsToTarget, ...mix]) =>
+    Object.freeze({ yearsToTarget, ...Object.fromEntries(INDIVIDUAL_TSP_FUNDS.map((fund, i) => [fund, mix[i]])) })
+  )
+);
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function isLifecycleFund(fund) {
+  return Object.prototype.hasOwnProperty.call(L_FUNDS, fund);
+}
+
+export function hasLifecycleFunds(allocation) {
+  return Object.entries(allocation ?? {}).some(([fund, pct]) => isLifecycleFund(fund) && toNumber(pct, 0) > 0);
+}
+
+const quarterStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), Math.floor(date.getUTCMonth() / 3) * 3, 1));
+
+/** Individual fund mix (percent) of an L Fund during the quarter containing `date` (default today). */
+export function getLifecycleFundMix(fund, date = undefined) {
+  const lFund = L_FUNDS[fund] ?? L_FUNDS.LIncome;
+  const incomeMix = L_FUND_GLIDE_PATH[L_FUND_GLIDE_PATH.length - 1];
+  const pick = (row) => Object.fromEntries(INDIVIDUAL_TSP_FUNDS.map((f) => [f, row[f]]));
+  if (!lFund.targetYear) return pick(incomeMix);
+
+  const on = quarterStart(parseIsoDate(date) ?? parseIsoDate(todayIsoDate()));
+  const yearsToTarget = yearsBetween(on, `${lFund.targetYear}-01-01`);
+  if (yearsToTarget <= 0) return pick(incomeMix);
+  if (yearsToTarget >= L_FUND_GLIDE_PATH[0].yearsToTarget) return pick(L_FUND_GLIDE_PATH[0]);
+
+  const upper = L_FUND_GLIDE_PATH.findIndex((row) => row.yearsToTarget <= yearsToTarget);
+  const far = L_FUND_GLIDE_PATH[upper - 1];
+  const near = L_FUND_GLIDE_PATH[upper];
+  const t = (yearsToTarget - near.yearsToTarget) / (far.yearsToTarget - near.yearsToTarget);
+  return Object.fromEntries(INDIVIDUAL_TSP_FUNDS.map((f) => [f, near[f] + (far[f] - near[f]) * t]));
+}
+
+/**
+ * An allocation (percent by fund, L Funds included) as individual G/F/C/S/I percentages on `date`.
+ * Without L Funds this is just the individual split.
+ */
+export function expandAllocation(allocation, date = undefined) {
+  const mix = Object.fromEntries(INDIVIDUAL_TSP_FUNDS.map((f) => [f, toNumber(allocation?.[f], 0)]));
+  for (const [fund, pct] of Object.entries(allocation ?? {})) {
+    const share = toNumber(pct, 0);
+    if (!isLifecycleFund(fund) || share <= 0) continue;
+    const lMix = getLifecycleFundMix(fund, date);
+    for (const f of INDIVIDUAL_TSP_FUNDS) mix[f] += (share * lMix[f]) / 100;
+  }
+  return mix;
+}
+
+export function formatAllocation(allocation) {
+  const individual = INDIVIDUAL_TSP_FUNDS.map((f) => `${f} ${toNumber(allocation?.[f], 0)}%`);
+  const lifecycle = Object.entries(allocation ?? {})
+    .filter(([fund, pct]) => isLifecycleFund(fund) && toNumber(pct, 0) > 0)
+    .map(([fund, pct]) => `${L_FUNDS[fund].label} ${toNumber(pct, 0)}%`);
+  return [...individual, ...lifecycle].join(', ');
+}
@@ -0,0 +1,85 @@
+import { addYears, parseIsoDate, serviceMonthsInclusive, todayIsoDate, yearsBetween } from './dates';
+
+export const FERS_MILITARY_DEPOSIT_RATE = 0.03;
+export const MILITARY_DEPOSIT_GRACE_YEARS = 2;
+export const DEFAULT_MILITARY_DEPOSIT_INTEREST_RATE = 4.25; // percent; OPM publishes a new variable rate each year
+
+// Interest never accrued before this date, even for employees hired before 1989.
+const EARLIEST_INTEREST_ACCRUAL_DATE = '1991-01-01';
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function createDefaultMilitaryService() {
+  return {
+    enabled: false,
+    periods: [],
+    civilianHireDate: '',
+    paymentDate: '',
+    interestRate: DEFAULT_MILITARY_DEPOSIT_INTEREST_RATE,
+  };
+}
+
+export function calculateMilitaryInterestAccrualDate(civilianHireDate) {
+  const hire = parseIsoDate(civilianHireDate);
+  if (!hire) return null;
+  const graceEnd = addYears(hire, MILITARY_DEPOSIT_GRACE_YEARS);
+  const earliest = parseIsoDate(EARLIEST_INTEREST_ACCRUAL_DATE);
+  return graceEnd > earliest ? graceEnd : earliest;
+}
+
+/**
+ * Estimates the FERS military service deposit ("buyback"):
+ * 3% of military basic pay, plus interest compounded annually once the
+ * interest-free grace period after civilian hire has passed.
+ */
+export function calculateMilitaryDeposit({
+  periods = [],
+  civilianHireDate,
+  paymentDate,
+  interestRate = DEFAULT_MILITARY_DEPOSIT_INTEREST_RATE,
+} = {}) {
+  const list = Array.isArray(periods) ? periods : [];
+
+  const periodResults = list.map((p) => {
+    const months = serviceMonthsInclusive(p?.startDate, p?.endDate);
+    const basePay = Math.max(0, toNumber(p?.basePay, 0));
+    return {
+      id: p?.id,
+      startDate: p?.startDate ?? '',
+      endDate: p?.endDate ?? '',
+      months,
+      basePay,
+      depositPrincipal: basePay * FERS_MILITARY_DEPOSIT_RATE,
+    };
+  });
+
+  const creditableMonths = periodResults.reduce((sum, p) => sum + p.months, 0);
+  const totalBasePay = periodResults.reduce((sum, p) => sum + p.basePay, 0);
+  const depositPrincipal = totalBasePay * FERS_MILITARY_DEPOSIT_RATE;
+
+  const accrualDate = calculateMilitaryInterestAccrualDate(civilianHireDate);
+  const payOn = parseIsoDate(paymentDate) ?? parseIsoDate(todayIsoDate());
+  const rate = Math.max(0, toNumber(interestRate, DEFAULT_MILITARY_DEPOSIT_INTEREST_RATE)) / 100;
+
+  const yearsOfInterest = accrualDate && payOn > accrualDate ? yearsBetween(accrualDate, payOn) : 0;
+  const wholeYears = Math.floor(yearsOfInterest);
+  const partialYear = yearsOfInterest - wholeYears;
+  const balance = depositPrincipal * Math.pow(1 + rate, wholeYears) * (1 + rate * partialYear);
+  const interest = Math.max(0, balance - depositPrincipal);
+
+  return {
+    periods: periodResults,
+    creditableMonths,
+    creditableYears: creditableMonths / 12,
+    totalBasePay,
+    depositPrincipal,
+    interest,
+    totalDeposit: depositPrincipal + interest,
+    interestAccrualDate: accrualDate ? accrualDate.toISOString().slice(0, 10) : null,
+    yearsOfInterest,
+    isInterestFree: yearsOfInterest === 0,
+  };
+}
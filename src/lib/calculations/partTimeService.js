@@ -0,0 +1,59 @@
+import { serviceMonthsInclusive } from './dates';
+
+export const FULL_TIME_HOURS_PER_WEEK = 40;
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function createDefaultPartTimeService() {
+  return {
+    enabled: false,
+    periods: [], // { id, startDate, endDate, hoursPerWeek }
+  };
+}
+
+/**
+ * OPM part-time proration: part-time service counts in full for eligibility and the length of service,
+ * but the annuity (computed on the full-time rate of pay) is multiplied by the hours actually scheduled
+ * over the hours a full-time employee would have worked. Each period's effect on an unprorated annuity
+ * of `unproratedAnnualPension` is reported too.
+ */
+export function calculatePartTimeProration({ periods = [], totalYearsOfService, unproratedAnnualPension = 0 }) {
+  const list = Array.isArray(periods) ? periods : [];
+  const totalYears = Math.max(0, toNumber(totalYearsOfService, 0));
+  const unprorated = Math.max(0, toNumber(unproratedAnnualPension, 0));
+
+  const periodResults = list.map((p) => {
+    const months = serviceMonthsInclusive(p?.startDate, p?.endDate);
+    const hoursPerWeek = Math.min(FULL_TIME_HOURS_PER_WEEK, Math.max(0, toNumber(p?.hoursPerWeek, FULL_TIME_HOURS_PER_WEEK)));
+    const scheduleFraction = hoursPerWeek / FULL_TIME_HOURS_PER_WEEK;
+    const fullTimeEquivalentYearsLost = (months / 12) * (1 - scheduleFraction);
+    const share = totalYears > 0 ? fullTimeEquivalentYearsLost / totalYears : 0;
+    return {
+      id: p?.id,
+      startDate: p?.startDate ?? '',
+      endDate: p?.endDate ?? '',
+      months,
+      hoursPerWeek,
+      scheduleFraction,
+      fullTimeEquivalentYearsLost,
+      annualPensionReduction: unprorated * share,
+      monthlyPensionReduction: (unprorated * share) / 12,
+    };
+  });
+
+  const yearsLost = Math.min(totalYears, periodResults.reduce((sum, p) => sum + p.fullTimeEquivalentYearsLost, 0));
+  const prorationFactor = totalYears > 0 ? (totalYears - yearsLost) / totalYears : 1;
+
+  return {
+    periods: periodResults,
+    partTimeMonths: periodResults.reduce((sum, p) => sum + p.months, 0),
+    fullTimeEquivalentYearsLost: yearsLost,
+    prorationFactor,
+    unproratedAnnualPension: unprorated,
+    annualPension: unprorated * prorationFactor,
+    annualPensionReduction: unprorated * (1 - prorationFactor),
+  };
+}
@@ -0,0 +1,69 @@
+// IRS Simplified Method (Pub. 721/575) anticipated monthly payments for annuities starting after 1997.
+// Single life: age at the annuity start. Joint and survivor: combined ages of annuitant and beneficiary.
+const SINGLE_LIFE_PAYMENTS = Object.freeze([
+  [55, 360],
+  [60, 310],
+  [65, 260],
+  [70, 210],
+  [Infinity, 160],
+]);
+const JOINT_LIFE_PAYMENTS = Object.freeze([
+  [110, 410],
+  [120, 360],
+  [130, 310],
+  [140, 260],
+  [Infinity, 210],
+]);
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const lookup = (table, age) => table.find(([maxAge]) => age <= maxAge)[1];
+
+export function getSimplifiedMethodPayments({ annuitantAge, beneficiaryAge = 0 }) {
+  const annuitant = Math.floor(Math.max(0, toNumber(annuitantAge, 0)));
+  const beneficiary = Math.floor(Math.max(0, toNumber(beneficiaryAge, 0)));
+  if (beneficiary > 0) {
+    return { table: 'joint', expectedPayments: lookup(JOINT_LIFE_PAYMENTS, annuitant + beneficiary) };
+  }
+  return { table: 'single', expectedPayments: lookup(SINGLE_LIFE_PAYMENTS, annuitant) };
+}
+
+/**
+ * Splits the monthly annuity into a tax-free return of the retiree's own contributions
+ * (`costInContract`) and a taxable part, using the Simplified Method. The tax-free amount stays level
+ * until the cost is recovered, after which the whole annuity is taxable. `taxRate` is a percent.
+ */
+export function calculateSimplifiedMethod({
+  costInContract,
+  monthlyPension,
+  annuitantAge,
+  beneficiaryAge = 0,
+  taxRate = 0,
+}) {
+  const cost = Math.max(0, toNumber(costInContract, 0));
+  const gross = Math.max(0, toNumber(monthlyPension, 0));
+  const { table, expectedPayments } = getSimplifiedMethodPayments({ annuitantAge, beneficiaryAge });
+
+  const taxFreeMonthly = Math.min(gross, cost / expectedPayments);
+  const taxableMonthly = gross - taxFreeMonthly;
+  const recoveryMonths = taxFreeMonthly > 0 ? Math.ceil(cost / taxFreeMonthly - 1e-9) : 0;
+  const rate = Math.max(0, toNumber(taxRate, 0)) / 100;
+  const estimatedMonthlyTax = taxableMonthly * rate;
+
+  return {
+    costInContract: cost,
+    table,
+    expectedPayments,
+    grossMonthly: gross,
+    taxFreeMonthly,
+    taxableMonthly,
+    recoveryMonths,
+    recoveryEndAge: recoveryMonths > 0 ? toNumber(annuitantAge, 0) + recoveryMonths / 12 : null,
+    taxRate: rate * 100,
+    estimatedMonthlyTax,
+    afterTaxMonthly: gross - estimatedMonthlyTax,
+  };
+}
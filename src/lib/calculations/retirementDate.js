@@ -0,0 +1,239 @@
+import { calculateFersResults } from './fers';
+import { isCsrsRetirementSystem } from './csrs';
+import { addDays, addMonths, fullMonthsBetween, parseIsoDate, todayIsoDate, toIsoDate } from './dates';
+
+// Paid hours in a work year; a lump-sum leave payout and salary use annual pay / 2087 as the hourly rate.
+export const PAID_HOURS_PER_YEAR = 2087;
+// Annual leave above this carries over only until the end of the leave year ("use or lose").
+export const ANNUAL_LEAVE_CARRYOVER_CEILING = 240;
+// Biweekly pay periods run Sunday through the second Saturday; this one began leave year 2024.
+export const PAY_PERIOD_ANCHOR_DATE = '2024-01-14';
+const PAY_PERIOD_DAYS = 14;
+// Salary for a pay period arrives on the Friday after it ends.
+const PAYDAY_LAG_DAYS = 6;
+// Candidate dates are searched over at most two years.
+export const MAX_RETIREMENT_DATE_RANGE_MONTHS = 24;
+
+export const ANNUAL_LEAVE_CATEGORIES = Object.freeze({
+  four: Object.freeze({ id: 'four', label: '4 hours per pay period (under 3 years)', hoursPerPayPeriod: 4 }),
+  six: Object.freeze({ id: 'six', label: '6 hours per pay period (3 to 15 years)', hoursPerPayPeriod: 6 }),
+  eight: Object.freeze({ id: 'eight', label: '8 hours per pay period (15+ years)', hoursPerPayPeriod: 8 }),
+});
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function getAnnualLeaveCategory(leaveCategory) {
+  return ANNUAL_LEAVE_CATEGORIES[leaveCategory] ?? ANNUAL_LEAVE_CATEGORIES.eight;
+}
+
+export function createDefaultRetirementDateOptimizer() {
+  return {
+    annualLeaveHours: 0, // balance today
+    leaveCategory: 'eight',
+    finalSalary: 0, // 0 = use the TSP page's annual salary
+    rangeStart: '',
+    rangeEnd: '',
+  };
+}
+
+const DAY_MS = 86400000;
+const firstOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+// Start of the pay period containing `date`.
+const payPeriodStart = (date) => {
+  const anchor = parseIsoDate(PAY_PERIOD_ANCHOR_DATE);
+  const index = Math.floor((date.getTime() - anchor.getTime()) / (PAY_PERIOD_DAYS * DAY_MS));
+  return new Date(anchor.getTime() + index * PAY_PERIOD_DAYS * DAY_MS);
+};
+
+// Monday–Friday days from `start` through `end`, inclusive (holidays are paid, so they count).
+const countWorkdays = (start, end) => {
+  let count = 0;
+  for (let d = start; d <= end; d = new Date(d.getTime() + DAY_MS)) {
+    const day = d.getUTCDay();
+    if (day !== 0 && day !== 6) count += 1;
+  }
+  return count;
+};
+
+/**
+ * Annual leave on the separation date. Leave is credited at the end of each full pay period in pay
+ * status (so separating mid-period forfeits that period's accrual), and a new leave year (the first pay
+ * period starting in January) cuts the balance back to the carryover ceiling.
+ */
+export function projectAnnualLeave({ annualLeaveHours, leaveCategory, asOfDate, separationDate }) {
+  const asOf = parseIsoDate(asOfDate) ?? parseIsoDate(todayIsoDate());
+  const separateOn = parseIsoDate(separationDate);
+  const perPeriod = getAnnualLeaveCategory(leaveCategory).hoursPerPayPeriod;
+  let hours = Math.max(0, toNumber(annualLeaveHours, 0));
+  let accruedHours = 0;
+  let forfeitedHours = 0;
+  if (!separateOn || separateOn < asOf) return { hours, accruedHours, forfeitedHours, isMidPayPeriod: false };
+
+  let start = payPeriodStart(asOf);
+  let isMidPayPeriod = false;
+  for (;;) {
+    const end = new Date(start.getTime() + (PAY_PERIOD_DAYS - 1) * DAY_MS);
+    const isNewLeaveYear = start.getUTCMonth() === 0 && start.getUTCDate() <= PAY_PERIOD_DAYS;
+    if (isNewLeaveYear && start > asOf && start <= separateOn && hours > ANNUAL_LEAVE_CARRYOVER_CEILING) {
+      forfeitedHours += hours - ANNUAL_LEAVE_CARRYOVER_CEILING;
+      hours = ANNUAL_LEAVE_CARRYOVER_CEILING;
+    }
+    if (end > separateOn) {
+      isMidPayPeriod = start <= separateOn;
+      break;
+    }
+    hours += perPeriod;
+    accruedHours += perPeriod;
+    start = new Date(start.getTime() + PAY_PERIOD_DAYS * DAY_MS);
+  }
+  return { hours, accruedHours, forfeitedHours, isMidPayPeriod };
+}
+
+/**
+ * First day of annuity: the first of the month after separation, except that CSRS and CSRS Offset
+ * retirees who separate on the 1st, 2nd or 3rd of a month are paid from the next day (the 3-day rule).
+ */
+export function getAnnuityStartDate({ separationDate, retirementSystem = 'fers' }) {
+  const separateOn = parseIsoDate(separationDate);
+  if (!separateOn) return '';
+  const isThreeDayRule = isCsrsRetirementSystem(retirementSystem) && separateOn.getUTCDate() <= 3;
+  return toIsoDate(isThreeDayRule ? addDays(separateOn, 1) : addMonths(firstOfMonth(separateOn), 1));
+}
+
+// Annuity paid from `startDate` up to (not including) `windowEnd`, prorating partial months by days.
+const annuityPaidBefore = (monthlyAnnuity, startDate, windowEnd) => {
+  const start = parseIsoDate(startDate);
+  if (!start || start >= windowEnd || !(monthlyAnnuity > 0)) return { months: 0, amount: 0 };
+  let months = 0;
+  for (let month = firstOfMonth(start); month < windowEnd; month = addMonths(month, 1)) {
+    const next = addMonths(month, 1);
+    const from = start > month ? start : month;
+    const to = windowEnd < next ? windowEnd : next;
+    if (to > from) months += (to - from) / (next - month);
+  }
+  return { months, amount: monthlyAnnuity * months };
+};
+
+const candidateDates = ({ from, through, includeThreeDayRule }) => {
+  const dates = new Set();
+  // Last day of each pay period.
+  for (let start = payPeriodStart(from); start <= through; start = new Date(start.getTime() + PAY_PERIOD_DAYS * DAY_MS)) {
+    const end = new Date(start.getTime() + (PAY_PERIOD_DAYS - 1) * DAY_MS);
+    if (end >= from && end <= through) dates.add(toIsoDate(end));
+  }
+  for (let month = firstOfMonth(from); month <= through; month = addMonths(month, 1)) {
+    const monthEnd = addDays(addMonths(month, 1), -1);
+    if (monthEnd >= from && monthEnd <= through) dates.add(toIsoDate(monthEnd));
+    if (includeThreeDayRule) {
+      for (let day = 0; day < 3; day += 1) {
+        const d = addDays(month, day);
+        if (d >= from && d <= through) dates.add(toIsoDate(d));
+      }
+    }
+  }
+  dates.add(toIsoDate(through));
+  return [...dates].sort();
+};
+
+/**
+ * Ranks candidate retirement dates between `rangeStart` and `rangeEnd` by the cash each one brings in over
+ * its own first year: the 12 months after its separation date. Cash is the salary still to be paid for the
+ * last pay periods worked, the lump-sum annual leave payout and the annuity (plus any FERS supplement)
+ * from its start date. Each date's annuity comes from calculateFersResults with `fersInputs` (see
+ * buildFersInputsFromScenario) and that date as the retirement date. Candidates are pay period ends,
+ * month ends and, under CSRS, the first three days of each month. Amounts are gross of tax.
+ */
+export function optimizeRetirementDate({
+  fersInputs = {},
+  finalSalary,
+  annualLeaveHours = 0,
+  leaveCategory = 'eight',
+  rangeStart,
+  rangeEnd,
+}) {
+  const asOfIso = toIsoDate(fersInputs.asOfDate) || todayIsoDate();
+  const asOf = parseIsoDate(asOfIso);
+  const start = parseIsoDate(rangeStart);
+  const end = parseIsoDate(rangeEnd);
+  const salary = Math.max(0, toNumber(finalSalary, 0));
+  const unavailable = (message) => ({ isAvailable: false, message, candidates: [], best: null });
+
+  if (!parseIsoDate(fersInputs.birthDate) || !parseIsoDate(fersInputs.serviceComputationDate)) {
+    return unavailable('Enter your birth date and service computation date to compare retirement dates.');
+  }
+  if (!start || !end || end < start) return unavailable('Enter a date range to search.');
+  if (end < asOf) return unavailable('The date range has already passed.');
+  if (fullMonthsBetween(start, end) >= MAX_RETIREMENT_DATE_RANGE_MONTHS) {
+    return unavailable(`Search at most ${MAX_RETIREMENT_DATE_RANGE_MONTHS / 12} years of dates at a time.`);
+  }
+  if (salary <= 0) return unavailable('Enter your final salary to compare retirement dates.');
+
+  const from = start > asOf ? start : asOf;
+  const hourlyRate = salary / PAID_HOURS_PER_YEAR;
+  const retirementSystem = fersInputs.retirementSystem ?? 'fers';
+
+  const evaluated = candidateDates({
+    from,
+    through: end,
+    includeThreeDayRule: isCsrsRetirementSystem(retirementSystem),
+  }).map((date) => {
+    const fers = calculateFersResults({ ...fersInputs, asOfDate: asOfIso, retirementDate: date, includeFutureService: true });
+    const separateOn = parseIsoDate(date);
+    const leave = projectAnnualLeave({ annualLeaveHours, leaveCategory, asOfDate: asOfIso, separationDate: date });
+
+    // A postponed annuity (MRA+10 or deferred) starts at the first of the month after the chosen age.
+    let annuityStartDate = getAnnuityStartDate({ separationDate: date, retirementSystem });
+    const postponedAge = fers.stayFed.pensionStartAge;
+    if (postponedAge > fers.timeline.retirementAge + 1e-9) {
+      const postponedOn = addMonths(parseIsoDate(fersInputs.birthDate), Math.round(postponedAge * 12));
+      const postponedStart = postponedOn.getUTCDate() > 1 ? addMonths(firstOfMonth(postponedOn), 1) : postponedOn;
+      if (postponedStart > parseIsoDate(annuityStartDate)) annuityStartDate = toIsoDate(postponedStart);
+    }
+    const monthlySupplement = fers.supplement?.isEligible ? fers.supplement.monthlySupplement : 0;
+    const monthlyAnnuity = fers.stayFed.isEligible
+      ? fers.stayFed.monthlyPension - (fers.stayFed.courtOrderMonthly ?? 0) + monthlySupplement
+      : 0;
+    // The first year is the 12 months after the separation date, through its anniversary.
+    const windowEnd = addMonths(addDays(separateOn, 1), 12);
+    const annuity = annuityPaidBefore(monthlyAnnuity, annuityStartDate, windowEnd);
+
+    // Paychecks still due at separation: every pay period whose payday falls on or after that date.
+    const periodStart = payPeriodStart(addDays(separateOn, -PAYDAY_LAG_DAYS));
+    const finalPay = countWorkdays(periodStart > asOf ? periodStart : asOf, separateOn) * 8 * hourlyRate;
+    const leavePayout = leave.hours * hourlyRate;
+    return {
+      date,
+      isPayPeriodEnd: !leave.isMidPayPeriod,
+      isMonthEnd: addDays(separateOn, 1).getUTCDate() === 1,
+      isEligible: fers.stayFed.isEligible,
+      eligibilityMessage: fers.stayFed.eligibilityMessage,
+      serviceYears: fers.timeline.serviceAtRetirement ?? 0,
+      windowEnd: toIsoDate(addDays(windowEnd, -1)),
+      finalPay,
+      leaveHours: leave.hours,
+      forfeitedLeaveHours: leave.forfeitedHours,
+      leavePayout,
+      annuityStartDate,
+      monthlyAnnuity,
+      annuityMonths: annuity.months,
+      annuityPaid: annuity.amount,
+      totalCash: finalPay + leavePayout + annuity.amount,
+    };
+  });
+
+  const ranked = [...evaluated].sort((a, b) => b.totalCash - a.totalCash || a.date.localeCompare(b.date));
+  const bestCash = ranked[0]?.totalCash ?? 0;
+  const candidates = ranked.map((c, i) => ({ ...c, rank: i + 1, differenceFromBest: c.totalCash - bestCash }));
+
+  return {
+    isAvailable: candidates.length > 0,
+    message: candidates.length > 0 ? '' : 'No candidate dates in that range.',
+    hourlyRate,
+    candidates,
+    best: candidates[0] ?? null,
+  };
+}
@@ -0,0 +1,158 @@
+export const MORTALITY_MAX_AGE = 120;
+
+export const FERS_SURVIVOR_ELECTIONS = Object.freeze({
+  none: Object.freeze({ id: 'none', label: 'No survivor annuity', reductionPercent: 0, survivorPercent: 0 }),
+  partial: Object.freeze({ id: 'partial', label: 'Partial (25% survivor)', reductionPercent: 5, survivorPercent: 25 }),
+  full: Object.freeze({ id: 'full', label: 'Full (50% survivor)', reductionPercent: 10, survivorPercent: 50 }),
+});
+
+// Annual probability of death (q_x) at selected ages, a unisex blend of the SSA period life table.
+// Ages in between are interpolated on the log scale.
+const MORTALITY_TABLE = Object.freeze([
+  [30, 0.0018],
+  [35, 0.0022],
+  [40, 0.0027],
+  [45, 0.0035],
+  [50, 0.0046],
+  [55, 0.0068],
+  [60, 0.01],
+  [65, 0.0142],
+  [70, 0.0206],
+  [75, 0.0318],
+  [80, 0.0511],
+  [85, 0.0847],
+  [90, 0.1431],
+  [95, 0.2335],
+  [100, 0.344],
+  [105, 0.45],
+  [110, 0.57],
+  [115, 0.7],
+]);
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function getFersSurvivorElection(election) {
+  return FERS_SURVIVOR_ELECTIONS[election] ?? FERS_SURVIVOR_ELECTIONS.none;
+}
+
+export function getAnnualDeathProbability(age) {
+  const a = toNumber(age, 0);
+  if (a >= MORTALITY_MAX_AGE) return 1;
+  const first = MORTALITY_TABLE[0];
+  if (a <= first[0]) return first[1];
+  for (let i = 1; i < MORTALITY_TABLE.length; i++) {
+    const [hiAge, hiQ] = MORTALITY_TABLE[i];
+    if (a <= hiAge) {
+      const [loAge, loQ] = MORTALITY_TABLE[i - 1];
+      const t = (a - loAge) / (hiAge - loAge);
+      return Math.exp(Math.log(loQ) + t * (Math.log(hiQ) - Math.log(loQ)));
+    }
+  }
+  return MORTALITY_TABLE[MORTALITY_TABLE.length - 1][1];
+}
+
+/**
+ * Probability of being alive at each whole year after `age`: index 0 is 1 (alive today), index t is
+ * alive at `age + t`, through MORTALITY_MAX_AGE.
+ */
+export function calculateSurvivalCurve(age) {
+  const start = Math.max(0, toNumber(age, 0));
+  const curve = [1];
+  let alive = 1;
+  for (let a = start; a < MORTALITY_MAX_AGE; a++) {
+    alive *= 1 - getAnnualDeathProbability(a);
+    curve.push(alive);
+  }
+  return curve;
+}
+
+// Expected remaining years of life, counting half a year for the year of death.
+export function calculateLifeExpectancy(age) {
+  const curve = calculateSurvivalCurve(age);
+  let years = 0;
+  for (let t = 0; t + 1 < curve.length; t++) years += (curve[t] + curve[t + 1]) / 2;
+  return years;
+}
+
+/**
+ * FERS survivor annuity election at retirement. A full election reduces the retiree's annuity by 10%
+ * and pays the spouse 50% of the unreduced annuity; partial is 5% for 25%. Both percentages apply to
+ * the annuity before any age reduction (`baseAnnualPension`). A court-ordered former spouse survivor
+ * annuity (`formerSpouseSurvivorPercent`) comes first: survivor benefits together cannot exceed 50%,
+ * and the reduction is 1% for every 5% awarded.
+ *
+ * Expected values are undiscounted and assume independent lifetimes from the mortality table, with
+ * both ages taken at the annuity start. Without a spouse age they are null.
+ */
+export function calculateSurvivorBenefit({
+  annualPension,
+  baseAnnualPension = undefined,
+  election = 'none',
+  retireeAge,
+  spouseAge = 0,
+  formerSpouseSurvivorPercent = 0,
+}) {
+  const choice = getFersSurvivorElection(election);
+  const annuity = Math.max(0, toNumber(annualPension, 0));
+  const base = Math.max(0, toNumber(baseAnnualPension, annuity));
+  const maxSurvivorPercent = FERS_SURVIVOR_ELECTIONS.full.survivorPercent;
+  const formerPercent = Math.min(maxSurvivorPercent, Math.max(0, toNumber(formerSpouseSurvivorPercent, 0)));
+  const spousePercent = Math.min(choice.survivorPercent, maxSurvivorPercent - formerPercent);
+  const spouseReduction = annuity * (spousePercent / 5 / 100);
+  const formerSpouseReduction = annuity * (formerPercent / 5 / 100);
+  const annualReduction = spouseReduction + formerSpouseReduction;
+  const survivorAnnual = base * (spousePercent / 100);
+
+  const retiree = Math.max(0, toNumber(retireeAge, 0));
+  const spouse = Math.max(0, toNumber(spouseAge, 0));
+  const hasSpouse = spouse > 0;
+
+  let expectedCost = null;
+  let expectedSurvivorValue = null;
+  let probabilitySpouseOutlives = null;
+  if (hasSpouse) {
+    const retireeCurve = calculateSurvivalCurve(retiree);
+    const spouseCurve = calculateSurvivalCurve(spouse);
+    let retireeYears = 0;
+    let survivorYears = 0;
+    probabilitySpouseOutlives = 0;
+    for (let t = 0; t + 1 < Math.max(retireeCurve.length, spouseCurve.length); t++) {
+      const r0 = retireeCurve[t] ?? 0;
+      const r1 = retireeCurve[t + 1] ?? 0;
+      const s0 = spouseCurve[t] ?? 0;
+      const s1 = spouseCurve[t + 1] ?? 0;
+      retireeYears += (r0 + r1) / 2;
+      // Paid while the spouse is alive and the retiree is not.
+      survivorYears += ((s0 * (1 - r0)) + (s1 * (1 - r1))) / 2;
+      // Retiree dies during the year with the spouse still alive at its end (mid-year approximation).
+      probabilitySpouseOutlives += (r0 - r1) * ((s0 + s1) / 2);
+    }
+    expectedCost = spouseReduction * retireeYears;
+    expectedSurvivorValue = survivorAnnual * survivorYears;
+  }
+
+  return {
+    election: choice,
+    reductionPercent: (spousePercent + formerPercent) / 5,
+    annualPensionBeforeReduction: annuity,
+    annualPension: annuity - annualReduction,
+    annualReduction,
+    monthlyReduction: annualReduction / 12,
+    survivorAnnual,
+    survivorMonthly: survivorAnnual / 12,
+    formerSpouseSurvivorPercent: formerPercent,
+    formerSpouseSurvivorAnnual: base * (formerPercent / 100),
+    formerSpouseReduction,
+    retireeAge: retiree,
+    spouseAge: hasSpouse ? spouse : null,
+    retireeLifeExpectancy: calculateLifeExpectancy(retiree),
+    spouseLifeExpectancy: hasSpouse ? calculateLifeExpectancy(spouse) : null,
+    probabilitySpouseOutlives,
+    expectedCost,
+    expectedSurvivorValue,
+    netExpectedValue: hasSpouse ? expectedSurvivorValue - expectedCost : null,
+  };
+}
@@ -1,3 +1,8 @@
+import { addMonths, fullMonthsBetween, parseIsoDate, todayIsoDate } from './dates';
+import { expandAllocation, hasLifecycleFunds } from './lifecycleFunds';
+import { getScheduledAllocation, isAllocationScheduleActive } from './allocationSchedule';
+import { getEmployeeDeferralLimit } from './contributionLimits';
+
 export const DEFAULT_FUND_RETURNS = Object.freeze({
   G: 0.02,
   F: 0.03,
@@ -6,14 +11,22 @@ export const DEFAULT_FUND_RETURNS = Object.freeze({
   I: 0.06,
 });
 
-export function calculateWeightedReturn({ allocation, fundReturns = DEFAULT_FUND_RETURNS }) {
+// L Funds in the allocation count at their glide-path mix on `asOfDate` (default today).
+export function calculateWeightedReturn({ allocation, fundReturns = DEFAULT_FUND_RETURNS, asOfDate = undefined }) {
+  const mix = expandAllocation(allocation, asOfDate);
   const funds = Object.keys(fundReturns);
   return funds.reduce((total, fund) => {
-    const pct = Number(allocation?.[fund] ?? 0);
+    const pct = Number(mix[fund] ?? 0);
     return total + (fundReturns[fund] * pct) / 100;
   }, 0);
 }
 
+// Employee payroll taxes (2026). FERS employees pay full Social Security and Medicare.
+export const SOCIAL_SECURITY_TAX_RATE = 0.062;
+export const SOCIAL_SECURITY_WAGE_BASE = 184500;
+export const MEDICARE_TAX_RATE = 0.0145;
+export const DEFAULT_PAY_PERIODS_PER_YEAR = 26;
+
 function clampNumber(value, { min = -Infinity, max = Infinity, fallback = 0 } = {}) {
   const n = Number(value);
   if (!Number.isFinite(n)) return fallback;
@@ -29,6 +42,76 @@ export function calculateFersTspEmployerPercent(employeeDeferralPercent) {
   return clampNumber(automatic + matchDollarsForDollars + matchHalf, { min: 0, max: 5, fallback: 0 });
 }
 
+/**
+ * Take-home pay for one year of salary. The FERS contribution is withheld after tax; a Traditional TSP
+ * deferral lowers taxable wages. Roth deferrals follow the projection's simplification (the same gross
+ * percent, of which the after-tax part is deposited), so they cost the same take-home as Traditional.
+ * A 'split' deferral sends `rothShare` (0-1) of it to Roth and the rest to Traditional.
+ */
+export function calculateNetPay({
+  grossPay,
+  fersContributionRate = 0,
+  tspEmployeeContribution = 0,
+  contributionType = 'traditional',
+  rothShare = 0,
+  currentTaxRate = 0,
+}) {
+  const gross = clampNumber(grossPay, { min: 0, max: 1e9, fallback: 0 });
+  const tsp = clampNumber(tspEmployeeContribution, { min: 0, max: gross, fallback: 0 });
+  const taxNow = clampNumber(currentTaxRate, { min: 0, max: 100, fallback: 0 }) / 100;
+
+  const fersContribution = gross * clampNumber(fersContributionRate, { min: 0, max: 1, fallback: 0 });
+  const socialSecurityTax = Math.min(gross, SOCIAL_SECURITY_WAGE_BASE) * SOCIAL_SECURITY_TAX_RATE;
+  const medicareTax = gross * MEDICARE_TAX_RATE;
+  const roth = resolveRothShare(contributionType, rothShare);
+  const federalIncomeTax = (gross - tsp * (1 - roth)) * taxNow;
+  const tspContribution = tsp * (1 - roth) + tsp * roth * (1 - taxNow);
+
+  return {
+    grossPay: gross,
+    fersContribution,
+    tspContribution,
+    socialSecurityTax,
+    medicareTax,
+    federalIncomeTax,
+    netPay: gross - fersContribution - tspContribution - socialSecurityTax - medicareTax - federalIncomeTax,
+  };
+}
+
+function resolveRothShare(contributionType, rothShare) {
+  if (contributionType === 'roth') return 1;
+  if (contributionType === 'split') return clampNumber(rothShare, { min: 0, max: 1, fallback: 0 });
+  return 0;
+}
+
+// One take-home row per projection year; a final partial year only counts the months worked. Each row
+// uses that year's actual Roth share, which can differ from the election when catch-up must be Roth.
+function buildNetPaycheckProjection(yearlyData, { fersContributionRate, currentTaxRate, payPeriodsPerYear }) {
+  const rows = [];
+  for (let i = 1; i < yearlyData.length; i++) {
+    const row = yearlyData[i];
+    const fraction = row.year - yearlyData[i - 1].year;
+    if (fraction <= 0) continue;
+    const employee = row.employeeContributionsNominal;
+    const pay = calculateNetPay({
+      grossPay: row.salaryNominal * fraction,
+      fersContributionRate,
+      tspEmployeeContribution: employee,
+      contributionType: 'split',
+      rothShare: employee > 0 ? row.rothEmployeeContributionsNominal / employee : 0,
+      currentTaxRate,
+    });
+    const payPeriods = payPeriodsPerYear * fraction;
+    rows.push({
+      age: yearlyData[i - 1].year,
+      ...pay,
+      payPeriods,
+      netPerPaycheck: pay.netPay / payPeriods,
+    });
+  }
+  return { fersContributionRate, payPeriodsPerYear, rows, firstYear: rows[0] ?? null };
+}
+
 function deflateNominalToReal(amountNominal, inflationRate, yearsFromStart) {
   const inf = clampNumber(inflationRate, { min: 0, max: 1, fallback: 0 });
   const y = clampNumber(yearsFromStart, { min: 0, max: 200, fallback: 0 });
@@ -48,12 +131,17 @@ function calculateDualBucketTspProjection({
   includeEmployerMatch,
   includeAutomatic1Percent,
   annualReturn,
+  annualReturns = null, // per projection year; replaces `annualReturn`
+  monthlyReturns = null, // per month; replaces `annualReturn` (L Fund glide paths, historical backtests)
   years,
   currentAge,
   currentTaxRate,
   retirementTaxRate,
   inflationRate,
-  employeeContributionType, // 'traditional' | 'roth'
+  employeeContributionType, // 'traditional' | 'roth' | 'split'
+  rothContributionPercent = 0, // with 'split': the Roth part of employeeContributionPercent
+  useIrsLimits = false, // year-indexed IRS limits (contributionLimits.js) instead of the fixed ones above
+  startYear = new Date().getUTCFullYear(), // tax year of the first projection year
 }) {
   const salary0 = clampNumber(annualSalary, { min: 0, max: 1e9, fallback: 0 });
   const salaryGrowth = clampNumber(annualSalaryGrowthRate, { min: -1, max: 1, fallback: 0 });
@@ -61,9 +149,26 @@ function calculateDualBucketTspProjection({
   const baseLimit = clampNumber(annualEmployeeDeferralLimit, { min: 0, max: 1e9, fallback: 0 });
   const catchUpLimit = clampNumber(annualCatchUpLimit, { min: 0, max: 1e9, fallback: 0 });
   const catchUpAt = clampNumber(catchUpAge, { min: 0, max: 200, fallback: 50 });
+  // Deferral limits for projection year `y` (treated as tax year startYear + y). With IRS limits, a high
+  // earner's catch-up deferrals (those past the base limit) must go to Roth.
+  const limitForYear = (y, age) => {
+    if (!useIrsLimits) {
+      return { baseLimit, totalLimit: baseLimit + (age >= catchUpAt ? catchUpLimit : 0), catchUpMustBeRoth: false };
+    }
+    const priorYearWages = salary0 * Math.pow(1 + salaryGrowth, Math.max(0, y - 1));
+    return getEmployeeDeferralLimit({ year: Math.floor(Number(startYear)) + y, age, priorYearWages });
+  };
+  // Share of every deferral made as Roth. The deferral limit caps both buckets combined, so a capped
+  // deferral keeps the same split.
+  const rothShare = resolveRothShare(
+    employeeContributionType,
+    employeePct > 0 ? clampNumber(rothContributionPercent, { min: 0, max: employeePct, fallback: 0 }) / employeePct : 0
+  );
 
   const monthlyReturn = clampNumber(annualReturn, { min: -1, max: 10, fallback: 0 }) / 12;
-  const yearsInt = Math.max(0, Math.floor(clampNumber(years, { min: 0, max: 200, fallback: 0 })));
+  // Contributions run month by month; a final partial year covers the leftover months.
+  const totalMonths = Math.max(0, Math.round(clampNumber(years, { min: 0, max: 200, fallback: 0 }) * 12));
+  const yearsCount = Math.ceil(totalMonths / 12);
   const age0 = clampNumber(currentAge, { min: 0, max: 200, fallback: 0 });
   const taxNow = clampNumber(currentTaxRate, { min: 0, max: 100, fallback: 0 }) / 100;
   const taxLater = clampNumber(retirementTaxRate, { min: 0, max: 100, fallback: 0 }) / 100;
@@ -83,26 +188,37 @@ function calculateDualBucketTspProjection({
     year: age0,
     balanceNominal: startGross,
     afterTaxValueNominal: roth + trad * (1 - taxLater),
+    traditionalBalanceNominal: trad,
+    rothBalanceNominal: roth,
     balanceReal: deflateNominalToReal(startGross, infl, 0),
     afterTaxValueReal: deflateNominalToReal(roth + trad * (1 - taxLater), infl, 0),
     employeeContributionsNominal: 0,
+    rothEmployeeContributionsNominal: 0,
     employerContributionsNominal: 0,
     totalEmployeeContributionsNominal: 0,
     totalEmployerContributionsNominal: 0,
     salaryNominal: salary0,
-    employeeLimitNominal: baseLimit + (age0 >= catchUpAt ? catchUpLimit : 0),
+    employeeLimitNominal: limitForYear(0, age0).totalLimit,
   });
 
-  for (let y = 0; y < yearsInt; y++) {
+  for (let y = 0; y < yearsCount; y++) {
     const age = age0 + y;
     const salary = salary0 * Math.pow(1 + salaryGrowth, y);
     const monthlySalary = salary / 12;
-    const annualLimit = baseLimit + (age >= catchUpAt ? catchUpLimit : 0);
+    const limits = limitForYear(y, age);
+    const annualLimit = limits.totalLimit;
 
     let employeeGrossThisYear = 0;
+    let rothEmployeeGrossThisYear = 0;
     let employerThisYear = 0;
 
-    for (let m = 0; m < 12; m++) {
+    // A historical year compounds to exactly its return; the constant assumption keeps the simple r/12.
+    const monthlyReturnThisYear = Array.isArray(annualReturns)
+      ? Math.pow(1 + clampNumber(annualReturns[y], { min: -0.99, max: 10, fallback: 0 }), 1 / 12) - 1
+      : monthlyReturn;
+
+    const monthsThisYear = Math.min(12, totalMonths - y * 12);
+    for (let m = 0; m < monthsThisYear; m++) {
       const desiredEmployeeGross = (monthlySalary * employeePct) / 100;
       const remaining = Math.max(0, annualLimit - employeeGrossThisYear);
       const employeeGross = Math.min(desiredEmployeeGross, remaining);
@@ -118,20 +234,26 @@ function calculateDualBucketTspProjection({
         employerGross = monthlySalary * ((automaticPct + matchedPct) / 100);
       }
 
-      if (employeeContributionType === 'traditional') {
-        trad += employeeGross;
-      } else {
-        // Roth employee deferrals are made with after-tax dollars (simplified: same gross percent, reduced by current marginal tax rate)
-        roth += employeeGross * (1 - taxNow);
-      }
+      const catchUpGross = limits.catchUpMustBeRoth
+        ? Math.max(0, employeeGrossThisYear + employeeGross - limits.baseLimit) -
+          Math.max(0, employeeGrossThisYear - limits.baseLimit)
+        : 0;
+      const rothGross = (employeeGross - catchUpGross) * rothShare + catchUpGross;
+      trad += employeeGross - rothGross;
+      // Roth employee deferrals are made with after-tax dollars (simplified: same gross percent, reduced by current marginal tax rate)
+      roth += rothGross * (1 - taxNow);
 
       trad += employerGross;
 
       employeeGrossThisYear += employeeGross;
+      rothEmployeeGrossThisYear += rothGross;
       employerThisYear += employerGross;
 
-      trad *= 1 + monthlyReturn;
-      roth *= 1 + monthlyReturn;
+      const rate = Array.isArray(monthlyReturns)
+        ? clampNumber(monthlyReturns[y * 12 + m], { min: -1, max: 10, fallback: 0 })
+        : monthlyReturnThisYear;
+      trad *= 1 + rate;
+      roth *= 1 + rate;
     }
 
     totalEmployeeGross += employeeGrossThisYear;
@@ -139,15 +261,18 @@ function calculateDualBucketTspProjection({
 
     const gross = trad + roth;
     const afterTax = roth + trad * (1 - taxLater);
-    const yearIndexFromStart = y + 1;
+    const yearIndexFromStart = (y * 12 + monthsThisYear) / 12;
 
     yearlyData.push({
       year: age0 + yearIndexFromStart,
       balanceNominal: gross,
       afterTaxValueNominal: afterTax,
+      traditionalBalanceNominal: trad,
+      rothBalanceNominal: roth,
       balanceReal: deflateNominalToReal(gross, infl, yearIndexFromStart),
       afterTaxValueReal: deflateNominalToReal(afterTax, infl, yearIndexFromStart),
       employeeContributionsNominal: employeeGrossThisYear,
+      rothEmployeeContributionsNominal: rothEmployeeGrossThisYear,
       employerContributionsNominal: employerThisYear,
       totalEmployeeContributionsNominal: totalEmployeeGross,
       totalEmployerContributionsNominal: totalEmployer,
@@ -178,16 +303,51 @@ function calculateDualBucketTspProjection({
   };
 }
 
+function toProjectionResult(projection, paycheckOptions) {
+  const final = projection.yearlyData[projection.yearlyData.length - 1];
+  return {
+    projectedBalance: projection.projectedBalance,
+    traditionalBalance: final?.traditionalBalanceNominal ?? 0,
+    rothBalance: final?.rothBalanceNominal ?? 0,
+    totalContributions: projection.totals.totalContributions,
+    totalGrowth: projection.totals.totalGrowthNominal,
+    yearlyData: projection.yearlyData.map((d) => ({
+      year: d.year,
+      balance: d.balanceNominal,
+      afterTaxValue: d.afterTaxValueNominal,
+      traditionalBalance: d.traditionalBalanceNominal,
+      rothBalance: d.rothBalanceNominal,
+      balanceReal: d.balanceReal,
+      afterTaxValueReal: d.afterTaxValueReal,
+      contributions: d.totalEmployeeContributionsNominal + d.totalEmployerContributionsNominal,
+      employeeContributions: d.totalEmployeeContributionsNominal,
+      employerContributions: d.totalEmployerContributionsNominal,
+      salary: d.salaryNominal,
+      employeeLimit: d.employeeLimitNominal,
+    })),
+    afterTaxValue: projection.afterTaxValue,
+    paycheck: buildNetPaycheckProjection(projection.yearlyData, paycheckOptions),
+  };
+}
+
+/**
+ * Runs three projections of the same deferral: all Traditional, all Roth, and `split`, where
+ * `rothContributionPercent` of `monthlyContributionPercent` goes to Roth and the rest to Traditional.
+ */
 export function calculateTspTraditionalVsRoth({
   currentBalance,
   annualSalary,
   monthlyContributionPercent,
+  rothContributionPercent = 0,
   currentAge,
   retirementAge,
   allocation,
+  allocationSchedule = null, // see allocationSchedule.js; applied month by month
   currentTaxRate,
   retirementTaxRate,
   fundReturns = DEFAULT_FUND_RETURNS,
+  annualReturns = null,
+  monthlyReturns: historicalMonthlyReturns = null, // per month, as decimals (historical backtests)
   annualSalaryGrowthRate = 0,
   inflationRate = 0,
   includeEmployerMatch = false,
@@ -195,12 +355,35 @@ export function calculateTspTraditionalVsRoth({
   annualEmployeeDeferralLimit = 23500,
   annualCatchUpLimit = 7500,
   catchUpAge = 50,
+  birthDate = '',
+  retirementDate = '',
+  asOfDate = undefined,
+  useIrsLimits = false,
+  fersContributionRate = 0,
+  payPeriodsPerYear = DEFAULT_PAY_PERIODS_PER_YEAR,
 }) {
-  const years = Number(retirementAge ?? 0) - Number(currentAge ?? 0);
-
-  const weightedReturn = calculateWeightedReturn({ allocation, fundReturns });
-
-  const traditional = calculateDualBucketTspProjection({
+  // Real dates (when the scenario has them) pin down the age today and the exact number of contribution months.
+  const asOf = parseIsoDate(asOfDate) ?? parseIsoDate(todayIsoDate());
+  const birth = parseIsoDate(birthDate);
+  const retireOn = parseIsoDate(retirementDate);
+  const startAge = birth ? fullMonthsBetween(birth, asOf) / 12 : Number(currentAge ?? 0);
+  const contributionMonths = retireOn
+    ? fullMonthsBetween(asOf, retireOn)
+    : Math.max(0, Math.round((Number(retirementAge ?? 0) - startAge) * 12));
+  const years = contributionMonths / 12;
+
+  const weightedReturn = calculateWeightedReturn({ allocation, fundReturns, asOfDate: asOf });
+  // An allocation schedule, or L Funds shifting toward G every quarter, re-weight the return month by month.
+  const scheduled = isAllocationScheduleActive(allocationSchedule);
+  const scheduledMonthlyReturns = !historicalMonthlyReturns && !annualReturns && (scheduled || hasLifecycleFunds(allocation))
+    ? Array.from({ length: contributionMonths }, (_, k) => {
+        const date = addMonths(asOf, k);
+        const inEffect = getScheduledAllocation({ allocation, schedule: allocationSchedule, age: startAge + k / 12, date });
+        return calculateWeightedReturn({ allocation: inEffect, fundReturns, asOfDate: date }) / 12;
+      })
+    : null;
+
+  const projectionInputs = {
     startTraditionalBalance: Number(currentBalance ?? 0),
     startRothBalance: 0,
     annualSalary,
@@ -212,86 +395,90 @@ export function calculateTspTraditionalVsRoth({
     includeEmployerMatch,
     includeAutomatic1Percent,
     annualReturn: weightedReturn,
+    annualReturns,
+    monthlyReturns: historicalMonthlyReturns ?? scheduledMonthlyReturns,
     years,
-    currentAge,
+    currentAge: startAge,
     currentTaxRate,
     retirementTaxRate,
     inflationRate,
-    employeeContributionType: 'traditional',
-  });
-
-  const roth = calculateDualBucketTspProjection({
-    startTraditionalBalance: Number(currentBalance ?? 0),
-    startRothBalance: 0,
-    annualSalary,
-    annualSalaryGrowthRate,
-    employeeContributionPercent: monthlyContributionPercent,
-    annualEmployeeDeferralLimit,
-    annualCatchUpLimit,
-    catchUpAge,
-    includeEmployerMatch,
-    includeAutomatic1Percent,
-    annualReturn: weightedReturn,
-    years,
-    currentAge,
-    currentTaxRate,
-    retirementTaxRate,
-    inflationRate,
-    employeeContributionType: 'roth',
+    useIrsLimits,
+    startYear: asOf.getUTCFullYear(),
+  };
+  const traditional = calculateDualBucketTspProjection({ ...projectionInputs, employeeContributionType: 'traditional' });
+  const roth = calculateDualBucketTspProjection({ ...projectionInputs, employeeContributionType: 'roth' });
+  const split = calculateDualBucketTspProjection({
+    ...projectionInputs,
+    employeeContributionType: 'split',
+    rothContributionPercent,
   });
 
   const salary0 = clampNumber(annualSalary, { min: 0, max: 1e9, fallback: 0 });
   const desiredAnnualEmployee = (salary0 * clampNumber(monthlyContributionPercent, { min: 0, max: 100, fallback: 0 })) / 100;
-  const age0 = clampNumber(currentAge, { min: 0, max: 200, fallback: 0 });
-  const limit0 = clampNumber(annualEmployeeDeferralLimit, { min: 0, max: 1e9, fallback: 0 }) + (age0 >= catchUpAge ? clampNumber(annualCatchUpLimit, { min: 0, max: 1e9, fallback: 0 }) : 0);
+  const age0 = clampNumber(startAge, { min: 0, max: 200, fallback: 0 });
+  const irsLimit0 = useIrsLimits
+    ? getEmployeeDeferralLimit({ year: asOf.getUTCFullYear(), age: age0, priorYearWages: salary0 })
+    : null;
+  const limit0 = irsLimit0
+    ? irsLimit0.totalLimit
+    : clampNumber(annualEmployeeDeferralLimit, { min: 0, max: 1e9, fallback: 0 }) + (age0 >= catchUpAge ? clampNumber(annualCatchUpLimit, { min: 0, max: 1e9, fallback: 0 }) : 0);
   const effectiveAnnualEmployee = Math.min(desiredAnnualEmployee, limit0);
+  const paycheckOptions = { fersContributionRate, currentTaxRate, payPeriodsPerYear };
 
   return {
-    traditional: {
-      projectedBalance: traditional.projectedBalance,
-      totalContributions: traditional.totals.totalContributions,
-      totalGrowth: traditional.totals.totalGrowthNominal,
-      yearlyData: traditional.yearlyData.map((d) => ({
-        year: d.year,
-        balance: d.balanceNominal,
-        afterTaxValue: d.afterTaxValueNominal,
-        balanceReal: d.balanceReal,
-        afterTaxValueReal: d.afterTaxValueReal,
-        contributions: d.totalEmployeeContributionsNominal + d.totalEmployerContributionsNominal,
-        employeeContributions: d.totalEmployeeContributionsNominal,
-        employerContributions: d.totalEmployerContributionsNominal,
-        salary: d.salaryNominal,
-        employeeLimit: d.employeeLimitNominal,
-      })),
-      afterTaxValue: traditional.afterTaxValue,
-    },
-    roth: {
-      projectedBalance: roth.projectedBalance,
-      totalContributions: roth.totals.totalContributions,
-      totalGrowth: roth.totals.totalGrowthNominal,
-      yearlyData: roth.yearlyData.map((d) => ({
-        year: d.year,
-        balance: d.balanceNominal,
-        afterTaxValue: d.afterTaxValueNominal,
-        balanceReal: d.balanceReal,
-        afterTaxValueReal: d.afterTaxValueReal,
-        contributions: d.totalEmployeeContributionsNominal + d.totalEmployerContributionsNominal,
-        employeeContributions: d.totalEmployeeContributionsNominal,
-        employerContributions: d.totalEmployerContributionsNominal,
-        salary: d.salaryNominal,
-        employeeLimit: d.employeeLimitNominal,
-      })),
-      afterTaxValue: roth.afterTaxValue,
-    },
+    traditional: toProjectionResult(traditional, paycheckOptions),
+    roth: toProjectionResult(roth, paycheckOptions),
+    split: toProjectionResult(split, paycheckOptions),
     weightedReturn,
+    currentAge: startAge,
     years,
+    contributionMonths,
     limits: {
       desiredAnnualEmployeeContribution: desiredAnnualEmployee,
       effectiveAnnualEmployeeContribution: effectiveAnnualEmployee,
       annualEmployeeDeferralLimit: limit0,
       isOverLimit: desiredAnnualEmployee > limit0,
+      // IRS limits only: this year's catch-up, and whether it must be Roth (SECURE 2.0).
+      catchUpLimit: irsLimit0?.catchUp ?? null,
+      isSuperCatchUp: Boolean(irsLimit0?.isSuperCatchUp),
+      catchUpMustBeRoth: Boolean(irsLimit0?.catchUpMustBeRoth),
     },
   };
 }
 
+export function formatTspContributionType({ contributionType, monthlyContributionPercent, rothContributionPercent }) {
+  if (contributionType === 'roth') return 'Roth';
+  if (contributionType !== 'split') return 'Traditional';
+  const total = clampNumber(monthlyContributionPercent, { min: 0, max: 100, fallback: 0 });
+  const rothPct = clampNumber(rothContributionPercent, { min: 0, max: total, fallback: 0 });
+  return `Split: ${total - rothPct}% Traditional, ${rothPct}% Roth`;
+}
+
+// The projection for the scenario's contribution type: 'traditional' (default), 'roth' or 'split'.
+export function selectTspProjection(result, contributionType) {
+  if (contributionType === 'roth') return result.roth;
+  if (contributionType === 'split') return result.split;
+  return result.traditional;
+}
 
+/**
+ * After-tax value at retirement as the Roth part of the same total deferral sweeps from 0% to all of it,
+ * in `steps` equal steps. Feeds the Traditional/Roth split curve.
+ */
+export function calculateTspContributionSplitSweep(params, { steps = 10 } = {}) {
+  const totalPercent = clampNumber(params?.monthlyContributionPercent, { min: 0, max: 100, fallback: 0 });
+  const count = Math.max(1, Math.round(clampNumber(steps, { min: 1, max: 100, fallback: 10 })));
+
+  const points = Array.from({ length: count + 1 }, (_, i) => {
+    const rothPercent = (totalPercent * i) / count;
+    const { split } = calculateTspTraditionalVsRoth({ ...params, rothContributionPercent: rothPercent });
+    return {
+      rothPercent,
+      traditionalPercent: totalPercent - rothPercent,
+      projectedBalance: split.projectedBalance,
+      afterTaxValue: split.afterTaxValue,
+    };
+  });
+  const best = points.reduce((a, b) => (b.afterTaxValue > a.afterTaxValue ? b : a), points[0]);
+  return { totalPercent, points, best };
+}
@@ -0,0 +1,210 @@
+import { calculateTspTraditionalVsRoth, selectTspProjection } from './tsp';
+import { expandAllocation } from './lifecycleFunds';
+import { buildAllocationTimeline } from './allocationSchedule';
+
+export const TSP_FUNDS = Object.freeze(['G', 'F', 'C', 'S', 'I']);
+
+// Calendar-year TSP fund returns (net of expenses), as published by the TSP. G, F and C start with 1989,
+// their first full year; S and I with 2002 (both opened in May 2001). A fund is null before it existed.
+export const TSP_HISTORICAL_RETURNS = Object.freeze(
+  [
+    [1989, 8.81, 13.89, 31.0, null, null],
+    [1990, 8.9, 8.0, -3.15, null, null],
+    [1991, 8.15, 15.75, 30.77, null, null],
+    [1992, 7.23, 7.2, 7.7, null, null],
+    [1993, 6.14, 9.52, 10.13, null, null],
+    [1994, 7.22, -2.96, 1.33, null, null],
+    [1995, 7.03, 18.31, 37.41, null, null],
+    [1996, 6.76, 3.66, 22.85, null, null],
+    [1997, 6.77, 9.6, 33.17, null, null],
+    [1998, 5.74, 8.7, 28.44, null, null],
+    [1999, 5.99, -0.85, 20.95, null, null],
+    [2000, 6.42, 11.67, -9.14, null, null],
+    [2001, 5.39, 8.61, -11.94, null, null],
+    [2002, 5.0, 10.27, -22.05, -18.14, -15.98],
+    [2003, 4.11, 4.11, 28.54, 42.92, 37.94],
+    [2004, 4.3, 4.3, 10.82, 18.03, 20.0],
+    [2005, 4.49, 2.4, 4.96, 10.45, 13.63],
+    [2006, 4.93, 4.4, 15.79, 15.3, 26.32],
+    [2007, 4.87, 7.09, 5.54, 5.49, 11.43],
+    [2008, 3.75, 5.45, -36.99, -38.32, -42.43],
+    [2009, 2.97, 5.99, 26.68, 34.85, 30.04],
+    [2010, 2.81, 6.71, 15.06, 29.06, 7.94],
+    [2011, 2.45, 7.89, 2.11, -3.38, -11.81],
+    [2012, 1.47, 4.29, 16.07, 18.57, 18.62],
+    [2013, 1.89, -1.68, 32.45, 38.35, 22.13],
+    [2014, 2.31, 6.73, 13.78, 7.8, -5.27],
+    [2015, 2.04, 0.91, 1.46, -2.92, -0.51],
+    [2016, 1.82, 2.91, 12.01, 16.35, 2.1],
+    [2017, 2.33, 3.82, 21.82, 18.22, 25.42],
+    [2018, 2.91, 0.15, -4.41, -9.26, -13.43],
+    [2019, 2.24, 8.68, 31.45, 27.97, 22.47],
+    [2020, 0.97, 7.5, 18.31, 31.85, 8.17],
+    [2021, 1.38, -1.46, 28.68, 12.45, 11.45],
+    [2022, 2.98, -12.83, -18.13, -26.26, -13.94],
+    [2023, 4.22, 5.58, 26.25, 25.3, 18.38],
+    [2024, 4.45, 1.33, 24.96, 16.88, 4.98],
+  ].map(([year, ...returns]) =>
+    Object.freeze({
+      year,
+      ...Object.fromEntries(TSP_FUNDS.map((fund, i) => [fund, returns[i] == null ? null : returns[i] / 100])),
+    })
+  )
+);
+
+// Monthly TSP fund returns by year, `{ [year]: { G: [12 decimals], ... } }`, from the TSP's month-end share
+// prices. Accumulation backtests replay a year month by month when every fund held has its twelve months
+// here; any other year is its calendar-year return compounded evenly over the twelve months, so swings
+// within it are not replayed. No monthly rows are bundled yet.
+export const TSP_HISTORICAL_MONTHLY_RETURNS = Object.freeze({});
+
+const MONTHS_PER_YEAR = 12;
+
+const toNumber = (value, fallback = 0) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// Return of one historical year for a mix of individual funds (percent by fund, any total).
+function blendHistoricalReturn(row, mix) {
+  const weights = TSP_FUNDS.map((fund) => [fund, Math.max(0, toNumber(mix?.[fund], 0))]);
+  const total = weights.reduce((sum, [, w]) => sum + w, 0);
+  if (total <= 0) return 0;
+  return weights.reduce((sum, [fund, w]) => (w > 0 ? sum + (toNumber(row[fund], 0) * w) / total : sum), 0);
+}
+
+/**
+ * Yearly returns for a portfolio whose mix changes each year: `mixes[i]` (individual fund percents, as from
+ * buildAllocationTimeline) applies to the i-th replayed year, the last one to any year after. Covers the
+ * years every fund held in any of the mixes has history for; no holdings returns no years. Each year also
+ * has its twelve monthly returns from `monthlyTable` (`isMonthly`), or the year's return spread evenly.
+ */
+export function getHistoricalMixReturns(mixes, monthlyTable = TSP_HISTORICAL_MONTHLY_RETURNS) {
+  const list = Array.isArray(mixes) ? mixes : [];
+  const held = TSP_FUNDS.filter((fund) => list.some((mix) => toNumber(mix?.[fund], 0) > 0));
+  if (held.length === 0) return [];
+  return TSP_HISTORICAL_RETURNS.filter((row) => held.every((fund) => row[fund] != null)).map((row) => {
+    const months = monthlyTable?.[row.year];
+    const isMonthly = held.every((fund) => Array.isArray(months?.[fund]) && months[fund].length === MONTHS_PER_YEAR);
+    // Replay year i of any start year looks up the mix in effect then.
+    const mixAt = (i) => list[Math.min(i, list.length - 1)];
+    return {
+      year: row.year,
+      isMonthly,
+      returnForMix: (i) => blendHistoricalReturn(row, mixAt(i)),
+      monthlyReturnsForMix: (i) => {
+        if (!isMonthly) {
+          const spread = Math.pow(1 + blendHistoricalReturn(row, mixAt(i)), 1 / MONTHS_PER_YEAR) - 1;
+          return Array(MONTHS_PER_YEAR).fill(spread);
+        }
+        const monthRow = (m) => Object.fromEntries(held.map((fund) => [fund, months[fund][m]]));
+        return Array.from({ length: MONTHS_PER_YEAR }, (_, m) => blendHistoricalReturn(monthRow(m), mixAt(i)));
+      },
+      return: blendHistoricalReturn(row, list[0]),
+    };
+  });
+}
+
+/**
+ * Yearly returns of an allocation (percent by fund) over the years every fund it holds has history for.
+ * An empty allocation returns no years. L Funds are replayed at their current mix of individual funds.
+ */
+export function getHistoricalPortfolioReturns(allocation) {
+  return getHistoricalMixReturns([expandAllocation(allocation)]).map(({ year, return: r }) => ({ year, return: r }));
+}
+
+/**
+ * `years` returns replayed from `startYear`. When the horizon outlasts the history it wraps around to the
+ * first year again; such a sequence is synthetic, not something that happened. Rows from
+ * getHistoricalMixReturns() use the mix in effect in each replayed year.
+ */
+export function getHistoricalReturnSequence(portfolioReturns, startYear, years) {
+  const history = Array.isArray(portfolioReturns) ? portfolioReturns : [];
+  const startIndex = history.findIndex((r) => r.year === startYear);
+  if (startIndex < 0) return [];
+  const count = Math.max(0, Math.ceil(toNumber(years, 0)));
+  return Array.from({ length: count }, (_, i) => {
+    const row = history[(startIndex + i) % history.length];
+    return row.returnForMix ? row.returnForMix(i) : row.return;
+  });
+}
+
+/**
+ * `months` monthly returns replayed from January of `startYear`, wrapping around like
+ * getHistoricalReturnSequence(). Takes rows from getHistoricalMixReturns().
+ */
+export function getHistoricalMonthlySequence(mixReturns, startYear, months) {
+  const history = Array.isArray(mixReturns) ? mixReturns : [];
+  const startIndex = history.findIndex((r) => r.year === startYear);
+  if (startIndex < 0) return [];
+  const count = Math.max(0, Math.round(toNumber(months, 0)));
+  const sequence = [];
+  for (let i = 0; sequence.length < count; i++) {
+    sequence.push(...history[(startIndex + i) % history.length].monthlyReturnsForMix(i));
+  }
+  return sequence.slice(0, count);
+}
+
+/**
+ * Start years to replay for a `years`-long horizon: those whose whole horizon fits in the history. When the
+ * horizon is longer than the history no start year fits, so every one is replayed with wrapped, synthetic
+ * sequences (`isSynthetic`).
+ */
+export function getHistoricalStartYears(portfolioReturns, years) {
+  const history = Array.isArray(portfolioReturns) ? portfolioReturns : [];
+  const count = Math.max(0, Math.ceil(toNumber(years, 0) - 1e-9));
+  if (count > history.length) return { startYears: history.map((r) => r.year), isSynthetic: true };
+  return { startYears: history.slice(0, history.length - count + 1).map((r) => r.year), isSynthetic: false };
+}
+
+/**
+ * Accumulation backtest for the TSP page: the calculateTspTraditionalVsRoth projection replayed once per
+ * historical start year, with the allocation's actual monthly returns in place of the assumed ones (see
+ * TSP_HISTORICAL_MONTHLY_RETURNS). Each projection year uses the fund mix in effect at its start, following
+ * the allocation schedule and any L Fund glide path. Reports the balance at retirement for each start year
+ * plus the worst, median and best.
+ */
+export function calculateTspHistoricalBacktest(params) {
+  const contributionType = ['roth', 'split'].includes(params?.contributionType) ? params.contributionType : 'traditional';
+  // The horizon and starting age are only known once the projection has resolved its dates.
+  const probe = calculateTspTraditionalVsRoth(params);
+  const years = probe.years;
+  const mixes = buildAllocationTimeline({
+    allocation: params?.allocation,
+    schedule: params?.allocationSchedule,
+    currentAge: probe.currentAge,
+    endAge: probe.currentAge + Math.max(0, Math.ceil(years) - 1),
+    asOfDate: params?.asOfDate,
+  }).map((point) => point.mix);
+  const history = getHistoricalMixReturns(mixes);
+  const { startYears, isSynthetic } = getHistoricalStartYears(history, years);
+
+  const runs = startYears.map((year) => {
+    const res = calculateTspTraditionalVsRoth({
+      ...params,
+      monthlyReturns: getHistoricalMonthlySequence(history, year, years * 12),
+    });
+    const projection = selectTspProjection(res, contributionType);
+    return {
+      startYear: year,
+      years: res.years,
+      projectedBalance: projection.projectedBalance,
+      afterTaxValue: projection.afterTaxValue,
+      realBalance: projection.yearlyData[projection.yearlyData.length - 1]?.balanceReal ?? 0,
+    };
+  });
+
+  const sorted = [...runs].sort((a, b) => a.projectedBalance - b.projectedBalance || a.startYear - b.startYear);
+  return {
+    contributionType,
+    firstYear: history[0]?.year ?? null,
+    lastYear: history[history.length - 1]?.year ?? null,
+    historyYears: history.length,
+    monthlyYears: history.filter((r) => r.isMonthly).length,
+    isSynthetic,
+    runs,
+    worst: sorted[0] ?? null,
+    median: sorted[Math.floor((sorted.length - 1) / 2)] ?? null,
+    best: sorted[sorted.length - 1] ?? null,
+  };
+}
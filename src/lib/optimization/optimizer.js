@@ -1,5 +1,5 @@
-import { calculateTspTraditionalVsRoth } from '../calculations/tsp';
-import { calculateFersResults } from '../calculations/fers';
+import { calculateTspTraditionalVsRoth, selectTspProjection } from '../calculations/tsp';
+import { buildFersInputsFromScenario, calculateFersResults } from '../calculations/fers';
 
 function clampNumber(value, { min = -Infinity, max = Infinity, fallback = 0 } = {}) {
   const n = Number(value);
@@ -71,6 +71,10 @@ export function buildOptimizationSuggestions(scenario) {
   const currentAge = clampNumber(tsp.currentAge, { min: 0, max: 120, fallback: 0 });
   const baseRetAge = clampNumber(tsp.retirementAge ?? fers.retirementAge, { min: currentAge + 1, max: 80, fallback: 62 });
   const baseContrib = clampNumber(tsp.monthlyContributionPercent, { min: 0, max: 100, fallback: 10 });
+  // A split deferral keeps its Traditional/Roth proportions as the total changes.
+  const rothShare = baseContrib > 0
+    ? clampNumber(tsp.rothContributionPercent, { min: 0, max: baseContrib, fallback: 0 }) / baseContrib
+    : 0;
 
   const goalMonthlyBase = Math.max(0, clampNumber(fire.monthlyFireIncomeGoal, { min: 0, max: 1e9, fallback: 0 })) ||
     Math.max(0, clampNumber(summary.monthlyExpenses, { min: 0, max: 1e9, fallback: 0 }));
@@ -85,9 +89,11 @@ export function buildOptimizationSuggestions(scenario) {
       currentBalance: tsp.currentBalance ?? 0,
       annualSalary: tsp.annualSalary ?? 0,
       monthlyContributionPercent: contributionPct,
+      rothContributionPercent: contributionPct * rothShare,
       currentAge: tsp.currentAge ?? 0,
       retirementAge,
       allocation: tsp.allocation ?? {},
+      allocationSchedule: tsp.allocationSchedule,
       currentTaxRate: tsp.currentTaxRate ?? 22,
       retirementTaxRate: tsp.retirementTaxRate ?? 15,
       annualSalaryGrowthRate,
@@ -97,6 +103,7 @@ export function buildOptimizationSuggestions(scenario) {
       annualEmployeeDeferralLimit: tsp.annualEmployeeDeferralLimit ?? 23500,
       annualCatchUpLimit: tsp.annualCatchUpLimit ?? 7500,
       catchUpAge: tsp.catchUpAge ?? 50,
+      useIrsLimits: Boolean(tsp.useIrsLimits),
       fundReturns: tsp.fundReturns
         ? {
             G: Number(tsp.fundReturns.G ?? 2) / 100,
@@ -108,21 +115,12 @@ export function buildOptimizationSuggestions(scenario) {
         : undefined,
     });
 
-    const selected = tsp.contributionType === 'roth' ? tspRes.roth : tspRes.traditional;
+    const selected = selectTspProjection(tspRes, tsp.contributionType);
 
-    const fersRes = calculateFersResults({
-      yearsOfService: fers.yearsOfService ?? 0,
-      monthsOfService: fers.monthsOfService ?? 0,
-      high3Salary: fers.high3Salary ?? 0,
-      currentAge: fers.currentAge ?? 0,
-      retirementAge,
-      showComparison: false,
-      privateJobSalary: fers.privateJobSalary ?? 0,
-      privateJobYears: fers.privateJobYears ?? 0,
-      includeFutureService: true,
-    });
+    // Each what-if retires at a whole-number age, so any saved target date is dropped.
+    const fersRes = calculateFersResults(buildFersInputsFromScenario(scenario, { retirementAge, retirementDate: '' }));
 
-    const pensionMonthly = fersRes.stayFed.monthlyPension ?? 0;
+    const pensionMonthly = fersRes.stayFed.netMonthlyPension ?? 0;
 
     const goalMonthly =
       Math.max(0, clampNumber(fire.monthlyFireIncomeGoal, { min: 0, max: 1e9, fallback: 0 })) ||
@@ -135,7 +133,7 @@ export function buildOptimizationSuggestions(scenario) {
       sideHustleIncome: fire.sideHustleIncome ?? 0,
       spouseIncome: fire.spouseIncome ?? 0,
       pensionMonthly,
-      pensionStartAge: retirementAge,
+      pensionStartAge: fersRes.stayFed.pensionStartAge ?? retirementAge,
       ssMonthly: ss.monthly,
       ssStartAge: ss.claimingAge,
     });
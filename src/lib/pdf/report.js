@@ -1,3 +1,7 @@
+import { formatMinimumRetirementAge } from '../calculations/fers';
+import { formatYearsAndMonths } from '../calculations/dates';
+import { formatAllocation } from '../calculations/lifecycleFunds';
+
 const MM_A4 = Object.freeze({ width: 210, height: 297 });
 
 function clampNumber(value, fallback = 0) {
@@ -289,7 +293,7 @@ export function createRetirementReportPdf({
       y = addBullets(
         pdf,
         [
-          `Allocation: G ${alloc.G ?? 0}%, F ${alloc.F ?? 0}%, C ${alloc.C ?? 0}%, S ${alloc.S ?? 0}%, I ${alloc.I ?? 0}%`,
+          `Allocation: ${formatAllocation(alloc)}`,
           `Contribution type: ${safeText(computed?.tspContributionType ?? 'traditional')}`,
         ],
         y,
@@ -307,12 +311,101 @@ export function createRetirementReportPdf({
     [
       { label: 'Current age', value: safeText(computed?.fersCurrentAge) },
       { label: 'Planned retirement age', value: safeText(computed?.plannedRetirementAge) },
+      ...(computed?.fersDisability
+        ? [{
+            label: 'Disability retirement',
+            value: computed.fersDisability.paysEarnedAnnuity
+              ? `At ${clampNumber(computed.fersDisability.disabilityAge, 0).toFixed(1)}: earned annuity`
+              : `At ${clampNumber(computed.fersDisability.disabilityAge, 0).toFixed(1)}: ${formatMoneyUSD0(computed.fersDisability.firstYearMonthly)}/mo first year, ${formatMoneyUSD0(computed.fersDisability.laterMonthly)}/mo until 62${computed.fersDisability.recomputation ? `, ${formatMoneyUSD0(computed.fersDisability.recomputation.annualPension / 12)}/mo from 62` : ''}`,
+          }]
+        : []),
+      ...(computed?.fersEarlyOut
+        ? [{
+            label: 'Early-out offer',
+            value: `${computed.fersEarlyOut.type.id.toUpperCase()} at ${clampNumber(computed.fersEarlyOut.retirementAge, 0).toFixed(1)}: ${formatMoneyUSD0(computed.fersEarlyOut.monthlyPension)}/mo${computed.fersEarlyOut.vsip.net > 0 ? ` + ${formatMoneyUSD0(computed.fersEarlyOut.vsip.net)} VSIP after tax` : ''} (${computed.fersEarlyOut.comparison.difference >= 0 ? '+' : '-'}${formatMoneyUSD0(Math.abs(computed.fersEarlyOut.comparison.difference))} vs plan)`,
+          }]
+        : []),
+      ...(computed?.fersRetirementSystem?.csrsComponent
+        ? [{
+            label: 'Retirement system',
+            value: `${computed.fersRetirementSystem.system.label}: CSRS ${formatMoneyUSD0(computed.fersRetirementSystem.csrsComponent.annualPension / 12)}/mo${computed.fersRetirementSystem.fersComponent ? ` + FERS ${formatMoneyUSD0(computed.fersRetirementSystem.fersComponent.annualPension / 12)}/mo` : ''}${computed.fersRetirementSystem.offset ? `, less ${formatMoneyUSD0(computed.fersRetirementSystem.offset.monthlyOffset)}/mo offset from ${clampNumber(computed.fersRetirementSystem.offset.startAge, 0).toFixed(1)}` : ''}`,
+          }]
+        : []),
+      ...(computed?.fersPartTime?.partTimeMonths > 0
+        ? [{
+            label: 'Part-time proration',
+            value: `${(clampNumber(computed.fersPartTime.prorationFactor, 1) * 100).toFixed(2)}% (−${formatMoneyUSD0(computed.fersPartTime.annualPensionReduction / 12)}/mo)`,
+          }]
+        : []),
+      ...(computed?.fersCourtOrder || clampNumber(computed?.fersFormerSpouseSurvivorMonthly, 0) > 0
+        ? [{
+            label: 'Former spouse (court order)',
+            value: `${formatMoneyUSD0(computed.fersCourtOrder?.monthlyToFormerSpouse ?? 0)}/mo share${clampNumber(computed.fersFormerSpouseSurvivorMonthly, 0) > 0 ? `, ${formatMoneyUSD0(computed.fersFormerSpouseSurvivorMonthly)}/mo survivor annuity` : ''}`,
+          }]
+        : []),
+      ...(computed?.fersRetirementCategory?.isSpecialProvision
+        ? [{ label: 'Retirement category', value: `${computed.fersRetirementCategory.label} (special provision)` }]
+        : []),
       { label: 'Years of service (projected)', value: safeText(computed?.fersProjectedYearsOfService) },
-      { label: 'High-3 salary', value: formatMoneyUSD0(computed?.fersHigh3Salary) },
+      ...(clampNumber(computed?.fersMilitaryYears, 0) > 0
+        ? [{ label: 'Military buyback service', value: `${computed.fersMilitaryYears.toFixed(1)} yrs (deposit ${formatMoneyUSD0(computed?.fersMilitaryDeposit)})` }]
+        : []),
+      ...(clampNumber(computed?.fersSickLeave?.totalMonths, 0) > 0
+        ? [{
+            label: 'Sick leave credit',
+            value: `${computed.fersSickLeave.years} yrs ${computed.fersSickLeave.months} mos (+${formatMoneyUSD0(computed.fersSickLeave.monthlyPensionIncrease)}/mo)`,
+          }]
+        : []),
+      {
+        label: computed?.fersHigh3Source === 'salaryHistory' ? 'High-3 salary (from salary history)' : 'High-3 salary',
+        value: formatMoneyUSD0(computed?.fersHigh3Salary),
+      },
       { label: 'Multiplier (simplified)', value: safeText(computed?.fersMultiplier != null ? `${(computed.fersMultiplier * 100).toFixed(2)}%` : '—') },
       { label: 'Annual pension', value: formatMoneyUSD0(computed?.pensionAnnual) },
       { label: 'Monthly pension', value: formatMoneyUSD0(computed?.pensionMonthly) },
+      ...(clampNumber(computed?.fersPremiums?.firstYearMonthly, 0) > 0
+        ? [
+            {
+              label: 'FEHB/FEGLI premiums (first year)',
+              value: `${formatMoneyUSD0(computed.fersPremiums.rows[0].fehbMonthly)}/mo FEHB + ${formatMoneyUSD0(computed.fersPremiums.rows[0].fegliMonthly)}/mo FEGLI`,
+            },
+            { label: 'Monthly pension after premiums', value: formatMoneyUSD0(computed?.pensionNetMonthly) },
+          ]
+        : []),
+      ...(clampNumber(computed?.fersPensionTax?.grossMonthly, 0) > 0
+        ? [{
+            label: 'Gross vs taxable pension',
+            value: `${formatMoneyUSD0(computed.fersPensionTax.grossMonthly)}/mo gross; ${formatMoneyUSD0(computed.fersPensionTax.taxableMonthly)}/mo taxable (${formatMoneyUSD0(computed.fersPensionTax.taxFreeMonthly)}/mo tax-free for ${computed.fersPensionTax.expectedPayments} payments)`,
+          }]
+        : []),
+      ...[computed?.fersPremiums?.fehb?.fiveYearRule, computed?.fersPremiums?.fegli?.fiveYearRule]
+        .filter((rule) => rule && !rule.isMet)
+        .map((rule) => ({ label: '5-year rule', value: rule.message })),
+      ...(computed?.fersMra10Selected
+        ? [{
+            label: 'MRA+10 annuity start',
+            value: `${formatYearsAndMonths(computed.fersMra10Selected.commencementAge)} (${computed.fersMra10Selected.reductionPercent.toFixed(1)}% reduction)`,
+          }]
+        : []),
+      ...(clampNumber(computed?.fersSurvivor?.reductionPercent, 0) > 0
+        ? [{
+            label: `Survivor annuity (${computed.fersSurvivor.election.id})`,
+            value: `-${formatMoneyUSD0(computed.fersSurvivor.monthlyReduction)}/mo; spouse receives ${formatMoneyUSD0(computed.fersSurvivor.survivorMonthly)}/mo`,
+          }]
+        : []),
       { label: 'Lifetime pension value proxy', value: formatMoneyUSD0(computed?.pensionLifetimeValue) },
+      ...(clampNumber(computed?.fersPensionStream?.colaRate, 0) > 0
+        ? [{
+            label: 'Pension COLA (diet COLA)',
+            value: `${(computed.fersPensionStream.colaRate * 100).toFixed(1)}%/yr${computed.fersPensionStream.colaStartAge > 0 ? ` from age ${computed.fersPensionStream.colaStartAge}` : ''}; lifetime ${formatMoneyUSD0(computed.fersPensionStream.lifetimeReal)} in first-year dollars`,
+          }]
+        : []),
+      ...(clampNumber(computed?.fersSupplement?.monthlySupplement, 0) > 0
+        ? [{
+            label: `FERS supplement (to age ${computed.fersSupplement.endAge})`,
+            value: `${formatMoneyUSD0(computed.fersSupplement.monthlySupplement)}/mo from age ${computed.fersSupplement.startAge}`,
+          }]
+        : []),
     ],
     y,
     { left, right, labelWidth: 78 }
@@ -333,6 +426,12 @@ export function createRetirementReportPdf({
       { label: 'Gap at desired age (monthly)', value: formatMoneyUSD0(computed?.monthlyGapAtDesiredAge) },
       { label: 'Bridge years (until pension starts)', value: safeText(computed?.bridgeYearsToBridge) },
       { label: 'Bridge assets needed (simple)', value: formatMoneyUSD0(computed?.bridgeRequiredAssets) },
+      ...(computed?.bridgeVsipAssets > 0
+        ? [
+            { label: 'VSIP in the bridge fund', value: formatMoneyUSD0(computed.bridgeVsipAssets) },
+            { label: 'Bridge still to fund', value: formatMoneyUSD0(computed.bridgeShortfall) },
+          ]
+        : []),
     ],
     y,
     { left, right, labelWidth: 90 }
@@ -347,7 +446,10 @@ export function createRetirementReportPdf({
     pdf,
     [
       { label: 'Current age', value: safeText(computed?.tspCurrentAge ?? computed?.fersCurrentAge) },
-      { label: 'MRA (assumed)', value: safeText(computed?.mra ?? '57') },
+      {
+        label: computed?.mraFromBirthDate ? 'MRA (from birth year)' : 'MRA (assumed)',
+        value: safeText(formatMinimumRetirementAge(computed?.mra)),
+      },
       { label: 'Earliest immediate FERS retirement age (est.)', value: safeText(computed?.earliestFersImmediateAge ?? '—') },
       { label: 'Planned retirement age', value: safeText(computed?.plannedRetirementAge ?? '—') },
       { label: 'Desired FIRE age', value: safeText(computed?.desiredFireAge ?? '—') },
@@ -0,0 +1,29 @@
+-- Migrations for projects created from an older supabase-schema.sql
+-- Run this SQL in your Supabase SQL Editor. Every statement is safe to run more than once.
+
+-- FEHB/FEGLI coverage in retirement (scenario.benefits)
+ALTER TABLE scenarios ADD COLUMN IF NOT EXISTS benefits_data JSONB;
+COMMENT ON COLUMN scenarios.benefits_data IS 'JSON data for FEHB/FEGLI coverage in retirement';
+
+-- The view lists its columns, so recreate it to include the new one
+DROP VIEW IF EXISTS user_scenarios;
+CREATE VIEW user_scenarios AS
+SELECT 
+  id,
+  user_id,
+  scenario_name,
+  tsp_data,
+  fers_data,
+  fire_goal,
+  summary_data,
+  benefits_data,
+  created_at,
+  updated_at
+FROM scenarios
+WHERE user_id = auth.uid();
+
+-- Year-indexed IRS contribution limits (tsp.useIrsLimits). Scenarios saved before the setting existed
+-- keep the fixed limits they were projected with; new scenarios turn it on.
+UPDATE scenarios
+SET tsp_data = jsonb_set(tsp_data, '{useIrsLimits}', 'false'::jsonb)
+WHERE tsp_data IS NOT NULL AND NOT (tsp_data ? 'useIrsLimits');
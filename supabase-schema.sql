@@ -10,6 +10,7 @@ CREATE TABLE scenarios (
   fers_data JSONB,
   fire_goal JSONB,
   summary_data JSONB,
+  benefits_data JSONB,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -64,6 +65,7 @@ SELECT
   fers_data,
   fire_goal,
   summary_data,
+  benefits_data,
   created_at,
   updated_at
 FROM scenarios
@@ -73,4 +75,7 @@ COMMENT ON TABLE scenarios IS 'Stores user retirement scenarios with TSP, FERS,
 COMMENT ON COLUMN scenarios.tsp_data IS 'JSON data for TSP calculations (contributions, balances, etc.)';
 COMMENT ON COLUMN scenarios.fers_data IS 'JSON data for FERS pension calculations';
 COMMENT ON COLUMN scenarios.fire_goal IS 'JSON data for FIRE goals (target age, income, etc.)';
-COMMENT ON COLUMN scenarios.summary_data IS 'JSON data for Summary Dashboard configuration (expenses, SS estimate, assumptions, etc.)';
\ No newline at end of file
+COMMENT ON COLUMN scenarios.summary_data IS 'JSON data for Summary Dashboard configuration (expenses, SS estimate, assumptions, etc.)';
+COMMENT ON COLUMN scenarios.benefits_data IS 'JSON data for FEHB/FEGLI coverage in retirement';
+
+-- Existing projects: run supabase-migrations.sql to add the columns added since.
\ No newline at end of file